@@ -46,6 +46,7 @@ program
   .option('--auto', 'Auto-detect and initialize without prompts (requires high confidence)')
   .option('--no-mcp', 'Skip MCP server setup')
   .option('--no-agent-os', 'Skip Agent OS setup')
+  .option('--templates <pack>', 'Template pack name or path for the generated files (default: templates.pack or default)')
   .action(async (options) => {
     const coordinator = new CommandCoordinator(globalConfig, packageRoot);
     await coordinator.executeInit(options);
@@ -66,8 +67,13 @@ program
 program
   .command('validate')
   .description('Validate project compliance with CodeFortify standards')
-  .option('-s, --strict', 'Enable strict validation mode')
+  .option('--profile <name>', 'Validation rule profile: minimal, standard or strict')
+  .option('-s, --strict', 'Use the strict profile: more required files, warnings fail')
   .option('--fix', 'Attempt to fix validation issues automatically')
+  .option('--dry-run', 'Show the fixes as a diff without writing any files')
+  .option('--templates <pack>', 'Template pack name or path for the fixes (default: templates.pack or default)')
+  .option('--format <format>', 'Report format: console, json, junit or markdown', 'console')
+  .option('--output <file>', 'Write the json/junit/markdown report to a file instead of stdout')
   .option('--with-score', 'Include project quality scoring with validation')
   .action(async (options) => {
     const coordinator = new CommandCoordinator(globalConfig, packageRoot);
@@ -79,20 +85,57 @@ program
   .command('score')
   .description('Analyze and score project quality across multiple dimensions')
   .option('--categories <categories>', 'Comma-separated list of categories to analyze (structure,quality,performance,testing,security,developerExperience,completeness)', 'all')
-  .option('--format <format>', 'Output format (console, json, html)', 'console')
-  .option('--output <file>', 'Output file path (for json/html formats)')
+  .option('--format <format>', 'Output format (console, json, html, sarif)', 'console')
+  .option('--output <file>', 'Output file path (for json/html/sarif formats)')
   .option('--detailed', 'Include detailed analysis and metrics')
   .option('--recommendations', 'Include improvement recommendations')
-  .option('--compare', 'Compare with previous scoring results (if available)')
+  .option('--compare [baseline]', 'Compare with the previous run, a named baseline or a snapshot file')
+  .option('--save-baseline <name>', 'Store this run as a named baseline under .codefortify/baselines')
+  .option('--no-snapshot', 'Do not store this run under .codefortify/snapshots')
+  .option('--since <ref>', 'Diff-aware: limit file-level checks to files changed since a git ref (e.g. origin/main)')
+  .option('--staged', 'Diff-aware: limit file-level checks to staged files (for pre-commit hooks)')
+  .option('--no-cache', 'Re-analyze every file instead of reusing .codefortify/cache results')
+  .option('--concurrency <n>', 'Number of analyzers to run in parallel worker threads (default: CPU count)')
+  .option('--advisory-db <path>', 'Audit package-lock.json against a local OSV advisory database (file or directory) instead of npm audit')
   .option('--bundle-analysis', 'Include bundle size and dependency analysis')
   .option('--performance', 'Include detailed performance monitoring')
   .option('--open', 'Automatically open HTML reports in browser')
   .option('--no-color', 'Disable colored output')
+  .option('--fail-under [thresholds]', 'Quality gate: minimum percentages, e.g. 70 or overall=70,security=80 (defaults to scoring.thresholds.failUnder)')
+  .option('--fail-on-new-high', 'Quality gate: fail on high/critical findings not present in the baseline')
+  .option('--baseline <file>', 'Previous JSON report used to detect new findings')
   .action(async (options) => {
     const coordinator = new CommandCoordinator(globalConfig, packageRoot);
     await coordinator.executeScore(options);
   });
 
+// Scan secrets command
+program
+  .command('scan-secrets')
+  .description('Scan the working tree, and optionally the git history, for exposed credentials')
+  .option('--history', 'Also scan the local git history for secrets that were committed and later deleted')
+  .option('--all', 'Scan the history of every branch and tag instead of HEAD only')
+  .option('--max-commits <n>', 'Most recent commits to scan with --history (default: 500)')
+  .option('--format <format>', 'Output format (console, json)', 'console')
+  .option('--output <file>', 'Output file path (for json format)')
+  .action(async (options) => {
+    const coordinator = new CommandCoordinator(globalConfig, packageRoot);
+    await coordinator.executeScanSecrets(options);
+  });
+
+// SBOM command
+program
+  .command('sbom')
+  .description('Export the installed dependency tree as a CycloneDX or SPDX SBOM and check the license policy')
+  .option('--format <format>', 'SBOM format (cyclonedx, spdx)', 'cyclonedx')
+  .option('--output <file>', 'Output file path (default: stdout)')
+  .option('--omit-dev', 'Leave dev-only dependencies out of the SBOM')
+  .option('--fail-on-violation', 'Exit with code 1 when a package violates security.licenses')
+  .action(async (options) => {
+    const coordinator = new CommandCoordinator(globalConfig, packageRoot);
+    await coordinator.executeSbom(options);
+  });
+
 // Test command
 program
   .command('test-mcp')
@@ -109,7 +152,10 @@ program
   .command('serve')
   .description('Start the CodeFortify MCP server')
   .option('--config <path>', 'Path to configuration file')
-  .option('--port <port>', 'Server port (for HTTP transport)')
+  .option('--port <port>', 'Serve over HTTP (Streamable HTTP and SSE) on this port instead of stdio')
+  .option('--host <host>', 'Interface to bind in HTTP mode', '127.0.0.1')
+  .option('--token <token>', 'Bearer token HTTP clients must send (default: $CODEFORTIFY_MCP_TOKEN)')
+  .option('--session-timeout <minutes>', 'Close HTTP sessions idle for this many minutes', '30')
   .action(async (options) => {
     const coordinator = new CommandCoordinator(globalConfig, packageRoot);
     await coordinator.executeServe(options);
@@ -117,13 +163,27 @@ program
 
 // Generate command
 program
-  .command('generate <type>')
-  .description('Generate CodeFortify-compliant code scaffolds')
-  .option('-n, --name <name>', 'Name for the generated code')
-  .option('-f, --framework <framework>', 'Target framework')
-  .action(async (type, options) => {
+  .command('generate <type> [name]')
+  .description('Generate a component, hook, service, route, middleware or test following the project conventions')
+  .option('-n, --name <name>', 'Name for the generated code (for tests: the file to test)')
+  .option('-f, --framework <framework>', 'Target framework: react, vue, svelte, express, fastify, koa, node or javascript')
+  .option('--dir <path>', 'Directory for the generated source file instead of the detected one')
+  .option('--no-test', 'Do not generate the matching test file')
+  .option('--templates <pack>', 'Template pack name or path (default: templates.pack or default)')
+  .action(async (type, name, options) => {
+    const coordinator = new CommandCoordinator(globalConfig, packageRoot);
+    await coordinator.executeGenerate({...options, type, name: name || options.name});
+  });
+
+// Templates command
+program
+  .command('templates [action] [name]')
+  .description('List template packs, or create a project pack in .codefortify/templates (actions: list, create)')
+  .option('--from <pack>', 'Pack the new pack extends', 'default')
+  .option('--sets <sets>', 'Comma-separated template sets to copy into the new pack, e.g. component,hook')
+  .action(async (action, name, options) => {
     const coordinator = new CommandCoordinator(globalConfig, packageRoot);
-    await coordinator.executeGenerate({...options, type});
+    await coordinator.executeTemplates({...options, action: action || 'list', name});
   });
 
 // Update command
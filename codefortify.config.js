@@ -54,7 +54,58 @@ export default {
       excellent: 90,
       good: 75,
       warning: 60,
-      poor: 40
-    }
-  }
+      poor: 40,
+
+      // Quality gate for `codefortify score --fail-under`
+      failUnder: {
+        overall: 60
+      },
+      noNewHighSeverity: false
+    },
+
+    // Overrides of the defaults in src/config/scoringConfig.js (all optional and partial);
+    // a category with weight 0 is skipped, e.g. performance: 0 for a library without a bundle
+    // weights: { performance: 5, testing: 20 },
+    // gradeThresholds: { 'A+': 0.97 },
+    // moduleSizeThresholds: { medium: 300 },
+    // complexityThresholds: { low: 15 },
+
+    // Custom analyzers scored as extra categories (see "Custom analyzer plugins" in README)
+    // plugins: [
+    //   { path: './tools/BannedImportsAnalyzer.js', weight: 10, options: { banned: ['moment'] } }
+    // ]
+    plugins: []
+  },
+
+  // Secret scanning allowlists (see "Secret scanning" in README)
+  // security: {
+  //   secrets: {
+  //     allowlist: { paths: ['tests/fixtures/**'], patterns: ['^sk_test_'], values: [] },
+  //     entropyThreshold: 3.5,
+  //     history: { enabled: true, maxCommits: 100, allRefs: false }
+  //   },
+  //   // Offline dependency audit against a local OSV advisory database (see README)
+  //   advisoryDatabase: './osv/npm',
+  //   // License policy for the security score and `codefortify sbom` (see README)
+  //   licenses: { allow: ['MIT', 'ISC', 'BSD-*', 'Apache-2.0'], deny: ['GPL-*', 'AGPL-*'], exceptions: [] }
+  // },
+
+  // Rules of the validate_context7_compliance MCP tool (see "Compliance rules" in README)
+  // compliance: {
+  //   strictTypes: true,
+  //   requireDocumentation: false,
+  //   rules: { 'typescript/no-explicit-any': 'error', 'styling/no-inline-style': 'off' }
+  // },
+
+  // Rule profile and rule overrides of `codefortify validate` (see "Validation profiles" in README)
+  // validation: {
+  //   profile: 'standard',
+  //   rules: { 'structure/examples': 'off', 'files/changelog': { type: 'file', path: 'CHANGELOG.md' } }
+  // },
+
+  // Template pack of init, validate --fix and generate (see "Template packs" in README)
+  // templates: {
+  //   pack: 'house',
+  //   variables: { company: 'Acme' }
+  // }
 };
@@ -4,8 +4,14 @@
  * Orchestrates CLI command execution with modular command handlers
  */
 
+import { GenerateCommand } from './commands/GenerateCommand.js';
 import { InitCommand } from './commands/InitCommand.js';
 import { ScoreCommand } from './commands/ScoreCommand.js';
+import { ScanSecretsCommand } from './commands/ScanSecretsCommand.js';
+import { SbomCommand } from './commands/SbomCommand.js';
+import { ServeCommand } from './commands/ServeCommand.js';
+import { TemplatesCommand } from './commands/TemplatesCommand.js';
+import { ValidateCommand } from './commands/ValidateCommand.js';
 import { ProjectTypeDetector } from '../scoring/core/ProjectTypeDetector.js';
 
 export class CommandCoordinator {
@@ -15,8 +21,14 @@ export class CommandCoordinator {
 
     // Initialize command handlers
     this.commands = {
+      generate: new GenerateCommand(globalConfig, packageRoot),
       init: new InitCommand(globalConfig, packageRoot),
-      score: new ScoreCommand(globalConfig)
+      score: new ScoreCommand(globalConfig),
+      scanSecrets: new ScanSecretsCommand(globalConfig),
+      sbom: new SbomCommand(globalConfig, packageRoot),
+      serve: new ServeCommand(globalConfig, packageRoot),
+      templates: new TemplatesCommand(globalConfig, packageRoot),
+      validate: new ValidateCommand(globalConfig, packageRoot)
     };
   }
 
@@ -28,6 +40,74 @@ export class CommandCoordinator {
     return await this.commands.score.execute(options);
   }
 
+  async executeScanSecrets(options) {
+    return await this.commands.scanSecrets.execute(options);
+  }
+
+  async executeSbom(options) {
+    return await this.commands.sbom.execute(options);
+  }
+
+  async executeServe(options) {
+    return await this.commands.serve.execute(options);
+  }
+
+  async executeValidate(options) {
+    const chalk = (await import('chalk')).default;
+    let outcome;
+
+    try {
+      outcome = await this.commands.validate.execute(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), `Validation failed: ${error.message}`);
+      if (this.globalConfig.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+
+    if (options.withScore) {
+      // A json/junit/markdown report on stdout must stay parseable, so the score goes to stderr
+      const reportOnStdout = (options.format || 'console') !== 'console' && !options.output;
+      const log = reportOnStdout ? console.error : console.log;
+      log(chalk.gray('\n' + '─'.repeat(50)));
+      await this.executeScore({ format: 'console', detailed: true, stderr: reportOnStdout });
+    }
+
+    if (!outcome.success) {
+      process.exit(1);
+    }
+    return outcome;
+  }
+
+  async executeGenerate(options) {
+    const chalk = (await import('chalk')).default;
+
+    try {
+      return await this.commands.generate.execute(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), `Generate failed: ${error.message}`);
+      if (this.globalConfig.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  }
+
+  async executeTemplates(options) {
+    const chalk = (await import('chalk')).default;
+
+    try {
+      return await this.commands.templates.execute(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), `Templates failed: ${error.message}`);
+      if (this.globalConfig.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  }
+
   async detectProjectType() {
     const detector = new ProjectTypeDetector(this.globalConfig.projectRoot);
     return detector.detectProjectType();
@@ -38,22 +118,10 @@ export class CommandCoordinator {
     return await this.addToExistingProject(options);
   }
 
-  async executeValidate(options) {
-    return await this.validateProject(options);
-  }
-
   async executeTestMcp(options) {
     return await this.testMCPServer(options);
   }
 
-  async executeServe(options) {
-    return await this.serveMCPServer(options);
-  }
-
-  async executeGenerate(options) {
-    return await this.generatePattern(options);
-  }
-
   async executeUpdate(options) {
     return await this.updateProject(options);
   }
@@ -146,62 +214,6 @@ export class CommandCoordinator {
     }
   }
 
-  async validateProject(options) {
-    const chalk = (await import('chalk')).default;
-    const ora = (await import('ora')).default;
-    const { CodeFortifyValidator } = await import('../validation/CodeFortifyValidator.js');
-
-    console.log(chalk.bold.blue('🔍 Validating CodeFortify Project Compliance'));
-
-    const spinner = ora('Running validation checks...').start();
-
-    try {
-      const validator = new CodeFortifyValidator(this.globalConfig.projectRoot);
-      const results = await validator.validateProject({
-        strict: options.strict,
-        autoFix: options.fix
-      });
-
-      spinner.stop();
-
-      // Display results
-      console.log(`\n${chalk.bold('Validation Results:')}`);
-
-      if (results.isValid) {
-        console.log(chalk.green('✅ Project is CodeFortify compliant!'));
-      } else {
-        console.log(chalk.red('❌ Project has compliance issues:'));
-        results.errors.forEach(error => {
-          console.log(`  ${chalk.red('•')} ${error}`);
-        });
-      }
-
-      if (results.warnings.length > 0) {
-        console.log(chalk.yellow('\n⚠️  Warnings:'));
-        results.warnings.forEach(warning => {
-          console.log(`  ${chalk.yellow('•')} ${warning}`);
-        });
-      }
-
-      if (options.withScore) {
-        console.log(chalk.gray('\n' + '─'.repeat(50)));
-        await this.executeScore({ format: 'console', detailed: true });
-      }
-
-      if (!results.isValid) {
-        process.exit(1);
-      }
-
-    } catch (error) {
-      spinner.fail('Validation failed');
-      console.error(chalk.red('Error:'), error.message);
-      if (this.globalConfig.verbose) {
-        console.error(error.stack);
-      }
-      process.exit(1);
-    }
-  }
-
   async testMCPServer(options) {
     const chalk = (await import('chalk')).default;
     const ora = (await import('ora')).default;
@@ -262,14 +274,6 @@ export class CommandCoordinator {
   }
 
   // Additional legacy methods would be implemented here...
-  async serveMCPServer(options) {
-    throw new Error('Serve command not yet implemented');
-  }
-
-  async generatePattern(options) {
-    throw new Error('Generate command not yet implemented');
-  }
-
   async updateProject(options) {
     throw new Error('Update command not yet implemented');
   }
@@ -0,0 +1,95 @@
+/**
+ * Generate Command Handler
+ *
+ * Writes a component, hook, service, route or middleware and its test into the project, or a
+ * test for an existing source file. File names, directories, TypeScript or JavaScript, module
+ * system, test runner and test placement follow the conventions ConventionDetector finds in
+ * the project. The file contents come from the project's template pack (`--templates`, or
+ * `templates.pack` in codefortify.config.js, or the built-in `default` pack). Existing files
+ * are never overwritten.
+ *
+ * @class GenerateCommand
+ * @example
+ * const generateCmd = new GenerateCommand(globalConfig);
+ * await generateCmd.execute({ type: 'component', name: 'user-card' });
+ */
+
+import chalk from 'chalk';
+import path from 'path';
+import { ConventionDetector } from '../../generation/ConventionDetector.js';
+import { ScaffoldGenerator, GENERATE_TYPES } from '../../generation/ScaffoldGenerator.js';
+import { resolveProjectTemplates } from '../../templates/TemplatePack.js';
+
+export class GenerateCommand {
+  /**
+   * Create a new GenerateCommand instance
+   *
+   * @param {Object} globalConfig - Global CLI configuration
+   * @param {string} globalConfig.projectRoot - Project root directory
+   * @param {boolean} globalConfig.verbose - Verbose logging flag
+   * @param {string} packageRoot - CodeFortify package root, for the built-in template packs
+   */
+  constructor(globalConfig, packageRoot) {
+    this.globalConfig = globalConfig;
+    this.packageRoot = packageRoot;
+  }
+
+  /**
+   * Execute the generate command
+   *
+   * @param {Object} options - Command options
+   * @param {string} options.type - component, hook, service, route, middleware or test
+   * @param {string} options.name - Name of the generated code; for tests, the file to test
+   * @param {string} [options.framework] - Framework to generate for instead of the detected one
+   * @param {string} [options.dir] - Directory for the source file instead of the detected one
+   * @param {boolean} [options.test=true] - Also generate the matching test file
+   * @param {string} [options.templates] - Template pack name or path
+   * @returns {Promise<{files: string[], conventions: Object}>} Written files and the conventions used
+   * @throws {Error} For unknown types, missing names, unknown template packs, frameworks the pack has no template for or existing files
+   */
+  async execute(options) {
+    if (!GENERATE_TYPES.includes(options.type)) {
+      throw new Error(`Unknown scaffold type: ${options.type}. Use ${GENERATE_TYPES.join(', ')}`);
+    }
+
+    const projectRoot = this.globalConfig.projectRoot;
+    const conventions = await new ConventionDetector(projectRoot).detect({ framework: options.framework });
+    if (this.globalConfig.verbose) {
+      this.printConventions(conventions);
+    }
+
+    const { pack, variables } = await resolveProjectTemplates(projectRoot, {
+      pack: options.templates,
+      packageTemplatesDir: this.packageRoot && path.join(this.packageRoot, 'templates')
+    });
+    if (this.globalConfig.verbose) {
+      console.log(chalk.gray(`  templates   ${pack.name} (${pack.dir})`));
+    }
+
+    const generator = new ScaffoldGenerator({ projectRoot, conventions, pack, variables });
+    const planned = await generator.plan(options.type, options.name, { withTest: options.test !== false, directory: options.dir });
+    const files = await generator.write(planned);
+
+    console.log(chalk.bold.blue(`\n🧱 Generated ${options.type} ${options.name}`));
+    planned.forEach(({ file, kind }) => console.log(chalk.green(`  ✓ ${file}`) + chalk.gray(kind === 'test' ? ' (test)' : '')));
+    console.log(chalk.gray(`\n${this.describeConventions(conventions)}`));
+
+    return { files, conventions };
+  }
+
+  describeConventions(conventions) {
+    const { framework, webFramework, typescript, moduleSystem, tests } = conventions;
+    const stack = [framework, webFramework].filter(Boolean).join(' + ');
+    const placement = tests.location === 'directory' ? `in ${tests.directory}/` : tests.location === '__tests__' ? 'in __tests__/' : 'next to the source';
+    return `Conventions: ${stack}, ${typescript ? 'TypeScript' : 'JavaScript'}, ${moduleSystem === 'esm' ? 'ES modules' : 'CommonJS'}, ` +
+      `${tests.runner} tests (*${tests.suffix}.*) ${placement}`;
+  }
+
+  printConventions(conventions) {
+    console.log(chalk.gray('Detected conventions:'));
+    for (const [kind, dir] of Object.entries(conventions.directories)) {
+      console.log(chalk.gray(`  ${kind.padEnd(11)} ${dir}/ (${conventions.naming[kind]})`));
+    }
+    console.log(chalk.gray(`  components  ${conventions.componentLayout === 'folder' ? 'one folder per component' : 'one file per component'}`));
+  }
+}
@@ -1,7 +1,9 @@
 /**
  * Init Command Handler
  *
- * Handles project initialization with Context7 MCP setup
+ * Handles project initialization with Context7 MCP setup. The files come from the `init` set
+ * of the project's template pack (`--templates`, `templates.pack` in codefortify.config.js or
+ * the built-in `default` pack).
  */
 
 import chalk from 'chalk';
@@ -10,6 +12,7 @@ import inquirer from 'inquirer';
 import fs from 'fs-extra';
 import path from 'path';
 import { ProjectTypeDetector } from '../../scoring/core/ProjectTypeDetector.js';
+import { resolveProjectTemplates } from '../../templates/TemplatePack.js';
 
 export class InitCommand {
   constructor(globalConfig, packageRoot) {
@@ -324,22 +327,28 @@ export class InitCommand {
     const spinner = ora('Creating project files...').start();
 
     try {
-      // Create context7.config.js
-      await this.createConfig(projectType, metadata, options);
-
-      if (!options.noMcp) {
-        // Create MCP server
-        await this.createMCPServer(projectType);
-      }
+      const projectRoot = this.globalConfig.projectRoot;
+      const { pack, variables } = await resolveProjectTemplates(projectRoot, {
+        pack: options.templates,
+        packageTemplatesDir: path.join(this.packageRoot, 'templates')
+      });
 
-      if (!options.noAgentOs) {
-        // Create AGENTS.md
-        await this.createAgentsFile(projectType, metadata);
+      // Configuration, MCP server, AGENTS.md and CLAUDE.md from the pack's init templates
+      const files = await pack.render('init', {
+        ...variables,
+        projectName: metadata.name,
+        projectType,
+        description: metadata.description,
+        version: metadata.version,
+        // Commander turns --no-mcp and --no-agent-os into mcp: false and agentOs: false
+        mcp: options.mcp !== false && !options.noMcp,
+        agentOs: options.agentOs !== false && !options.noAgentOs,
+        hasPackageJson: await fs.pathExists(path.join(projectRoot, 'package.json'))
+      });
+      for (const file of files) {
+        await this.writeTemplateFile(file, options);
       }
 
-      // Create/update CLAUDE.md
-      await this.createClaudeFile(projectType, metadata, options.force);
-
       // Update package.json with Context7 scripts
       await this.updatePackageJson(metadata);
 
@@ -351,266 +360,36 @@ export class InitCommand {
     }
   }
 
-  async createConfig(projectType, metadata, options = {}) {
-    const configPath = path.join(this.globalConfig.projectRoot, 'codefortify.config.js');
-
-    if (await fs.pathExists(configPath) && !options.force && !options.auto) {
-      const { overwrite } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'overwrite',
-        message: 'codefortify.config.js already exists. Overwrite?',
-        default: false
-      }]);
-
-      if (!overwrite) {return;}
-    }
-
-    const config = this.generateConfig(projectType, metadata);
-    await fs.writeFile(configPath, config);
-    console.log(chalk.green('✓ Created codefortify.config.js'));
-  }
-
-  generateConfig(projectType, metadata) {
-    return `/**
- * CodeFortify Configuration
- * 
- * Configuration for AI-powered code strengthening and security enhancement
- */
-
-export default {
-  // Project metadata
-  name: '${metadata.name}',
-  type: '${projectType}',
-  description: '${metadata.description}',
-  
-  // MCP Server configuration
-  mcp: {
-    enabled: true,
-    server: './src/mcp-server.js',
-    port: 3001,
-    
-    // Available resources
-    resources: {
-      standards: true,        // CodeFortify security standards
-      patterns: true,         // Framework-specific patterns
-      documentation: true     // Project documentation
-    },
-    
-    // Available tools
-    tools: {
-      validate: true,         // CodeFortify compliance validation
-      generate: true,         // Pattern generation
-      analyze: true          // Security analysis
-    }
-  },
-  
-  // Agent OS integration
-  agentOS: {
-    enabled: true,
-    configFile: './AGENTS.md'
-  },
-  
-  // Quality scoring configuration
-  scoring: {
-    categories: [
-      'structure',           // Code Structure & Architecture (20pts)
-      'quality',            // Code Quality & Maintainability (20pts)  
-      'performance',        // Performance & Optimization (15pts)
-      'testing',           // Testing & Documentation (15pts)
-      'security',          // Security & Error Handling (15pts)
-      'developerExperience', // Developer Experience (10pts)
-      'completeness'       // Completeness & Production Readiness (5pts)
-    ],
-    
-    // Scoring thresholds
-    thresholds: {
-      excellent: 90,
-      good: 75,
-      warning: 60,
-      poor: 40
-    }
-  }
-};
-`;
-  }
-
-  async createMCPServer(projectType) {
-    const serverPath = path.join(this.globalConfig.projectRoot, 'src', 'mcp-server.js');
-
-    // Ensure src directory exists
-    await fs.ensureDir(path.dirname(serverPath));
-
-    if (await fs.pathExists(serverPath)) {return;}
-
-    const serverCode = this.generateMCPServer(projectType);
-    await fs.writeFile(serverPath, serverCode);
-    console.log(chalk.green('✓ Created src/mcp-server.js'));
-  }
-
-  generateMCPServer(projectType) {
-    return `/**
- * CodeFortify MCP Server
- * 
- * AI-powered code strengthening server for ${projectType} projects
- */
-
-import { CodeFortifyMCPServer } from 'codefortify';
+  /**
+   * Write a rendered init template, following its overwrite policy for existing files:
+   * `never` keeps them, `force` replaces them with --force, `ask` prompts unless --force or --auto
+   */
+  async writeTemplateFile({ target, content, overwrite }, options = {}) {
+    const filePath = path.join(this.globalConfig.projectRoot, target);
 
-const server = new CodeFortifyMCPServer({
-  projectType: '${projectType}',
-  projectRoot: process.cwd()
-});
+    if (await fs.pathExists(filePath)) {
+      if (overwrite === 'never') {return;}
 
-// Start the server
-server.start();
-
-export default server;
-`;
-  }
-
-  async createAgentsFile(projectType, metadata) {
-    const agentsPath = path.join(this.globalConfig.projectRoot, 'AGENTS.md');
-
-    if (await fs.pathExists(agentsPath)) {return;}
-
-    const agentsContent = this.generateAgentsFile(projectType, metadata);
-    await fs.writeFile(agentsPath, agentsContent);
-    console.log(chalk.green('✓ Created AGENTS.md'));
-  }
-
-  generateAgentsFile(projectType, metadata) {
-    return `# Agent Configuration
-
-This file configures AI agents for the ${metadata.name} project.
-
-## Project Information
-
-- **Name**: ${metadata.name}
-- **Type**: ${projectType}
-- **Description**: ${metadata.description}
-
-## Development Agents
-
-### Primary Developer Agent
-- **Role**: Lead development assistant
-- **Capabilities**: Code generation, debugging, architecture guidance
-- **Context**: Full project context with Context7 standards
-
-### Code Review Agent  
-- **Role**: Code quality and standards enforcement
-- **Capabilities**: Code review, best practices, security analysis
-- **Focus**: Context7 compliance, performance optimization
-
-### Testing Agent
-- **Role**: Test development and quality assurance  
-- **Capabilities**: Test generation, coverage analysis, debugging
-- **Framework**: Project-specific testing tools
-
-## Agent Instructions
-
-1. Follow Context7 coding standards and patterns
-2. Maintain high code quality and documentation standards
-3. Prioritize security and performance in all implementations
-4. Use project-specific frameworks and conventions
-5. Generate comprehensive tests for all new functionality
-
-## MCP Integration
-
-This project uses Context7 MCP for real-time access to:
-- Coding standards and best practices
-- Framework-specific patterns and examples
-- Project structure and documentation
-- Validation and analysis tools
-
-Agents should leverage MCP resources for consistent, high-quality development.
-`;
-  }
-
-  async createClaudeFile(projectType, metadata, force) {
-    const claudePath = path.join(this.globalConfig.projectRoot, 'CLAUDE.md');
+      if (overwrite === 'force' && !options.force) {
+        console.log(chalk.yellow(`⚠ ${target} already exists, skipping...`));
+        return;
+      }
 
-    if (await fs.pathExists(claudePath) && !force) {
-      console.log(chalk.yellow('⚠ CLAUDE.md already exists, skipping...'));
-      return;
-    }
+      if (overwrite === 'ask' && !options.force && !options.auto) {
+        const { replace } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'replace',
+          message: `${target} already exists. Overwrite?`,
+          default: false
+        }]);
 
-    const templatePath = path.join(this.packageRoot, 'templates', projectType, 'CLAUDE.md');
-    let claudeContent;
-
-    if (await fs.pathExists(templatePath)) {
-      claudeContent = await fs.readFile(templatePath, 'utf8');
-      // Replace template variables
-      claudeContent = claudeContent
-        .replace(/\{\{projectName\}\}/g, metadata.name)
-        .replace(/\{\{projectType\}\}/g, projectType)
-        .replace(/\{\{description\}\}/g, metadata.description);
-    } else {
-      claudeContent = this.generateGenericClaudeFile(projectType, metadata);
+        if (!replace) {return;}
+      }
     }
 
-    await fs.writeFile(claudePath, claudeContent);
-    console.log(chalk.green('✓ Created/updated CLAUDE.md'));
-  }
-
-  generateGenericClaudeFile(projectType, metadata) {
-    return `# CLAUDE.md
-
-Project instructions for AI assistants working with ${metadata.name}.
-
-## Project Overview
-
-**Type**: ${projectType}
-**Description**: ${metadata.description}
-
-## Development Guidelines
-
-### Code Standards
-- Follow Context7 coding patterns and conventions
-- Maintain consistent code style and formatting
-- Write comprehensive documentation and comments
-- Implement proper error handling and validation
-
-### Architecture
-- Use modular, maintainable code structure
-- Follow framework-specific best practices
-- Implement proper separation of concerns
-- Prioritize code reusability and testability
-
-### Testing
-- Write unit tests for all new functionality
-- Maintain high test coverage (>80%)
-- Use appropriate testing frameworks and tools
-- Include integration and end-to-end tests where needed
-
-### Security
-- Follow security best practices
-- Validate all inputs and sanitize outputs  
-- Implement proper authentication and authorization
-- Regular security audits and dependency updates
-
-## Context7 MCP Integration
-
-This project uses Context7 MCP for real-time access to coding standards and patterns.
-Leverage MCP resources for:
-- Framework-specific code patterns
-- Best practice implementations
-- Project structure guidance
-- Validation and quality checks
-
-## Commands
-
-\`\`\`bash
-# Development
-npm run dev          # Start development server
-npm run test         # Run test suite
-npm run lint         # Code quality checks
-
-# Context7 MCP
-context7 validate    # Validate project compliance
-context7 score       # Analyze project quality
-context7 test-mcp    # Test MCP server functionality
-\`\`\`
-`;
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, content);
+    console.log(chalk.green(`✓ Created ${target}`));
   }
 
   async updatePackageJson(metadata) {
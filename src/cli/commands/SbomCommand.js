@@ -0,0 +1,139 @@
+/**
+ * SBOM Command Handler
+ *
+ * Exports the installed dependency tree as a CycloneDX or SPDX JSON Software Bill of
+ * Materials, read from the lockfile and completed with licenses from node_modules. When
+ * `security.licenses` is configured, the packages in the SBOM are also checked against the
+ * license policy.
+ *
+ * @class SbomCommand
+ * @example
+ * const sbomCmd = new SbomCommand(globalConfig, packageRoot);
+ * await sbomCmd.execute({ format: 'spdx', output: 'sbom.spdx.json', omitDev: true });
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import fs from 'fs/promises';
+import path from 'path';
+import { DependencyGraph } from '../../security/DependencyGraph.js';
+import { LicensePolicy } from '../../security/LicensePolicy.js';
+import { buildCycloneDx, buildSpdx } from '../../security/Sbom.js';
+import { loadProjectConfig, resolveSecurityConfig } from '../../config/configLoader.js';
+
+const BUILDERS = {
+  cyclonedx: buildCycloneDx,
+  spdx: buildSpdx
+};
+
+export class SbomCommand {
+  /**
+   * Create a new SbomCommand instance
+   *
+   * @param {Object} globalConfig - Global CLI configuration
+   * @param {string} globalConfig.projectRoot - Project root directory
+   * @param {boolean} globalConfig.verbose - Verbose logging flag
+   * @param {string} packageRoot - CodeFortify package root, for the tool version
+   */
+  constructor(globalConfig, packageRoot) {
+    this.globalConfig = globalConfig;
+    this.packageRoot = packageRoot;
+  }
+
+  /**
+   * Execute the sbom command
+   *
+   * @param {Object} options - Command options
+   * @param {string} [options.format='cyclonedx'] - SBOM format: 'cyclonedx' or 'spdx'
+   * @param {string} [options.output] - Output file path (default: stdout)
+   * @param {boolean} [options.omitDev=false] - Leave dev-only packages out of the SBOM
+   * @param {boolean} [options.failOnViolation=false] - Exit with code 1 on license policy violations
+   * @returns {Promise<void>}
+   */
+  async execute(options) {
+    const format = options.format || 'cyclonedx';
+    const build = BUILDERS[format];
+    // Progress goes to stderr so the SBOM can be piped from stdout
+    const log = options.output ? console.log : console.error;
+    const spinner = ora({ text: 'Reading dependency tree...', stream: process.stderr }).start();
+    let violations = [];
+
+    try {
+      if (!build) {
+        throw new Error(`Unsupported format: ${format}. Use cyclonedx or spdx.`);
+      }
+
+      const projectRoot = this.globalConfig.projectRoot;
+      const projectConfig = await loadProjectConfig(projectRoot);
+      const security = resolveSecurityConfig(projectConfig.security);
+
+      const graph = await DependencyGraph.load(projectRoot);
+      if (!graph) {
+        throw new Error('No lockfile found. Run npm install, yarn or pnpm install to create one.');
+      }
+      const manifests = await graph.readInstalledManifests(projectRoot);
+
+      const sbom = build(graph, {
+        includeDev: !options.omitDev,
+        project: await this.readManifest(projectRoot),
+        tool: { name: 'codefortify', version: (await this.readManifest(this.packageRoot))?.version || '0.0.0' }
+      });
+      const policy = new LicensePolicy(security.licenses);
+      violations = policy.evaluate(graph).filter(violation => !options.omitDev || !violation.dev);
+
+      spinner.stop();
+
+      const json = JSON.stringify(sbom, null, 2);
+      if (options.output) {
+        await fs.writeFile(options.output, json);
+        log(chalk.green(`✓ ${format === 'spdx' ? 'SPDX' : 'CycloneDX'} SBOM saved to: ${options.output}`));
+      } else {
+        console.log(json);
+      }
+
+      const count = format === 'spdx' ? sbom.packages.length - 1 : sbom.components.length;
+      log(chalk.gray(`  ${count} packages from ${graph.lockfile}`));
+      if (manifests === 0) {
+        log(chalk.yellow('  Dependencies are not installed: licenses come from the lockfile only. Install them for a complete SBOM.'));
+      }
+      if (policy.enabled) {
+        this.outputViolations(violations, log);
+      }
+
+    } catch (error) {
+      spinner.fail('Failed to generate SBOM');
+      console.error(chalk.red('Error:'), error.message);
+      if (this.globalConfig.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+
+    if (options.failOnViolation && violations.length > 0) {
+      process.exit(1);
+    }
+  }
+
+  async readManifest(directory) {
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(directory, 'package.json'), 'utf8'));
+      return { name: manifest.name, version: manifest.version, license: DependencyGraph.licenseOf(manifest) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  outputViolations(violations, log) {
+    if (violations.length === 0) {
+      log(chalk.green('  ✓ All licenses comply with security.licenses'));
+      return;
+    }
+
+    log(chalk.red(`  ✗ ${violations.length} license policy violations:`));
+    violations.forEach(violation => {
+      const outcome = violation.outcome === 'denied' ? chalk.red('denied     ') : chalk.yellow('not allowed');
+      log(`    ${outcome} ${chalk.cyan(`${violation.name}@${violation.version}`)} ${violation.license || 'no license'}` +
+        chalk.gray(` (via ${violation.path.join(' > ')})`));
+    });
+  }
+}
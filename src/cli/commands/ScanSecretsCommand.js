@@ -0,0 +1,175 @@
+/**
+ * Scan Secrets Command Handler
+ *
+ * Scans the working tree, and with `--history` the local git history, for credentials using
+ * the same rules and allowlists as the security analyzer. Output never contains secret
+ * values: each hit shows its location and a redacted preview of the line.
+ *
+ * @class ScanSecretsCommand
+ * @example
+ * const scanCmd = new ScanSecretsCommand(globalConfig);
+ * await scanCmd.execute({ history: true, maxCommits: '1000' });
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { SecurityAnalyzer } from '../../scoring/analyzers/SecurityAnalyzer.js';
+import { loadProjectConfig, resolveSecurityConfig } from '../../config/configLoader.js';
+
+const SEVERITY_COLORS = {
+  critical: chalk.red.bold,
+  high: chalk.red,
+  medium: chalk.yellow,
+  low: chalk.gray
+};
+
+export class ScanSecretsCommand {
+  /**
+   * Create a new ScanSecretsCommand instance
+   *
+   * @param {Object} globalConfig - Global CLI configuration
+   * @param {string} globalConfig.projectRoot - Project root directory
+   * @param {boolean} globalConfig.verbose - Verbose logging flag
+   */
+  constructor(globalConfig) {
+    this.globalConfig = globalConfig;
+  }
+
+  /**
+   * Execute the scan-secrets command
+   *
+   * @param {Object} options - Command options
+   * @param {boolean} [options.history=false] - Also scan the local git history
+   * @param {boolean} [options.all=false] - Scan the history of every branch and tag, not only HEAD
+   * @param {string} [options.maxCommits] - Most recent commits to scan (default: security.secrets.history.maxCommits or 500)
+   * @param {string} [options.format='console'] - Output format: 'console' or 'json'
+   * @param {string} [options.output] - Output file path (for json format)
+   * @returns {Promise<void>} Exits with code 1 when secrets are found
+   */
+  async execute(options) {
+    const spinner = ora('Scanning for secrets...').start();
+    let found = 0;
+
+    try {
+      const projectConfig = await loadProjectConfig(this.globalConfig.projectRoot);
+      const security = resolveSecurityConfig(projectConfig.security);
+      const historyOptions = this.resolveHistoryOptions(options, security.secrets?.history);
+
+      const analyzer = new SecurityAnalyzer({ projectRoot: this.globalConfig.projectRoot, security });
+      const workingTree = await analyzer.scanSecrets();
+
+      let history = null;
+      if (options.history) {
+        spinner.text = 'Scanning git history for secrets...';
+        history = await analyzer.scanSecretHistory(historyOptions);
+        if (!history) {
+          throw new Error(`${this.globalConfig.projectRoot} is not a git repository with commits`);
+        }
+      }
+
+      spinner.stop();
+
+      const results = {
+        workingTree: { filesScanned: workingTree.files.length, secrets: workingTree.secrets },
+        history
+      };
+      found = workingTree.secrets.length + (history ? history.exposures.filter(exposure => !exposure.inWorkingTree).length : 0);
+
+      await this.outputResults(results, options);
+
+    } catch (error) {
+      spinner.fail('Failed to scan for secrets');
+      console.error(chalk.red('Error:'), error.message);
+      if (this.globalConfig.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+
+    if (found > 0) {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Merge --all/--max-commits over `security.secrets.history`
+   *
+   * @param {Object} options - Command options
+   * @param {Object} [configured={}] - `security.secrets.history` from codefortify.config.js
+   * @returns {{maxCommits: number|undefined, allRefs: boolean|undefined}} History scan options
+   * @throws {Error} When --max-commits is not a positive integer
+   */
+  resolveHistoryOptions(options, configured = {}) {
+    let maxCommits = configured.maxCommits;
+    if (options.maxCommits !== undefined) {
+      maxCommits = Number(options.maxCommits);
+      if (!Number.isInteger(maxCommits) || maxCommits < 1) {
+        throw new Error(`Invalid --max-commits value: ${options.maxCommits}. Use a positive whole number.`);
+      }
+    }
+    return { maxCommits, allRefs: options.all || configured.allRefs };
+  }
+
+  async outputResults(results, options) {
+    const format = options.format || 'console';
+
+    switch (format) {
+    case 'console':
+      this.outputConsole(results);
+      break;
+
+    case 'json':
+      await this.outputJSON(results, options.output);
+      break;
+
+    default:
+      throw new Error(`Unsupported format: ${format}. Use console or json.`);
+    }
+  }
+
+  outputConsole({ workingTree, history }) {
+    const severity = level => (SEVERITY_COLORS[level] || chalk.white)(level.toUpperCase().padEnd(9));
+
+    console.log('\n' + chalk.bold.blue('🔐 Secret Scan'));
+    console.log(chalk.gray('═'.repeat(50)));
+
+    console.log(`\n${chalk.bold('Working tree:')} ${workingTree.secrets.length} secrets (${workingTree.filesScanned} files scanned)`);
+    workingTree.secrets.forEach(secret => {
+      console.log(`  ${severity(secret.severity)} ${chalk.cyan(`${secret.file}:${secret.line}:${secret.column}`)} ${secret.name}`);
+      console.log(`            ${chalk.gray(secret.preview)}`);
+    });
+
+    if (history) {
+      const removed = history.exposures.filter(exposure => !exposure.inWorkingTree);
+      const coverage = history.commitsScanned < history.totalCommits
+        ? `${history.commitsScanned} of ${history.totalCommits} commits scanned, use --max-commits to scan more`
+        : `${history.commitsScanned} commits scanned`;
+
+      console.log(`\n${chalk.bold('Git history:')} ${removed.length} secrets no longer in the working tree (${coverage})`);
+      history.exposures.forEach(exposure => {
+        const status = exposure.inWorkingTree ? chalk.gray(' (still in working tree)') : '';
+        console.log(`  ${severity(exposure.severity)} ${chalk.yellow(exposure.commit.slice(0, 7))} ${exposure.date.slice(0, 10)} ` +
+          `${chalk.cyan(`${exposure.file}:${exposure.line}`)} ${exposure.name}${status}`);
+        console.log(`            ${chalk.gray(exposure.preview)}`);
+      });
+
+      if (removed.length > 0) {
+        console.log(chalk.yellow('\n  Secrets in past commits stay readable in every clone: rotate them, then rewrite history if needed.'));
+      }
+    }
+
+    console.log(''); // Final newline
+  }
+
+  async outputJSON(results, outputFile) {
+    const json = JSON.stringify(results, null, 2);
+
+    if (outputFile) {
+      const { writeFile } = await import('fs/promises');
+      await writeFile(outputFile, json);
+      console.log(chalk.green(`✓ Secret scan report saved to: ${outputFile}`));
+    } else {
+      console.log(json);
+    }
+  }
+}
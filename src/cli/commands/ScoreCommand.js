@@ -2,7 +2,7 @@
  * Score Command Handler
  *
  * Handles project quality scoring and report generation across 7 categories.
- * Supports multiple output formats (console, JSON, HTML) with detailed analysis
+ * Supports multiple output formats (console, JSON, HTML, SARIF) with detailed analysis
  * and improvement recommendations.
  *
  * @class ScoreCommand
@@ -18,7 +18,17 @@
 
 import chalk from 'chalk';
 import ora from 'ora';
+import path from 'path';
 import { ProjectScorer } from '../../scoring/ProjectScorer.js';
+import { QualityGate } from '../../scoring/core/QualityGate.js';
+import { SnapshotStore, compareSnapshots } from '../../scoring/core/SnapshotStore.js';
+import { loadProjectConfig, resolveScoringConfig } from '../../config/configLoader.js';
+import { loadPlugins } from '../../scoring/core/PluginLoader.js';
+import { SCORING_WEIGHTS, formatWeights } from '../../config/scoringConfig.js';
+import { getChangedFiles } from '../../utils/gitUtils.js';
+
+// Formats whose report may be written to stdout
+const MACHINE_READABLE_FORMATS = ['json', 'sarif'];
 
 export class ScoreCommand {
   /**
@@ -37,12 +47,24 @@ export class ScoreCommand {
    *
    * @param {Object} options - Command options
    * @param {string} [options.categories='all'] - Comma-separated categories to analyze
-   * @param {string} [options.format='console'] - Output format: 'console', 'json', 'html'
-   * @param {string} [options.output] - Output file path (for json/html formats)
+   * @param {string} [options.format='console'] - Output format: 'console', 'json', 'html', 'sarif'
+   * @param {string} [options.output] - Output file path (for json/html/sarif formats)
    * @param {boolean} [options.detailed=false] - Include detailed analysis
    * @param {boolean} [options.recommendations=false] - Include recommendations
    * @param {boolean} [options.open=false] - Open HTML report in browser
-   * @returns {Promise<void>}
+   * @param {string|boolean} [options.failUnder] - Gate thresholds ("70" or "overall=70,security=80"); true uses config only
+   * @param {boolean} [options.failOnNewHigh=false] - Fail when high-severity findings are not in the baseline
+   * @param {string} [options.baseline] - Previous JSON report used by the high-severity rule
+   * @param {string|boolean} [options.compare] - Compare with the previous run, a named baseline or a snapshot file
+   * @param {string} [options.saveBaseline] - Store this run as a named baseline
+   * @param {boolean} [options.snapshot=true] - Persist this run under .codefortify/snapshots
+   * @param {string} [options.since] - Limit file-level checks to files changed since this git ref
+   * @param {boolean} [options.staged=false] - Limit file-level checks to staged files (pre-commit)
+   * @param {boolean} [options.cache=true] - Reuse per-file results from .codefortify/cache
+   * @param {string} [options.concurrency] - Analyzers run at once in worker threads (default: CPU count)
+   * @param {string} [options.advisoryDb] - Local OSV advisory database used instead of npm audit
+   * @param {boolean} [options.stderr=false] - Print the console report to stderr (stdout carries another report)
+   * @returns {Promise<void>} Exits with a GateExitCodes value when the quality gate fails
    *
    * @example
    * await scoreCmd.execute({
@@ -56,17 +78,33 @@ export class ScoreCommand {
    */
   async execute(options) {
     const spinner = ora('Analyzing project quality...').start();
+    let gateExitCode = 0;
 
     try {
+      // Load codefortify.config.js and the plugin analyzers it registers
+      const projectConfig = await loadProjectConfig(this.globalConfig.projectRoot);
+      const plugins = await loadPlugins(this.globalConfig.projectRoot, projectConfig.scoring?.plugins);
+      const pluginKeys = plugins.map(plugin => plugin.key);
+
       // Parse categories
-      const categories = this.parseCategories(options.categories);
+      const categories = this.parseCategories(options.categories, pluginKeys);
+      const gate = await this.createQualityGate(options, projectConfig, pluginKeys);
+      const diffScope = this.resolveDiffScope(options);
 
       // Set up scoring configuration
       const scoringConfig = {
         categories: categories,
         verbose: this.globalConfig.verbose,
         detailed: options.detailed,
-        includeRecommendations: options.recommendations
+        includeRecommendations: options.recommendations,
+        diffScope,
+        cache: options.cache,
+        concurrency: options.concurrency,
+        scoring: projectConfig.scoring,
+        security: this.resolveSecurityOptions(options, projectConfig.security),
+        plugins,
+        // JSON and SARIF may go to stdout, so progress must not; neither may a report sent to stderr
+        quiet: MACHINE_READABLE_FORMATS.includes(options.format) || Boolean(options.stderr)
       };
 
       // Run the scoring analysis
@@ -74,9 +112,18 @@ export class ScoreCommand {
 
       spinner.stop();
 
+      // Compare with and persist score snapshots
+      await this.recordSnapshot(results, options, gate);
+
       // Output results based on format
       await this.outputResults(results, options);
 
+      if (gate) {
+        const outcome = gate.evaluate(results);
+        this.outputGate(outcome, options);
+        gateExitCode = outcome.exitCode;
+      }
+
     } catch (error) {
       spinner.fail('Failed to analyze project quality');
       console.error(chalk.red('Error:'), error.message);
@@ -85,14 +132,132 @@ export class ScoreCommand {
       }
       process.exit(1);
     }
+
+    if (gateExitCode !== 0) {
+      process.exit(gateExitCode);
+    }
+  }
+
+  /**
+   * Apply --advisory-db over the `security` block of codefortify.config.js
+   *
+   * @param {Object} options - Command options
+   * @param {Object} [security] - `security` config block
+   * @returns {Object|undefined} Security config passed to the analyzers
+   */
+  resolveSecurityOptions(options, security) {
+    if (!options.advisoryDb) {
+      return security;
+    }
+    // Relative to where the command runs, unlike config paths which are relative to the project
+    return { ...security, advisoryDatabase: path.resolve(options.advisoryDb) };
   }
 
-  parseCategories(categoriesString) {
+  /**
+   * Determine the changed files for --since/--staged
+   *
+   * @param {Object} options - Command options
+   * @returns {{mode: string, ref: string|null, files: string[]}|null} Diff scope, or null for a full scan
+   */
+  resolveDiffScope(options) {
+    if (!options.since && !options.staged) {
+      return null;
+    }
+    if (options.since && options.staged) {
+      throw new Error('Use either --since <ref> or --staged, not both');
+    }
+    if (options.saveBaseline) {
+      throw new Error('Baselines must come from a full scan; remove --since/--staged to use --save-baseline');
+    }
+
+    const diffScope = getChangedFiles(this.globalConfig.projectRoot, { since: options.since, staged: options.staged });
+    const source = diffScope.mode === 'staged' ? 'staged' : `changed since ${diffScope.ref}`;
+    console.error(chalk.cyan(`\n🔍 Diff-aware scoring: ${diffScope.files.length} files ${source}`));
+
+    return diffScope;
+  }
+
+  /**
+   * Compare with the requested snapshot, then store the current run
+   *
+   * The compared snapshot also serves as the baseline for the quality gate's
+   * new high-severity rule when no --baseline file is given.
+   *
+   * @param {Object} results - Scoring results; `comparison` is attached when --compare is set
+   * @param {Object} options - Command options
+   * @param {QualityGate|null} gate - Active quality gate
+   * @returns {Promise<void>}
+   */
+  async recordSnapshot(results, options, gate) {
+    const store = new SnapshotStore(this.globalConfig.projectRoot);
+    const snapshot = store.createSnapshot(results);
+    const gateNeedsBaseline = gate?.noNewHighSeverity && !gate.baselineFindings;
+
+    if (options.compare || gateNeedsBaseline) {
+      const previous = await store.resolve(options.compare);
+
+      if (options.compare) {
+        results.comparison = previous ? compareSnapshots(previous, snapshot) : null;
+        if (!previous) {
+          console.error(chalk.yellow('⚠ No previous snapshot found - this run will be the first comparison point'));
+        }
+      }
+
+      if (gateNeedsBaseline && previous) {
+        gate.setBaseline(previous);
+      }
+    }
+
+    // Diff-scoped runs are partial and would distort the trend history
+    if (options.snapshot !== false && !results.metadata?.diffScope) {
+      await store.save(snapshot);
+    }
+
+    if (options.saveBaseline) {
+      const baselinePath = await store.saveBaseline(options.saveBaseline, snapshot);
+      console.error(chalk.green(`✓ Baseline "${options.saveBaseline}" saved to: ${baselinePath}`));
+    }
+  }
+
+  /**
+   * Create the quality gate when --fail-under or --fail-on-new-high is given
+   *
+   * CLI thresholds override `scoring.thresholds.failUnder` from codefortify.config.js.
+   *
+   * @param {Object} options - Command options
+   * @param {Object} [projectConfig={}] - Loaded codefortify.config.js
+   * @param {string[]} [pluginKeys=[]] - Plugin categories that may also have thresholds
+   * @returns {Promise<QualityGate|null>} Gate, or null when gate mode is off
+   */
+  async createQualityGate(options, projectConfig = {}, pluginKeys = []) {
+    if (options.failUnder === undefined && !options.failOnNewHigh) {
+      return null;
+    }
+
+    // Validated here too, so a mistyped threshold fails before the analysis runs
+    const { thresholds } = resolveScoringConfig(projectConfig.scoring);
+    const gate = QualityGate.fromOptions(options, thresholds, [...Object.keys(SCORING_WEIGHTS), ...pluginKeys]);
+
+    if (!gate.isEnabled()) {
+      throw new Error('No quality gate thresholds found. Use --fail-under 70 or set scoring.thresholds.failUnder in codefortify.config.js');
+    }
+
+    const baselinePath = options.baseline || thresholds.baseline;
+    if (baselinePath) {
+      const { readFile } = await import('fs/promises');
+      const content = await readFile(path.resolve(this.globalConfig.projectRoot, baselinePath), 'utf8');
+      gate.setBaseline(JSON.parse(content));
+    }
+
+    return gate;
+  }
+
+  parseCategories(categoriesString, pluginKeys = []) {
+    const validCategories = ['structure', 'quality', 'performance', 'testing', 'security', 'developerExperience', 'completeness', ...pluginKeys];
     if (!categoriesString || categoriesString === 'all') {
-      return ['structure', 'quality', 'performance', 'testing', 'security', 'developerExperience', 'completeness'];
+      return validCategories;
     }
 
-    const validCategories = ['structure', 'quality', 'performance', 'testing', 'security', 'developerExperience', 'completeness'];
     const requested = categoriesString.split(',').map(cat => cat.trim());
 
     const invalid = requested.filter(cat => !validCategories.includes(cat));
@@ -120,54 +285,148 @@ export class ScoreCommand {
       await this.outputHTML(results, outputFile, options.open);
       break;
 
+    case 'sarif':
+      await this.outputSARIF(results, outputFile);
+      break;
+
     default:
-      throw new Error(`Unsupported format: ${format}. Use console, json, or html.`);
+      throw new Error(`Unsupported format: ${format}. Use console, json, html, or sarif.`);
+    }
+  }
+
+  describeDiffScope(diffScope) {
+    const source = diffScope.mode === 'staged' ? 'staged files' : `files changed since ${diffScope.ref}`;
+    return `${diffScope.changedFiles.length} ${source}`;
+  }
+
+  outputComparison(comparison, log = console.log) {
+    const formatDelta = (delta, suffix = '') => {
+      if (delta === null) {return chalk.gray('new');}
+      if (delta > 0) {return chalk.green(`▲ +${delta}${suffix}`);}
+      if (delta < 0) {return chalk.red(`▼ ${delta}${suffix}`);}
+      return chalk.gray(`= 0${suffix}`);
+    };
+
+    const reference = comparison.previous.baseline
+      ? `baseline "${comparison.previous.baseline}"`
+      : `run of ${new Date(comparison.previous.timestamp).toLocaleString()}`;
+    const commit = comparison.previous.commit ? chalk.gray(` (${comparison.previous.commit.slice(0, 7)})`) : '';
+
+    log('\n' + chalk.bold(`📈 Compared with ${reference}`) + commit);
+    log(`  ${chalk.bold('Overall:')} ${comparison.overall.before.score} → ${comparison.overall.after.score} ${formatDelta(comparison.overall.delta)} (${formatDelta(comparison.overall.percentageDelta, '%')})`);
+
+    comparison.categories.forEach(category => {
+      const before = category.before ? category.before.score : '-';
+      const marker = category.regressed ? chalk.red(' regression') : '';
+      log(`  ${category.categoryName.padEnd(40)} ${before} → ${category.after.score} ${formatDelta(category.delta)}${marker}`);
+    });
+
+    const describe = issue => {
+      const location = issue.file ? chalk.gray(` ${issue.file}${issue.range ? `:${issue.range.startLine}` : ''}`) : '';
+      return `${issue.message}${location}`;
+    };
+
+    log(`\n  ${chalk.red(`${comparison.newIssues.length} new`)} / ${chalk.green(`${comparison.resolvedIssues.length} resolved`)} issues`);
+    comparison.newIssues.slice(0, 5).forEach(issue => log(`    ${chalk.red('+')} ${describe(issue)}`));
+    comparison.resolvedIssues.slice(0, 5).forEach(issue => log(`    ${chalk.green('-')} ${describe(issue)}`));
+  }
+
+  outputGate(outcome, options) {
+    // Keep stdout clean when a machine-readable report is printed there
+    const machineOutput = (options.format || 'console') !== 'console' && !options.output;
+    const log = machineOutput ? console.error : console.log;
+
+    log('\n' + chalk.bold('🚦 Quality Gate'));
+    log(chalk.gray('─'.repeat(64)));
+    log(chalk.bold(`  ${'Rule'.padEnd(36)}${'Actual'.padStart(8)}${'Required'.padStart(10)}  Result`));
+
+    outcome.checks.forEach(check => {
+      const isCount = check.rule === 'no-new-high-severity';
+      const actual = check.actual === null ? '-' : isCount ? String(check.actual) : `${check.actual}%`;
+      const required = isCount ? '0' : `≥${check.threshold}%`;
+      const result = check.passed ? chalk.green('✓ PASS') : chalk.red(`✗ FAIL${check.reason ? ` (${check.reason})` : ''}`);
+      log(`  ${check.label.padEnd(36)}${actual.padStart(8)}${required.padStart(10)}  ${result}`);
+    });
+
+    outcome.newHighSeverity.slice(0, 10).forEach(finding => {
+      const location = finding.file ? `${finding.file}${finding.range ? `:${finding.range.startLine}` : ''}` : 'project';
+      log(`    ${chalk.red(finding.severity)} ${finding.ruleId} ${chalk.gray(location)} ${finding.message}`);
+    });
+    if (outcome.newHighSeverity.length > 10) {
+      log(chalk.gray(`    ... and ${outcome.newHighSeverity.length - 10} more`));
     }
+
+    log(outcome.passed
+      ? chalk.green.bold('\n✓ Quality gate passed\n')
+      : chalk.red.bold(`\n✗ Quality gate failed (exit code ${outcome.exitCode})\n`));
   }
 
   outputConsole(results, options) {
     const { overall, categories, recommendations } = results;
+    const log = options.stderr ? console.error : console.log;
 
     // Header
-    console.log('\n' + chalk.bold.blue('🎯 Context7 Project Quality Score'));
-    console.log(chalk.gray('═'.repeat(50)));
+    log('\n' + chalk.bold.blue('🎯 Context7 Project Quality Score'));
+    log(chalk.gray('═'.repeat(50)));
 
     // Overall score
     const gradeColor = this.getGradeColor(overall.grade);
-    console.log(`\n${chalk.bold('Overall Score:')} ${chalk.bold.white(overall.score)}/${overall.maxScore} (${overall.percentage}%) ${gradeColor(overall.grade)}`);
+    log(`\n${chalk.bold('Overall Score:')} ${chalk.bold.white(overall.score)}/${overall.maxScore} (${overall.percentage}%) ${gradeColor(overall.grade)}`);
 
     if (overall.timestamp) {
-      console.log(`${chalk.gray('Generated:')} ${new Date(overall.timestamp).toLocaleString()}`);
+      log(`${chalk.gray('Generated:')} ${new Date(overall.timestamp).toLocaleString()}`);
+    }
+
+    const parallel = results.performance?.parallel;
+    if (parallel) {
+      const seconds = (ms) => (ms / 1000).toFixed(1);
+      log(chalk.gray(`Analysis: ${seconds(parallel.wallClock)}s wall-clock, ${seconds(parallel.cpuTime)}s CPU, ` +
+        `${seconds(parallel.saved)}s saved with concurrency ${parallel.concurrency}`));
+    }
+
+    const scoring = results.metadata?.scoring;
+    if (scoring) {
+      log(chalk.gray(`Weights${scoring.customized ? ' (codefortify.config.js)' : ''}: ${formatWeights(scoring.weights)}`));
+    }
+
+    const diffScope = results.metadata?.diffScope;
+    if (diffScope) {
+      log(chalk.cyan(`${chalk.bold('Diff-scoped:')} ${this.describeDiffScope(diffScope)}`));
+      log(chalk.gray('  File-level checks cover only these files; project-level checks (package.json, docs, tests) ran on the whole project.'));
     }
 
     // Category breakdown
-    console.log('\n' + chalk.bold('📊 Category Breakdown:'));
+    log('\n' + chalk.bold('📊 Category Breakdown:'));
     Object.entries(categories).forEach(([key, category]) => {
       const percentage = Math.round((category.score / category.maxScore) * 100);
       const gradeColor = this.getGradeColor(category.grade);
       const progressBar = this.createProgressBar(percentage);
 
-      console.log(`\n  ${chalk.bold(category.categoryName)}`);
-      console.log(`  ${progressBar} ${percentage}% ${gradeColor(category.grade)} (${category.score}/${category.maxScore})`);
+      log(`\n  ${chalk.bold(category.categoryName)}`);
+      log(`  ${progressBar} ${percentage}% ${gradeColor(category.grade)} (${category.score}/${category.maxScore})`);
 
       if (options.detailed && category.issues?.length > 0) {
         category.issues.forEach(issue => {
-          console.log(`    ${chalk.yellow('⚠')} ${issue}`);
+          log(`    ${chalk.yellow('⚠')} ${issue}`);
         });
       }
     });
 
+    if (results.comparison) {
+      this.outputComparison(results.comparison, log);
+    }
+
     // Recommendations
     if (options.recommendations && recommendations?.length > 0) {
-      console.log('\n' + chalk.bold('🚀 Priority Recommendations:'));
+      log('\n' + chalk.bold('🚀 Priority Recommendations:'));
       recommendations.slice(0, 5).forEach((rec, index) => {
         const impactColor = rec.impact >= 4 ? chalk.red : rec.impact >= 2 ? chalk.yellow : chalk.green;
-        console.log(`\n  ${index + 1}. ${chalk.bold(rec.suggestion)} ${impactColor(`[+${rec.impact}pts]`)}`);
-        console.log(`     ${chalk.gray(rec.description)}`);
+        log(`\n  ${index + 1}. ${chalk.bold(rec.suggestion)} ${impactColor(`[+${rec.impact}pts]`)}`);
+        log(`     ${chalk.gray(rec.description)}`);
       });
     }
 
-    console.log(''); // Final newline
+    log(''); // Final newline
   }
 
   async outputJSON(results, outputFile) {
@@ -176,14 +435,28 @@ export class ScoreCommand {
     const json = await report.generateJSON(results);
 
     if (outputFile) {
-      const fs = await import('fs-extra');
-      await fs.writeFile(outputFile, json);
+      const { writeFile } = await import('fs/promises');
+      await writeFile(outputFile, json);
       console.log(chalk.green(`✓ JSON report saved to: ${outputFile}`));
     } else {
       console.log(json);
     }
   }
 
+  async outputSARIF(results, outputFile) {
+    const { ScoringReport } = await import('../../scoring/ScoringReportRefactored.js');
+    const report = new ScoringReport();
+    const sarif = await report.generateSARIF(results);
+
+    if (outputFile) {
+      const { writeFile } = await import('fs/promises');
+      await writeFile(outputFile, sarif);
+      console.log(chalk.green(`✓ SARIF report saved to: ${outputFile}`));
+    } else {
+      console.log(sarif);
+    }
+  }
+
   async outputHTML(results, outputFile, openInBrowser = false) {
     const { ScoringReport } = await import('../../scoring/ScoringReportRefactored.js');
     const report = new ScoringReport();
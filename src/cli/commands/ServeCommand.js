@@ -0,0 +1,124 @@
+/**
+ * Serve Command Handler
+ *
+ * Starts the CodeFortify MCP server. Without a port it talks MCP over stdio, the way editors
+ * launch it as a subprocess. With `--port` it is hosted over HTTP (Streamable HTTP and SSE)
+ * so that several clients can connect to one long-running server.
+ *
+ * @class ServeCommand
+ * @example
+ * const serveCmd = new ServeCommand(globalConfig, packageRoot);
+ * await serveCmd.execute({ port: '3001', token: process.env.CODEFORTIFY_MCP_TOKEN });
+ */
+
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+import { CodeFortifyMCPServer } from '../../server/CodeFortifyMCPServer.js';
+import { McpHttpServer } from '../../server/McpHttpServer.js';
+
+export class ServeCommand {
+  /**
+   * Create a new ServeCommand instance
+   *
+   * @param {Object} globalConfig - Global CLI configuration
+   * @param {string} globalConfig.projectRoot - Project root directory
+   * @param {boolean} globalConfig.verbose - Verbose logging flag
+   * @param {string} packageRoot - CodeFortify package root, for the server version
+   */
+  constructor(globalConfig, packageRoot) {
+    this.globalConfig = globalConfig;
+    this.packageRoot = packageRoot;
+  }
+
+  /**
+   * Execute the serve command
+   *
+   * @param {Object} options - Command options
+   * @param {string} [options.config] - JSON file with the MCP server configuration
+   * @param {string} [options.port] - Serve over HTTP on this port (default: stdio)
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind in HTTP mode
+   * @param {string} [options.token] - Bearer token for HTTP clients (default: $CODEFORTIFY_MCP_TOKEN)
+   * @param {string} [options.sessionTimeout] - Minutes before an idle HTTP session is closed
+   * @returns {Promise<McpHttpServer|CodeFortifyMCPServer>} The running server
+   */
+  async execute(options) {
+    try {
+      const config = await this.loadServerConfig(options.config);
+
+      if (options.port === undefined) {
+        const server = new CodeFortifyMCPServer(config);
+        await server.start();
+        return server;
+      }
+
+      const port = Number(options.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${options.port}`);
+      }
+      const sessionTimeout = options.sessionTimeout !== undefined ? Number(options.sessionTimeout) : null;
+      if (sessionTimeout !== null && !(sessionTimeout > 0)) {
+        throw new Error(`Invalid session timeout: ${options.sessionTimeout}`);
+      }
+
+      const httpServer = new McpHttpServer({
+        createServer: () => new CodeFortifyMCPServer(config).server,
+        port,
+        host: options.host,
+        token: options.token || process.env.CODEFORTIFY_MCP_TOKEN,
+        sessionTimeout: sessionTimeout ? sessionTimeout * 60 * 1000 : undefined,
+        info: { name: 'codefortify', version: await this.readVersion() }
+      });
+      const url = await httpServer.start();
+
+      // stdout is free in HTTP mode, but keep to stderr like the stdio server does
+      console.error(chalk.green(`✓ CodeFortify MCP server listening on ${url}`));
+      console.error(chalk.gray(`  Streamable HTTP: ${url}/mcp`));
+      console.error(chalk.gray(`  SSE:             ${url}/sse`));
+      console.error(chalk.gray(`  Health:          ${url}/health`));
+      if (httpServer.token) {
+        console.error(chalk.gray('  Clients must send: Authorization: Bearer <token>'));
+      } else if (!httpServer.isLoopback) {
+        console.error(chalk.yellow(`  ⚠ Listening on ${httpServer.host} without a token: anyone on the network can use this server. ` +
+          'Set --token or CODEFORTIFY_MCP_TOKEN.'));
+      }
+
+      const shutdown = async () => {
+        await httpServer.close();
+        process.exit(0);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+
+      return httpServer;
+
+    } catch (error) {
+      console.error(chalk.red('Error:'), `Failed to start MCP server: ${error.message}`);
+      if (this.globalConfig.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  }
+
+  async loadServerConfig(configPath) {
+    const projectRoot = this.globalConfig.projectRoot;
+    const detected = await CodeFortifyMCPServer.detectProjectConfig(projectRoot);
+    if (!configPath) {return detected;}
+
+    const resolved = path.resolve(projectRoot, configPath);
+    try {
+      return { ...detected, ...JSON.parse(await fs.readFile(resolved, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Cannot read config ${resolved}: ${error.message}`);
+    }
+  }
+
+  async readVersion() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.packageRoot, 'package.json'), 'utf8')).version;
+    } catch (error) {
+      return '0.0.0';
+    }
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Templates Command Handler
+ *
+ * Lists the template packs a project can use and creates new project packs in
+ * `.codefortify/templates/<name>`. A new pack extends another one (the built-in `default` pack
+ * unless `--from` names another) and can start with copies of some of its template sets to edit.
+ *
+ * @class TemplatesCommand
+ * @example
+ * const templatesCmd = new TemplatesCommand(globalConfig, packageRoot);
+ * await templatesCmd.execute({ action: 'create', name: 'house', sets: 'component,hook' });
+ */
+
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import {
+  TemplatePack,
+  DEFAULT_TEMPLATE_PACK,
+  PROJECT_TEMPLATES_DIR,
+  TEMPLATE_PACK_MANIFEST
+} from '../../templates/TemplatePack.js';
+
+export class TemplatesCommand {
+  /**
+   * Create a new TemplatesCommand instance
+   *
+   * @param {Object} globalConfig - Global CLI configuration
+   * @param {string} globalConfig.projectRoot - Project root directory
+   * @param {boolean} globalConfig.verbose - Verbose logging flag
+   * @param {string} packageRoot - CodeFortify package root, for the built-in template packs
+   */
+  constructor(globalConfig, packageRoot) {
+    this.globalConfig = globalConfig;
+    this.packageRoot = packageRoot;
+  }
+
+  /**
+   * Execute the templates command
+   *
+   * @param {Object} options - Command options
+   * @param {string} [options.action='list'] - list or create
+   * @param {string} [options.name] - Name of the pack to create
+   * @param {string} [options.from='default'] - Pack the new pack extends
+   * @param {string} [options.sets] - Comma-separated template sets to copy into the new pack
+   * @returns {Promise<Object>} Listed packs, or the created pack directory and copied files
+   * @throws {Error} For unknown actions, existing packs, unknown base packs and unknown sets
+   */
+  async execute(options = {}) {
+    const action = options.action || 'list';
+    if (action === 'list') {
+      return this.list();
+    }
+    if (action === 'create') {
+      return this.create(options);
+    }
+    throw new Error(`Unknown templates action: ${action}. Use list or create`);
+  }
+
+  get lookup() {
+    return {
+      projectRoot: this.globalConfig.projectRoot,
+      packageTemplatesDir: this.packageRoot && path.join(this.packageRoot, 'templates')
+    };
+  }
+
+  async list() {
+    const packs = await TemplatePack.list(this.lookup);
+
+    console.log(chalk.bold.blue('\n📦 Template packs'));
+    for (const { pack, origin, dir, error } of packs) {
+      if (error) {
+        console.log(chalk.red(`  ✗ ${path.basename(dir)}`) + chalk.gray(` (${origin}) ${error}`));
+        continue;
+      }
+      const parent = pack.parent ? chalk.gray(` extends ${pack.parent.name}`) : '';
+      console.log(`  ${chalk.cyan(pack.name)}${chalk.gray(` (${origin})`)}${parent}${pack.description ? ` - ${pack.description}` : ''}`);
+      console.log(chalk.gray(`    sets: ${pack.sets.join(', ')}`));
+    }
+    console.log(chalk.gray('\nUse a pack with --templates <name> or templates.pack in codefortify.config.js'));
+
+    return { packs };
+  }
+
+  async create({ name, from = DEFAULT_TEMPLATE_PACK, sets }) {
+    if (!name || /[\\/]/.test(name) || name.startsWith('.')) {
+      throw new Error('A pack name without path separators is required, e.g. codefortify templates create house');
+    }
+
+    const dir = path.join(this.globalConfig.projectRoot, PROJECT_TEMPLATES_DIR, name);
+    if (existsSync(path.join(dir, TEMPLATE_PACK_MANIFEST))) {
+      throw new Error(`Template pack ${path.relative(this.globalConfig.projectRoot, dir)} already exists`);
+    }
+
+    const base = await TemplatePack.resolve(from, this.lookup);
+    const copied = sets ? sets.split(',').map(set => set.trim()).filter(Boolean) : [];
+    const unknown = copied.filter(set => !base.has(set));
+    if (unknown.length > 0) {
+      throw new Error(`Template pack "${base.name}" has no ${unknown.join(', ')} template set. Sets: ${base.sets.join(', ')}`);
+    }
+
+    // The copied entries keep their targets and conditions, so the new pack renders the same
+    // files until they are edited
+    const templates = {};
+    const files = [];
+    for (const set of copied) {
+      templates[set] = [];
+      const targets = new Set();
+      for (let pack = base; pack; pack = pack.parent) {
+        for (const entry of pack.templates[set] || []) {
+          const key = `${entry.target}\n${entry.when || ''}`;
+          if (targets.has(key)) {continue;}
+          targets.add(key);
+          templates[set].push(entry);
+
+          const target = path.join(dir, entry.source);
+          if (!files.includes(target)) {
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, await pack.readSource(entry.source));
+            files.push(target);
+          }
+        }
+      }
+    }
+
+    const manifest = { name, description: '', extends: from, variables: {}, templates };
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, TEMPLATE_PACK_MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+
+    const relative = file => path.relative(this.globalConfig.projectRoot, file);
+    console.log(chalk.bold.blue(`\n📦 Created template pack ${name}`) + chalk.gray(` extending ${base.name}`));
+    console.log(chalk.green(`  ✓ ${relative(path.join(dir, TEMPLATE_PACK_MANIFEST))}`));
+    files.forEach(file => console.log(chalk.green(`  ✓ ${relative(file)}`)));
+    console.log(chalk.gray(`\nSet templates.pack to "${name}" in codefortify.config.js, or pass --templates ${name}`));
+
+    return { dir, files };
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Validate Command Handler
+ *
+ * Checks the project against the CodeFortify standards with CodeFortifyValidator and, with
+ * `--fix`, repairs what it can: missing directories, documentation and Agent OS files from
+ * the template pack, package.json scripts and dependencies, and src/mcp-server.js. `--dry-run` shows
+ * the fixes as a diff without writing anything. Existing content is only replaced after the
+ * user confirms the change.
+ *
+ * The checks come from a rule profile (minimal, standard or strict), chosen with `--profile`
+ * or `--strict` or by `validation.profile` in codefortify.config.js, where `validation.rules`
+ * can also switch rules off, change their severity or add new ones.
+ *
+ * `--format json|junit|markdown` reports every check as a test case with its category,
+ * status, details and remediation, written to `--output` or to stdout.
+ *
+ * @class ValidateCommand
+ * @example
+ * const validateCmd = new ValidateCommand(globalConfig, packageRoot);
+ * await validateCmd.execute({ fix: true, dryRun: true });
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import fs from 'fs/promises';
+import path from 'path';
+import { CodeFortifyValidator } from '../../validation/CodeFortifyValidator.js';
+import { ValidationFixer } from '../../validation/ValidationFixer.js';
+import { ValidationReportGenerator, VALIDATION_REPORT_FORMATS } from '../../validation/ValidationReportGenerator.js';
+import { loadProjectConfig, resolveValidationConfig } from '../../config/configLoader.js';
+import { resolveProjectTemplates } from '../../templates/TemplatePack.js';
+
+const ACTION_LABELS = {
+  directory: 'create',
+  create: 'create',
+  update: 'update',
+  replace: 'replace'
+};
+
+export class ValidateCommand {
+  /**
+   * Create a new ValidateCommand instance
+   *
+   * @param {Object} globalConfig - Global CLI configuration
+   * @param {string} globalConfig.projectRoot - Project root directory
+   * @param {boolean} globalConfig.verbose - Verbose logging flag
+   * @param {string} packageRoot - CodeFortify package root, for the built-in template packs
+   */
+  constructor(globalConfig, packageRoot) {
+    this.globalConfig = globalConfig;
+    this.packageRoot = packageRoot;
+    this.log = console.log;
+  }
+
+  /**
+   * Execute the validate command
+   *
+   * @param {Object} options - Command options
+   * @param {string} [options.profile] - Rule profile: minimal, standard or strict
+   * @param {boolean} [options.strict] - Use the strict profile
+   * @param {boolean} [options.fix] - Fix failed checks where possible
+   * @param {boolean} [options.dryRun] - Show the fixes as a diff without applying them
+   * @param {string} [options.format='console'] - Report format: console, json, junit or markdown
+   * @param {string} [options.output] - Report file; without it the report is printed to stdout
+   * @param {string} [options.templates] - Template pack name or path for the fixes
+   * @returns {Promise<{success: boolean, profile: string, report: Object, results: Array<Object>}>} Validation outcome after any fixes
+   */
+  async execute(options) {
+    const format = options.format || 'console';
+    if (format !== 'console' && !VALIDATION_REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported format: ${format}. Use console, ${VALIDATION_REPORT_FORMATS.join(', ')}.`);
+    }
+    // Keep stdout clean when a machine-readable report is printed there
+    this.log = format !== 'console' && !options.output ? console.error : console.log;
+
+    this.log(chalk.bold.blue('🔍 Validating CodeFortify Project Compliance'));
+
+    const projectRoot = this.globalConfig.projectRoot;
+    const projectType = await CodeFortifyValidator.detectProjectType(projectRoot);
+    const validation = resolveValidationConfig((await loadProjectConfig(projectRoot)).validation);
+    const profile = options.profile || (options.strict ? 'strict' : validation.profile);
+    const validate = () => new CodeFortifyValidator({ projectRoot, projectType, profile, rules: validation.rules, log: this.log }).runValidation();
+
+    let outcome = await validate();
+    if (outcome.error) {
+      throw new Error(outcome.error);
+    }
+    if (options.fix || options.dryRun) {
+      outcome = await this.fix(outcome, { projectRoot, projectType, dryRun: options.dryRun, templates: options.templates, validate });
+    }
+
+    if (format !== 'console') {
+      await this.writeReport(outcome, { format, output: options.output, projectRoot, projectType });
+    }
+    return outcome;
+  }
+
+  /**
+   * Plan fixes for the failed checks and preview or apply them
+   * @returns {Promise<Object>} The validation outcome after the fixes
+   */
+  async fix(outcome, { projectRoot, projectType, dryRun, templates, validate }) {
+    const { pack, variables } = await resolveProjectTemplates(projectRoot, {
+      pack: templates,
+      packageTemplatesDir: path.join(this.packageRoot, 'templates')
+    });
+    const fixer = new ValidationFixer({
+      projectRoot,
+      projectType,
+      pack,
+      variables,
+      ...await this.readProjectMetadata()
+    });
+    const { actions, unfixable } = await fixer.plan(outcome.results);
+
+    if (actions.length === 0) {
+      this.log(chalk.gray('\nNo automatic fixes available.'));
+    } else if (dryRun) {
+      this.printPreview(actions);
+    } else {
+      const { applied, skipped } = await fixer.apply(actions, { confirm: action => this.confirmReplace(action) });
+      this.printApplied(applied, skipped);
+
+      if (applied.length > 0) {
+        this.log(chalk.bold.blue('\n🔁 Re-validating after fixes'));
+        outcome = await validate();
+      }
+    }
+
+    if (unfixable.length > 0) {
+      this.log(chalk.yellow(`\n⚠️  ${unfixable.length} failed check(s) need manual fixes:`));
+      unfixable.forEach(result => this.log(`  ${chalk.yellow('•')} ${result.category} - ${result.item}: ${result.details}`));
+    }
+
+    return outcome;
+  }
+
+  async writeReport(outcome, { format, output, projectRoot, projectType }) {
+    const report = new ValidationReportGenerator({ projectRoot, projectType }).generate(outcome, format);
+
+    if (output) {
+      await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+      await fs.writeFile(output, report);
+      this.log(chalk.green(`✓ ${format.toUpperCase()} validation report saved to: ${output}`));
+    } else {
+      process.stdout.write(report.endsWith('\n') ? report : report + '\n');
+    }
+  }
+
+  printPreview(actions) {
+    this.log(chalk.bold(`\n📝 ${actions.length} fix(es) would be applied (dry run, nothing written):\n`));
+
+    for (const action of actions) {
+      const note = action.requiresConfirmation ? chalk.yellow(' (asks before overwriting)') : '';
+      this.log(chalk.bold(`${ACTION_LABELS[action.type]} ${action.file}`) + chalk.gray(` - ${action.description}`) + note);
+      this.log(this.colorDiff(ValidationFixer.diff(action)));
+    }
+
+    this.log(chalk.gray('Run again with --fix and without --dry-run to apply these changes.'));
+  }
+
+  printApplied(applied, skipped) {
+    this.log('');
+    applied.forEach(action => this.log(chalk.green(`✓ ${ACTION_LABELS[action.type]} ${action.file}`) + chalk.gray(` - ${action.description}`)));
+    skipped.forEach(({ action, reason }) => this.log(chalk.yellow(`⚠ Skipped ${action.file}: ${reason}`)));
+  }
+
+  /**
+   * Ask before replacing existing content; without a terminal nothing is overwritten
+   */
+  async confirmReplace(action) {
+    if (!process.stdin.isTTY) {return false;}
+
+    this.log(chalk.bold(`\n${action.file}`) + chalk.gray(` - ${action.description}`));
+    this.log(this.colorDiff(ValidationFixer.diff(action)));
+    const { overwrite } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'overwrite',
+      message: `Overwrite ${action.file}?`,
+      default: false
+    }]);
+    return overwrite;
+  }
+
+  colorDiff(diff) {
+    return diff.split('\n').map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) {return chalk.bold(line);}
+      if (line.startsWith('@@')) {return chalk.cyan(line);}
+      if (line.startsWith('+')) {return chalk.green(line);}
+      if (line.startsWith('-')) {return chalk.red(line);}
+      return line;
+    }).join('\n');
+  }
+
+  async readProjectMetadata() {
+    try {
+      const packageJson = JSON.parse(await fs.readFile(path.join(this.globalConfig.projectRoot, 'package.json'), 'utf8'));
+      return { projectName: packageJson.name, description: packageJson.description };
+    } catch (error) {
+      return {};
+    }
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Project configuration loader
+ *
+ * Loads codefortify.config.js (or .mjs) from the project root, resolves its scoring settings
+ * against the defaults in scoringConfig.js and checks its other blocks against their schemas
+ */
+
+import { existsSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SCORING_WEIGHTS, GRADE_THRESHOLDS, MODULE_SIZE_THRESHOLDS, COMPLEXITY_THRESHOLDS } from './scoringConfig.js';
+import { validateScoringConfig, validateSecurityConfig, validateComplianceConfig, validateValidationConfig, validateTemplatesConfig } from './configSchema.js';
+
+export const CONFIG_FILE_NAMES = ['codefortify.config.js', 'codefortify.config.mjs'];
+
+/**
+ * Find the project configuration file
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Absolute config path or null when none exists
+ */
+export function findConfigFile(projectRoot) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const configPath = path.join(projectRoot, fileName);
+    if (existsSync(configPath)) {
+      return configPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the project configuration
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Configuration object, empty when no config file exists
+ * @throws {Error} When the config file exists but cannot be loaded
+ */
+export async function loadProjectConfig(projectRoot = process.cwd()) {
+  const configPath = findConfigFile(projectRoot);
+  if (!configPath) {
+    return {};
+  }
+
+  try {
+    const module = await import(pathToFileURL(configPath).href);
+    return module.default || {};
+  } catch (error) {
+    throw new Error(`Failed to load ${path.basename(configPath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Merge the `scoring` block of codefortify.config.js over the built-in defaults
+ *
+ * Every key is optional and partial overrides are merged, e.g. `weights: { performance: 5 }`.
+ *
+ * @param {Object} [scoring={}] - `scoring` config block
+ * @returns {{weights: Object<string, number>, gradeThresholds: Object<string, number>, moduleSizeThresholds: Object<string, number>, complexityThresholds: Object<string, number>, thresholds: Object, customized: boolean}} Settings in effect
+ * @throws {Error} Listing every schema violation
+ */
+export function resolveScoringConfig(scoring = {}) {
+  const fail = (errors) => {
+    throw invalidConfig('scoring', errors);
+  };
+
+  const errors = validateScoringConfig(scoring);
+  if (errors.length > 0) {
+    fail(errors);
+  }
+
+  const resolved = {
+    weights: { ...SCORING_WEIGHTS, ...scoring?.weights },
+    gradeThresholds: { ...GRADE_THRESHOLDS, ...scoring?.gradeThresholds },
+    moduleSizeThresholds: { ...MODULE_SIZE_THRESHOLDS, ...scoring?.moduleSizeThresholds },
+    complexityThresholds: { ...COMPLEXITY_THRESHOLDS, ...scoring?.complexityThresholds },
+    thresholds: scoring?.thresholds || {}
+  };
+
+  // Partial overrides must still line up with the defaults they are merged with
+  const mergedErrors = validateScoringConfig(resolved);
+  if (Object.values(resolved.weights).every(weight => weight === 0)) {
+    mergedErrors.push('scoring.weights must leave at least one category with a weight above 0');
+  }
+  if (mergedErrors.length > 0) {
+    fail(mergedErrors);
+  }
+
+  resolved.customized = ['weights', 'gradeThresholds', 'moduleSizeThresholds', 'complexityThresholds']
+    .some(key => scoring?.[key] && Object.keys(scoring[key]).length > 0);
+  return resolved;
+}
+
+/**
+ * Resolver for a config block that is used as written once it passes its schema
+ * @param {string} name - Block name, for error messages
+ * @param {function(Object): string[]} validate - Schema validator of the block
+ * @returns {function(Object=): Object} Resolver returning the block, or an empty object
+ * @throws {Error} From the resolver, listing every schema violation
+ */
+export function resolveConfigBlock(name, validate) {
+  return (block = {}) => {
+    const errors = validate(block);
+    if (errors.length > 0) {
+      throw invalidConfig(name, errors);
+    }
+    return block || {};
+  };
+}
+
+/** `security` block: secret allowlists and history scan, advisory database, license policy */
+export const resolveSecurityConfig = resolveConfigBlock('security', validateSecurityConfig);
+
+/** `compliance` block: settings of the rules behind the validate_context7_compliance MCP tool */
+export const resolveComplianceConfig = resolveConfigBlock('compliance', validateComplianceConfig);
+
+/** `validation` block: rule profile and rule overrides of `codefortify validate` */
+export const resolveValidationConfig = resolveConfigBlock('validation', validateValidationConfig);
+
+/** `templates` block: template pack and extra variables of `init`, `generate` and `validate --fix` */
+export const resolveTemplatesConfig = resolveConfigBlock('templates', validateTemplatesConfig);
+
+function invalidConfig(name, errors) {
+  return new Error(`Invalid ${name} configuration in codefortify.config.js:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+}
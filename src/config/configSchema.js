@@ -0,0 +1,268 @@
+/**
+ * Configuration schemas for the `scoring`, `security` and `compliance` blocks of codefortify.config.js
+ *
+ * A small JSON-Schema-like description (type, properties, additionalProperties,
+ * minimum/maximum, items, anyOf) plus `order`, which requires the values of an object to be
+ * ascending or descending in the order its properties are declared.
+ */
+
+import { SCORING_WEIGHTS, GRADE_THRESHOLDS, MODULE_SIZE_THRESHOLDS, COMPLEXITY_THRESHOLDS } from './scoringConfig.js';
+
+const numbersFor = (defaults, options = {}) => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(defaults).map(key => [key, { type: 'number', ...options }])),
+  additionalProperties: false
+});
+
+const percentage = { type: 'number', minimum: 0, maximum: 100 };
+
+export const SCORING_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    categories: { type: 'array', items: { type: 'string' } },
+    weights: numbersFor(SCORING_WEIGHTS, { minimum: 0, maximum: 100 }),
+    gradeThresholds: { ...numbersFor(GRADE_THRESHOLDS, { minimum: 0, maximum: 1 }), order: 'descending' },
+    moduleSizeThresholds: { ...numbersFor(MODULE_SIZE_THRESHOLDS, { minimum: 1, integer: true }), order: 'ascending' },
+    complexityThresholds: { ...numbersFor(COMPLEXITY_THRESHOLDS, { minimum: 1, integer: true }), order: 'ascending' },
+    thresholds: {
+      type: 'object',
+      properties: {
+        failUnder: {
+          anyOf: [
+            percentage,
+            // overall and category keys; plugin categories are checked by QualityGate
+            { type: 'object', properties: { overall: percentage }, additionalProperties: percentage }
+          ]
+        },
+        noNewHighSeverity: { type: 'boolean' },
+        baseline: { type: 'string' },
+        // Score bands of configs written by earlier `init` versions; accepted and unused,
+        // grades come from gradeThresholds
+        excellent: percentage,
+        good: percentage,
+        warning: percentage,
+        poor: percentage
+      },
+      additionalProperties: false
+    },
+    plugins: { type: 'array', items: { type: 'object' } }
+  },
+  additionalProperties: false
+};
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+export const SECURITY_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    secrets: {
+      type: 'object',
+      properties: {
+        allowlist: {
+          type: 'object',
+          properties: { paths: stringList, patterns: stringList, values: stringList },
+          additionalProperties: false
+        },
+        entropyThreshold: { type: 'number', minimum: 0, maximum: 8 },
+        history: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            maxCommits: { type: 'number', minimum: 1, integer: true },
+            allRefs: { type: 'boolean' }
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    advisoryDatabase: { type: 'string' },
+    licenses: {
+      type: 'object',
+      properties: { allow: stringList, deny: stringList, exceptions: stringList, includeDev: { type: 'boolean' } },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: true
+};
+
+export const COMPLIANCE_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    strictTypes: { type: 'boolean' },
+    requireDocumentation: { type: 'boolean' },
+    mobileFirst: { type: 'boolean' },
+    // Rule IDs and severities are checked by ComplianceRuleEngine, which knows the rules
+    rules: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+export const VALIDATION_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    profile: { type: 'string' },
+    // Profile names, rule IDs and rule definitions are checked by resolveValidationRules
+    rules: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+export const TEMPLATES_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    // Pack name or path; checked when the pack is loaded
+    pack: { type: 'string' },
+    variables: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+const describe = (value) => (Array.isArray(value) ? 'an array' : value === null ? 'null' : typeof value === 'string' ? `"${value}"` : typeof value === 'object' ? 'an object' : String(value));
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} location - Path of the value, e.g. "scoring.weights"
+ * @returns {string[]} Error messages; empty when the value is valid
+ */
+export function validateSchema(value, schema, location) {
+  if (value === undefined) {
+    return [];
+  }
+  if (schema.anyOf) {
+    // The option of the value's type decides, so its errors are the specific ones
+    const option = schema.anyOf.find(candidate => candidate.type === typeOf(value));
+    return option
+      ? validateSchema(value, option, location)
+      : [`${location} must be ${schema.anyOf.map(candidate => `${/^[aeiou]/.test(candidate.type) ? 'an' : 'a'} ${candidate.type}`).join(' or ')}, got ${describe(value)}`];
+  }
+
+  switch (schema.type) {
+  case 'number':
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return [`${location} must be a number, got ${describe(value)}`];
+    }
+    if (schema.integer && !Number.isInteger(value)) {
+      return [`${location} must be a whole number, got ${value}`];
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return [`${location} must be at least ${schema.minimum}, got ${value}`];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return [`${location} must be at most ${schema.maximum}, got ${value}`];
+    }
+    return [];
+  case 'string':
+    return typeof value === 'string' ? [] : [`${location} must be a string, got ${describe(value)}`];
+  case 'boolean':
+    return typeof value === 'boolean' ? [] : [`${location} must be true or false, got ${describe(value)}`];
+  case 'array':
+    if (!Array.isArray(value)) {
+      return [`${location} must be an array, got ${describe(value)}`];
+    }
+    return schema.items ? value.flatMap((item, index) => validateSchema(item, schema.items, `${location}[${index}]`)) : [];
+  case 'object':
+    return validateObject(value, schema, location);
+  default:
+    return [];
+  }
+}
+
+function validateObject(value, schema, location) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${location} must be an object, got ${describe(value)}`];
+  }
+  if (!schema.properties) {
+    return [];
+  }
+
+  const known = Object.keys(schema.properties);
+  const errors = [];
+  for (const [key, child] of Object.entries(value)) {
+    if (schema.properties[key]) {
+      errors.push(...validateSchema(child, schema.properties[key], `${location}.${key}`));
+    } else if (schema.additionalProperties === false) {
+      errors.push(`${location}.${key} is not a known setting. Valid keys: ${known.join(', ')}`);
+    } else if (typeof schema.additionalProperties === 'object') {
+      errors.push(...validateSchema(child, schema.additionalProperties, `${location}.${key}`));
+    }
+  }
+
+  if (schema.order && errors.length === 0) {
+    errors.push(...validateOrder(value, known, schema.order, location));
+  }
+  return errors;
+}
+
+/**
+ * Values that are set must follow the declared property order; gaps are allowed
+ */
+function validateOrder(value, keys, order, location) {
+  const present = keys.filter(key => value[key] !== undefined);
+  for (let index = 1; index < present.length; index++) {
+    const previous = present[index - 1];
+    const current = present[index];
+    const inOrder = order === 'ascending' ? value[current] > value[previous] : value[current] < value[previous];
+    if (!inOrder) {
+      return [`${location}.${current} (${value[current]}) must be ${order === 'ascending' ? 'greater' : 'lower'} than ${location}.${previous} (${value[previous]})`];
+    }
+  }
+  return [];
+}
+
+/**
+ * Validate the `scoring` block of codefortify.config.js
+ * @param {Object} [scoring] - `scoring` config block
+ * @returns {string[]} Error messages; empty when the block is valid
+ */
+export function validateScoringConfig(scoring) {
+  return validateSchema(scoring, SCORING_CONFIG_SCHEMA, 'scoring');
+}
+
+/**
+ * Validate the `security` block of codefortify.config.js
+ * @param {Object} [security] - `security` config block
+ * @returns {string[]} Error messages; empty when the block is valid
+ */
+export function validateSecurityConfig(security) {
+  const errors = validateSchema(security, SECURITY_CONFIG_SCHEMA, 'security');
+  const patterns = security?.secrets?.allowlist?.patterns;
+  for (const [index, pattern] of (Array.isArray(patterns) ? patterns : []).entries()) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      errors.push(`security.secrets.allowlist.patterns[${index}] is not a valid regular expression: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate the `compliance` block of codefortify.config.js
+ * @param {Object} [compliance] - `compliance` config block
+ * @returns {string[]} Error messages; empty when the block is valid
+ */
+export function validateComplianceConfig(compliance) {
+  return validateSchema(compliance, COMPLIANCE_CONFIG_SCHEMA, 'compliance');
+}
+
+/**
+ * Validate the `validation` block of codefortify.config.js
+ * @param {Object} [validation] - `validation` config block
+ * @returns {string[]} Error messages; empty when the block is valid
+ */
+export function validateValidationConfig(validation) {
+  return validateSchema(validation, VALIDATION_CONFIG_SCHEMA, 'validation');
+}
+
+/**
+ * Validate the `templates` block of codefortify.config.js
+ * @param {Object} [templates] - `templates` config block
+ * @returns {string[]} Error messages; empty when the block is valid
+ */
+export function validateTemplatesConfig(templates) {
+  return validateSchema(templates, TEMPLATES_CONFIG_SCHEMA, 'templates');
+}
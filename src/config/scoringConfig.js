@@ -12,8 +12,9 @@ export const SCORING_WEIGHTS = {
   completeness: 5
 };
 
+// Same bands as the grading ladder analyzers used before grades became configurable
 export const GRADE_THRESHOLDS = {
-  'A+': 0.98,
+  'A+': 0.97,
   'A': 0.93,
   'A-': 0.90,
   'B+': 0.87,
@@ -40,4 +41,25 @@ export const COMPLEXITY_THRESHOLDS = {
   medium: 50,
   high: 100,
   veryHigh: 200
-};
\ No newline at end of file
+};
+
+/**
+ * One-line summary of category weights for reports, e.g. "structure 20, quality 20"
+ * @param {Object<string, number>} weights - Maximum points per category key
+ * @returns {string} Weights in category order
+ */
+export function formatWeights(weights) {
+  return Object.entries(weights).map(([key, weight]) => `${key} ${weight}`).join(', ');
+}
+
+/**
+ * Letter grade for a score ratio
+ * @param {number} ratio - Score divided by the maximum score (0-1)
+ * @param {Object<string, number>} [thresholds=GRADE_THRESHOLDS] - Minimum ratio per grade, best grade first
+ * @returns {string} Grade, 'F' when no band matches
+ */
+export function gradeFor(ratio, thresholds = GRADE_THRESHOLDS) {
+  const bands = Object.entries(thresholds).sort(([, a], [, b]) => b - a);
+  const match = bands.find(([, minimum]) => ratio >= minimum);
+  return match ? match[0] : 'F';
+}
@@ -0,0 +1,290 @@
+/**
+ * Convention Detector
+ *
+ * Reads an existing project to decide where and how `codefortify generate` writes new files:
+ * - framework and web framework from package.json
+ * - TypeScript or JavaScript and ES modules or CommonJS from the existing sources
+ * - the directory of each kind of file (components, hooks, services, routes, middleware)
+ * - file naming (PascalCase, camelCase or kebab-case) and folder-per-component layouts
+ * - test runner, `.test` or `.spec` suffix and whether tests sit next to the sources,
+ *   in `__tests__` folders or in a separate test directory
+ *
+ * Where the project has no examples yet, the defaults of the framework apply.
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+
+const IGNORED_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.nuxt', '.svelte-kit', '.codefortify']);
+const SOURCE_EXTENSIONS = new Set(['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue', '.svelte']);
+const TEST_DIRS = ['tests', 'test', '__tests__', 'spec'];
+const MAX_FILES = 2000;
+
+// Candidate directories per kind, most specific first; the first that exists wins
+const DIRECTORY_CANDIDATES = {
+  component: ['src/components', 'components', 'app/components', 'src/ui', 'lib/components'],
+  hook: ['src/hooks', 'hooks', 'app/hooks', 'lib/hooks'],
+  composable: ['src/composables', 'composables', 'lib/composables'],
+  service: ['src/services', 'services', 'src/lib/services', 'lib/services', 'app/services'],
+  route: ['src/routes', 'routes', 'src/api/routes', 'api/routes', 'lib/routes'],
+  middleware: ['src/middleware', 'src/middlewares', 'middleware', 'middlewares', 'lib/middleware']
+};
+
+const DEFAULT_NAMING = {
+  component: 'PascalCase',
+  hook: 'camelCase',
+  service: 'camelCase',
+  route: 'camelCase',
+  middleware: 'camelCase'
+};
+
+export class ConventionDetector {
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+  }
+
+  /**
+   * Detect the project's conventions
+   * @param {Object} [options] - Detection options
+   * @param {string} [options.framework] - Use this framework instead of the detected one:
+   *   react, vue, svelte, express, fastify, koa or javascript
+   * @returns {Promise<Object>} Conventions: framework, webFramework, typescript, moduleSystem,
+   *   sourceRoot, directories, naming, componentLayout and tests
+   */
+  async detect({ framework } = {}) {
+    const packageJson = await this.readPackageJson();
+    const dependencies = {
+      ...packageJson.dependencies,
+      ...packageJson.devDependencies,
+      ...packageJson.peerDependencies
+    };
+    const files = await this.listFiles();
+    const sources = files.filter(file => !this.isTestFile(file));
+
+    const detected = this.detectFramework(dependencies);
+    const chosen = this.resolveFramework(framework, detected);
+    const sourceRoot = existsSync(path.join(this.projectRoot, 'src')) || !existsSync(path.join(this.projectRoot, 'lib')) ? 'src' : 'lib';
+    const directories = this.detectDirectories(chosen.framework, sourceRoot);
+    const typescript = this.detectTypeScript(sources);
+
+    return {
+      ...chosen,
+      typescript,
+      moduleSystem: await this.detectModuleSystem(packageJson, sources, chosen.framework, typescript),
+      sourceRoot,
+      directories,
+      naming: this.detectNaming(files, directories),
+      componentLayout: await this.detectComponentLayout(directories.component),
+      tests: await this.detectTests(files, dependencies, chosen.framework),
+      dependencies
+    };
+  }
+
+  async readPackageJson() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.projectRoot, 'package.json'), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Source files relative to the project root, skipping dependencies and build output
+   */
+  async listFiles() {
+    const files = [];
+    const visit = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(this.projectRoot, dir), { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+      for (const entry of entries) {
+        if (files.length >= MAX_FILES) {return;}
+        const relative = dir ? `${dir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+            await visit(relative);
+          }
+        } else if (SOURCE_EXTENSIONS.has(path.extname(entry.name)) && !/\.(config|d)\.[^.]+$/.test(entry.name)) {
+          files.push(relative);
+        }
+      }
+    };
+    await visit('');
+    return files;
+  }
+
+  isTestFile(file) {
+    return /\.(test|spec)\.[^.]+$/.test(file) || file.split('/').some(part => TEST_DIRS.includes(part));
+  }
+
+  detectFramework(dependencies) {
+    const webFramework = ['express', 'fastify', 'koa'].find(name => dependencies[name]) || null;
+
+    if (dependencies.react || dependencies['react-dom'] || dependencies.next) {return { framework: 'react', webFramework };}
+    if (dependencies.vue || dependencies.nuxt) {return { framework: 'vue', webFramework };}
+    if (dependencies.svelte || dependencies['@sveltejs/kit']) {return { framework: 'svelte', webFramework };}
+    if (webFramework) {return { framework: 'node', webFramework };}
+    return { framework: 'javascript', webFramework };
+  }
+
+  resolveFramework(requested, detected) {
+    if (!requested) {return detected;}
+
+    switch (requested) {
+    case 'react':
+    case 'vue':
+    case 'svelte':
+    case 'javascript':
+      return { framework: requested, webFramework: detected.webFramework };
+    case 'express':
+    case 'fastify':
+    case 'koa':
+      return { framework: 'node', webFramework: requested };
+    case 'node':
+      return { framework: 'node', webFramework: detected.webFramework };
+    default:
+      throw new Error(`Unknown framework: ${requested}. Use react, vue, svelte, express, fastify, koa, node or javascript`);
+    }
+  }
+
+  detectDirectories(framework, sourceRoot) {
+    const find = (kind, fallback) =>
+      DIRECTORY_CANDIDATES[kind].find(dir => existsSync(path.join(this.projectRoot, dir))) || fallback;
+
+    return {
+      component: find('component', `${sourceRoot}/components`),
+      // Vue calls hooks composables
+      hook: framework === 'vue' ? find('composable', `${sourceRoot}/composables`) : find('hook', `${sourceRoot}/hooks`),
+      service: find('service', `${sourceRoot}/services`),
+      route: find('route', `${sourceRoot}/routes`),
+      middleware: find('middleware', `${sourceRoot}/middleware`)
+    };
+  }
+
+  detectTypeScript(sources) {
+    const count = pattern => sources.filter(file => pattern.test(file)).length;
+    const typescript = count(/\.tsx?$/);
+    const javascript = count(/\.(jsx?|mjs|cjs)$/);
+
+    if (typescript + javascript > 0) {return typescript > javascript;}
+    return existsSync(path.join(this.projectRoot, 'tsconfig.json'));
+  }
+
+  async detectModuleSystem(packageJson, sources, framework, typescript) {
+    if (packageJson.type === 'module' || typescript || ['react', 'vue', 'svelte'].includes(framework)) {
+      return 'esm';
+    }
+
+    // Without "type": "module", Node treats .js as CommonJS unless the sources say otherwise
+    let esm = 0;
+    let commonjs = 0;
+    for (const file of sources.filter(source => /\.js$/.test(source)).slice(0, 50)) {
+      const content = await fs.readFile(path.join(this.projectRoot, file), 'utf8').catch(() => '');
+      if (/^\s*(import\s.+\sfrom\s|export\s)/m.test(content)) {esm++;}
+      if (/\brequire\(|module\.exports/.test(content)) {commonjs++;}
+    }
+    return esm > commonjs ? 'esm' : 'commonjs';
+  }
+
+  /**
+   * File naming style per kind, from the files already in that kind's directory
+   */
+  detectNaming(files, directories) {
+    const naming = {};
+    for (const [kind, fallback] of Object.entries(DEFAULT_NAMING)) {
+      const names = files
+        .filter(file => path.dirname(file) === directories[kind] || path.dirname(path.dirname(file)) === directories[kind])
+        .filter(file => !this.isTestFile(file))
+        .map(file => path.basename(file).replace(/\..*$/, ''))
+        .filter(name => name !== 'index');
+      naming[kind] = this.majorityStyle(names) || fallback;
+    }
+    return naming;
+  }
+
+  majorityStyle(names) {
+    const counts = { PascalCase: 0, camelCase: 0, 'kebab-case': 0 };
+    for (const name of names) {
+      const style = classifyName(name);
+      if (style) {counts[style]++;}
+    }
+    const [style, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? style : null;
+  }
+
+  /**
+   * 'folder' when components live in their own directories (Button/Button.tsx or Button/index.tsx)
+   */
+  async detectComponentLayout(componentDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(this.projectRoot, componentDir), { withFileTypes: true });
+    } catch (error) {
+      return 'file';
+    }
+
+    const files = entries.filter(entry => entry.isFile() && SOURCE_EXTENSIONS.has(path.extname(entry.name))).length;
+    let folders = 0;
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const inner = await fs.readdir(path.join(this.projectRoot, componentDir, entry.name)).catch(() => []);
+      if (inner.some(name => name.replace(/\..*$/, '') === entry.name || /^index\./.test(name))) {folders++;}
+    }
+    return folders > files ? 'folder' : 'file';
+  }
+
+  async detectTests(files, dependencies, framework) {
+    const testFiles = files.filter(file => /\.(test|spec)\.[^.]+$/.test(file));
+    const runner = ['vitest', 'jest', 'mocha'].find(name => dependencies[name]) ||
+      (dependencies['ts-jest'] || dependencies['react-scripts'] ? 'jest' : null) ||
+      (['react', 'vue', 'svelte'].includes(framework) ? 'vitest' : 'node');
+
+    const spec = testFiles.filter(file => /\.spec\./.test(file)).length;
+    const suffix = spec > testFiles.length - spec ? '.spec' : '.test';
+
+    const inTestDir = file => TEST_DIRS.filter(dir => dir !== '__tests__').includes(file.split('/')[0]);
+    const inJestDir = file => file.split('/').includes('__tests__');
+    const counts = {
+      directory: testFiles.filter(inTestDir).length,
+      '__tests__': testFiles.filter(file => !inTestDir(file) && inJestDir(file)).length,
+      colocated: testFiles.filter(file => !inTestDir(file) && !inJestDir(file)).length
+    };
+    const [location, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+    const tests = {
+      runner,
+      suffix,
+      location: count > 0 ? location : (['react', 'vue', 'svelte'].includes(framework) ? 'colocated' : 'directory'),
+      directory: null,
+      mirror: false
+    };
+
+    if (tests.location === 'directory') {
+      const root = ['tests', 'test', 'spec'].find(dir => testFiles.some(file => file.startsWith(`${dir}/`))) ||
+        ['tests', 'test', 'spec'].find(dir => existsSync(path.join(this.projectRoot, dir))) || 'tests';
+      tests.directory = existsSync(path.join(this.projectRoot, root, 'unit')) ? `${root}/unit` : root;
+      // Tests in subdirectories that mirror the sources, like tests/services/userService.test.js
+      tests.mirror = testFiles.some(file => file.startsWith(`${tests.directory}/`) && file.slice(tests.directory.length + 1).includes('/'));
+    }
+
+    return tests;
+  }
+}
+
+/**
+ * Naming style of a file name; null for single lowercase words, which fit any style
+ * @param {string} name - File name without extension
+ * @returns {'PascalCase'|'camelCase'|'kebab-case'|null} Style
+ */
+export function classifyName(name) {
+  if (/^[a-z0-9]+(-[a-z0-9]+)+$/.test(name)) {return 'kebab-case';}
+  if (/^[A-Z][A-Za-z0-9]*$/.test(name)) {return 'PascalCase';}
+  if (/^[a-z][a-z0-9]*[A-Z][A-Za-z0-9]*$/.test(name)) {return 'camelCase';}
+  return null;
+}
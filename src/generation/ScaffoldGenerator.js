@@ -0,0 +1,442 @@
+/**
+ * Scaffold Generator
+ *
+ * Plans and writes the files of `codefortify generate <type> <name>`: a component, hook,
+ * service, route or middleware plus its test, or a test for an existing source file. Names,
+ * directories, languages, module systems and test placement follow the conventions found by
+ * ConventionDetector; the file contents come from the template set of the same name in a
+ * template pack (see TemplatePack). Existing files are never overwritten.
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { ConventionDetector } from './ConventionDetector.js';
+import { TemplatePack, DEFAULT_TEMPLATE_PACK } from '../templates/TemplatePack.js';
+import { splitWords, formatName } from '../utils/naming.js';
+
+export { splitWords, formatName };
+
+export const GENERATE_TYPES = ['component', 'hook', 'service', 'route', 'middleware', 'test'];
+
+const FRONTEND_FRAMEWORKS = ['react', 'vue', 'svelte'];
+
+// Shown when the template pack has nothing for the project's framework
+const FRAMEWORK_HINTS = {
+  component: 'Pass --framework react|vue|svelte to choose one',
+  hook: 'Pass --framework react|vue to choose one',
+  route: 'Pass --framework express|fastify|koa to choose one',
+  middleware: 'Pass --framework express|fastify|koa to choose one'
+};
+
+export class ScaffoldGenerator {
+  /**
+   * @param {Object} options - Generator options
+   * @param {string} options.projectRoot - Project root directory
+   * @param {Object} options.conventions - Result of ConventionDetector.detect()
+   * @param {TemplatePack} [options.pack] - Template pack; the project's or built-in `default` pack if omitted
+   * @param {Object} [options.variables] - Extra template variables, e.g. `templates.variables` from codefortify.config.js
+   */
+  constructor({ projectRoot, conventions, pack = null, variables = {} }) {
+    this.projectRoot = projectRoot;
+    this.conventions = conventions;
+    this.pack = pack;
+    this.variables = variables;
+  }
+
+  /**
+   * Files to generate, without writing anything
+   * @param {string} type - component, hook, service, route, middleware or test
+   * @param {string} name - Name of the generated code, or for tests the source file to test
+   * @param {Object} [options] - Plan options
+   * @param {boolean} [options.withTest=true] - Also generate the matching test file
+   * @param {string} [options.directory] - Write the source file here instead of the detected directory
+   * @returns {Promise<Array<{file: string, content: string, kind: 'source'|'test'}>>} Files relative to the project root
+   * @throws {Error} For unknown types, missing names or when the template pack has no template for the project's framework
+   */
+  async plan(type, name, { withTest = true, directory } = {}) {
+    if (!GENERATE_TYPES.includes(type)) {
+      throw new Error(`Unknown scaffold type: ${type}. Use ${GENERATE_TYPES.join(', ')}`);
+    }
+    if (!name || splitWords(name).length === 0) {
+      throw new Error(`A name is required, e.g. codefortify generate ${type} ${type === 'test' ? 'src/services/userService.js' : 'user-profile'}`);
+    }
+
+    if (type === 'test') {
+      const source = await this.resolveSourceFile(name);
+      const content = await fs.readFile(path.join(this.projectRoot, source), 'utf8');
+      const testFile = this.testFile(source);
+      const files = await this.render(type, { ...this.testForExports(source, detectExports(source, content), testFile), sourceFile: source, testFile });
+      return this.expect(files, testFile, type);
+    }
+
+    const scaffold = this[`${type}Scaffold`](splitWords(name));
+    const dir = directory ? directory.replace(/\\/g, '/').replace(/\/+$/, '') : this.conventions.directories[type];
+    const sourceFile = scaffold.folder ? `${dir}/${scaffold.fileName}/${scaffold.fileName}${scaffold.extension}` : `${dir}/${scaffold.fileName}${scaffold.extension}`;
+    // Test templates target {{testFile}}; an empty target leaves them out
+    const testFile = withTest ? this.testFile(sourceFile) : '';
+
+    const files = await this.render(type, {
+      ...scaffold,
+      sourceFile,
+      sourceDir: path.posix.dirname(sourceFile),
+      testFile,
+      importPath: testFile ? this.importPath(testFile, sourceFile) : ''
+    });
+    return this.expect(files, sourceFile, type);
+  }
+
+  /**
+   * Render the template set of a scaffold type
+   * @returns {Promise<Array<{file: string, content: string, kind: 'source'|'test'}>>} Files
+   */
+  async render(type, variables) {
+    if (!this.pack) {
+      this.pack = await TemplatePack.resolve(DEFAULT_TEMPLATE_PACK, { projectRoot: this.projectRoot });
+    }
+
+    const files = await this.pack.render(type, { ...this.templateVariables(), ...variables }, { helpers: this.helpers() });
+    return files.map(({ target, content }) => ({ file: target, content, kind: target === variables.testFile ? 'test' : 'source' }));
+  }
+
+  /**
+   * Fail when the template pack produced nothing for the scaffold's main file
+   */
+  expect(files, file, type) {
+    if (!files.some(candidate => candidate.file === file)) {
+      const { framework, webFramework } = this.conventions;
+      const stack = [framework, webFramework].filter(Boolean).join(' + ');
+      const hint = FRAMEWORK_HINTS[type] ? `. ${FRAMEWORK_HINTS[type]}` : '';
+      throw new Error(`The "${this.pack.name}" template pack has no ${type} template for ${stack} projects${hint}`);
+    }
+    return files;
+  }
+
+  /**
+   * Write planned files; nothing is written when any of them exists
+   * @param {Array<{file: string, content: string}>} files - Result of plan()
+   * @returns {Promise<string[]>} Written files
+   * @throws {Error} Listing the files that already exist
+   */
+  async write(files) {
+    const existing = files.filter(({ file }) => existsSync(path.join(this.projectRoot, file))).map(({ file }) => file);
+    if (existing.length > 0) {
+      throw new Error(`Refusing to overwrite existing file(s): ${existing.join(', ')}. Choose another name or remove them first`);
+    }
+
+    for (const { file, content } of files) {
+      const target = path.join(this.projectRoot, file);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // 'wx' fails instead of overwriting a file created since the check
+      await fs.writeFile(target, content, { flag: 'wx' });
+    }
+    return files.map(({ file }) => file);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Paths and module syntax
+  // ---------------------------------------------------------------------------
+
+  get ts() {
+    return this.conventions.typescript;
+  }
+
+  get esm() {
+    return this.conventions.moduleSystem === 'esm';
+  }
+
+  get ext() {
+    return this.ts ? '.ts' : '.js';
+  }
+
+  /**
+   * Test file for a source file, placed by the project's test location
+   */
+  testFile(source) {
+    const { tests, sourceRoot } = this.conventions;
+    const dir = path.posix.dirname(source);
+    const base = path.posix.basename(source).replace(/\.[^.]+$/, '');
+    const sourceExtension = path.posix.extname(source);
+    // JSX tests keep the JSX extension; Vue and Svelte tests are plain scripts
+    const extension = ['.jsx', '.tsx'].includes(sourceExtension) ? sourceExtension : this.ext;
+    const fileName = `${base}${tests.suffix}${extension}`;
+
+    let testDir;
+    if (tests.location === 'colocated') {
+      testDir = dir;
+    } else if (tests.location === '__tests__') {
+      testDir = `${dir}/__tests__`;
+    } else {
+      const relative = path.posix.relative(sourceRoot, dir);
+      testDir = tests.mirror && relative && !relative.startsWith('..') ? `${tests.directory}/${relative}` : tests.directory;
+    }
+
+    return `${testDir}/${fileName}`;
+  }
+
+  /**
+   * Import specifier of `source` from `file`; TypeScript imports drop the .ts/.tsx extension
+   */
+  importPath(file, source) {
+    let relative = path.posix.relative(path.posix.dirname(file), source);
+    if (this.ts) {relative = relative.replace(/\.tsx?$/, '');}
+    return relative.startsWith('.') ? relative : `./${relative}`;
+  }
+
+  /**
+   * Module system of generated tests: Vitest always runs ES modules
+   */
+  get testEsm() {
+    return this.conventions.tests.runner === 'vitest' || this.esm;
+  }
+
+  importLine(spec, source, esm = this.esm) {
+    const named = spec.named?.length ? `{ ${spec.named.join(', ')} }` : null;
+    if (esm) {
+      return `import ${[spec.default, named].filter(Boolean).join(', ')} from '${source}';`;
+    }
+    return `const ${spec.default || named} = require('${source}');`;
+  }
+
+  /**
+   * Test file preamble for the detected runner, one import per line
+   */
+  testImports() {
+    const { runner } = this.conventions.tests;
+    if (runner === 'vitest') {
+      return ['import { describe, it, expect } from \'vitest\';'];
+    }
+    if (runner === 'node') {
+      return [
+        this.importLine({ named: ['describe', 'it'] }, 'node:test', this.testEsm),
+        this.importLine({ default: 'assert' }, 'node:assert/strict', this.testEsm)
+      ];
+    }
+    if (runner === 'mocha') {
+      return [this.importLine({ default: 'assert' }, 'node:assert/strict', this.testEsm)];
+    }
+    return [];
+  }
+
+  /**
+   * Assertions in the runner's style: expect() for Vitest and Jest, node:assert otherwise
+   */
+  get assert() {
+    if (['vitest', 'jest'].includes(this.conventions.tests.runner)) {
+      return {
+        truthy: value => `expect(${value}).toBeTruthy()`,
+        equal: (actual, expected) => `expect(${actual}).toEqual(${expected})`,
+        contains: (actual, expected) => `expect(${actual}).toContain(${expected})`
+      };
+    }
+    return {
+      truthy: value => `assert.ok(${value})`,
+      equal: (actual, expected) => `assert.deepStrictEqual(${actual}, ${expected})`,
+      contains: (actual, expected) => `assert.ok(${actual}.includes(${expected}))`
+    };
+  }
+
+  has(dependency) {
+    return Boolean(this.conventions.dependencies?.[dependency]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Template variables and helpers shared by all scaffold templates
+  // ---------------------------------------------------------------------------
+
+  templateVariables() {
+    const { framework, webFramework, moduleSystem, tests, dependencies } = this.conventions;
+    return {
+      ...this.variables,
+      framework,
+      webFramework,
+      frontend: FRONTEND_FRAMEWORKS.includes(framework),
+      typescript: this.ts,
+      moduleSystem,
+      esm: this.esm,
+      testEsm: this.testEsm,
+      runner: tests.runner,
+      // CommonJS modules list their exports at the end instead
+      exportKeyword: this.esm ? 'export ' : '',
+      testImports: this.testImports(),
+      dependencies: dependencies || {}
+    };
+  }
+
+  /**
+   * Helpers for module syntax, TypeScript-only text and runner-specific assertions:
+   * - `{{import "express" named="Router" default="x" esm=testEsm}}`: import or require line,
+   *   in the project's module system unless `esm` is given
+   * - `{{ts ": string"}}`: the text in TypeScript projects, nothing otherwise
+   * - `{{has "supertest"}}`: whether the project depends on a package
+   * - `{{assertEqual actual expected}}`, `{{assertTruthy value}}`, `{{assertContains list item}}`:
+   *   an assertion expression (without semicolon) taking code as strings
+   */
+  helpers() {
+    const { assert } = this;
+    return {
+      import: (source, { hash }) => this.importLine({
+        default: hash.default,
+        named: hash.named ? String(hash.named).split(/\s*,\s*/) : []
+      }, source, hash.esm ?? this.esm),
+      ts: text => (this.ts ? text : ''),
+      has: dependency => this.has(dependency),
+      assertEqual: (actual, expected) => assert.equal(actual, expected),
+      assertTruthy: value => assert.truthy(value),
+      assertContains: (actual, expected) => assert.contains(actual, expected)
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Template variables per scaffold type: name, fileName, extension and folder
+  // ---------------------------------------------------------------------------
+
+  componentScaffold(words) {
+    const { framework, naming, componentLayout } = this.conventions;
+    const extensions = { vue: '.vue', svelte: '.svelte' };
+    return {
+      name: formatName(words, 'PascalCase'),
+      cssClass: formatName(words, 'kebab-case'),
+      fileName: formatName(words, naming.component),
+      extension: extensions[framework] || (this.ts ? '.tsx' : '.jsx'),
+      folder: componentLayout === 'folder'
+    };
+  }
+
+  hookScaffold(words) {
+    const hookWords = words[0] === 'use' ? words : ['use', ...words];
+    return {
+      name: formatName(hookWords, 'camelCase'),
+      fileName: formatName(hookWords, this.conventions.naming.hook),
+      extension: this.ext
+    };
+  }
+
+  serviceScaffold(words) {
+    const entityWords = words[words.length - 1] === 'service' && words.length > 1 ? words.slice(0, -1) : words;
+    return {
+      name: `${formatName(entityWords, 'PascalCase')}Service`,
+      entity: formatName(entityWords, 'PascalCase'),
+      // Front ends call an API; back ends and libraries own the data
+      baseUrl: `/api/${formatName(entityWords, 'kebab-case')}`,
+      fileName: formatName([...entityWords, 'service'], this.conventions.naming.service),
+      extension: this.ext
+    };
+  }
+
+  routeScaffold(words) {
+    return {
+      name: `${formatName(words, 'camelCase')}${this.conventions.webFramework === 'fastify' ? 'Routes' : 'Router'}`,
+      resource: formatName(words, 'kebab-case'),
+      fileName: formatName(words, this.conventions.naming.route),
+      extension: this.ext
+    };
+  }
+
+  middlewareScaffold(words) {
+    const { framework, webFramework, naming } = this.conventions;
+    return {
+      name: formatName(words, 'camelCase'),
+      // Without a web framework, back ends get the connect-style (req, res, next) signature
+      middlewareStyle: webFramework || (FRONTEND_FRAMEWORKS.includes(framework) ? null : 'express'),
+      fileName: formatName(words, naming.middleware),
+      extension: this.ext
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tests for existing files
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Source file for `generate test <name>`: a path, or a file name found in the project
+   */
+  async resolveSourceFile(name) {
+    const asPath = name.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (existsSync(path.join(this.projectRoot, asPath)) && (await fs.stat(path.join(this.projectRoot, asPath))).isFile()) {
+      return asPath;
+    }
+
+    const detector = new ConventionDetector(this.projectRoot);
+    const wanted = splitWords(path.basename(asPath).replace(/\.[^.]+$/, '')).join('-');
+    const matches = (await detector.listFiles())
+      .filter(file => !detector.isTestFile(file))
+      .filter(file => splitWords(path.basename(file).replace(/\..*$/, '')).join('-') === wanted);
+
+    if (matches.length === 0) {
+      throw new Error(`No source file named ${name} found. Pass the path of the file to test`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Several source files match ${name}: ${matches.join(', ')}. Pass the path of the file to test`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Template variables of a test for an existing file: `name`, `exportNames` and the
+   * `subjectImport` line importing them
+   */
+  testForExports(source, exports, testFile) {
+    const extension = path.extname(source);
+    const base = path.basename(source, extension);
+    // Components and ES modules can always be imported; CommonJS tests of ES modules cannot
+    const esm = ['.vue', '.svelte', '.jsx', '.tsx', '.mjs'].includes(extension) || this.testEsm;
+    const defaultName = formatName(splitWords(base), extension === '.vue' || extension === '.svelte' ? 'PascalCase' : 'camelCase');
+    const names = exports.named.length > 0 ? exports.named : [];
+    const spec = {
+      default: exports.default && (names.length === 0 || esm) ? defaultName : undefined,
+      named: names
+    };
+    const exportNames = [...(spec.default ? [spec.default] : []), ...names];
+    const importPath = this.importPath(testFile, source);
+
+    return {
+      name: base,
+      exportNames,
+      importPath,
+      subjectImport: exportNames.length > 0
+        ? this.importLine(spec, importPath, esm)
+        : esm ? `import * as subject from '${importPath}';` : `const subject = require('${importPath}');`
+    };
+  }
+}
+
+/**
+ * Exported names of a source file
+ * @param {string} file - File path, for the extension
+ * @param {string} content - File content
+ * @returns {{default: boolean, named: string[]}} Default export and named exports
+ */
+export function detectExports(file, content) {
+  if (['.vue', '.svelte'].includes(path.extname(file))) {
+    return { default: true, named: [] };
+  }
+
+  const named = new Set();
+  let hasDefault = /\bexport\s+default\b/.test(content);
+
+  for (const match of content.matchAll(/\bexport\s+(?:declare\s+)?(?:async\s+)?(?:function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/g)) {
+    named.add(match[1]);
+  }
+  for (const match of content.matchAll(/\bexport\s*\{([^}]*)\}/g)) {
+    for (const part of match[1].split(',')) {
+      const exported = part.trim().split(/\s+as\s+/).pop().trim();
+      if (exported === 'default') {hasDefault = true;} else if (/^[A-Za-z_$][\w$]*$/.test(exported)) {named.add(exported);}
+    }
+  }
+
+  const commonjs = content.match(/\bmodule\.exports\s*=\s*\{([^}]*)\}/);
+  if (commonjs) {
+    for (const part of commonjs[1].split(',')) {
+      const exported = part.trim().split(':')[0].trim();
+      if (/^[A-Za-z_$][\w$]*$/.test(exported)) {named.add(exported);}
+    }
+  } else if (/\bmodule\.exports\s*=/.test(content)) {
+    hasDefault = true;
+  }
+  for (const match of content.matchAll(/\b(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/g)) {
+    named.add(match[1]);
+  }
+
+  return { default: hasDefault, named: [...named] };
+}
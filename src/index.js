@@ -13,6 +13,10 @@ export { PatternProvider } from './server/PatternProvider.js';
 // Validation components
 export { CodeFortifyValidator } from './validation/CodeFortifyValidator.js';
 
+// Scoring plugin contract - custom analyzers extend BaseAnalyzer
+export { BaseAnalyzer } from './scoring/analyzers/BaseAnalyzer.js';
+export { Finding, FindingSeverity } from './scoring/core/Finding.js';
+
 // Testing components
 export { MCPConnectionTester } from './testing/MCPTester.js';
 
@@ -10,11 +10,15 @@
  * - Developer Experience & Tooling (10pts)
  * - Completeness & Production Readiness (5pts)
  * Total: 100pts
+ *
+ * Weights, grade bands and thresholds can be overridden under `scoring` in
+ * codefortify.config.js; a category with weight 0 is not analyzed.
  */
 
 import fs from 'fs/promises';
 import { existsSync, readFileSync } from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { StructureAnalyzer } from './analyzers/StructureAnalyzer.js';
 import { QualityAnalyzer } from './analyzers/QualityAnalyzer.js';
 import { PerformanceAnalyzer } from './analyzers/PerformanceAnalyzer.js';
@@ -23,8 +27,16 @@ import { SecurityAnalyzer } from './analyzers/SecurityAnalyzer.js';
 import { DeveloperExperienceAnalyzer } from './analyzers/DeveloperExperienceAnalyzer.js';
 import { CompletenessAnalyzer } from './analyzers/CompletenessAnalyzer.js';
 import { ScoringReport } from './ScoringReport.js';
+import { AnalysisCache } from './core/AnalysisCache.js';
+import { DependencyGraph } from '../security/DependencyGraph.js';
+import { AnalyzerScheduler } from './core/AnalyzerScheduler.js';
+import { PerformanceMonitor } from './core/PerformanceMonitor.js';
+import { gradeFor } from '../config/scoringConfig.js';
+import { resolveScoringConfig, resolveSecurityConfig } from '../config/configLoader.js';
 import { RecommendationEngine } from './RecommendationEngine.js';
 
+const ANALYZERS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'analyzers');
+
 export class ProjectScorer {
   constructor(config = {}) {
     this.config = {
@@ -41,7 +53,30 @@ export class ProjectScorer {
       this.config.projectType = this.detectProjectType();
     }
 
+    // Weights, grade bands and thresholds in effect (`scoring` block of codefortify.config.js)
+    this.scoring = resolveScoringConfig(this.config.scoring);
+    this.security = resolveSecurityConfig(this.config.security);
+
+    // Per-file results are reused across runs unless disabled with `cache: false` (--no-cache)
+    this.cache = new AnalysisCache(this.config.projectRoot, {
+      enabled: this.config.cache !== false,
+      // Everything that reaches the analyzers; plugins may cache per-file results shaped by their options
+      configHash: AnalysisCache.hashConfig({
+        projectType: this.config.projectType,
+        scoring: this.scoring,
+        security: this.security,
+        plugins: (this.config.plugins || []).map(({ key, weight, modulePath, exportName, options }) => ({ key, weight, modulePath, exportName, options }))
+      })
+    });
+
     this.analyzers = this.initializeAnalyzers();
+    this.concurrency = AnalyzerScheduler.resolveConcurrency(this.config.concurrency);
+    this.performanceMonitor = new PerformanceMonitor({
+      projectRoot: this.config.projectRoot,
+      verbose: this.config.verbose,
+      enableBundleAnalysis: false,
+      enableMemoryTracking: false
+    });
     this.reportGenerator = new ScoringReport(this.config);
     this.recommendationEngine = new RecommendationEngine(this.config);
 
@@ -57,7 +92,19 @@ export class ProjectScorer {
         projectRoot: this.config.projectRoot,
         projectType: this.config.projectType,
         projectName: this.config.projectName,
-        version: '1.0.0'
+        version: '1.0.0',
+        scoring: {
+          weights: this.getWeights(),
+          gradeThresholds: this.scoring.gradeThresholds,
+          moduleSizeThresholds: this.scoring.moduleSizeThresholds,
+          complexityThresholds: this.scoring.complexityThresholds,
+          customized: this.scoring.customized
+        },
+        diffScope: this.config.diffScope ? {
+          mode: this.config.diffScope.mode,
+          ref: this.config.diffScope.ref,
+          changedFiles: this.config.diffScope.files
+        } : null
       }
     };
   }
@@ -66,10 +113,17 @@ export class ProjectScorer {
     const baseConfig = {
       projectRoot: this.config.projectRoot,
       projectType: this.config.projectType,
-      verbose: this.config.verbose
+      verbose: this.config.verbose,
+      changedFiles: this.config.diffScope ? this.config.diffScope.files : null,
+      cache: this.cache,
+      gradeThresholds: this.scoring.gradeThresholds,
+      moduleSizeThresholds: this.scoring.moduleSizeThresholds,
+      complexityThresholds: this.scoring.complexityThresholds,
+      security: this.security
     };
 
-    return {
+    // Built-in analyzers award points on their default scale; recordCategoryResult() rescales to the configured weight
+    const analyzers = {
       structure: new StructureAnalyzer({ ...baseConfig, maxScore: 20 }),
       quality: new QualityAnalyzer({ ...baseConfig, maxScore: 20 }),
       performance: new PerformanceAnalyzer({ ...baseConfig, maxScore: 15 }),
@@ -78,18 +132,57 @@ export class ProjectScorer {
       developerExperience: new DeveloperExperienceAnalyzer({ ...baseConfig, maxScore: 10 }),
       completeness: new CompletenessAnalyzer({ ...baseConfig, maxScore: 5 })
     };
+
+    for (const key of Object.keys(analyzers)) {
+      if (this.scoring.weights[key] === 0) {
+        delete analyzers[key];
+      }
+    }
+
+    return { ...analyzers, ...this.initializePluginAnalyzers(baseConfig) };
+  }
+
+  /**
+   * Category weights in effect, including plugin categories
+   * @returns {Object<string, number>} Maximum points per category key
+   */
+  getWeights() {
+    const pluginWeights = (this.config.plugins || []).map(plugin => [plugin.key, plugin.weight]);
+    return { ...this.scoring.weights, ...Object.fromEntries(pluginWeights) };
+  }
+
+  /**
+   * Plugin analyzers from `scoring.plugins`, already loaded and validated by loadPlugins()
+   */
+  initializePluginAnalyzers(baseConfig) {
+    this.plugins = new Map((this.config.plugins || []).map(plugin => [plugin.key, plugin]));
+
+    return Object.fromEntries([...this.plugins.values()].map(plugin => [
+      plugin.key,
+      new plugin.AnalyzerClass({ ...baseConfig, maxScore: plugin.weight, options: plugin.options })
+    ]));
   }
 
+  /**
+   * Analyze the project and compute its overall score
+   * @param {Object} [options={}] - Scoring options
+   * @param {Array<string>} [options.categories=['all']] - Category keys to analyze
+   * @param {boolean} [options.detailed=false] - Add file statistics, dependencies and metrics
+   * @param {Function} [options.onProgress] - Called as each category completes with
+   *   { completed, total, category, categoryName }
+   * @returns {Promise<Object>} Scoring results
+   */
   async scoreProject(options = {}) {
     const {
       categories = ['all'],
       // _skipCache = false, // Unused parameter
-      detailed = false
+      detailed = false,
+      onProgress = null
     } = options;
 
     try {
-      console.log(`🎯 Analyzing ${this.config.projectName} project quality...`);
-      console.log('══════════════════════════════════════════════════════════');
+      this.log(`🎯 Analyzing ${this.config.projectName} project quality...`);
+      this.log('══════════════════════════════════════════════════════════');
 
       // Check tool availability and provide guidance
       await this.checkToolAvailability();
@@ -103,43 +196,40 @@ export class ProjectScorer {
         throw new Error(`No valid categories specified. Available: ${Object.keys(this.analyzers).join(', ')}`);
       }
 
-      // Run analysis for each category
-      for (const categoryKey of categoriesToAnalyze) {
-        const analyzer = this.analyzers[categoryKey];
-
-        if (this.config.verbose) {
-          console.log(`\n🔍 Analyzing ${analyzer.categoryName}...`);
-        }
-
-        try {
-          const result = await analyzer.analyze();
-          this.results.categories[categoryKey] = {
-            ...result,
-            weight: analyzer.maxScore,
-            categoryName: analyzer.categoryName
-          };
+      await this.cache.load();
+
+      // Loaded once per run and shared by every analyzer, like the cache
+      this.dependencyGraph = undefined;
+      const dependencyGraph = await this.loadDependencyGraph();
+      Object.values(this.analyzers).forEach(analyzer => {
+        analyzer.config.dependencyGraph = dependencyGraph;
+        analyzer.dependencyGraph = undefined;
+      });
+
+      // Run the analyzers, in worker threads when concurrency allows; outcomes keep category order
+      const scheduler = new AnalyzerScheduler({ concurrency: this.concurrency, cache: this.cache });
+      const run = this.performanceMonitor.startParallelRun();
+      const outcomes = await scheduler.run(categoriesToAnalyze.map(categoryKey => this.createAnalyzerTask(categoryKey)), {
+        onTaskComplete: onProgress && ((outcome, completed) => onProgress({
+          completed,
+          total: categoriesToAnalyze.length,
+          category: outcome.key,
+          categoryName: this.analyzers[outcome.key].categoryName
+        }))
+      });
+      this.results.performance = {
+        parallel: this.performanceMonitor.endParallelRun(run, {
+          concurrency: Math.min(this.concurrency, outcomes.length),
+          tasks: outcomes
+        })
+      };
 
-          if (this.config.verbose) {
-            console.log(`   Score: ${result.score}/${analyzer.maxScore}`);
-          }
-        } catch (error) {
-          console.error(`❌ Failed to analyze ${analyzer.categoryName}: ${error.message}`);
-
-          // Add failed category with 0 score
-          this.results.categories[categoryKey] = {
-            score: 0,
-            maxScore: analyzer.maxScore,
-            grade: 'F',
-            issues: [`Analysis failed: ${error.message}`],
-            suggestions: ['Fix analysis errors to get proper scoring'],
-            details: {},
-            weight: analyzer.maxScore,
-            categoryName: analyzer.categoryName,
-            error: error.message
-          };
-        }
+      for (const outcome of outcomes) {
+        this.recordCategoryResult(outcome);
       }
 
+      await this.saveCache();
+
       // Calculate overall score
       this.calculateOverallScore();
 
@@ -152,7 +242,7 @@ export class ProjectScorer {
         this.results.detailed = await this.generateDetailedAnalysis();
       }
 
-      console.log('\n✅ Analysis complete!');
+      this.log('\n✅ Analysis complete!');
 
       return this.results;
 
@@ -162,6 +252,109 @@ export class ProjectScorer {
     }
   }
 
+  /**
+   * Progress output; `quiet` keeps stdout clean for callers that own it, such as the MCP server
+   */
+  log(message) {
+    if (!this.config.quiet) {
+      console.log(message);
+    }
+  }
+
+  /**
+   * Describe an analyzer run for the scheduler; workers import the module and rebuild the analyzer
+   */
+  createAnalyzerTask(categoryKey) {
+    const analyzer = this.analyzers[categoryKey];
+    const plugin = this.plugins.get(categoryKey);
+    const config = { ...analyzer.config };
+    delete config.cache;
+
+    return {
+      key: categoryKey,
+      modulePath: plugin ? plugin.modulePath : path.join(ANALYZERS_DIR, `${analyzer.constructor.name}.js`),
+      exportName: plugin ? plugin.exportName : analyzer.constructor.name,
+      config,
+      analyzer
+    };
+  }
+
+  /**
+   * Store a scheduler outcome as a category result; failed analyzers score 0
+   */
+  recordCategoryResult({ key, result, error }) {
+    const analyzer = this.analyzers[key];
+    const weight = this.getWeights()[key];
+
+    if (this.config.verbose) {
+      console.log(`\n🔍 ${analyzer.categoryName}`);
+    }
+
+    if (result) {
+      const category = {
+        ...result,
+        weight,
+        categoryName: analyzer.categoryName,
+        diffScoped: Boolean(this.config.diffScope)
+      };
+
+      if (this.plugins.has(key)) {
+        // Plugins cannot award more (or fewer) points than their configured weight
+        category.score = Math.min(Math.max(category.score, 0), category.maxScore);
+        category.grade = analyzer.calculateGrade(category.score / category.maxScore);
+        category.plugin = true;
+      } else if (weight !== category.maxScore) {
+        // Rescale from the analyzer's default points to the configured weight; the grade is unchanged
+        category.score = Math.round((category.score / category.maxScore) * weight * 100) / 100;
+        category.maxScore = weight;
+      }
+
+      this.results.categories[key] = category;
+
+      if (this.config.verbose) {
+        console.log(`   Score: ${category.score}/${weight}`);
+      }
+      return;
+    }
+
+    console.error(`❌ Failed to analyze ${analyzer.categoryName}: ${error}`);
+
+    // Add failed category with 0 score
+    this.results.categories[key] = {
+      score: 0,
+      maxScore: weight,
+      grade: 'F',
+      issues: [`Analysis failed: ${error}`],
+      findings: [],
+      suggestions: ['Fix analysis errors to get proper scoring'],
+      details: {},
+      weight,
+      categoryName: analyzer.categoryName,
+      plugin: this.plugins.has(key),
+      error
+    };
+  }
+
+  /**
+   * Persist the analysis cache; a failed write only costs speed on the next run
+   */
+  async saveCache() {
+    try {
+      // Diff-scoped runs only see some files, so they must not prune the others
+      await this.cache.save({ prune: !this.config.diffScope });
+    } catch (error) {
+      if (this.config.verbose) {
+        console.warn(`⚠️  Could not write analysis cache: ${error.message}`);
+      }
+    }
+
+    this.results.metadata.cache = {
+      enabled: this.cache.enabled,
+      hits: this.cache.stats.hits,
+      misses: this.cache.stats.misses
+    };
+  }
+
   calculateOverallScore() {
     let totalScore = 0;
     let maxTotalScore = 0;
@@ -187,19 +380,7 @@ export class ProjectScorer {
   }
 
   calculateGrade(percentage) {
-    if (percentage >= 0.97) {return 'A+';}
-    if (percentage >= 0.93) {return 'A';}
-    if (percentage >= 0.90) {return 'A-';}
-    if (percentage >= 0.87) {return 'B+';}
-    if (percentage >= 0.83) {return 'B';}
-    if (percentage >= 0.80) {return 'B-';}
-    if (percentage >= 0.77) {return 'C+';}
-    if (percentage >= 0.73) {return 'C';}
-    if (percentage >= 0.70) {return 'C-';}
-    if (percentage >= 0.67) {return 'D+';}
-    if (percentage >= 0.65) {return 'D';}
-    if (percentage >= 0.60) {return 'D-';}
-    return 'F';
+    return gradeFor(percentage, this.scoring.gradeThresholds);
   }
 
   async generateDetailedAnalysis() {
@@ -273,6 +454,7 @@ export class ProjectScorer {
         development: Object.keys(devDeps).length,
         total: totalDeps,
         hasLockfile: await this.checkLockfileExists(),
+        installed: await this.summarizeDependencyGraph(),
         frameworks: this.identifyFrameworks(deps, devDeps),
         testingTools: this.identifyTestingTools(deps, devDeps),
         buildTools: this.identifyBuildTools(deps, devDeps)
@@ -283,6 +465,49 @@ export class ProjectScorer {
     }
   }
 
+  /**
+   * Load the dependency graph once per run for every analyzer, in process or in a worker
+   * @returns {Promise<Object|null>} DependencyGraph.toJSON() state, null without a lockfile,
+   *   or `{ error }` when the lockfile cannot be parsed, which each analyzer reports
+   */
+  async loadDependencyGraph() {
+    if (this.dependencyGraph === undefined) {
+      try {
+        this.dependencyGraph = (await DependencyGraph.loadInstalled(this.config.projectRoot))?.toJSON() ?? null;
+      } catch (error) {
+        this.dependencyGraph = { error: error.message };
+      }
+    }
+    return this.dependencyGraph;
+  }
+
+  /**
+   * Installed dependency tree from the lockfile: package counts, duplicates, depth,
+   * deprecated packages, install scripts and licenses
+   * @returns {Promise<Object|null>} Summary, or null without a lockfile
+   */
+  async summarizeDependencyGraph() {
+    try {
+      const state = await this.loadDependencyGraph();
+      if (state?.error) {throw new Error(state.error);}
+      if (!state) {return null;}
+
+      const summary = DependencyGraph.fromJSON(state).summarize();
+      return {
+        lockfile: summary.lockfile,
+        packages: summary.packages,
+        production: summary.production,
+        duplicates: summary.duplicates.map(pkg => `${pkg.name}@${pkg.versions.join('|')}`),
+        maxDepth: summary.maxDepth,
+        deprecated: summary.deprecated.map(pkg => `${pkg.name}@${pkg.version}`),
+        installScripts: summary.installScripts.map(pkg => `${pkg.name}@${pkg.version}`),
+        licenses: summary.licenses
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
   async checkLockfileExists() {
     const lockfiles = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
 
@@ -463,10 +688,10 @@ export class ProjectScorer {
 
       // Display suggestions if any tools are missing
       if (availabilityStatus.suggestions.length > 0) {
-        console.log('\n💡 Tool Availability Recommendations:');
-        console.log('────────────────────────────────────────────────────────────');
-        availabilityStatus.suggestions.forEach(suggestion => console.log(suggestion));
-        console.log('');
+        this.log('\n💡 Tool Availability Recommendations:');
+        this.log('────────────────────────────────────────────────────────────');
+        availabilityStatus.suggestions.forEach(suggestion => this.log(suggestion));
+        this.log('');
       }
 
       return availabilityStatus;
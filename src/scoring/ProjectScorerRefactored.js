@@ -282,6 +282,7 @@ export class ProjectScorer {
           maxScore: analyzer.maxScore,
           error: error.message,
           issues: [`Analysis failed: ${error.message}`],
+          findings: [],
           recommendations: []
         };
       }
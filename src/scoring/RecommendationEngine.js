@@ -79,6 +79,10 @@ export class RecommendationEngine {
     case 'completeness':
       recommendations.push(...this.getCompletenessRecommendations(categoryResult, percentage));
       break;
+    default:
+      // Plugin categories have no built-in rules; their findings drive the recommendations
+      recommendations.push(...this.getPluginRecommendations(categoryKey, categoryResult, percentage));
+      break;
     }
 
     return recommendations;
@@ -359,6 +363,33 @@ export class RecommendationEngine {
     return recs;
   }
 
+  /**
+   * One recommendation per plugin rule, using the fix of its most severe finding
+   */
+  getPluginRecommendations(categoryKey, result, percentage) {
+    if (percentage >= 100) {return [];}
+
+    const impactBySeverity = { critical: 4, high: 3, medium: 2, low: 1, info: 1 };
+    const byRule = new Map();
+    for (const finding of result.findings || []) {
+      const current = byRule.get(finding.ruleId);
+      if (!current || impactBySeverity[finding.severity] > impactBySeverity[current.finding.severity]) {
+        byRule.set(finding.ruleId, { finding, count: (current?.count || 0) + 1 });
+      } else {
+        current.count++;
+      }
+    }
+
+    return [...byRule.values()].map(({ finding, count }) => ({
+      category: categoryKey,
+      impact: impactBySeverity[finding.severity] || 1,
+      priority: finding.severity === 'info' ? 'low' : finding.severity,
+      suggestion: finding.message,
+      description: `${result.categoryName || categoryKey}: ${count} finding${count === 1 ? '' : 's'} for rule ${finding.ruleId}.`,
+      action: finding.fix || `Resolve the ${finding.ruleId} findings reported by the ${categoryKey} analyzer`
+    }));
+  }
+
   getGeneralRecommendations(results) {
     const recs = [];
     const { overall, categories } = results;
@@ -12,6 +12,7 @@ import { promisify } from 'util';
 import { HTMLReportGenerator } from './report/HTMLReportGenerator.js';
 import { MarkdownReportGenerator } from './report/MarkdownReportGenerator.js';
 import { JSONReportGenerator } from './report/JSONReportGenerator.js';
+import { SARIFReportGenerator } from './report/SARIFReportGenerator.js';
 
 const execAsync = promisify(exec);
 
@@ -21,12 +22,13 @@ export class ScoringReport {
     this.htmlGenerator = new HTMLReportGenerator();
     this.markdownGenerator = new MarkdownReportGenerator();
     this.jsonGenerator = new JSONReportGenerator();
+    this.sarifGenerator = new SARIFReportGenerator();
   }
 
   /**
    * Generate report in specified format
    * @param {Object} results - Scoring results
-   * @param {string} format - Output format (html, markdown, json)
+   * @param {string} format - Output format (html, markdown, json, sarif)
    * @returns {Promise<string>} Generated report content
    */
   async generate(results, format = 'html') {
@@ -38,6 +40,8 @@ export class ScoringReport {
       return await this.generateMarkdown(results);
     case 'json':
       return await this.generateJSON(results);
+    case 'sarif':
+      return await this.generateSARIF(results);
     default:
       throw new Error(`Unsupported format: ${format}`);
     }
@@ -70,6 +74,15 @@ export class ScoringReport {
     return await this.jsonGenerator.generate(results);
   }
 
+  /**
+   * Generate SARIF 2.1.0 report
+   * @param {Object} results - Scoring results
+   * @returns {Promise<string>} SARIF JSON string
+   */
+  async generateSARIF(results) {
+    return await this.sarifGenerator.generate(results);
+  }
+
   /**
    * Save report to file
    * @param {string} content - Report content
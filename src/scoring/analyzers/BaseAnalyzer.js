@@ -8,6 +8,10 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { AnalyzerErrorHandler, AnalyzerError, ErrorTypes, ErrorSeverity } from '../core/AnalyzerErrorHandler.js';
+import { Finding, FindingSeverity } from '../core/Finding.js';
+import { AnalysisCache } from '../core/AnalysisCache.js';
+import { DependencyGraph } from '../../security/DependencyGraph.js';
+import { gradeFor } from '../../config/scoringConfig.js';
 
 export class BaseAnalyzer {
   constructor(config) {
@@ -19,8 +23,18 @@ export class BaseAnalyzer {
       ...config
     };
 
+    // Diff-aware mode: file-level checks only see these project-relative paths
+    this.changedFiles = Array.isArray(this.config.changedFiles)
+      ? new Set(this.config.changedFiles.map(file => path.normalize(file)))
+      : null;
+
+    // Incremental cache shared by all analyzers of a run; bump analyzerVersion when per-file logic changes
+    this.cache = this.config.cache || null;
+
     this.categoryName = 'Base Category';
+    this.categoryKey = 'base';
     this.description = 'Base analyzer description';
+    this.analyzerVersion = 1;
 
     // Initialize error handler
     this.errorHandler = new AnalyzerErrorHandler({
@@ -37,6 +51,7 @@ export class BaseAnalyzer {
       grade: 'F',
       issues: [],
       suggestions: [],
+      findings: [],
       details: {},
       analysisTime: 0,
       errors: [],
@@ -86,8 +101,12 @@ export class BaseAnalyzer {
         this.categoryName
       );
 
-      this.results.issues.push(`Critical analysis error: ${error.message}`);
-      this.results.suggestions.push('Review error logs and ensure all dependencies are available');
+      this.addFinding({
+        ruleId: 'analysis-error',
+        severity: FindingSeverity.CRITICAL,
+        message: `Critical analysis error: ${error.message}`,
+        fix: 'Review error logs and ensure all dependencies are available'
+      });
       this.results.analysisTime = Date.now() - startTime;
       this.results.score = 0; // Critical failure means no score
       this.results.grade = 'F';
@@ -144,19 +163,7 @@ export class BaseAnalyzer {
   }
 
   calculateGrade(percentage) {
-    if (percentage >= 0.97) {return 'A+';}
-    if (percentage >= 0.93) {return 'A';}
-    if (percentage >= 0.90) {return 'A-';}
-    if (percentage >= 0.87) {return 'B+';}
-    if (percentage >= 0.83) {return 'B';}
-    if (percentage >= 0.80) {return 'B-';}
-    if (percentage >= 0.77) {return 'C+';}
-    if (percentage >= 0.73) {return 'C';}
-    if (percentage >= 0.70) {return 'C-';}
-    if (percentage >= 0.67) {return 'D+';}
-    if (percentage >= 0.65) {return 'D';}
-    if (percentage >= 0.60) {return 'D-';}
-    return 'F';
+    return gradeFor(percentage, this.config.gradeThresholds);
   }
 
   addScore(points, maxPoints, reason = '') {
@@ -168,14 +175,30 @@ export class BaseAnalyzer {
   }
 
   /**
-   * Add issue with optional error handling context
+   * Take back points for a problem found after they were awarded; the score never drops below zero
+   * @returns {number} Points actually deducted
    */
-  addIssue(issue, suggestion = null, errorContext = {}) {
-    this.results.issues.push(issue);
+  deductScore(points, reason = '') {
+    const deducted = Math.min(points, this.results.score);
+    this.results.score -= deducted;
 
-    if (suggestion) {
-      this.results.suggestions.push(suggestion);
+    if (this.config.verbose && reason) {
+      console.log(`     -${deducted} - ${reason}`);
     }
+    return deducted;
+  }
+
+  /**
+   * Add issue with optional error handling context
+   *
+   * Also records a project-level finding; use addFinding() when a file or line is known.
+   */
+  addIssue(issue, suggestion = null, errorContext = {}) {
+    this.addFinding({
+      ruleId: errorContext.ruleId || Finding.slugify(issue.split(':')[0]),
+      message: issue,
+      fix: suggestion
+    });
 
     // If this is an error-related issue, log it
     if (errorContext.error) {
@@ -191,6 +214,35 @@ export class BaseAnalyzer {
     }
   }
 
+  /**
+   * Add a structured finding
+   *
+   * The message and fix are mirrored into issues/suggestions so consumers of the
+   * string lists (recommendations, console output) keep working.
+   *
+   * @param {Object} data - Finding data, see Finding constructor
+   * @param {boolean} [data.summary=true] - Also add the message to the issues list
+   * @returns {Finding} The recorded finding
+   */
+  addFinding({ summary = true, ...data }) {
+    const ruleId = data.ruleId.includes('/') ? data.ruleId : `${this.categoryKey}/${data.ruleId}`;
+    const finding = new Finding({ ...data, ruleId, category: this.categoryKey });
+
+    if (!this.results.findings) {
+      this.results.findings = [];
+    }
+    this.results.findings.push(finding);
+
+    if (summary) {
+      this.results.issues.push(data.message);
+      if (data.fix) {
+        this.results.suggestions.push(data.fix);
+      }
+    }
+
+    return finding;
+  }
+
   setDetail(key, value) {
     this.results.details[key] = value;
   }
@@ -297,6 +349,107 @@ export class BaseAnalyzer {
     }
   }
 
+  /**
+   * Read a file together with its cached result for an analysis pass
+   * @param {string} file - Project-relative file path
+   * @param {string} pass - Pass name, unique within the analyzer
+   * @param {number|string} [version=this.analyzerVersion] - Version of the pass logic
+   * @returns {Promise<{content: string, hash: string|null, data: *}>} Cached data is undefined on a miss
+   */
+  async readFileCached(file, pass, version = this.analyzerVersion) {
+    const content = await this.readFile(file);
+    if (!this.cache) {
+      return { content, hash: null, data: undefined };
+    }
+
+    const hash = AnalysisCache.hashContent(content);
+    return { content, hash, data: this.cache.get(`${this.categoryKey}/${pass}`, file, hash, version) };
+  }
+
+  /**
+   * Store the result of an analysis pass for a file read with readFileCached()
+   */
+  storeFileResult(file, pass, hash, data, version = this.analyzerVersion) {
+    if (this.cache && hash) {
+      this.cache.set(`${this.categoryKey}/${pass}`, file, hash, version, data);
+    }
+  }
+
+  /**
+   * Run a per-file analysis pass through the incremental cache
+   *
+   * `analyze(content, file)` must return JSON-serializable data that depends only on the
+   * file content and path, so unchanged files can reuse the result of an earlier run.
+   *
+   * @param {string} file - Project-relative file path
+   * @param {string} pass - Pass name, unique within the analyzer
+   * @param {Function} analyze - (content, file) => data
+   * @returns {Promise<*>} Pass result, or null when the file cannot be read
+   */
+  async analyzeFile(file, pass, analyze) {
+    let cached;
+    try {
+      cached = await this.readFileCached(file, pass);
+    } catch (error) {
+      return null;
+    }
+
+    if (cached.data !== undefined) {
+      return cached.data;
+    }
+
+    const data = await analyze(cached.content, file);
+    this.storeFileResult(file, pass, cached.hash, data);
+    return data;
+  }
+
+  /**
+   * Per-file passes that AnalyzerScheduler may spread over its worker pool before the analysis
+   *
+   * Each pass lists its files and the `analyze(content, file)` function the analysis hands to
+   * analyzeFile(); batches of files run in workers and the analysis then finds their results in
+   * the cache. Analyzers without heavy per-file work have none.
+   *
+   * @returns {Object<string, {listFiles: function(): Promise<string[]>, analyze: Function}>} Passes by name
+   */
+  get filePasses() {
+    return {};
+  }
+
+  /**
+   * Run some files of a pass from filePasses through the cache
+   * @param {string} pass - Pass name
+   * @param {string[]} files - Project-relative files
+   */
+  async runFilePass(pass, files) {
+    const { analyze } = this.filePasses[pass];
+    for (const file of files) {
+      await this.analyzeFile(file, pass, analyze);
+    }
+  }
+
+  /**
+   * Dependency graph of the project lockfile, completed from the manifests in node_modules
+   *
+   * ProjectScorer loads it once per run and passes it as `config.dependencyGraph` (see
+   * ProjectScorer.loadDependencyGraph()); an analyzer used on its own loads it once itself.
+   *
+   * @returns {Promise<DependencyGraph|null>} Graph, or null without package-lock.json, yarn.lock or pnpm-lock.yaml
+   * @throws {Error} When the lockfile cannot be parsed
+   */
+  async getDependencyGraph() {
+    if (this.dependencyGraph === undefined) {
+      const shared = this.config.dependencyGraph;
+      if (shared?.error) {
+        throw new Error(shared.error);
+      }
+      this.dependencyGraph = shared === undefined
+        ? await DependencyGraph.loadInstalled(this.config.projectRoot)
+        : shared && DependencyGraph.fromJSON(shared);
+    }
+    return this.dependencyGraph;
+  }
+
   async readJsonFile(filePath) {
     try {
       const content = await this.readFile(filePath);
@@ -337,9 +490,32 @@ export class BaseAnalyzer {
     }
   }
 
-  async getAllFiles(dirPath = '', extensions = null, excludeDirs = []) {
+  /**
+   * Whether a file is part of the analysis in diff-aware mode (always true for full scans)
+   * @param {string} filePath - Project-relative file path
+   * @returns {boolean} True when the file should be analyzed
+   */
+  isInDiffScope(filePath) {
+    return !this.changedFiles || this.changedFiles.has(path.normalize(filePath));
+  }
+
+  /**
+   * List project files
+   *
+   * In diff-aware mode only changed files are returned; pass `{ scope: 'project' }` for
+   * project-level checks (ratios, test discovery) that need the whole tree.
+   *
+   * @param {string} [dirPath=''] - Directory relative to the project root
+   * @param {string[]|null} [extensions=null] - Extensions to include
+   * @param {string[]} [excludeDirs=[]] - Additional directory names to skip
+   * @param {Object} [options={}] - Listing options
+   * @param {string} [options.scope='changed'] - 'changed' honours the diff scope, 'project' ignores it
+   * @returns {Promise<string[]>} Project-relative file paths
+   */
+  async getAllFiles(dirPath = '', extensions = null, excludeDirs = [], options = {}) {
+    const { scope = 'changed' } = options;
     const files = [];
-    const defaultExcludeDirs = ['node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.nuxt'];
+    const defaultExcludeDirs = ['node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.nuxt', '.codefortify'];
     const allExcludeDirs = [...defaultExcludeDirs, ...excludeDirs];
 
     const scanDirectory = async (currentPath) => {
@@ -366,7 +542,7 @@ export class BaseAnalyzer {
     };
 
     await scanDirectory(dirPath);
-    return files;
+    return scope === 'changed' ? files.filter(file => this.isInDiffScope(file)) : files;
   }
 
   async getFileStats(filePath) {
@@ -387,6 +563,19 @@ export class BaseAnalyzer {
     }
   }
 
+  /**
+   * Convert a character offset into a 1-based line and column
+   */
+  getLineAndColumn(content, index) {
+    const before = content.slice(0, index);
+    const lastNewline = before.lastIndexOf('\n');
+
+    return {
+      line: before.split('\n').length,
+      column: index - lastNewline
+    };
+  }
+
   // Common scoring patterns
   scoreByPresence(items, scorePerItem, description = '') {
     let totalScore = 0;
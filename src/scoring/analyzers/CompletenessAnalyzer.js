@@ -14,6 +14,7 @@ export class CompletenessAnalyzer extends BaseAnalyzer {
   constructor(config) {
     super(config);
     this.categoryName = 'Completeness & Production Readiness';
+    this.categoryKey = 'completeness';
     this.description = 'TODO completion, production configuration, and project metadata';
   }
 
@@ -21,6 +22,7 @@ export class CompletenessAnalyzer extends BaseAnalyzer {
     this.results.score = 0;
     this.results.issues = [];
     this.results.suggestions = [];
+    this.results.findings = [];
 
     await this.analyzeTodoAndPlaceholders(); // 2pts
     await this.analyzeProductionReadiness(); // 2pts
@@ -255,21 +257,13 @@ export class CompletenessAnalyzer extends BaseAnalyzer {
     let fixmeCount = 0;
 
     for (const file of files) {
-      try {
-        const content = await this.readFile(file);
+      const markers = await this.analyzeFile(file, 'todo-markers', (content) => this.findIncompleteMarkers(content));
+      if (!markers) {continue;}
 
-        // Count TODOs, FIXMEs, and placeholder patterns
-        const todoMatches = content.match(/\/\/\s*TODO|\/\*\s*TODO|\btodo\b/gi);
-        const fixmeMatches = content.match(/\/\/\s*FIXME|\/\*\s*FIXME|\bfixme\b/gi);
-        const placeholderMatches = content.match(/placeholder|xxx|changeme|replace.*this|implement.*here/gi);
-
-        if (todoMatches) {todoCount += todoMatches.length;}
-        if (fixmeMatches) {fixmeCount += fixmeMatches.length;}
-        if (placeholderMatches) {placeholderCount += placeholderMatches.length;}
-
-      } catch (error) {
-        // Skip files that can't be read
-      }
+      todoCount += markers.todoCount;
+      fixmeCount += markers.fixmeCount;
+      placeholderCount += markers.placeholderCount;
+      markers.findings.forEach(finding => this.addFinding({ ...finding, file, summary: false }));
     }
 
     const totalIncomplete = todoCount + fixmeCount + placeholderCount;
@@ -297,6 +291,37 @@ export class CompletenessAnalyzer extends BaseAnalyzer {
     this.setDetail('totalIncomplete', totalIncomplete);
   }
 
+  /**
+   * TODO, FIXME and placeholder counts of one file, with a finding per TODO/FIXME comment
+   * @param {string} content - File content
+   * @returns {{todoCount: number, fixmeCount: number, placeholderCount: number, findings: Array<Object>}} Markers
+   */
+  findIncompleteMarkers(content) {
+    // Count TODOs, FIXMEs, and placeholder patterns
+    const todoMatches = content.match(/\/\/\s*TODO|\/\*\s*TODO|\btodo\b/gi);
+    const fixmeMatches = content.match(/\/\/\s*FIXME|\/\*\s*FIXME|\bfixme\b/gi);
+    const placeholderMatches = content.match(/placeholder|xxx|changeme|replace.*this|implement.*here/gi);
+
+    const findings = [...content.matchAll(/(?:\/\/|\/\*)\s*(TODO|FIXME)\b:?\s*(.*)/gi)].map(match => {
+      const { line, column } = this.getLineAndColumn(content, match.index);
+      return {
+        ruleId: match[1].toLowerCase(),
+        severity: 'info',
+        message: `${match[1].toUpperCase()}: ${match[2].replace(/\*\/\s*$/, '').trim() || '(no description)'}`,
+        line,
+        column,
+        fix: 'Complete or track the item in your issue tracker'
+      };
+    });
+
+    return {
+      todoCount: todoMatches ? todoMatches.length : 0,
+      fixmeCount: fixmeMatches ? fixmeMatches.length : 0,
+      placeholderCount: placeholderMatches ? placeholderMatches.length : 0,
+      findings
+    };
+  }
+
   async analyzeProductionReadiness() {
     let _score = 0;
     const _maxScore = 2;
@@ -15,6 +15,7 @@ export class DeveloperExperienceAnalyzer extends BaseAnalyzer {
   constructor(config) {
     super(config);
     this.categoryName = 'Developer Experience';
+    this.categoryKey = 'developerExperience';
     this.description = 'Development tooling, documentation, scripts, and workflow setup';
   }
 
@@ -22,6 +23,7 @@ export class DeveloperExperienceAnalyzer extends BaseAnalyzer {
     this.results.score = 0;
     this.results.issues = [];
     this.results.suggestions = [];
+    this.results.findings = [];
 
     await this.analyzeDevelopmentTooling(); // 4pts
     await this.analyzeDocumentationQuality(); // 3pts
@@ -117,7 +119,13 @@ export class DeveloperExperienceAnalyzer extends BaseAnalyzer {
         } else {
           readmeScore = 0.5;
           this.addScore(0.5, 2, 'Minimal README found');
-          this.addIssue('README is very short', 'Expand README with installation, usage, and examples');
+          this.addFinding({
+            ruleId: 'short-readme',
+            severity: 'low',
+            message: 'README is very short',
+            file: 'README.md',
+            fix: 'Expand README with installation, usage, and examples'
+          });
         }
 
         // Check for common README sections
@@ -192,7 +200,13 @@ export class DeveloperExperienceAnalyzer extends BaseAnalyzer {
       _score += 0.5;
       this.addScore(0.5, 1, `Some essential scripts present (${hasEssentialScripts.join(', ')})`);
     } else {
-      this.addIssue('Missing essential scripts', 'Add test, start, and build scripts');
+      this.addFinding({
+        ruleId: 'missing-essential-scripts',
+        severity: 'low',
+        message: 'Missing essential scripts',
+        file: 'package.json',
+        fix: 'Add test, start, and build scripts'
+      });
     }
 
     // Check for development convenience scripts
@@ -210,7 +224,13 @@ export class DeveloperExperienceAnalyzer extends BaseAnalyzer {
       _score += 0.5;
       this.addScore(0.5, 1, `Some development scripts present (${hasDevScripts.join(', ')})`);
     } else {
-      this.addIssue('Limited development scripts', 'Add dev, lint, format scripts for better workflow');
+      this.addFinding({
+        ruleId: 'limited-development-scripts',
+        severity: 'low',
+        message: 'Limited development scripts',
+        file: 'package.json',
+        fix: 'Add dev, lint, format scripts for better workflow'
+      });
     }
 
     this.setDetail('scriptCount', scriptNames.length);
@@ -243,7 +263,13 @@ export class DeveloperExperienceAnalyzer extends BaseAnalyzer {
           _score += 0.25;
           this.addScore(0.25, 0.5, 'Basic .gitignore configuration');
         } else {
-          this.addIssue('Incomplete .gitignore', 'Add common ignore patterns (node_modules, .env, etc.)');
+          this.addFinding({
+            ruleId: 'incomplete-gitignore',
+            severity: 'low',
+            message: 'Incomplete .gitignore',
+            file: '.gitignore',
+            fix: 'Add common ignore patterns (node_modules, .env, etc.)'
+          });
         }
       } catch (error) {
         this.addIssue('Could not read .gitignore', 'Ensure .gitignore is properly configured');
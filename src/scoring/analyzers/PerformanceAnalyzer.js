@@ -2,7 +2,7 @@
  * PerformanceAnalyzer - Analyzes performance and optimization patterns
  *
  * Evaluates:
- * - Bundle size and dependency optimization (6pts)
+ * - Bundle size and dependency optimization, including duplicates and depth of the lockfile tree (6pts)
  * - Code splitting and lazy loading (5pts)
  * - Performance best practices (4pts)
  * Total: 15pts
@@ -10,10 +10,16 @@
 
 import { BaseAnalyzer } from './BaseAnalyzer.js';
 
+// Production packages installed in several versions before the tree counts as bloated
+const MAX_DUPLICATED_PACKAGES = 3;
+// Longest dependency chain, from the project to the deepest package
+const MAX_DEPENDENCY_DEPTH = 10;
+
 export class PerformanceAnalyzer extends BaseAnalyzer {
   constructor(config) {
     super(config);
     this.categoryName = 'Performance & Optimization';
+    this.categoryKey = 'performance';
     this.description = 'Bundle optimization, code splitting, and performance best practices';
   }
 
@@ -21,6 +27,7 @@ export class PerformanceAnalyzer extends BaseAnalyzer {
     this.results.score = 0;
     this.results.issues = [];
     this.results.suggestions = [];
+    this.results.findings = [];
 
     await this.analyzeBundleOptimization(); // 6pts
     await this.analyzeCodeSplitting(); // 5pts
@@ -43,19 +50,21 @@ export class PerformanceAnalyzer extends BaseAnalyzer {
 
     // Score based on dependency count (lighter is better)
     if (totalDeps < 10) {
-      _score += 3;
-      this.addScore(3, 3, `Lean dependency count (${totalDeps})`);
-    } else if (totalDeps < 25) {
       _score += 2;
-      this.addScore(2, 3, `Moderate dependency count (${totalDeps})`);
+      this.addScore(2, 2, `Lean dependency count (${totalDeps})`);
+    } else if (totalDeps < 25) {
+      _score += 1.5;
+      this.addScore(1.5, 2, `Moderate dependency count (${totalDeps})`);
     } else if (totalDeps < 50) {
-      _score += 1;
-      this.addScore(1, 3, `High dependency count (${totalDeps})`);
+      _score += 0.5;
+      this.addScore(0.5, 2, `High dependency count (${totalDeps})`);
       this.addIssue('Many dependencies detected', 'Audit dependencies for bundle size impact');
     } else {
       this.addIssue('Very high dependency count', 'Significant dependency bloat - consider alternatives');
     }
 
+    _score += await this.analyzeDependencyTree(); // 1pt
+
     // Check for bundle analysis tools
     const bundleTools = ['webpack-bundle-analyzer', '@bundle-analyzer/webpack', 'rollup-plugin-analyzer', 'vite-bundle-analyzer'];
     const hasBundleAnalysis = bundleTools.some(tool => devDeps[tool]);
@@ -80,6 +89,62 @@ export class PerformanceAnalyzer extends BaseAnalyzer {
     this.setDetail('hasBundleAnalysis', hasBundleAnalysis);
   }
 
+  /**
+   * Duplicate versions and depth of the installed dependency tree, from the lockfile
+   * @returns {Promise<number>} Points awarded, out of 1
+   */
+  async analyzeDependencyTree() {
+    let summary;
+    try {
+      summary = (await this.getDependencyGraph())?.summarize();
+    } catch (error) {
+      this.addIssue(`Dependency graph unavailable: ${error.message}`, 'Regenerate the lockfile with your package manager');
+      return 0;
+    }
+    if (!summary) {
+      this.addScore(0.5, 1, 'Dependency tree not analyzed (no lockfile)');
+      return 0.5;
+    }
+
+    let points = 0;
+    const duplicated = summary.duplicates.filter(pkg => pkg.production);
+    duplicated.forEach(pkg => {
+      this.addFinding({
+        ruleId: 'duplicate-dependency',
+        severity: 'low',
+        message: `${pkg.name} is installed in ${pkg.versions.length} versions (${pkg.versions.join(', ')})`,
+        file: summary.lockfile,
+        fix: `Align the version ranges that require ${pkg.name}, then deduplicate (npm dedupe, yarn dedupe or pnpm dedupe)`,
+        summary: false
+      });
+    });
+    if (duplicated.length <= MAX_DUPLICATED_PACKAGES) {
+      points += 0.5;
+      this.addScore(0.5, 0.5, `Few duplicated production packages (${duplicated.length})`);
+    } else {
+      this.addIssue(`Duplicate package versions: ${duplicated.length} production packages installed in several versions`,
+        'Duplicates are bundled twice - align version ranges and deduplicate the lockfile');
+    }
+
+    if (summary.maxDepth <= MAX_DEPENDENCY_DEPTH) {
+      points += 0.5;
+      this.addScore(0.5, 0.5, `Shallow dependency tree (depth ${summary.maxDepth})`);
+    } else {
+      this.addIssue(`Deep dependency tree: depth ${summary.maxDepth} (${summary.deepestPath.join(' > ')})`,
+        'Deep chains slow installs and widen the supply chain - prefer packages with fewer dependencies');
+    }
+
+    this.setDetail('dependencyTree', {
+      lockfile: summary.lockfile,
+      packages: summary.packages,
+      production: summary.production,
+      duplicates: summary.duplicates.length,
+      duplicatedProduction: duplicated.map(pkg => pkg.name),
+      maxDepth: summary.maxDepth
+    });
+    return points;
+  }
+
   async analyzeCodeSplitting() {
     let _score = 0;
     const _maxScore = 5;
@@ -90,28 +155,23 @@ export class PerformanceAnalyzer extends BaseAnalyzer {
     let routeBasedSplitting = 0;
 
     for (const file of files) {
-      try {
-        const content = await this.readFile(file);
-
+      const splitting = await this.analyzeFile(file, 'code-splitting', (content) => ({
         // Count dynamic imports
-        const imports = content.match(/import\s*\(/g);
-        if (imports) {
-          dynamicImports += imports.length;
-        }
-
+        dynamicImports: (content.match(/import\s*\(/g) || []).length,
         // React.lazy usage
-        if (content.includes('React.lazy') || content.includes('lazy(')) {
-          lazyComponents++;
-        }
-
+        lazy: content.includes('React.lazy') || content.includes('lazy('),
         // Route-based code splitting indicators
-        if (content.includes('loadable') || content.includes('Suspense') ||
-            (content.includes('import(') && (content.includes('route') || content.includes('page')))) {
-          routeBasedSplitting++;
-        }
-
-      } catch (error) {
-        // Skip files that can't be read
+        routeBased: content.includes('loadable') || content.includes('Suspense') ||
+          (content.includes('import(') && (content.includes('route') || content.includes('page')))
+      }));
+      if (!splitting) {continue;}
+
+      dynamicImports += splitting.dynamicImports;
+      if (splitting.lazy) {
+        lazyComponents++;
+      }
+      if (splitting.routeBased) {
+        routeBasedSplitting++;
       }
     }
 
@@ -154,35 +214,37 @@ export class PerformanceAnalyzer extends BaseAnalyzer {
     let optimizationPatterns = 0;
     let performanceIssues = 0;
 
-    for (const file of files.slice(0, 20)) { // Sample files for performance
-      try {
-        const content = await this.readFile(file);
-
-        // React performance patterns
-        if (this.isReactProject()) {
-          // Count memoization usage
-          if (content.includes('React.memo') || content.includes('useMemo') || content.includes('useCallback')) {
-            memoizationCount++;
-          }
-
-          // Check for performance optimization patterns
-          if (content.includes('React.lazy') || content.includes('Suspense') || content.includes('useCallback')) {
-            optimizationPatterns++;
-          }
-
-          // Identify potential performance issues
-          if (content.includes('useEffect') && !content.includes('useCallback') && content.includes('(')) {
-            performanceIssues++;
-          }
-        }
+    for (const file of files) {
+      const patterns = await this.analyzeFile(file, 'best-practices', (content) => this.detectPerformancePatterns(content));
+      if (!patterns) {continue;}
 
-        // General performance patterns
-        if (content.includes('debounce') || content.includes('throttle')) {
+      // React performance patterns
+      if (this.isReactProject()) {
+        if (patterns.memoization) {
+          memoizationCount++;
+        }
+        if (patterns.reactOptimization) {
           optimizationPatterns++;
         }
 
-      } catch (error) {
-        // Skip files that can't be read
+        // Identify potential performance issues
+        if (patterns.effectWithoutCallbackLine) {
+          performanceIssues++;
+          this.addFinding({
+            ruleId: 'effect-without-callback',
+            severity: 'low',
+            message: `useEffect without useCallback in ${file}`,
+            file,
+            line: patterns.effectWithoutCallbackLine,
+            fix: 'Review useEffect dependencies and wrap callbacks in useCallback',
+            summary: false
+          });
+        }
+      }
+
+      // General performance patterns
+      if (patterns.rateLimiting) {
+        optimizationPatterns++;
       }
     }
 
@@ -210,4 +272,22 @@ export class PerformanceAnalyzer extends BaseAnalyzer {
     this.setDetail('optimizationPatterns', optimizationPatterns);
     this.setDetail('performanceIssues', performanceIssues);
   }
-}
\ No newline at end of file
+
+  /**
+   * Performance patterns of one file
+   * @param {string} content - File content
+   * @returns {Object} Pattern flags and the line of a useEffect without useCallback (or null)
+   */
+  detectPerformancePatterns(content) {
+    const effectWithoutCallback = content.includes('useEffect') && !content.includes('useCallback') && content.includes('(');
+
+    return {
+      memoization: content.includes('React.memo') || content.includes('useMemo') || content.includes('useCallback'),
+      reactOptimization: content.includes('React.lazy') || content.includes('Suspense') || content.includes('useCallback'),
+      effectWithoutCallbackLine: effectWithoutCallback
+        ? this.getLineAndColumn(content, content.indexOf('useEffect')).line
+        : null,
+      rateLimiting: content.includes('debounce') || content.includes('throttle')
+    };
+  }
+}
@@ -11,19 +11,36 @@
  */
 
 import { BaseAnalyzer } from './BaseAnalyzer.js';
+import { ComplexityCalculator } from '../core/ComplexityCalculator.js';
+import { AnalysisCache } from '../core/AnalysisCache.js';
+import { COMPLEXITY_THRESHOLDS } from '../../config/scoringConfig.js';
 import path from 'path';
 
 export class QualityAnalyzer extends BaseAnalyzer {
   constructor(config) {
     super(config);
     this.categoryName = 'Code Quality & Maintainability';
+    this.categoryKey = 'quality';
     this.description = 'Code formatting, documentation, complexity, type safety, and consistency';
+    this.complexityThresholds = this.config.complexityThresholds || COMPLEXITY_THRESHOLDS;
+    this.complexityCalculator = new ComplexityCalculator();
+  }
+
+  get filePasses() {
+    return {
+      complexity: {
+        listFiles: async () => (await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs']))
+          .filter(file => !file.endsWith('.min.js')),
+        analyze: (content, file) => this.complexityCalculator.analyzeSource(content, file)
+      }
+    };
   }
 
   async runAnalysis() {
     this.results.score = 0;
     this.results.issues = [];
     this.results.suggestions = [];
+    this.results.findings = [];
 
     await this.analyzeLinting(); // 6pts
     await this.analyzeDocumentation(); // 5pts
@@ -40,7 +57,21 @@ export class QualityAnalyzer extends BaseAnalyzer {
     const eslintResult = await this.runESLintAnalysis();
 
     if (eslintResult.success && eslintResult.hasConfig) {
-      const { errorCount, warningCount, ruleViolations } = eslintResult.data;
+      const { errorCount, warningCount, ruleViolations, messages = [] } = eslintResult.data;
+
+      messages.forEach(message => {
+        this.addFinding({
+          ruleId: `eslint/${message.rule}`,
+          severity: message.severity === 2 ? 'medium' : 'low',
+          message: message.message,
+          file: message.file,
+          line: message.line,
+          column: message.column,
+          endLine: message.endLine,
+          endColumn: message.endColumn,
+          summary: false
+        });
+      });
 
       // Score based on actual ESLint results (4pts)
       if (errorCount === 0 && warningCount === 0) {
@@ -133,29 +164,68 @@ export class QualityAnalyzer extends BaseAnalyzer {
         return {
           success: true,
           hasConfig: true,
-          data: { errorCount: 0, warningCount: 0, ruleViolations: [] }
+          data: { errorCount: 0, warningCount: 0, ruleViolations: [], messages: [] }
         };
       }
 
-      // Lint files (limit to first 10 for performance)
-      const filesToLint = files.slice(0, 10).map(f =>
-        path.resolve(this.config.projectRoot || process.cwd(), f)
-      );
+      // Only files without a cached result are linted; the ESLint version and config are part of the cache key
+      const projectRoot = this.config.projectRoot || process.cwd();
+      const version = `${this.analyzerVersion}:${ESLint.version}:${await this.getESLintConfigHash()}`;
+      const fileResults = [];
+      const pending = [];
+
+      for (const file of files) {
+        try {
+          const cached = await this.readFileCached(file, 'eslint', version);
+          if (cached.data !== undefined) {
+            fileResults.push(cached.data);
+          } else {
+            pending.push({ file, hash: cached.hash });
+          }
+        } catch (error) {
+          // Skip files that can't be read
+        }
+      }
 
-      const results = await eslint.lintFiles(filesToLint);
+      if (pending.length > 0) {
+        const results = await eslint.lintFiles(pending.map(({ file }) => path.resolve(projectRoot, file)));
+
+        for (const result of results) {
+          const file = path.relative(projectRoot, result.filePath);
+          const fileResult = {
+            errorCount: result.errorCount,
+            warningCount: result.warningCount,
+            messages: result.messages.map(message => ({
+              file,
+              rule: message.ruleId || 'unknown',
+              severity: message.severity,
+              message: message.message,
+              line: message.line,
+              column: message.column,
+              endLine: message.endLine,
+              endColumn: message.endColumn
+            }))
+          };
+          fileResults.push(fileResult);
+
+          const { hash } = pending.find(item => path.resolve(projectRoot, item.file) === result.filePath) || {};
+          this.storeFileResult(file, 'eslint', hash, fileResult, version);
+        }
+      }
 
       // Aggregate results
       let errorCount = 0;
       let warningCount = 0;
       const ruleViolations = {};
+      const messages = [];
 
-      for (const result of results) {
+      for (const result of fileResults) {
         errorCount += result.errorCount;
         warningCount += result.warningCount;
 
         for (const message of result.messages) {
-          const rule = message.ruleId || 'unknown';
-          ruleViolations[rule] = (ruleViolations[rule] || 0) + 1;
+          ruleViolations[message.rule] = (ruleViolations[message.rule] || 0) + 1;
+          messages.push(message);
         }
       }
 
@@ -170,7 +240,8 @@ export class QualityAnalyzer extends BaseAnalyzer {
         data: {
           errorCount,
           warningCount,
-          ruleViolations: sortedViolations
+          ruleViolations: sortedViolations,
+          messages
         }
       };
 
@@ -197,7 +268,13 @@ export class QualityAnalyzer extends BaseAnalyzer {
       } else {
         _score += 1;
         this.addScore(1, 1.5, 'Basic README found');
-        this.addIssue('README is quite short', 'Expand README with setup instructions and project details');
+        this.addFinding({
+          ruleId: 'short-readme',
+          severity: 'low',
+          message: 'README is quite short',
+          file: 'README.md',
+          fix: 'Expand README with setup instructions and project details'
+        });
       }
     } else {
       this.addIssue('No README.md found', 'Add a README.md with project documentation');
@@ -212,44 +289,131 @@ export class QualityAnalyzer extends BaseAnalyzer {
     this.setDetail('documentationRatio', jsdocAnalysis.details.overallRatio);
   }
 
+  /**
+   * Hash of the ESLint config files so cached lint results are dropped when the config changes
+   */
+  async getESLintConfigHash() {
+    const configFiles = ['eslint.config.js', '.eslintrc.js', '.eslintrc.json', '.eslintrc.yaml', '.eslintrc.yml'];
+    const contents = [];
+    for (const file of configFiles) {
+      if (await this.fileExists(file)) {
+        contents.push(`${file}:${await this.readFile(file)}`);
+      }
+    }
+    return AnalysisCache.hashContent(contents.join('\n')).slice(0, 16);
+  }
+
   async analyzeComplexity() {
     let _score = 0;
     const _maxScore = 4;
 
-    const files = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx']);
-    let totalComplexity = 0;
-    let analyzedFiles = 0;
+    const { listFiles, analyze } = this.filePasses.complexity;
+    const files = await listFiles();
+    const functions = [];
+    const parseErrors = [];
 
-    for (const file of files.slice(0, 20)) { // Sample files for performance
-      try {
-        const content = await this.readFile(file);
-        const complexity = this.calculateCyclomaticComplexity(content);
-        totalComplexity += complexity;
-        analyzedFiles++;
-      } catch (error) {
-        // Skip files that can't be read
+    for (const file of files) {
+      const analysis = await this.analyzeFile(file, 'complexity', analyze);
+      if (!analysis) {continue;}
+
+      if (analysis.parseError) {
+        parseErrors.push({ file, error: analysis.parseError });
       }
+      functions.push(...analysis.functions);
     }
 
-    const avgComplexity = analyzedFiles > 0 ? totalComplexity / analyzedFiles : 0;
+    const summary = this.summarizeComplexity(functions);
+    const { low, medium, high } = this.complexityThresholds;
+    const overLowRatio = functions.length > 0 ? summary.overLow.length / functions.length : 0;
 
-    if (avgComplexity < 5) {
+    if (summary.overLow.length === 0) {
       _score += 4;
-      this.addScore(4, 4, `Low complexity (avg: ${avgComplexity.toFixed(1)})`);
-    } else if (avgComplexity < 10) {
+      this.addScore(4, 4, `Low complexity (all ${functions.length} functions at or below ${low})`);
+    } else if (summary.maxComplexity <= medium && overLowRatio < 0.1) {
       _score += 3;
-      this.addScore(3, 4, `Moderate complexity (avg: ${avgComplexity.toFixed(1)})`);
-    } else if (avgComplexity < 15) {
+      this.addScore(3, 4, `Moderate complexity (${summary.overLow.length} functions above ${low})`);
+    } else if (summary.maxComplexity <= high) {
       _score += 2;
-      this.addScore(2, 4, `High complexity (avg: ${avgComplexity.toFixed(1)})`);
-      this.addIssue('High code complexity detected', 'Consider breaking down complex functions');
+      this.addScore(2, 4, `High complexity (${summary.overLow.length} functions above ${low}, max ${summary.maxComplexity})`);
+      this.addIssue(`${summary.overLow.length} functions exceed complexity ${low}`, 'Consider breaking down complex functions');
     } else {
       _score += 1;
-      this.addScore(1, 4, `Very high complexity (avg: ${avgComplexity.toFixed(1)})`);
-      this.addIssue('Very high code complexity', 'Refactor complex functions into smaller, focused units');
+      this.addScore(1, 4, `Very high complexity (max ${summary.maxComplexity})`);
+      this.addIssue(`${summary.overLow.length} functions exceed complexity ${low}, worst is ${summary.maxComplexity}`, 'Refactor complex functions into smaller, focused units');
     }
 
-    this.setDetail('averageComplexity', avgComplexity);
+    // Every function over the threshold becomes a finding; the worst five are also listed as issues
+    summary.overLow.forEach((fn, index) => {
+      const complexity = this.getFunctionComplexity(fn);
+      this.addFinding({
+        ruleId: 'complex-function',
+        severity: complexity > high ? 'high' : complexity > medium ? 'medium' : 'low',
+        message: `Complex function ${fn.name} at ${fn.file}:${fn.line} (cyclomatic ${fn.cyclomatic}, cognitive ${fn.cognitive})`,
+        file: fn.file,
+        line: fn.line,
+        column: fn.column,
+        endLine: fn.endLine,
+        symbol: fn.name,
+        fix: `Split ${fn.name} into smaller functions to bring complexity below ${low}`,
+        summary: index < 5
+      });
+    });
+
+    parseErrors.forEach(({ file, error }) => {
+      this.addFinding({
+        ruleId: 'parse-error',
+        severity: 'low',
+        message: `Could not parse ${file}: ${error}`,
+        file,
+        summary: false
+      });
+    });
+
+    this.setDetail('averageComplexity', summary.averageCyclomatic);
+    this.setDetail('complexity', {
+      functionCount: functions.length,
+      averageCyclomatic: summary.averageCyclomatic,
+      averageCognitive: summary.averageCognitive,
+      maxComplexity: summary.maxComplexity,
+      functionsOverThreshold: summary.overLow.length,
+      thresholds: this.complexityThresholds,
+      worstOffenders: summary.worstOffenders,
+      parseErrors
+    });
+  }
+
+  /**
+   * Aggregate per-function complexity metrics
+   * @param {Array<Object>} functions - Per-function metrics from ComplexityCalculator
+   * @returns {Object} Averages, maximum, functions over the low threshold and the top 10 offenders
+   */
+  summarizeComplexity(functions) {
+    const count = functions.length;
+    const average = (key) => count > 0
+      ? Math.round((functions.reduce((sum, fn) => sum + fn[key], 0) / count) * 10) / 10
+      : 0;
+
+    const ranked = [...functions].sort((a, b) =>
+      this.getFunctionComplexity(b) - this.getFunctionComplexity(a) ||
+      b.cyclomatic - a.cyclomatic ||
+      a.file.localeCompare(b.file) ||
+      a.line - b.line
+    );
+
+    return {
+      averageCyclomatic: average('cyclomatic'),
+      averageCognitive: average('cognitive'),
+      maxComplexity: ranked.length > 0 ? this.getFunctionComplexity(ranked[0]) : 0,
+      overLow: ranked.filter(fn => this.getFunctionComplexity(fn) > this.complexityThresholds.low),
+      worstOffenders: ranked.slice(0, 10)
+    };
+  }
+
+  /**
+   * A function is as complex as the worse of its two metrics
+   */
+  getFunctionComplexity(fn) {
+    return Math.max(fn.cyclomatic, fn.cognitive);
   }
 
   async analyzeTypeScript() {
@@ -257,8 +421,8 @@ export class QualityAnalyzer extends BaseAnalyzer {
     const _maxScore = 3;
 
     const hasTypeScript = await this.fileExists('tsconfig.json');
-    const tsFiles = await this.getAllFiles('', ['.ts', '.tsx']);
-    const jsFiles = await this.getAllFiles('', ['.js', '.jsx']);
+    const tsFiles = await this.getAllFiles('', ['.ts', '.tsx'], [], { scope: 'project' });
+    const jsFiles = await this.getAllFiles('', ['.js', '.jsx'], [], { scope: 'project' });
 
     if (hasTypeScript) {
       _score += 2;
@@ -300,17 +464,18 @@ export class QualityAnalyzer extends BaseAnalyzer {
     let esModuleCount = 0;
     let commonjsCount = 0;
 
-    for (const file of files.slice(0, 20)) {
-      try {
-        const content = await this.readFile(file);
-        if (content.includes('import ') || content.includes('export ')) {
-          esModuleCount++;
-        }
-        if (content.includes('require(') || content.includes('module.exports')) {
-          commonjsCount++;
-        }
-      } catch (error) {
-        // Skip files that can't be read
+    for (const file of files) {
+      const modules = await this.analyzeFile(file, 'module-patterns', (content) => ({
+        esModule: content.includes('import ') || content.includes('export '),
+        commonjs: content.includes('require(') || content.includes('module.exports')
+      }));
+      if (!modules) {continue;}
+
+      if (modules.esModule) {
+        esModuleCount++;
+      }
+      if (modules.commonjs) {
+        commonjsCount++;
       }
     }
 
@@ -351,10 +516,10 @@ export class QualityAnalyzer extends BaseAnalyzer {
       overallRatio: 0
     };
 
-    for (const file of files.slice(0, 15)) { // Sample files for performance
+    for (const file of files) {
       try {
-        const content = await this.readFile(file);
-        const fileAnalysis = this.analyzeFileJSDoc(content);
+        const fileAnalysis = await this.analyzeFile(file, 'jsdoc', (content) => this.analyzeFileJSDoc(content));
+        if (!fileAnalysis) {continue;}
 
         // Aggregate results
         analysis.classDocumentation.found += fileAnalysis.classes.documented;
@@ -555,30 +720,4 @@ export class QualityAnalyzer extends BaseAnalyzer {
     const methodMatch = afterJSDoc.match(/\*\/\s*(?:async\s+)?(?:function\s+\w+|\w+\s*\(|\w+:\s*(?:async\s+)?(?:function|\())/);
     return methodMatch && methodMatch.index < 100; // JSDoc should be within 100 chars of method
   }
-
-  calculateCyclomaticComplexity(content) {
-    // Simple approximation of cyclomatic complexity
-    const complexityKeywords = [
-      'if', 'else', 'while', 'for', 'foreach', 'switch', 'case',
-      'catch', 'finally', '&&', '||', '?'
-    ];
-
-    let complexity = 1; // Base complexity
-
-    for (const keyword of complexityKeywords) {
-      const regex = new RegExp(`\\b${keyword}\\b`, 'g');
-      const matches = content.match(regex);
-      if (matches) {
-        complexity += matches.length;
-      }
-    }
-
-    // Account for ternary operators
-    const ternaryMatches = content.match(/\?/g);
-    if (ternaryMatches) {
-      complexity += ternaryMatches.length;
-    }
-
-    return complexity;
-  }
 }
\ No newline at end of file
@@ -2,27 +2,55 @@
  * SecurityAnalyzer - Analyzes security patterns and vulnerability handling
  *
  * Evaluates:
- * - Dependency vulnerabilities and updates (6pts)
+ * - Dependency vulnerabilities, health and license policy (6pts)
  * - Secret and credential management (4pts)
  * - Error handling and information exposure (3pts)
- * - Input validation patterns (2pts)
+ * - Input validation and request data flows (2pts)
  * Total: 15pts
  */
 
 import { BaseAnalyzer } from './BaseAnalyzer.js';
+import { SecretScanner } from '../../security/SecretScanner.js';
+import { GitHistoryScanner } from '../../security/GitHistoryScanner.js';
+import { OsvDatabase } from '../../security/OsvDatabase.js';
+import { LicensePolicy } from '../../security/LicensePolicy.js';
+import { findTaintFlows, TAINT_SINKS } from '../../security/TaintAnalyzer.js';
 import { execSync } from 'child_process';
+import path from 'path';
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx'];
+const TEST_FILE = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+// Commits of git history scanned by scoring runs unless security.secrets.history.maxCommits is set
+const SCORE_HISTORY_MAX_COMMITS = 100;
 
 export class SecurityAnalyzer extends BaseAnalyzer {
   constructor(config) {
     super(config);
     this.categoryName = 'Security & Error Handling';
+    this.categoryKey = 'security';
     this.description = 'Dependency security, secrets management, error handling, and input validation';
+    this.analyzerVersion = 4;
+    this.secretScanner = new SecretScanner(this.config.security?.secrets);
+  }
+
+  get filePasses() {
+    return {
+      secrets: {
+        listFiles: async () => (await this.getAllFiles('')).filter(file => this.secretScanner.shouldScan(file)),
+        analyze: (content, file) => this.scanFileForSecrets(content, file)
+      },
+      'taint-flows': {
+        listFiles: async () => (await this.getAllFiles('', SOURCE_EXTENSIONS)).filter(file => !TEST_FILE.test(file)),
+        analyze: (content, file) => findTaintFlows(content, file)
+      }
+    };
   }
 
   async runAnalysis() {
     this.results.score = 0;
     this.results.issues = [];
     this.results.suggestions = [];
+    this.results.findings = [];
 
     await this.analyzeDependencyVulnerabilities(); // 6pts
     await this.analyzeSecretsManagement(); // 4pts
@@ -49,8 +77,11 @@ export class SecurityAnalyzer extends BaseAnalyzer {
       return;
     }
 
-    // PHASE 1 UPGRADE: Use npm audit for real vulnerability scanning
-    const auditResult = await this.runNpmAudit();
+    // PHASE 1 UPGRADE: Use npm audit for real vulnerability scanning; air-gapped projects
+    // audit the lockfile against a local OSV advisory database instead
+    const advisoryDatabase = this.config.security?.advisoryDatabase;
+    const auditResult = advisoryDatabase ? await this.runOfflineAudit(advisoryDatabase) : await this.runNpmAudit();
+    const auditSource = advisoryDatabase ? 'offline advisory database' : 'npm audit';
     if (auditResult.success) {
       const vulnData = auditResult.data;
       const totalVulns = vulnData.metadata?.vulnerabilities?.total || 0;
@@ -60,27 +91,56 @@ export class SecurityAnalyzer extends BaseAnalyzer {
       // Score based on actual vulnerability scan results
       if (totalVulns === 0) {
         _score += 4;
-        this.addScore(4, 4, 'No vulnerabilities found in dependencies (npm audit)');
+        this.addScore(4, 4, `No vulnerabilities found in dependencies (${auditSource})`);
       } else if (criticalVulns === 0 && highVulns === 0) {
         _score += 3;
         this.addScore(3, 4, `Only low/moderate vulnerabilities found (${totalVulns} total)`);
       } else if (criticalVulns === 0) {
         _score += 2;
         this.addScore(2, 4, `High vulnerabilities found (${highVulns} high, ${totalVulns} total)`);
-        this.addIssue(`${highVulns} high severity vulnerabilities`, 'Run npm audit fix to resolve security issues');
+        this.addFinding({
+          ruleId: 'vulnerable-dependencies',
+          severity: 'high',
+          message: `${highVulns} high severity vulnerabilities`,
+          fix: advisoryDatabase ? 'Upgrade the affected packages to their fixed versions' : 'Run npm audit fix to resolve security issues'
+        });
       } else {
         _score += 1;
         this.addScore(1, 4, `Critical vulnerabilities detected (${criticalVulns} critical, ${totalVulns} total)`);
-        this.addIssue(`${criticalVulns} critical vulnerabilities`, 'Immediately run npm audit fix - critical security risk');
+        this.addFinding({
+          ruleId: 'vulnerable-dependencies',
+          severity: 'critical',
+          message: `${criticalVulns} critical vulnerabilities`,
+          fix: advisoryDatabase
+            ? 'Immediately upgrade the affected packages - critical security risk'
+            : 'Immediately run npm audit fix - critical security risk'
+        });
       }
 
-      this.setDetail('npmAuditResult', {
+      const counts = {
         total: totalVulns,
         critical: criticalVulns,
         high: highVulns,
         moderate: vulnData.metadata?.vulnerabilities?.moderate || 0,
         low: vulnData.metadata?.vulnerabilities?.low || 0
-      });
+      };
+      if (advisoryDatabase) {
+        this.reportVulnerablePaths(vulnData);
+        this.setDetail('offlineAuditResult', {
+          ...counts,
+          database: advisoryDatabase,
+          lockfile: vulnData.lockfile,
+          advisories: vulnData.advisoryCount,
+          vulnerabilities: vulnData.vulnerabilities
+        });
+      } else {
+        this.setDetail('npmAuditResult', counts);
+      }
+    } else if (advisoryDatabase) {
+      this.addScore(2, 4, 'Offline audit unavailable - using pattern analysis');
+      this.addIssue(`Offline dependency audit failed: ${auditResult.error}`,
+        'Point security.advisoryDatabase at an OSV JSON file or directory and commit your lockfile');
+      await this.fallbackVulnerabilityAnalysis(deps, _score);
     } else {
       // Graceful degradation: Fallback to pattern matching with helpful guidance
       this.addScore(2, 4, 'npm audit unavailable - using pattern analysis (install npm for better accuracy)');
@@ -94,12 +154,23 @@ export class SecurityAnalyzer extends BaseAnalyzer {
                           await this.fileExists('pnpm-lock.yaml');
 
     if (hasPackageLock) {
-      _score += 1;
-      this.addScore(1, 1, 'Lock file present (prevents dependency confusion)');
+      _score += 0.5;
+      this.addScore(0.5, 0.5, 'Lock file present (prevents dependency confusion)');
+      _score += await this.analyzeDependencyHealth(); // 0.5pts
     } else {
       this.addIssue('No lock file found', 'Add package-lock.json to prevent dependency confusion attacks');
     }
 
+    // License policy violations cost up to 1.5pts of the dependency score: denied licenses in
+    // production are the compliance risk, licenses missing from the allow list need a review
+    const violations = await this.analyzeLicensePolicy();
+    if (violations.length > 0) {
+      const denied = violations.filter(violation => violation.outcome === 'denied' && !violation.dev);
+      _score -= this.deductScore(Math.min(denied.length > 0 ? 1.5 : 0.5, _score), 'License policy violations');
+      this.addIssue(`License policy violations: ${denied.length} denied, ${violations.length - denied.length} not allowed`,
+        'Replace the offending packages or add reviewed ones to security.licenses.exceptions');
+    }
+
     // Check for audit script
     if (packageJson.scripts && packageJson.scripts.audit) {
       _score += 1;
@@ -114,9 +185,32 @@ export class SecurityAnalyzer extends BaseAnalyzer {
 
   /**
    * Run npm audit and parse results
+   *
+   * Successful results are cached against the package-lock.json content. Advisories are
+   * published without the lockfile changing, so a result is only reused on the day it was made.
+   *
    * @returns {Promise<{success: boolean, data: any}>}
    */
   async runNpmAudit() {
+    const version = `${this.analyzerVersion}:${new Date().toISOString().slice(0, 10)}`;
+    let cached = null;
+    try {
+      cached = await this.readFileCached('package-lock.json', 'npm-audit', version);
+    } catch (error) {
+      // npm audit reports the missing lockfile itself
+    }
+    if (cached?.data !== undefined) {
+      return { success: true, data: cached.data };
+    }
+
+    const result = await this.executeNpmAudit();
+    if (cached && result.success) {
+      this.storeFileResult('package-lock.json', 'npm-audit', cached.hash, result.data, version);
+    }
+    return result;
+  }
+
+  async executeNpmAudit() {
     try {
       // Run npm audit with JSON output
       const output = execSync('npm audit --json', {
@@ -142,6 +236,182 @@ export class SecurityAnalyzer extends BaseAnalyzer {
     }
   }
 
+  /**
+   * Check installed licenses against the `security.licenses` allow/deny policy
+   * @returns {Promise<Array<Object>>} Violations, see LicensePolicy.evaluate(); empty without a policy or lockfile
+   */
+  async analyzeLicensePolicy() {
+    const policy = new LicensePolicy(this.config.security?.licenses);
+    if (!policy.enabled) {return [];}
+
+    let graph;
+    try {
+      graph = await this.getDependencyGraph();
+    } catch (error) {
+      // Already reported by analyzeDependencyHealth()
+      return [];
+    }
+    if (!graph) {
+      this.addIssue('License policy not checked: no lockfile', 'Commit package-lock.json, yarn.lock or pnpm-lock.yaml');
+      return [];
+    }
+
+    const violations = policy.evaluate(graph);
+    violations.forEach(violation => {
+      this.addFinding({
+        ruleId: 'license-violation',
+        severity: violation.outcome === 'denied' ? (violation.dev ? 'medium' : 'high') : 'medium',
+        message: violation.license
+          ? `${violation.name}@${violation.version} is licensed under ${violation.license}, which is ` +
+            `${violation.outcome === 'denied' ? 'denied' : 'not in the allow list'} (via ${violation.path.join(' > ')})`
+          : `${violation.name}@${violation.version} declares no license, so it is not in the allow list (via ${violation.path.join(' > ')})`,
+        file: graph.lockfile,
+        fix: `Replace ${violation.name}, or add it to security.licenses.exceptions once its license is approved`,
+        summary: false
+      });
+    });
+    this.setDetail('licensePolicy', {
+      checked: graph.packages().filter(node => policy.includeDev || !node.dev).length,
+      denied: violations.filter(violation => violation.outcome === 'denied').length,
+      notAllowed: violations.filter(violation => violation.outcome === 'not-allowed').length
+    });
+    return violations;
+  }
+
+  /**
+   * Deprecated packages, install scripts and missing licenses across the whole lockfile
+   * @returns {Promise<number>} Points awarded, out of 0.5
+   */
+  async analyzeDependencyHealth() {
+    let summary;
+    try {
+      summary = (await this.getDependencyGraph())?.summarize();
+    } catch (error) {
+      this.addIssue(`Dependency graph unavailable: ${error.message}`, 'Regenerate the lockfile with your package manager');
+      return 0;
+    }
+    if (!summary) {return 0;}
+
+    summary.deprecated.forEach(pkg => {
+      this.addFinding({
+        ruleId: 'deprecated-dependency',
+        severity: pkg.dev ? 'low' : 'medium',
+        message: `${pkg.name}@${pkg.version} is deprecated: ${pkg.message} (via ${pkg.path.join(' > ')})`,
+        file: summary.lockfile,
+        fix: `Replace ${pkg.name} or upgrade the package that depends on it`,
+        summary: false
+      });
+    });
+    summary.installScripts.forEach(pkg => {
+      this.addFinding({
+        ruleId: 'dependency-install-script',
+        severity: 'info',
+        message: `${pkg.name}@${pkg.version} runs ${pkg.scripts.length > 0 ? pkg.scripts.join(', ') : 'install'} scripts (via ${pkg.path.join(' > ')})`,
+        file: summary.lockfile,
+        fix: 'Review the script, or install with --ignore-scripts if it is not needed',
+        summary: false
+      });
+    });
+    summary.unlicensed.forEach(pkg => {
+      this.addFinding({
+        ruleId: 'dependency-without-license',
+        severity: 'low',
+        message: `${pkg.name}@${pkg.version} declares no license`,
+        file: summary.lockfile,
+        fix: `Check the terms of ${pkg.name} before distributing it`,
+        summary: false
+      });
+    });
+
+    this.setDetail('dependencyGraph', {
+      lockfile: summary.lockfile,
+      packages: summary.packages,
+      deprecated: summary.deprecated.length,
+      installScripts: summary.installScripts.map(pkg => `${pkg.name}@${pkg.version}`),
+      licenses: summary.licenses,
+      unlicensed: summary.unlicensed.length
+    });
+
+    const deprecatedInProduction = summary.deprecated.filter(pkg => !pkg.dev);
+    if (deprecatedInProduction.length > 0) {
+      this.addIssue(`Deprecated production dependencies: ${deprecatedInProduction.length} packages`,
+        'Deprecated packages no longer receive security fixes - replace them');
+      return 0;
+    }
+    if (summary.deprecated.length > 0) {
+      this.addScore(0.25, 0.5, `Only dev dependencies are deprecated (${summary.deprecated.length} packages)`);
+      return 0.25;
+    }
+    this.addScore(0.5, 0.5, `No deprecated packages in the dependency tree (${summary.packages} packages)`);
+    return 0.5;
+  }
+
+  /**
+   * Audit the installed versions in the lockfile against a local OSV advisory database
+   *
+   * Works without network access. Every installed copy of a package is matched, including
+   * transitive dependencies, and reported with the dependency chain that pulled it in.
+   *
+   * @param {string} databasePath - OSV file or directory, relative to the project root
+   * @returns {Promise<{success: boolean, data: any, error: string}>} Result shaped like runNpmAudit()
+   *   with `lockfile`, `advisoryCount` and the `vulnerabilities` found
+   */
+  async runOfflineAudit(databasePath) {
+    try {
+      const database = await OsvDatabase.load(path.resolve(this.config.projectRoot, databasePath));
+      const graph = await this.getDependencyGraph();
+      if (!graph) {
+        return { success: false, error: 'no lockfile (package-lock.json, yarn.lock or pnpm-lock.yaml) to resolve installed versions' };
+      }
+
+      const paths = graph.paths();
+      const vulnerabilities = [];
+      const affectedPackages = new Map();
+      for (const pkg of graph.packages().filter(node => node.version)) {
+        for (const advisory of database.match(pkg.name, pkg.version)) {
+          vulnerabilities.push({ ...advisory, name: pkg.name, version: pkg.version, dev: pkg.dev, path: paths.get(pkg.location) });
+          affectedPackages.set(`${pkg.name}@${pkg.version}|${advisory.id}`, advisory.severity);
+        }
+      }
+
+      // Counted once per advisory and package version, like npm audit
+      const counts = { info: 0, low: 0, moderate: 0, high: 0, critical: 0 };
+      for (const severity of affectedPackages.values()) {
+        counts[severity === 'medium' ? 'moderate' : severity]++;
+      }
+
+      return {
+        success: true,
+        data: {
+          metadata: { vulnerabilities: { ...counts, total: affectedPackages.size } },
+          lockfile: graph.lockfile,
+          advisoryCount: database.advisoryCount,
+          vulnerabilities
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * One finding per vulnerable install path found by runOfflineAudit()
+   */
+  reportVulnerablePaths({ lockfile, vulnerabilities }) {
+    vulnerabilities.forEach(vulnerability => {
+      this.addFinding({
+        ruleId: 'vulnerable-dependency',
+        severity: vulnerability.severity,
+        message: `${vulnerability.name}@${vulnerability.version}: ${vulnerability.summary} (${vulnerability.id}) via ${vulnerability.path.join(' > ')}`,
+        file: lockfile,
+        fix: vulnerability.fixedVersion
+          ? `Upgrade ${vulnerability.name} to ${vulnerability.fixedVersion} or later`
+          : `No fixed version of ${vulnerability.name} is published - remove or replace it`,
+        summary: false
+      });
+    });
+  }
+
   /**
    * Fallback vulnerability analysis using pattern matching
    * @param {Object} deps - Dependencies object
@@ -178,11 +448,6 @@ export class SecurityAnalyzer extends BaseAnalyzer {
     let _score = 0;
     const _maxScore = 4;
 
-    const files = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx', '.json', '.env']);
-    const _secretsFound = 0;
-    let envUsage = 0;
-    let hardcodedSecrets = 0;
-
     // Check for .env file and .gitignore
     const hasEnvFile = await this.fileExists('.env') || await this.fileExists('.env.example');
     const hasGitignore = await this.fileExists('.gitignore');
@@ -206,59 +471,171 @@ export class SecurityAnalyzer extends BaseAnalyzer {
       }
     }
 
-    for (const file of files.slice(0, 30)) { // Sample files
-      try {
-        const content = await this.readFile(file);
-
-        // Look for environment variable usage (good practice)
-        const envMatches = content.match(/process\.env\./g);
-        if (envMatches) {
-          envUsage += envMatches.length;
-        }
-
-        // Look for potential hardcoded secrets (bad practice)
-        const secretPatterns = [
-          /api[_-]?key['"]\s*[:=]\s*['"]\w{20,}/i,
-          /secret['"]\s*[:=]\s*['"]\w{20,}/i,
-          /token['"]\s*[:=]\s*['"]\w{20,}/i,
-          /password['"]\s*[:=]\s*['"]\w{8,}/i,
-          /private[_-]?key/i,
-          /-----BEGIN\s+(RSA\s+)?PRIVATE\s+KEY-----/,
-          /['"]\w*[Aa][Pp][Ii][Kk][Ee][Yy]\w*['"]\s*[:=]\s*['"]\w{20,}/,
-          /[0-9a-f]{32,}/g // Long hex strings that might be keys
-        ];
-
-        for (const pattern of secretPatterns) {
-          const matches = content.match(pattern);
-          if (matches) {
-            hardcodedSecrets += matches.length;
-          }
-        }
-
-      } catch (error) {
-        // Skip files that can't be read
-      }
-    }
+    const { files, envUsage, secrets } = await this.scanSecrets();
+    secrets.forEach(secret => {
+      this.addFinding({
+        ruleId: secret.ruleId,
+        severity: secret.severity,
+        message: `${secret.name} exposed`,
+        file: secret.file,
+        line: secret.line,
+        column: secret.column,
+        endColumn: secret.endColumn,
+        snippet: secret.preview,
+        // Each distinct value is its own finding across runs, not one per rule and file
+        symbol: secret.fingerprint,
+        fix: 'Move the value to an environment variable or secret store and rotate it',
+        summary: false
+      });
+    });
 
-    // Score based on environment variable usage vs hardcoded secrets
-    if (envUsage > 0 && hardcodedSecrets === 0) {
-      _score += 2;
+    // Critical and high-severity exposures (live keys, private keys, tokens) cost the full 2pts
+    const exposed = secrets.filter(secret => ['critical', 'high'].includes(secret.severity));
+    let managementScore = 0;
+    if (secrets.length === 0 && envUsage > 0) {
+      managementScore = 2;
       this.addScore(2, 2, `Good secrets management (${envUsage} env vars, no hardcoded secrets)`);
-    } else if (envUsage > 0 && hardcodedSecrets > 0) {
-      _score += 1;
-      this.addScore(1, 2, 'Mixed secrets management approach');
-      this.addIssue('Potential hardcoded secrets detected', 'Move secrets to environment variables');
-    } else if (hardcodedSecrets > 0) {
-      this.addIssue('Hardcoded secrets detected', 'Never commit secrets to code - use environment variables');
-    } else if (envUsage === 0) {
+    } else if (secrets.length === 0) {
       // No environment usage might be fine for simple projects
-      _score += 1;
+      managementScore = 1;
       this.addScore(1, 2, 'No obvious secrets management (might be appropriate for this project)');
+    } else if (exposed.length === 0) {
+      managementScore = 1;
+      this.addScore(1, 2, `Only low-risk secrets found (${secrets.length} test or low-severity keys)`);
+      this.addIssue('Potential hardcoded secrets detected', 'Move secrets to environment variables');
+    } else {
+      this.addIssue(`Hardcoded secrets detected: ${exposed.length} in ${new Set(exposed.map(secret => secret.file)).size} files`,
+        'Never commit secrets to code - use environment variables and rotate exposed keys');
+    }
+    _score += managementScore;
+
+    // Secrets deleted from the working tree are still readable in every clone until rotated
+    const history = await this.analyzeSecretHistory();
+    const historical = (history?.exposures || []).filter(exposure => !exposure.inWorkingTree);
+    const historicalExposed = historical.filter(exposure => ['critical', 'high'].includes(exposure.severity));
+    if (historicalExposed.length > 0) {
+      _score -= this.deductScore(Math.min(1, _score), 'Secrets exposed in git history');
+      this.addIssue(`Secrets exposed in git history: ${historicalExposed.length} removed from the working tree`,
+        'Rotate these credentials - deleting a file does not remove it from past commits');
     }
 
     this.setDetail('envUsage', envUsage);
-    this.setDetail('hardcodedSecrets', hardcodedSecrets);
+    this.setDetail('hardcodedSecrets', secrets.length);
+    this.setDetail('secretsByProvider', secrets.reduce((counts, secret) => {
+      counts[secret.provider] = (counts[secret.provider] || 0) + 1;
+      return counts;
+    }, {}));
+    this.setDetail('secretFilesScanned', files.length);
     this.setDetail('hasEnvFile', hasEnvFile);
+    this.setDetail('secretHistory', history && {
+      commitsScanned: history.commitsScanned,
+      totalCommits: history.totalCommits,
+      historicalSecrets: historical.length
+    });
+  }
+
+  /**
+   * Report secrets that were removed from the working tree but remain in git history
+   *
+   * Scans the last 100 commits unless `security.secrets.history` says otherwise, and only once
+   * per HEAD thanks to the cache; off with `enabled: false` and skipped in diff-aware runs.
+   *
+   * @returns {Promise<Object|null>} History scan result, or null when skipped or not a git repository
+   */
+  async analyzeSecretHistory() {
+    const { enabled = true, maxCommits = SCORE_HISTORY_MAX_COMMITS, allRefs } = this.config.security?.secrets?.history || {};
+    if (!enabled || this.changedFiles) {
+      return null;
+    }
+
+    let history;
+    try {
+      history = await this.scanSecretHistory({ maxCommits, allRefs });
+    } catch (error) {
+      this.addIssue('Git history could not be scanned for secrets', error.message);
+      return null;
+    }
+
+    (history?.exposures || []).filter(exposure => !exposure.inWorkingTree).forEach(exposure => {
+      this.addFinding({
+        ruleId: 'secret-in-history',
+        severity: exposure.severity,
+        message: `${exposure.name} in git history (commit ${exposure.commit.slice(0, 7)}, ${exposure.date.slice(0, 10)})`,
+        file: exposure.file,
+        snippet: exposure.preview,
+        symbol: exposure.fingerprint,
+        fix: 'Rotate the credential; rewriting history does not revoke copies in existing clones',
+        summary: false
+      });
+    });
+    return history;
+  }
+
+  /**
+   * Scan the local git history with the working-tree rules
+   *
+   * The result only depends on HEAD and the options, so it is cached until the next commit.
+   *
+   * @param {Object} [options] - `security.secrets.history` settings
+   * @param {number} [options.maxCommits] - Most recent commits to scan
+   * @param {boolean} [options.allRefs] - Scan every branch and tag instead of HEAD only
+   * @returns {Promise<Object|null>} GitHistoryScanner result with `inWorkingTree` flags, or null outside a git repository
+   * @throws {Error} When git fails on an existing repository
+   */
+  async scanSecretHistory({ maxCommits, allRefs } = {}) {
+    const scanner = new GitHistoryScanner(this.config.projectRoot, { scanner: this.secretScanner, maxCommits, allRefs });
+    const head = scanner.getHead();
+    if (!head) {
+      return null;
+    }
+
+    const pass = `${this.categoryKey}/secret-history`;
+    const key = `${head}:${scanner.maxCommits}:${scanner.allRefs}`;
+    let history = this.cache?.get(pass, '.git', key, this.analyzerVersion);
+    if (history === undefined) {
+      history = await scanner.scan();
+      this.cache?.set(pass, '.git', key, this.analyzerVersion, history);
+    }
+
+    return { ...history, exposures: await scanner.markWorkingTree(history.exposures) };
+  }
+
+  /**
+   * Scan the working tree for secrets; source, .env* and config files are scanned while
+   * lockfiles and allowlisted paths are skipped
+   * @returns {Promise<{files: string[], envUsage: number, secrets: Array<Object>}>} Redacted secrets with their file
+   */
+  async scanSecrets() {
+    const { listFiles, analyze } = this.filePasses.secrets;
+    const files = await listFiles();
+    let envUsage = 0;
+    const secrets = [];
+
+    for (const file of files) {
+      const scan = await this.analyzeFile(file, 'secrets', analyze);
+      if (!scan) {continue;}
+
+      envUsage += scan.envUsage;
+      scan.secrets.forEach(secret => secrets.push({ ...secret, file }));
+    }
+
+    return { files, envUsage, secrets };
+  }
+
+  /**
+   * Count environment variable usage and detect secrets in one file
+   * @param {string} content - File content
+   * @param {string} file - Project-relative path
+   * @returns {{envUsage: number, secrets: Array<Object>}} Per-file scan result; secrets are redacted
+   */
+  scanFileForSecrets(content, file) {
+    // Look for environment variable usage (good practice)
+    const envMatches = content.match(/process\.env\.|import\.meta\.env\./g);
+
+    return {
+      envUsage: envMatches ? envMatches.length : 0,
+      secrets: this.secretScanner.scanContent(content, file)
+    };
   }
 
   /**
@@ -280,55 +657,29 @@ export class SecurityAnalyzer extends BaseAnalyzer {
     let aiDebuggingContext = 0;
     let errorBoundariesFound = 0;
 
-    for (const file of files.slice(0, 25)) { // Increased sample size
-      try {
-        const content = await this.readFile(file);
-
-        // Count try-catch blocks
-        const tryCatchMatches = content.match(/try\s*{[\s\S]*?catch\s*\(/g);
-        if (tryCatchMatches) {
-          tryCatchBlocks += tryCatchMatches.length;
-        }
-
-        // Count error handling patterns
-        if (content.includes('error') || content.includes('Error') ||
-            content.includes('.catch(') || content.includes('throw ')) {
-          errorHandlers++;
-        }
-
-        // PHASE 1: Analyze structured error handling
-        if (this.hasStructuredErrorHandling(content)) {
-          structuredErrors++;
-        }
-
-        // PHASE 1: Analyze contextual error information
-        if (this.hasContextualErrorHandling(content)) {
-          contextualErrors++;
-        }
-
-        // PHASE 1: Check for graceful degradation patterns
-        if (this.hasGracefulDegradation(content)) {
-          gracefulDegradation++;
-        }
-
-        // PHASE 1: AI debugging context patterns
-        if (this.hasAIDebuggingContext(content)) {
-          aiDebuggingContext++;
-        }
-
-        // Check for React Error Boundaries
-        if (content.includes('componentDidCatch') || content.includes('ErrorBoundary') ||
-            content.includes('getDerivedStateFromError')) {
-          errorBoundariesFound++;
-        }
-
-        // Enhanced information exposure detection
-        if (this.hasErrorInformationExposure(content)) {
-          errorExposureRisk++;
-        }
-
-      } catch (error) {
-        // Skip files that can't be read
+    for (const file of files) {
+      const patterns = await this.analyzeFile(file, 'error-handling', (content) => this.detectErrorHandling(content));
+      if (!patterns) {continue;}
+
+      tryCatchBlocks += patterns.tryCatchBlocks;
+      if (patterns.handlesErrors) {errorHandlers++;}
+      if (patterns.structured) {structuredErrors++;}
+      if (patterns.contextual) {contextualErrors++;}
+      if (patterns.gracefulDegradation) {gracefulDegradation++;}
+      if (patterns.debuggingContext) {aiDebuggingContext++;}
+      if (patterns.errorBoundary) {errorBoundariesFound++;}
+
+      // Enhanced information exposure detection
+      if (patterns.informationExposure) {
+        errorExposureRisk++;
+        this.addFinding({
+          ruleId: 'error-information-exposure',
+          severity: 'low',
+          message: `Error details may be exposed in ${file}`,
+          file,
+          fix: 'Log sanitized error messages instead of raw error objects or stacks',
+          summary: false
+        });
       }
     }
 
@@ -342,7 +693,7 @@ export class SecurityAnalyzer extends BaseAnalyzer {
     }
 
     // Score for structured error handling (0.75pts)
-    const structuredRatio = files.length > 0 ? structuredErrors / Math.min(files.length, 25) : 0;
+    const structuredRatio = files.length > 0 ? structuredErrors / files.length : 0;
     const structuredScore = Math.min(structuredRatio * 0.75, 0.75);
     if (structuredScore > 0.3) {
       _score += structuredScore;
@@ -352,7 +703,7 @@ export class SecurityAnalyzer extends BaseAnalyzer {
     }
 
     // Score for contextual error information (0.75pts)
-    const contextualRatio = files.length > 0 ? contextualErrors / Math.min(files.length, 25) : 0;
+    const contextualRatio = files.length > 0 ? contextualErrors / files.length : 0;
     const contextualScore = Math.min(contextualRatio * 0.75, 0.75);
     if (contextualScore > 0.3) {
       _score += contextualScore;
@@ -410,6 +761,28 @@ export class SecurityAnalyzer extends BaseAnalyzer {
     this.setDetail('errorBoundaries', errorBoundariesFound);
   }
 
+  /**
+   * Error handling patterns of one file
+   * @param {string} content - File content
+   * @returns {Object} try/catch count and detected pattern flags
+   */
+  detectErrorHandling(content) {
+    const tryCatchMatches = content.match(/try\s*{[\s\S]*?catch\s*\(/g);
+
+    return {
+      tryCatchBlocks: tryCatchMatches ? tryCatchMatches.length : 0,
+      handlesErrors: content.includes('error') || content.includes('Error') ||
+        content.includes('.catch(') || content.includes('throw '),
+      structured: this.hasStructuredErrorHandling(content),
+      contextual: this.hasContextualErrorHandling(content),
+      gracefulDegradation: this.hasGracefulDegradation(content),
+      debuggingContext: this.hasAIDebuggingContext(content),
+      errorBoundary: content.includes('componentDidCatch') || content.includes('ErrorBoundary') ||
+        content.includes('getDerivedStateFromError'),
+      informationExposure: this.hasErrorInformationExposure(content)
+    };
+  }
+
   /**
    * PHASE 1: Check for structured error handling patterns
    */
@@ -508,9 +881,8 @@ export class SecurityAnalyzer extends BaseAnalyzer {
     let _score = 0;
     const _maxScore = 2;
 
-    const files = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx']);
-    let validationPatterns = 0;
-    let sanitizationUsage = 0;
+    const { listFiles, analyze } = this.filePasses['taint-flows'];
+    const files = await listFiles();
 
     const validationLibraries = [
       'joi', 'yup', 'express-validator', 'ajv', 'zod',
@@ -529,44 +901,60 @@ export class SecurityAnalyzer extends BaseAnalyzer {
       }
     }
 
-    for (const file of files.slice(0, 15)) { // Sample files
-      try {
-        const content = await this.readFile(file);
-
-        // Look for validation patterns
-        const validationKeywords = [
-          'validate', 'sanitize', 'escape', 'filter', 'trim',
-          'typeof', 'instanceof', 'isArray', 'isString', 'isNumber'
-        ];
-
-        for (const keyword of validationKeywords) {
-          if (content.includes(keyword)) {
-            validationPatterns++;
-            break; // Count each file only once
-          }
-        }
-
-        // Look for sanitization usage
-        if (content.includes('sanitize') || content.includes('escape') ||
-            content.includes('xss') || content.includes('DOMPurify')) {
-          sanitizationUsage++;
-        }
+    // Follow req.query/body/params/headers/cookies through request handlers to dangerous sinks
+    let handlers = 0;
+    const flows = [];
+    for (const file of files) {
+      const result = await this.analyzeFile(file, 'taint-flows', analyze);
+      if (!result) {continue;}
 
-      } catch (error) {
-        // Skip files that can't be read
-      }
+      handlers += result.handlers;
+      flows.push(...result.flows.map(flow => ({ ...flow, file })));
     }
 
-    // Score for validation patterns
-    if (validationPatterns > 0) {
-      const validationScore = Math.min(validationPatterns / 5, 1); // Up to 1 point
-      _score += validationScore;
-      this.addScore(validationScore, 1, `Input validation patterns found (${validationPatterns} files)`);
-    } else if (files.length > 5) {
-      this.addIssue('No input validation patterns detected', 'Add input validation for user data');
+    // Request data echoed as plain text is lower risk than HTML, commands, code, SQL or paths
+    const severityOf = flow => (flow.kind === 'xss' && !flow.html ? 'medium' : TAINT_SINKS[flow.kind].severity);
+    flows.forEach(flow => {
+      this.addFinding({
+        ruleId: flow.kind,
+        severity: severityOf(flow),
+        message: `${flow.source} reaches ${flow.sink} without sanitization: ` +
+          flow.trace.map(step => `${step.label} (line ${step.line})`).join(' -> '),
+        file: flow.file,
+        line: flow.line,
+        column: flow.column,
+        endColumn: flow.endColumn,
+        fix: TAINT_SINKS[flow.kind].fix,
+        trace: flow.trace,
+        // The message lists line numbers; identify the flow by its handler and path so edits above it keep the baseline match
+        symbol: `${flow.handler ? `${flow.handler}: ` : ''}${flow.trace.map(step => step.label).join(' -> ')}`,
+        summary: false
+      });
+    });
+
+    const severe = flows.filter(flow => severityOf(flow) !== 'medium');
+    if (flows.length === 0) {
+      _score += 1;
+      this.addScore(1, 1, handlers > 0
+        ? `No unsanitized request data reaches dangerous sinks (${handlers} handlers traced)`
+        : 'No request handlers to trace');
+    } else if (severe.length === 0) {
+      _score += 0.5;
+      this.addScore(0.5, 1, `Only plain-text request data echoed in responses (${flows.length} flows)`);
+      this.addIssue(`Unescaped request data in responses: ${flows.length} flows`, 'Escape request data before sending it, or send JSON');
+    } else {
+      const byKind = {};
+      severe.forEach(flow => {
+        byKind[flow.kind] = (byKind[flow.kind] || 0) + 1;
+      });
+      this.addIssue(`Injection risks: ${Object.entries(byKind).map(([kind, count]) => `${count} ${kind}`).join(', ')}`,
+        'Validate and sanitize request data before it reaches commands, eval, file paths, SQL or HTML');
     }
 
-    this.setDetail('validationPatterns', validationPatterns);
-    this.setDetail('sanitizationUsage', sanitizationUsage);
+    this.setDetail('requestHandlers', handlers);
+    this.setDetail('taintFlows', flows.reduce((counts, flow) => {
+      counts[flow.kind] = (counts[flow.kind] || 0) + 1;
+      return counts;
+    }, {}));
   }
-}
\ No newline at end of file
+}
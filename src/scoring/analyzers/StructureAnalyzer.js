@@ -13,12 +13,15 @@
 import path from 'path';
 import fs from 'fs/promises';
 import { BaseAnalyzer } from './BaseAnalyzer.js';
+import { MODULE_SIZE_THRESHOLDS } from '../../config/scoringConfig.js';
 
 export class StructureAnalyzer extends BaseAnalyzer {
   constructor(config) {
     super(config);
     this.categoryName = 'Code Structure & Architecture';
+    this.categoryKey = 'structure';
     this.description = 'File organization, module boundaries, naming conventions, and architecture patterns';
+    this.moduleSizeThresholds = this.config.moduleSizeThresholds || MODULE_SIZE_THRESHOLDS;
   }
 
   async runAnalysis() {
@@ -26,6 +29,7 @@ export class StructureAnalyzer extends BaseAnalyzer {
     this.results.score = 0;
     this.results.issues = [];
     this.results.suggestions = [];
+    this.results.findings = [];
 
     // Run individual analysis components
     await this.analyzeFileOrganization(); // 5pts
@@ -104,8 +108,21 @@ export class StructureAnalyzer extends BaseAnalyzer {
         this.addIssue('Modules are too large', 'Break down large modules for better maintainability');
       }
 
+      moduleAnalysis.largeModules.forEach(({ file, lines }) => {
+        this.addFinding({
+          ruleId: 'large-module',
+          severity: lines > this.moduleSizeThresholds.veryLarge ? 'medium' : 'low',
+          message: `Module ${file} has ${lines} lines (threshold ${this.moduleSizeThresholds.medium})`,
+          file,
+          symbol: file,
+          fix: 'Split the module into smaller, focused units',
+          summary: false
+        });
+      });
+
       this.setDetail('averageModuleSize', avgModuleSize);
       this.setDetail('totalModules', moduleAnalysis.totalModules);
+      this.setDetail('largeModules', moduleAnalysis.largeModules.length);
 
     } catch (error) {
       this.addIssue(`Module boundary analysis failed: ${error.message}`);
@@ -204,163 +221,173 @@ export class StructureAnalyzer extends BaseAnalyzer {
       mcpProtocolCompliance: false
     };
 
-    const files = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx']);
+    const files = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx'], [], { scope: 'project' });
 
-    for (const file of files.slice(0, 20)) { // Analyze sample files
-      try {
-        const content = await this.readFile(file);
-        const lowerContent = content.toLowerCase();
+    for (const file of files) {
+      const detected = await this.analyzeFile(file, 'architecture-patterns', (content) => this.detectFilePatterns(file, content));
+      (detected || []).forEach(pattern => {
+        patterns[pattern] = true;
+      });
+    }
 
-        // MVC Pattern
-        if (file.includes('controller') || file.includes('model') || file.includes('view') ||
-            lowerContent.includes('controller') || lowerContent.includes('model')) {
-          patterns.mvc = true;
-        }
+    // Check for layered architecture in directory structure
+    const directories = await this.getAllDirectories();
+    if (directories.some(d => d.includes('models')) &&
+        directories.some(d => d.includes('views')) &&
+        directories.some(d => d.includes('controllers') || d.includes('services'))) {
+      patterns.layeredArchitecture = true;
+    }
 
-        // Service Layer
-        if (file.includes('service') || file.includes('Service') || lowerContent.includes('service')) {
-          patterns.serviceLayer = true;
-        }
+    // PHASE 1: Check for Context7/MCP-specific directory structures
+    if (directories.some(d => d.includes('.agent-os')) ||
+        await this.fileExists('.agent-os') || await this.fileExists('src/mcp-server.js')) {
+      patterns.agentOSIntegration = true;
+    }
 
-        // Repository Pattern
-        if (file.includes('repository') || file.includes('Repository') ||
-            lowerContent.includes('repository') || lowerContent.includes('findby') ||
-            lowerContent.includes('findall')) {
-          patterns.repositoryPattern = true;
-        }
+    // Check for Context7 compliance files
+    if (await this.fileExists('AGENTS.md') && await this.fileExists('CLAUDE.md') &&
+        await this.fileExists('context7.config.js')) {
+      patterns.context7Compliance = true;
+    }
 
-        // Observer Pattern
-        if (content.includes('addEventListener') || content.includes('subscribe') ||
-            content.includes('observer') || content.includes('Observer') ||
-            content.includes('EventEmitter')) {
-          patterns.observerPattern = true;
-        }
+    return patterns;
+  }
 
-        // Singleton Pattern
-        if (content.includes('getInstance') || content.includes('singleton') ||
-            content.match(/class\s+\w+\s*{[\s\S]*static\s+instance/)) {
-          patterns.singletonPattern = true;
-        }
+  /**
+   * Architecture patterns detected in one file
+   * @param {string} file - Project-relative file path
+   * @param {string} content - File content
+   * @returns {string[]} Keys of the detected patterns
+   */
+  detectFilePatterns(file, content) {
+    const lowerContent = content.toLowerCase();
+    const found = {};
 
-        // Factory Pattern
-        if (content.includes('createInstance') || content.includes('factory') ||
-            content.includes('Factory') || content.includes('create()')) {
-          patterns.factoryPattern = true;
-        }
+    // MVC Pattern
+    if (file.includes('controller') || file.includes('model') || file.includes('view') ||
+        lowerContent.includes('controller') || lowerContent.includes('model')) {
+      found.mvc = true;
+    }
 
-        // Middleware Pattern
-        if (content.includes('middleware') || content.includes('next()') ||
-            content.includes('(req, res, next)') || file.includes('middleware')) {
-          patterns.middlewarePattern = true;
-        }
+    // Service Layer
+    if (file.includes('service') || file.includes('Service') || lowerContent.includes('service')) {
+      found.serviceLayer = true;
+    }
 
-        // Strategy Pattern
-        if (content.includes('strategy') || content.includes('Strategy') ||
-            content.match(/\w+Strategy/)) {
-          patterns.strategyPattern = true;
-        }
+    // Repository Pattern
+    if (file.includes('repository') || file.includes('Repository') ||
+        lowerContent.includes('repository') || lowerContent.includes('findby') ||
+        lowerContent.includes('findall')) {
+      found.repositoryPattern = true;
+    }
 
-        // React/Vue specific patterns
-        if (content.includes('React.memo') || content.includes('useMemo') ||
-            content.includes('useCallback') || content.includes('HOC') ||
-            content.includes('withRouter') || content.includes('compose(')) {
-          patterns.compositionPattern = true;
-        }
+    // Observer Pattern
+    if (content.includes('addEventListener') || content.includes('subscribe') ||
+        content.includes('observer') || content.includes('Observer') ||
+        content.includes('EventEmitter')) {
+      found.observerPattern = true;
+    }
 
-        // State Management
-        if (content.includes('Redux') || content.includes('Vuex') ||
-            content.includes('Zustand') || content.includes('Pinia') ||
-            content.includes('useContext') || content.includes('createContext')) {
-          patterns.stateManagement = true;
-        }
+    // Singleton Pattern
+    if (content.includes('getInstance') || content.includes('singleton') ||
+        content.match(/class\s+\w+\s*{[\s\S]*static\s+instance/)) {
+      found.singletonPattern = true;
+    }
 
-        // Error Boundaries (React)
-        if (content.includes('componentDidCatch') || content.includes('ErrorBoundary') ||
-            content.includes('getDerivedStateFromError')) {
-          patterns.errorBoundaries = true;
-        }
+    // Factory Pattern
+    if (content.includes('createInstance') || content.includes('factory') ||
+        content.includes('Factory') || content.includes('create()')) {
+      found.factoryPattern = true;
+    }
 
-        // Dependency Injection
-        if (content.includes('inject') || content.includes('@Injectable') ||
-            content.includes('container.resolve') || content.includes('DI')) {
-          patterns.dependencyInjection = true;
-        }
+    // Middleware Pattern
+    if (content.includes('middleware') || content.includes('next()') ||
+        content.includes('(req, res, next)') || file.includes('middleware')) {
+      found.middlewarePattern = true;
+    }
 
-        // Event-driven architecture
-        if (content.includes('EventBus') || content.includes('emit(') ||
-            content.includes('dispatch(') || content.includes('publish(')) {
-          patterns.eventDriven = true;
-        }
+    // Strategy Pattern
+    if (content.includes('strategy') || content.includes('Strategy') ||
+        content.match(/\w+Strategy/)) {
+      found.strategyPattern = true;
+    }
 
-        // PHASE 1: MCP-specific pattern detection
-        // MCP Server Pattern
-        if (content.includes('@modelcontextprotocol/sdk') || content.includes('Server') &&
-            (content.includes('resources') || content.includes('tools') || content.includes('prompts'))) {
-          patterns.mcpServerPattern = true;
-        }
+    // React/Vue specific patterns
+    if (content.includes('React.memo') || content.includes('useMemo') ||
+        content.includes('useCallback') || content.includes('HOC') ||
+        content.includes('withRouter') || content.includes('compose(')) {
+      found.compositionPattern = true;
+    }
 
-        // MCP Resource Handlers
-        if (content.includes('list_resources') || content.includes('read_resource') ||
-            content.includes('ResourceManager') || content.includes('getResource')) {
-          patterns.mcpResourceHandlers = true;
-        }
+    // State Management
+    if (content.includes('Redux') || content.includes('Vuex') ||
+        content.includes('Zustand') || content.includes('Pinia') ||
+        content.includes('useContext') || content.includes('createContext')) {
+      found.stateManagement = true;
+    }
 
-        // MCP Tool Handlers
-        if (content.includes('list_tools') || content.includes('call_tool') ||
-            content.includes('ToolManager') || content.includes('executeTool')) {
-          patterns.mcpToolHandlers = true;
-        }
+    // Error Boundaries (React)
+    if (content.includes('componentDidCatch') || content.includes('ErrorBoundary') ||
+        content.includes('getDerivedStateFromError')) {
+      found.errorBoundaries = true;
+    }
 
-        // MCP Prompt Handlers
-        if (content.includes('list_prompts') || content.includes('get_prompt') ||
-            content.includes('PromptManager') || content.includes('generatePrompt')) {
-          patterns.mcpPromptHandlers = true;
-        }
+    // Dependency Injection
+    if (content.includes('inject') || content.includes('@Injectable') ||
+        content.includes('container.resolve') || content.includes('DI')) {
+      found.dependencyInjection = true;
+    }
 
-        // Agent OS Integration
-        if (content.includes('.agent-os') || content.includes('AgentOS') ||
-            content.includes('agent-config') || file.includes('.agent-os')) {
-          patterns.agentOSIntegration = true;
-        }
+    // Event-driven architecture
+    if (content.includes('EventBus') || content.includes('emit(') ||
+        content.includes('dispatch(') || content.includes('publish(')) {
+      found.eventDriven = true;
+    }
 
-        // Context7 Compliance
-        if (content.includes('Context7') || content.includes('context7') ||
-            content.includes('CLAUDE.md') || content.includes('AGENTS.md')) {
-          patterns.context7Compliance = true;
-        }
+    // PHASE 1: MCP-specific pattern detection
+    // MCP Server Pattern
+    if (content.includes('@modelcontextprotocol/sdk') || content.includes('Server') &&
+        (content.includes('resources') || content.includes('tools') || content.includes('prompts'))) {
+      found.mcpServerPattern = true;
+    }
 
-        // MCP Protocol Compliance
-        if (content.includes('JSON-RPC') || content.includes('initialize') &&
-            content.includes('capabilities') || content.includes('notification')) {
-          patterns.mcpProtocolCompliance = true;
-        }
+    // MCP Resource Handlers
+    if (content.includes('list_resources') || content.includes('read_resource') ||
+        content.includes('ResourceManager') || content.includes('getResource')) {
+      found.mcpResourceHandlers = true;
+    }
 
-      } catch (error) {
-        // Skip files that can't be read
-      }
+    // MCP Tool Handlers
+    if (content.includes('list_tools') || content.includes('call_tool') ||
+        content.includes('ToolManager') || content.includes('executeTool')) {
+      found.mcpToolHandlers = true;
     }
 
-    // Check for layered architecture in directory structure
-    const directories = await this.getAllDirectories();
-    if (directories.some(d => d.includes('models')) &&
-        directories.some(d => d.includes('views')) &&
-        directories.some(d => d.includes('controllers') || d.includes('services'))) {
-      patterns.layeredArchitecture = true;
+    // MCP Prompt Handlers
+    if (content.includes('list_prompts') || content.includes('get_prompt') ||
+        content.includes('PromptManager') || content.includes('generatePrompt')) {
+      found.mcpPromptHandlers = true;
     }
 
-    // PHASE 1: Check for Context7/MCP-specific directory structures
-    if (directories.some(d => d.includes('.agent-os')) ||
-        await this.fileExists('.agent-os') || await this.fileExists('src/mcp-server.js')) {
-      patterns.agentOSIntegration = true;
+    // Agent OS Integration
+    if (content.includes('.agent-os') || content.includes('AgentOS') ||
+        content.includes('agent-config') || file.includes('.agent-os')) {
+      found.agentOSIntegration = true;
     }
 
-    // Check for Context7 compliance files
-    if (await this.fileExists('AGENTS.md') && await this.fileExists('CLAUDE.md') &&
-        await this.fileExists('context7.config.js')) {
-      patterns.context7Compliance = true;
+    // Context7 Compliance
+    if (content.includes('Context7') || content.includes('context7') ||
+        content.includes('CLAUDE.md') || content.includes('AGENTS.md')) {
+      found.context7Compliance = true;
     }
 
-    return patterns;
+    // MCP Protocol Compliance
+    if (content.includes('JSON-RPC') || content.includes('initialize') &&
+        content.includes('capabilities') || content.includes('notification')) {
+      found.mcpProtocolCompliance = true;
+    }
+
+    return Object.keys(found);
   }
 
   /**
@@ -494,6 +521,15 @@ export class StructureAnalyzer extends BaseAnalyzer {
       this.setDetail('prodDependencies', Object.keys(deps).length);
       this.setDetail('devDependencies', Object.keys(devDeps).length);
 
+      // Direct entries only tell part of the story; the lockfile has the installed tree
+      const graph = await this.getDependencyGraph();
+      if (graph) {
+        const summary = graph.summarize();
+        this.setDetail('installedPackages', summary.packages);
+        this.setDetail('dependencyDepth', summary.maxDepth);
+        this.setDetail('duplicatedPackages', summary.duplicates.length);
+      }
+
     } catch (error) {
       this.addIssue(`Dependency analysis failed: ${error.message}`);
     }
@@ -585,34 +621,39 @@ export class StructureAnalyzer extends BaseAnalyzer {
     let totalSize = 0;
     let totalModules = 0;
     let hasConsistentExports = true;
+    const largeModules = [];
 
-    for (const file of files.slice(0, 20)) { // Sample first 20 files for performance
-      try {
-        const content = await this.readFile(file);
-        const stats = await this.getFileStats(file);
-
-        if (stats) {
-          totalSize += stats.lines;
-          totalModules++;
-        }
-
+    for (const file of files) {
+      const module = await this.analyzeFile(file, 'module-structure', (content) => {
         // Check for export consistency (very basic check)
         const hasExport = content.includes('export');
         const hasDefaultExport = content.includes('export default');
         const hasNamedExports = /export\s+{/.test(content) || /export\s+const|let|var|function|class/.test(content);
 
-        if (!hasExport && !hasDefaultExport && !hasNamedExports && content.trim().length > 100) {
-          hasConsistentExports = false;
-        }
-      } catch (error) {
-        // Skip files that can't be read
+        return {
+          lines: content.split('\n').length,
+          missingExports: !hasExport && !hasDefaultExport && !hasNamedExports && content.trim().length > 100
+        };
+      });
+      if (!module) {continue;}
+
+      if (module.lines > this.moduleSizeThresholds.medium) {
+        largeModules.push({ file, lines: module.lines });
+      }
+
+      totalSize += module.lines;
+      totalModules++;
+
+      if (module.missingExports) {
+        hasConsistentExports = false;
       }
     }
 
     return {
       averageModuleSize: totalModules > 0 ? totalSize / totalModules : 0,
       totalModules,
-      hasConsistentExports
+      hasConsistentExports,
+      largeModules
     };
   }
 
@@ -675,6 +716,18 @@ export class StructureAnalyzer extends BaseAnalyzer {
         } else {
           this.addScore(ratio * _maxScore, _maxScore, `${Math.round(ratio * 100)}% of components follow PascalCase`);
           this.addIssue('Some React components don\'t follow PascalCase', 'Use PascalCase for React component names');
+          componentFiles
+            .filter(file => !properlyNamed.includes(file))
+            .forEach(file => {
+              this.addFinding({
+                ruleId: 'component-naming',
+                severity: 'low',
+                message: `Component file ${path.basename(file)} is not PascalCase`,
+                file,
+                fix: 'Rename the component file to PascalCase',
+                summary: false
+              });
+            });
         }
       } else {
         _score += _maxScore; // No components to check
@@ -801,7 +854,7 @@ export class StructureAnalyzer extends BaseAnalyzer {
   }
 
   async countFiles() {
-    const allFiles = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx', '.vue', '.svelte']);
+    const allFiles = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx', '.vue', '.svelte'], [], { scope: 'project' });
     return allFiles.length;
   }
 
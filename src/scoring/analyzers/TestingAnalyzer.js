@@ -8,6 +8,7 @@
  * Total: 15pts
  */
 
+import path from 'path';
 import { BaseAnalyzer } from './BaseAnalyzer.js';
 import { execSync } from 'child_process';
 
@@ -15,6 +16,7 @@ export class TestingAnalyzer extends BaseAnalyzer {
   constructor(config) {
     super(config);
     this.categoryName = 'Testing & Documentation';
+    this.categoryKey = 'testing';
     this.description = 'Test coverage, organization, and testing infrastructure';
   }
 
@@ -22,6 +24,7 @@ export class TestingAnalyzer extends BaseAnalyzer {
     this.results.score = 0;
     this.results.issues = [];
     this.results.suggestions = [];
+    this.results.findings = [];
 
     await this.analyzeTestPresence(); // 8pts
     await this.analyzeTestOrganization(); // 4pts
@@ -34,7 +37,7 @@ export class TestingAnalyzer extends BaseAnalyzer {
 
     // Find test files
     const testFiles = await this.findTestFiles();
-    const sourceFiles = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx']);
+    const sourceFiles = await this.getAllFiles('', ['.js', '.ts', '.jsx', '.tsx'], [], { scope: 'project' });
 
     if (testFiles.length === 0) {
       this.addIssue('No test files found', 'Add unit tests to ensure code quality and prevent regressions');
@@ -42,6 +45,8 @@ export class TestingAnalyzer extends BaseAnalyzer {
       return;
     }
 
+    this.addUntestedModuleFindings(sourceFiles, testFiles);
+
     // PHASE 1 UPGRADE: Use real coverage tools (c8, nyc, jest) for actual coverage metrics
     const coverageResult = await this.runCoverageAnalysis();
 
@@ -273,6 +278,30 @@ export class TestingAnalyzer extends BaseAnalyzer {
     this.setDetail('hasTestScript', !!(packageJson.scripts && packageJson.scripts.test));
   }
 
+  /**
+   * Record a finding for each source module without a test file of the same base name
+   */
+  addUntestedModuleFindings(sourceFiles, testFiles) {
+    const testFileSet = new Set(testFiles);
+    const testedNames = new Set(testFiles.map(file =>
+      path.basename(file).replace(/\.(test|spec)\.[jt]sx?$/, '').replace(/\.[jt]sx?$/, '')
+    ));
+
+    sourceFiles
+      .filter(file => !testFileSet.has(file) && /^(src|lib)[\\/]/.test(file) && this.isInDiffScope(file))
+      .filter(file => !testedNames.has(path.basename(file, path.extname(file))))
+      .forEach(file => {
+        this.addFinding({
+          ruleId: 'untested-module',
+          severity: 'info',
+          message: `No test file found for ${file}`,
+          file,
+          fix: `Add tests for ${path.basename(file)}`,
+          summary: false
+        });
+      });
+  }
+
   async findTestFiles() {
     const testPatterns = [
       '.test.js', '.test.ts', '.test.jsx', '.test.tsx',
@@ -283,7 +312,7 @@ export class TestingAnalyzer extends BaseAnalyzer {
 
     // Find files with test patterns
     for (const pattern of testPatterns) {
-      const files = await this.getAllFiles('');
+      const files = await this.getAllFiles('', null, [], { scope: 'project' });
       testFiles.push(...files.filter(file => file.includes(pattern)));
     }
 
@@ -291,7 +320,7 @@ export class TestingAnalyzer extends BaseAnalyzer {
     const testDirs = ['test', 'tests', '__tests__', 'src/__tests__'];
     for (const dir of testDirs) {
       if (await this.fileExists(dir)) {
-        const files = await this.getAllFiles(dir, ['.js', '.ts', '.jsx', '.tsx']);
+        const files = await this.getAllFiles(dir, ['.js', '.ts', '.jsx', '.tsx'], [], { scope: 'project' });
         testFiles.push(...files);
       }
     }
@@ -0,0 +1,214 @@
+/**
+ * Analysis Cache
+ *
+ * Persists per-file analyzer results under `.codefortify/cache/` so re-scoring only
+ * re-analyzes files whose content changed. An entry is reused when the content hash,
+ * the analyzer version and the scoring config hash all match; otherwise it is recomputed.
+ *
+ * Layout:
+ *   .codefortify/cache/analysis.json - { version, toolVersion, entries: { "<pass>|<file>": entry } }
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+export const CACHE_VERSION = 1;
+
+export class AnalysisCache {
+  /**
+   * @param {string} projectRoot - Project root directory
+   * @param {Object} [options] - Cache options
+   * @param {string} [options.directory='.codefortify'] - Storage directory relative to the project root
+   * @param {string} [options.configHash=''] - Hash of the scoring config; see AnalysisCache.hashConfig()
+   * @param {boolean} [options.enabled=true] - When false every lookup misses and nothing is written
+   */
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    this.options = { directory: options.directory, configHash: options.configHash, enabled: options.enabled };
+    this.filePath = path.resolve(projectRoot, options.directory || '.codefortify', 'cache', 'analysis.json');
+    this.configHash = options.configHash || '';
+    this.enabled = options.enabled !== false;
+    this.toolVersion = AnalysisCache.getToolVersion();
+
+    this.entries = {};
+    this.touched = new Set();
+    this.usedPasses = new Set();
+    this.dirty = false;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  static getToolVersion() {
+    try {
+      const packagePath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../../package.json');
+      return JSON.parse(readFileSync(packagePath, 'utf8')).version;
+    } catch (error) {
+      return '0.0.0';
+    }
+  }
+
+  /**
+   * SHA-256 of file content
+   */
+  static hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Stable hash of a config object (key order does not matter)
+   */
+  static hashConfig(config) {
+    const stable = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(stable);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, stable(value[key])]));
+      }
+      return value;
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(stable(config ?? {}))).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Load the cache file; a missing, corrupt or outdated file starts an empty cache
+   * @returns {Promise<AnalysisCache>} This cache
+   */
+  async load() {
+    if (!this.enabled) {
+      return this;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      if (data.version === CACHE_VERSION && data.toolVersion === this.toolVersion && data.entries) {
+        this.entries = data.entries;
+      }
+    } catch (error) {
+      this.entries = {};
+    }
+    return this;
+  }
+
+  /**
+   * Cached result of an analysis pass for a file
+   * @param {string} pass - Pass name, e.g. "quality/complexity"
+   * @param {string} file - Project-relative file path
+   * @param {string} hash - Content hash from hashContent()
+   * @param {number|string} analyzerVersion - Version of the analyzer producing the data
+   * @returns {*} Cached data, or undefined on a miss
+   */
+  get(pass, file, hash, analyzerVersion) {
+    const key = `${pass}|${file}`;
+    this.usedPasses.add(pass);
+    this.touched.add(key);
+
+    const entry = this.enabled ? this.entries[key] : undefined;
+    if (entry && entry.hash === hash && entry.analyzerVersion === analyzerVersion && entry.configHash === this.configHash) {
+      this.stats.hits++;
+      return entry.data;
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store the result of an analysis pass for a file
+   * @param {*} data - JSON-serializable result
+   */
+  set(pass, file, hash, analyzerVersion, data) {
+    if (!this.enabled) {
+      return;
+    }
+    const key = `${pass}|${file}`;
+    this.entries[key] = { hash, analyzerVersion, configHash: this.configHash, data };
+    this.touched.add(key);
+    this.dirty = true;
+  }
+
+  /**
+   * Write the cache to disk
+   *
+   * With `prune`, entries of passes that ran in this session but were not looked up
+   * (deleted or excluded files) are dropped. Diff-scoped runs should not prune.
+   *
+   * @param {Object} [options] - Save options
+   * @param {boolean} [options.prune=true] - Drop stale entries of the passes that ran
+   * @returns {Promise<string|null>} Cache file path, or null when nothing was written
+   */
+  async save({ prune = true } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    if (prune) {
+      for (const key of Object.keys(this.entries)) {
+        const pass = key.slice(0, key.indexOf('|'));
+        if (this.usedPasses.has(pass) && !this.touched.has(key)) {
+          delete this.entries[key];
+          this.dirty = true;
+        }
+      }
+    }
+
+    if (!this.dirty) {
+      return null;
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({
+      version: CACHE_VERSION,
+      toolVersion: this.toolVersion,
+      entries: this.entries
+    }));
+    this.dirty = false;
+    return this.filePath;
+  }
+
+  /**
+   * Cloneable state for a worker thread
+   * @param {string} [prefix=''] - Only include entries of passes starting with this prefix
+   * @returns {Object} Options, entries and session bookkeeping
+   */
+  exportState(prefix = '') {
+    const matches = key => key.startsWith(prefix);
+    return {
+      options: this.options,
+      entries: Object.fromEntries(Object.entries(this.entries).filter(([key]) => matches(key))),
+      touched: [...this.touched].filter(matches),
+      usedPasses: [...this.usedPasses].filter(matches),
+      stats: { ...this.stats },
+      dirty: this.dirty
+    };
+  }
+
+  /**
+   * Start a worker-side cache from exported entries
+   */
+  restoreState(state) {
+    this.entries = { ...state.entries };
+  }
+
+  /**
+   * Merge the state returned by a worker thread
+   */
+  mergeState(state) {
+    Object.assign(this.entries, state.entries);
+    state.touched.forEach(key => this.touched.add(key));
+    state.usedPasses.forEach(pass => this.usedPasses.add(pass));
+    this.stats.hits += state.stats.hits;
+    this.stats.misses += state.stats.misses;
+    this.dirty = this.dirty || state.dirty;
+  }
+
+  /**
+   * Delete the cache file
+   */
+  async clear() {
+    this.entries = {};
+    await fs.rm(this.filePath, { force: true });
+  }
+}
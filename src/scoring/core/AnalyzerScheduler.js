@@ -0,0 +1,297 @@
+/**
+ * Analyzer Scheduler
+ *
+ * Runs analyzers in parallel in a pool of worker threads. The per-file passes of an analyzer
+ * (complexity, secret scanning, taint tracking) are first split into file batches across the
+ * pool, so one large analyzer does not keep a single thread busy. Results come back in task
+ * order whatever the completion order, so parallel and sequential runs produce identical reports.
+ * With a concurrency of 1 every analyzer runs on the main thread instead.
+ */
+
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { performance } from 'perf_hooks';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { AnalysisCache } from './AnalysisCache.js';
+
+const WORKER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'analyzerWorker.js');
+
+// Files per worker message for per-file passes; small enough to balance the pool
+const FILE_BATCH_SIZE = 50;
+
+/**
+ * Instantiate and run the analyzer of a task
+ *
+ * Results go through JSON so Finding instances become the same plain objects in every mode.
+ *
+ * @param {Object} task - Analyzer task
+ * @param {string} task.modulePath - Absolute path of the analyzer module
+ * @param {string} task.exportName - Exported analyzer class
+ * @param {Object} task.config - Analyzer config (cloneable to run in a worker)
+ * @param {Object} [options] - Run options
+ * @param {Object} [options.analyzer] - Existing analyzer instance to use instead of importing
+ * @param {AnalysisCache} [options.cache] - Incremental cache
+ * @returns {Promise<Object>} Analyzer results
+ */
+export async function runAnalyzerTask(task, { analyzer = null, cache = null } = {}) {
+  const instance = analyzer || await createAnalyzer(task, cache);
+  const result = await instance.analyze();
+  return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Run some files of one per-file pass of a task's analyzer (see BaseAnalyzer.filePasses)
+ * @param {Object} task - Analyzer task, as for runAnalyzerTask()
+ * @param {{pass: string, files: string[]}} batch - Pass name and project-relative files
+ * @param {Object} [options] - Run options
+ * @param {AnalysisCache} [options.cache] - Cache receiving the per-file results
+ * @returns {Promise<void>}
+ */
+export async function runFileBatch(task, { pass, files }, { cache = null } = {}) {
+  const analyzer = await createAnalyzer(task, cache);
+  await analyzer.runFilePass(pass, files);
+}
+
+async function createAnalyzer(task, cache) {
+  const module = await import(pathToFileURL(task.modulePath).href);
+  const AnalyzerClass = module[task.exportName];
+  if (typeof AnalyzerClass !== 'function') {
+    throw new Error(`${task.modulePath} does not export an analyzer named ${task.exportName}`);
+  }
+  return new AnalyzerClass({ ...task.config, cache });
+}
+
+/**
+ * Whether a value reaches a worker intact: functions cannot be posted and class instances
+ * arrive as plain objects without their methods
+ */
+function isCloneable(value, seen = new Set()) {
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    return false;
+  }
+  if (value === null || typeof value !== 'object' || seen.has(value) || value instanceof Date || value instanceof RegExp) {
+    return true;
+  }
+  seen.add(value);
+
+  if (value instanceof Map || value instanceof Set) {
+    return [...value].flat().every(item => isCloneable(item, seen));
+  }
+  if (![Object.prototype, Array.prototype, null].includes(Object.getPrototypeOf(value))) {
+    return false;
+  }
+  return Object.values(value).every(item => isCloneable(item, seen));
+}
+
+export class AnalyzerScheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.concurrency=1] - Maximum number of worker threads
+   * @param {AnalysisCache} [options.cache] - Cache shared with the workers
+   */
+  constructor({ concurrency = 1, cache = null } = {}) {
+    this.concurrency = concurrency;
+    this.cache = cache;
+  }
+
+  /**
+   * Parse a --concurrency value; defaults to the number of available CPUs
+   * @param {string|number} [value] - Requested concurrency
+   * @returns {number} Positive integer concurrency
+   * @throws {Error} For values that are not positive integers
+   */
+  static resolveConcurrency(value) {
+    if (value === undefined || value === null || value === 'auto') {
+      return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    }
+
+    const concurrency = Number(value);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid concurrency: ${value}. Use a positive integer or "auto".`);
+    }
+    return concurrency;
+  }
+
+  /**
+   * Run analyzer tasks
+   * @param {Array<Object>} tasks - Tasks with key, modulePath, exportName, config and optional analyzer instance
+   * @param {Object} [options] - Run options
+   * @param {Function} [options.onTaskComplete] - Called with (outcome, completedCount) in completion order
+   * @returns {Promise<Array<{key: string, result?: Object, error?: string, duration: number, fileBatches?: number}>>}
+   *   Outcomes in task order; the duration includes the analyzer's file batches
+   */
+  async run(tasks, { onTaskComplete = null } = {}) {
+    let completed = 0;
+    const complete = outcome => {
+      completed++;
+      if (onTaskComplete) {onTaskComplete(outcome, completed);}
+      return outcome;
+    };
+
+    return this.concurrency <= 1 || tasks.length === 0
+      ? await this.runInProcess(tasks, complete)
+      : await this.runInWorkers(tasks, complete);
+  }
+
+  async runInProcess(tasks, complete = outcome => outcome) {
+    const outcomes = [];
+    for (const task of tasks) {
+      outcomes.push(complete(await this.runOne(task)));
+    }
+    return outcomes;
+  }
+
+  async runOne(task) {
+    const startTime = performance.now();
+    try {
+      const result = await runAnalyzerTask(task, { analyzer: task.analyzer, cache: this.cache });
+      return { key: task.key, result, duration: performance.now() - startTime };
+    } catch (error) {
+      return { key: task.key, error: error.message, duration: performance.now() - startTime };
+    }
+  }
+
+  /**
+   * Run the per-file passes of the analyzers in batches across the pool, then the analyzers
+   * themselves, which read the batch results from the cache
+   *
+   * Tasks whose config cannot be cloned into a worker (a plugin option holding a function or a
+   * class instance) run on the main thread instead, without file batches.
+   */
+  async runInWorkers(tasks, complete = outcome => outcome) {
+    const outcomes = new Array(tasks.length);
+    // Batch results need a cache to reach the analyzers; without one they live for this run only
+    const cache = this.cache?.enabled ? this.cache : new AnalysisCache(tasks[0].config.projectRoot);
+
+    const jobs = [];
+    const mainThread = [];
+    tasks.forEach((task, index) => (isCloneable(task.config) ? jobs : mainThread).push({ task, index }));
+
+    const batches = await this.planFileBatches(jobs.map(({ task }) => task));
+    const workerCount = Math.min(this.concurrency, Math.max(jobs.length, batches.length));
+    const workers = [];
+    let messageId = 0;
+
+    // Each slot keeps one worker busy until the queue is empty; a crashed worker is replaced
+    const drain = (queue, createMessage, onReply) => Promise.all(Array.from({ length: workerCount }, async () => {
+      let worker = null;
+      while (queue.length > 0) {
+        const item = queue.shift();
+        if (!worker) {
+          worker = new Worker(WORKER_PATH);
+          workers.push(worker);
+        }
+        const reply = await this.postTask(worker, { id: messageId++, ...createMessage(item) });
+        if (reply.crashed) {
+          worker = null;
+        }
+        onReply(item, reply);
+      }
+    }));
+    const describe = ({ key, modulePath, exportName, config }) => ({ key, modulePath, exportName, config });
+
+    const spent = {};
+    try {
+      // A failed batch only means its files are analyzed again by the analyzer
+      await drain([...batches], ({ task, pass, files }) => ({
+        task: describe(task),
+        batch: { pass, files },
+        cacheState: cache.exportState(`${task.key}/${pass}|`)
+      }), ({ task }, reply) => {
+        const totals = spent[task.key] = spent[task.key] || { duration: 0, batches: 0, misses: 0 };
+        totals.duration += reply.duration;
+        totals.batches++;
+        if (reply.cacheState) {
+          totals.misses += reply.cacheState.stats.misses;
+          cache.mergeState(reply.cacheState);
+        }
+      });
+
+      await Promise.all([
+        drain([...jobs], ({ task }) => ({
+          task: describe(task),
+          cacheState: cache.exportState(`${task.key}/`)
+        }), ({ task, index }, reply) => {
+          const totals = spent[task.key] || { duration: 0, batches: 0, misses: 0 };
+          if (reply.cacheState) {
+            // Each file a batch analyzed is looked up once more by the analyzer; count it once
+            reply.cacheState.stats.hits = Math.max(0, reply.cacheState.stats.hits - totals.misses);
+            cache.mergeState(reply.cacheState);
+          }
+          const outcome = reply.error
+            ? { key: task.key, error: reply.error, duration: reply.duration + totals.duration }
+            : { key: task.key, result: reply.result, duration: reply.duration + totals.duration };
+          outcomes[index] = complete(totals.batches > 0 ? { ...outcome, fileBatches: totals.batches } : outcome);
+        }),
+        (async () => {
+          for (const { task, index } of mainThread) {
+            outcomes[index] = complete(await this.runOne(task));
+          }
+        })()
+      ]);
+    } finally {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Split the per-file passes of the analyzers (BaseAnalyzer.filePasses) into worker batches
+   * @param {Array<Object>} tasks - Analyzer tasks
+   * @returns {Promise<Array<{task: Object, pass: string, files: string[]}>>} Batches of up to FILE_BATCH_SIZE files
+   */
+  async planFileBatches(tasks) {
+    const batches = [];
+    for (const task of tasks) {
+      let analyzer = task.analyzer;
+      try {
+        analyzer = analyzer || await createAnalyzer(task, null);
+      } catch (error) {
+        // Reported by the analyzer task itself
+        continue;
+      }
+
+      for (const [pass, { listFiles }] of Object.entries(analyzer.filePasses || {})) {
+        const files = await listFiles();
+        for (let start = 0; start < files.length; start += FILE_BATCH_SIZE) {
+          batches.push({ task, pass, files: files.slice(start, start + FILE_BATCH_SIZE) });
+        }
+      }
+    }
+    return batches;
+  }
+
+  /**
+   * Send one task to a worker; a crashed or exited worker resolves to an error outcome
+   */
+  postTask(worker, message) {
+    return new Promise((resolve) => {
+      const cleanup = () => {
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.off('exit', onExit);
+      };
+      const onMessage = (reply) => {
+        if (reply.id === message.id) {
+          cleanup();
+          resolve(reply);
+        }
+      };
+      const onError = (error) => {
+        cleanup();
+        resolve({ id: message.id, error: `Worker failed: ${error.message}`, duration: 0, crashed: true });
+      };
+      const onExit = (code) => {
+        cleanup();
+        resolve({ id: message.id, error: `Worker exited with code ${code}`, duration: 0, crashed: true });
+      };
+
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', onExit);
+      worker.postMessage(message);
+    });
+  }
+}
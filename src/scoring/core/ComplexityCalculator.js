@@ -0,0 +1,240 @@
+/**
+ * Complexity Calculator
+ *
+ * Parser-based cyclomatic and cognitive complexity metrics, reported per function.
+ * Nested functions are measured on their own and do not add to the enclosing function.
+ */
+
+import {
+  parseSource,
+  walkAST,
+  getChildNodes,
+  isFunctionNode,
+  getFunctionName
+} from '../../utils/astUtils.js';
+
+const LOOP_TYPES = new Set([
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement'
+]);
+
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+const LOGICAL_ASSIGNMENT_OPERATORS = new Set(['&&=', '||=', '??=']);
+
+export class ComplexityCalculator {
+  /**
+   * Analyze all functions in a source file
+   * @param {string} content - Source code
+   * @param {string} filePath - Project-relative file path
+   * @returns {{functions: Array<Object>, parseError: string|null}} Per-function metrics
+   */
+  analyzeSource(content, filePath) {
+    let ast;
+    try {
+      ast = parseSource(content, filePath);
+    } catch (error) {
+      return { functions: [], parseError: error.message };
+    }
+
+    const functions = [];
+    const classStack = [];
+
+    const visit = (node, parent) => {
+      const isClass = node.type === 'ClassDeclaration' || node.type === 'ClassExpression';
+      if (isClass) {
+        classStack.push(node.id?.name || getFunctionName(node, parent));
+      }
+
+      if (isFunctionNode(node)) {
+        functions.push(this.measureFunction(node, parent, filePath, classStack[classStack.length - 1]));
+      }
+
+      for (const child of getChildNodes(node)) {
+        visit(child, node);
+      }
+
+      if (isClass) {
+        classStack.pop();
+      }
+    };
+
+    visit(ast.program, null);
+
+    return { functions, parseError: null };
+  }
+
+  /**
+   * Measure a single function node
+   * @param {Object} node - Function node
+   * @param {Object} parent - Parent node
+   * @param {string} filePath - Project-relative file path
+   * @param {string} [className] - Enclosing class name
+   * @returns {Object} Function metrics with location
+   */
+  measureFunction(node, parent, filePath, className) {
+    return {
+      file: filePath,
+      name: getFunctionName(node, parent, className),
+      line: node.loc?.start.line || 0,
+      column: (node.loc?.start.column || 0) + 1,
+      endLine: node.loc?.end.line || 0,
+      cyclomatic: this.calculateCyclomatic(node),
+      cognitive: this.calculateCognitive(node)
+    };
+  }
+
+  /**
+   * McCabe cyclomatic complexity: one plus each decision point in the function body
+   * @param {Object} fnNode - Function node
+   * @returns {number} Cyclomatic complexity
+   */
+  calculateCyclomatic(fnNode) {
+    let complexity = 1;
+
+    const countNode = (node) => {
+      if (node !== fnNode && isFunctionNode(node)) {
+        return false; // Measured separately
+      }
+
+      switch (node.type) {
+      case 'IfStatement':
+      case 'ConditionalExpression':
+      case 'CatchClause':
+      case 'AssignmentPattern':
+        complexity++;
+        break;
+      case 'SwitchCase':
+        if (node.test) {complexity++;}
+        break;
+      case 'LogicalExpression':
+        if (LOGICAL_OPERATORS.has(node.operator)) {complexity++;}
+        break;
+      case 'AssignmentExpression':
+        if (LOGICAL_ASSIGNMENT_OPERATORS.has(node.operator)) {complexity++;}
+        break;
+      default:
+        if (LOOP_TYPES.has(node.type)) {complexity++;}
+      }
+
+      return true;
+    };
+
+    walkAST(fnNode.body, countNode);
+    fnNode.params?.forEach(param => walkAST(param, countNode));
+
+    return complexity;
+  }
+
+  /**
+   * Cognitive complexity: structural increments weighted by nesting depth,
+   * plus one per sequence of like logical operators
+   * @param {Object} fnNode - Function node
+   * @returns {number} Cognitive complexity
+   */
+  calculateCognitive(fnNode) {
+    let complexity = 0;
+
+    const visitChildren = (node, nesting) => {
+      getChildNodes(node).forEach(child => visit(child, nesting, node));
+    };
+
+    const visitIf = (node, nesting, isElseIf) => {
+      complexity += isElseIf ? 1 : 1 + nesting;
+      visit(node.test, nesting, node);
+      visit(node.consequent, nesting + 1, node);
+
+      if (node.alternate) {
+        if (node.alternate.type === 'IfStatement') {
+          visitIf(node.alternate, nesting, true);
+        } else {
+          complexity += 1;
+          visit(node.alternate, nesting + 1, node);
+        }
+      }
+    };
+
+    const visit = (node, nesting, parent) => {
+      if (!node) {return;}
+      if (isFunctionNode(node)) {return;} // Measured separately
+
+      if (node.type === 'IfStatement') {
+        visitIf(node, nesting, false);
+        return;
+      }
+
+      if (node.type === 'ConditionalExpression') {
+        complexity += 1 + nesting;
+        visit(node.test, nesting, node);
+        visit(node.consequent, nesting + 1, node);
+        visit(node.alternate, nesting + 1, node);
+        return;
+      }
+
+      if (node.type === 'SwitchStatement') {
+        complexity += 1 + nesting;
+        visit(node.discriminant, nesting, node);
+        node.cases.forEach(switchCase => visitChildren(switchCase, nesting + 1));
+        return;
+      }
+
+      if (LOOP_TYPES.has(node.type)) {
+        complexity += 1 + nesting;
+        getChildNodes(node).forEach(child => {
+          visit(child, child === node.body ? nesting + 1 : nesting, node);
+        });
+        return;
+      }
+
+      if (node.type === 'CatchClause') {
+        complexity += 1 + nesting;
+        visit(node.param, nesting, node);
+        visit(node.body, nesting + 1, node);
+        return;
+      }
+
+      if ((node.type === 'BreakStatement' || node.type === 'ContinueStatement') && node.label) {
+        complexity += 1;
+        return;
+      }
+
+      if (node.type === 'LogicalExpression' && parent?.type !== 'LogicalExpression') {
+        const { operators, operands } = this.flattenLogicalExpression(node);
+        complexity += operators.filter((operator, index) => operator !== operators[index - 1]).length;
+        operands.forEach(operand => visit(operand, nesting, node));
+        return;
+      }
+
+      visitChildren(node, nesting);
+    };
+
+    visit(fnNode.body, 0, fnNode);
+
+    return complexity;
+  }
+
+  /**
+   * Flatten a chain of logical expressions into source-ordered operators and operands
+   * @param {Object} node - Root LogicalExpression
+   * @returns {{operators: string[], operands: Object[]}} Flattened chain
+   */
+  flattenLogicalExpression(node) {
+    const operators = [];
+    const operands = [];
+
+    const flatten = (current) => {
+      if (current.type === 'LogicalExpression') {
+        flatten(current.left);
+        operators.push(current.operator);
+        flatten(current.right);
+      } else {
+        operands.push(current);
+      }
+    };
+
+    flatten(node);
+    return { operators, operands };
+  }
+}
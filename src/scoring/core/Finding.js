@@ -0,0 +1,167 @@
+/**
+ * Finding
+ *
+ * Structured analyzer finding with rule, severity and source location.
+ * Findings without a file are project-level (package.json scripts, missing directories, ...).
+ */
+
+/**
+ * Finding severity levels, most severe first
+ */
+export const FindingSeverity = {
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+  INFO: 'info'
+};
+
+const SEVERITY_ORDER = Object.values(FindingSeverity);
+
+export class Finding {
+  /**
+   * Create a finding
+   *
+   * @param {Object} data - Finding data
+   * @param {string} data.ruleId - Stable rule identifier, e.g. 'quality/complex-function'
+   * @param {string} data.message - Human readable description of the problem
+   * @param {string} [data.severity='medium'] - Severity from FindingSeverity
+   * @param {string} [data.category] - Scoring category key that produced the finding
+   * @param {string} [data.file] - Project-relative file path
+   * @param {number} [data.line] - 1-based start line
+   * @param {number} [data.column] - 1-based start column
+   * @param {number} [data.endLine] - 1-based end line
+   * @param {number} [data.endColumn] - 1-based end column
+   * @param {string} [data.fix] - Hint on how to resolve the finding
+   * @param {string} [data.snippet] - Source excerpt for the location; must already be redacted when sensitive
+   * @param {Array<{label: string, line: number, column: number}>} [data.trace] - Steps leading to the location, e.g. a source-to-sink data flow in the same file
+   * @param {string} [data.symbol] - Code element the finding is about, e.g. a function name; identifies the finding across runs instead of a message that includes its location or measurements
+   */
+  constructor({ ruleId, message, severity = FindingSeverity.MEDIUM, category = null, file = null, line = null, column = null, endLine = null, endColumn = null, fix = null, snippet = null, trace = null, symbol = null }) {
+    this.ruleId = ruleId;
+    this.message = message;
+    this.severity = SEVERITY_ORDER.includes(severity) ? severity : FindingSeverity.MEDIUM;
+    this.category = category;
+    this.file = file ? file.split('\\').join('/') : null;
+    this.range = line ? {
+      startLine: line,
+      startColumn: column || 1,
+      endLine: endLine || line,
+      endColumn: endColumn || null
+    } : null;
+    this.fix = fix;
+    this.snippet = snippet;
+    this.trace = trace && trace.length > 0 ? trace : null;
+    this.symbol = symbol;
+  }
+
+  /**
+   * Location as "file:line:column", or null for project-level findings
+   */
+  get location() {
+    if (!this.file) {return null;}
+    if (!this.range) {return this.file;}
+    return `${this.file}:${this.range.startLine}:${this.range.startColumn}`;
+  }
+
+  toObject() {
+    return {
+      ruleId: this.ruleId,
+      severity: this.severity,
+      category: this.category,
+      message: this.message,
+      file: this.file,
+      range: this.range,
+      fix: this.fix,
+      ...(this.snippet ? { snippet: this.snippet } : {}),
+      ...(this.trace ? { trace: this.trace } : {}),
+      ...(this.symbol ? { symbol: this.symbol } : {})
+    };
+  }
+
+  toJSON() {
+    return this.toObject();
+  }
+
+  /**
+   * Build a stable rule slug from free text, ignoring numbers and punctuation
+   * @param {string} text - Issue text
+   * @returns {string} kebab-case slug
+   */
+  static slugify(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/[0-9]+/g, ' ')
+      .replace(/[^a-z]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60)
+      .replace(/-+$/, '') || 'issue';
+  }
+
+  /**
+   * Compare two severities
+   * @returns {number} Negative when a is more severe than b
+   */
+  static compareSeverity(a, b) {
+    return SEVERITY_ORDER.indexOf(a) - SEVERITY_ORDER.indexOf(b);
+  }
+}
+
+/**
+ * Identity of a finding across runs: rule, file and symbol (or message when there is none).
+ * Lines are left out so code that moved is matched with its earlier findings.
+ *
+ * @param {Finding|Object} finding - Finding instance or plain object
+ * @returns {string} Key for matching findings of different runs
+ */
+export function findingKey(finding) {
+  return `${finding.ruleId}|${finding.file || ''}|${finding.symbol || finding.message}`;
+}
+
+/**
+ * Group findings by file, project-level findings first, then files alphabetically.
+ * Within a file, findings are ordered by line and then severity.
+ *
+ * @param {Array<Finding|Object>} findings - Findings (instances or plain objects)
+ * @returns {Array<{file: string|null, findings: Array<Object>}>} Groups
+ */
+export function groupFindingsByFile(findings = []) {
+  const groups = new Map();
+
+  for (const finding of findings) {
+    const key = finding.file || null;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(finding);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => {
+      if (a === b) {return 0;}
+      if (a === null) {return -1;}
+      if (b === null) {return 1;}
+      return a.localeCompare(b);
+    })
+    .map(([file, fileFindings]) => ({
+      file,
+      findings: [...fileFindings].sort((a, b) =>
+        (a.range?.startLine || 0) - (b.range?.startLine || 0) ||
+        Finding.compareSeverity(a.severity, b.severity)
+      )
+    }));
+}
+
+/**
+ * Collect findings from all categories of a scoring result
+ * @param {Object} results - Scoring results
+ * @returns {Array<Object>} Plain finding objects
+ */
+export function collectFindings(results = {}) {
+  return Object.entries(results.categories || {}).flatMap(([key, category]) =>
+    (category.findings || []).map(finding => ({
+      ...(typeof finding.toObject === 'function' ? finding.toObject() : finding),
+      category: finding.category || key
+    }))
+  );
+}
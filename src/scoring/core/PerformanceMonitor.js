@@ -35,7 +35,8 @@ export class PerformanceMonitor {
       performance: {
         startTime: performance.now(),
         operations: []
-      }
+      },
+      parallel: null
     };
 
     this.startMemoryTracking();
@@ -127,6 +128,50 @@ export class PerformanceMonitor {
     return timing;
   }
 
+  /**
+   * Start measuring a batch of analyzer tasks
+   * @returns {{wallStart: number, cpuStart: Object}} Token for endParallelRun()
+   */
+  startParallelRun() {
+    return { wallStart: performance.now(), cpuStart: process.cpuUsage() };
+  }
+
+  /**
+   * Record wall-clock time against CPU and summed task time of a batch of analyzer tasks
+   *
+   * CPU time comes from process.cpuUsage(), which covers every thread of the process, so it
+   * includes the work done in worker threads. The serial time is the sum of the task durations,
+   * i.e. roughly what running the tasks one after another would have taken.
+   *
+   * @param {Object} token - Value returned by startParallelRun()
+   * @param {Object} run - Batch details
+   * @param {number} run.concurrency - Number of tasks allowed to run at once
+   * @param {Array<{key: string, duration: number}>} run.tasks - Task durations in ms
+   * @returns {Object} Recorded parallel run metrics
+   */
+  endParallelRun(token, { concurrency, tasks }) {
+    const wallClock = performance.now() - token.wallStart;
+    const cpu = process.cpuUsage(token.cpuStart);
+    const serialTime = tasks.reduce((sum, task) => sum + task.duration, 0);
+
+    this.metrics.parallel = {
+      concurrency,
+      wallClock: Math.round(wallClock),
+      cpuTime: Math.round((cpu.user + cpu.system) / 1000),
+      serialTime: Math.round(serialTime),
+      saved: Math.max(0, Math.round(serialTime - wallClock)),
+      speedup: wallClock > 0 ? Math.round((serialTime / wallClock) * 100) / 100 : 1,
+      tasks: tasks.map(task => ({ name: task.key, duration: Math.round(task.duration) }))
+    };
+
+    if (this.config.verbose) {
+      const { wallClock: wall, cpuTime, saved } = this.metrics.parallel;
+      console.log(`⏱️  Analyzers: ${wall}ms wall-clock, ${cpuTime}ms CPU, ${saved}ms saved with concurrency ${concurrency}`);
+    }
+
+    return this.metrics.parallel;
+  }
+
   /**
    * Analyze bundle size and composition
    */
@@ -608,7 +653,8 @@ export class PerformanceMonitor {
         sourceSize: this.formatBytes(this.metrics.bundleInfo.sourceFiles?.totalSize || 0),
         nodeModulesSize: this.formatBytes(this.metrics.bundleInfo.nodeModules?.size || 0),
         totalPackages: this.metrics.bundleInfo.packageJson?.dependencies?.total || 0
-      } : null
+      } : null,
+      parallel: this.metrics.parallel
     };
 
     return summary;
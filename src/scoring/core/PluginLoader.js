@@ -0,0 +1,106 @@
+/**
+ * Plugin Loader
+ *
+ * Loads custom analyzers registered in codefortify.config.js under `scoring.plugins`.
+ * A plugin is a class extending BaseAnalyzer that sets `categoryKey` and `categoryName`
+ * in its constructor and implements `runAnalysis()`. It is scored as its own category
+ * with `weight` points added to the overall maximum.
+ *
+ * @example
+ * // codefortify.config.js
+ * export default {
+ *   scoring: {
+ *     plugins: [
+ *       { path: './tools/BannedImportsAnalyzer.js', weight: 10, options: { banned: ['moment'] } }
+ *     ]
+ *   }
+ * };
+ */
+
+import { existsSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SCORING_WEIGHTS } from '../../config/scoringConfig.js';
+
+const DEFAULT_PLUGIN_WEIGHT = 10;
+
+/**
+ * Load and validate the configured plugin analyzers
+ *
+ * @param {string} projectRoot - Project root; plugin paths are resolved against it
+ * @param {Array<Object>} [pluginConfigs=[]] - `scoring.plugins` entries
+ * @param {string} pluginConfigs[].path - Module path of the analyzer
+ * @param {string} [pluginConfigs[].export='default'] - Exported class name
+ * @param {number} [pluginConfigs[].weight=10] - Maximum points of the plugin category
+ * @param {Object} [pluginConfigs[].options={}] - Passed to the analyzer as `config.options`
+ * @returns {Promise<Array<Object>>} Plugins with key, categoryName, weight, modulePath, exportName, options and AnalyzerClass
+ * @throws {Error} When a plugin cannot be loaded or breaks the contract
+ */
+export async function loadPlugins(projectRoot, pluginConfigs = []) {
+  if (!Array.isArray(pluginConfigs)) {
+    throw new Error('scoring.plugins must be an array of { path, weight, options } entries');
+  }
+
+  const plugins = [];
+  const usedKeys = new Set(Object.keys(SCORING_WEIGHTS));
+
+  for (const [index, pluginConfig] of pluginConfigs.entries()) {
+    const label = `scoring.plugins[${index}]${pluginConfig?.path ? ` (${pluginConfig.path})` : ''}`;
+    const fail = (reason) => {
+      throw new Error(`Invalid plugin ${label}: ${reason}`);
+    };
+
+    if (!pluginConfig || typeof pluginConfig.path !== 'string') {
+      fail('"path" to the analyzer module is required');
+    }
+
+    const weight = pluginConfig.weight ?? DEFAULT_PLUGIN_WEIGHT;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      fail(`"weight" must be a positive number, got ${JSON.stringify(weight)}`);
+    }
+
+    const modulePath = path.resolve(projectRoot, pluginConfig.path);
+    if (!existsSync(modulePath)) {
+      fail(`module not found at ${modulePath}`);
+    }
+
+    let module;
+    try {
+      module = await import(pathToFileURL(modulePath).href);
+    } catch (error) {
+      fail(`module failed to load: ${error.message}`);
+    }
+
+    const exportName = pluginConfig.export || 'default';
+    const AnalyzerClass = module[exportName];
+    if (typeof AnalyzerClass !== 'function' ||
+        typeof AnalyzerClass.prototype?.analyze !== 'function' ||
+        typeof AnalyzerClass.prototype?.runAnalysis !== 'function') {
+      fail(`export "${exportName}" must be a class extending BaseAnalyzer with a runAnalysis() method`);
+    }
+
+    const options = pluginConfig.options || {};
+    const analyzer = new AnalyzerClass({ projectRoot, maxScore: weight, options });
+    const key = analyzer.categoryKey;
+
+    if (!key || key === 'base' || !/^[a-zA-Z][\w-]*$/.test(key)) {
+      fail('the analyzer must set a categoryKey (letters, digits, "-" or "_") in its constructor');
+    }
+    if (usedKeys.has(key)) {
+      fail(`category "${key}" is already used by ${key in SCORING_WEIGHTS ? 'a built-in analyzer' : 'another plugin'}`);
+    }
+    usedKeys.add(key);
+
+    plugins.push({
+      key,
+      categoryName: analyzer.categoryName,
+      weight,
+      modulePath,
+      exportName,
+      options,
+      AnalyzerClass
+    });
+  }
+
+  return plugins;
+}
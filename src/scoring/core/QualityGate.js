@@ -0,0 +1,209 @@
+/**
+ * Quality Gate
+ *
+ * Evaluates scoring results against minimum percentages and a "no new high-severity
+ * findings" rule so CI pipelines can block merges on the exit code.
+ */
+
+import { SCORING_WEIGHTS } from '../../config/scoringConfig.js';
+import { collectFindings, findingKey } from './Finding.js';
+
+/**
+ * Process exit codes for `codefortify score --fail-under`.
+ * When several rules fail, the code of the first failing rule in this order is used.
+ */
+export const GateExitCodes = {
+  PASSED: 0,
+  ANALYSIS_ERROR: 1,
+  OVERALL_BELOW_THRESHOLD: 2,
+  CATEGORY_BELOW_THRESHOLD: 3,
+  NEW_HIGH_SEVERITY: 4
+};
+
+const HIGH_SEVERITIES = ['critical', 'high'];
+
+export class QualityGate {
+  /**
+   * Create a quality gate
+   *
+   * @param {Object} options - Gate rules
+   * @param {number} [options.overall] - Minimum overall percentage
+   * @param {Object<string, number>} [options.categories] - Minimum percentage per category key
+   * @param {boolean} [options.noNewHighSeverity=false] - Fail on high/critical findings missing from the baseline
+   * @param {Array<Object>} [options.baselineFindings] - Findings of the baseline run; without one every high finding is new
+   */
+  constructor({ overall = null, categories = {}, noNewHighSeverity = false, baselineFindings = null } = {}) {
+    this.overall = overall;
+    this.categories = categories;
+    this.noNewHighSeverity = noNewHighSeverity;
+    this.baselineFindings = baselineFindings;
+  }
+
+  /**
+   * Build a gate from CLI options layered over `scoring.thresholds` from the project config
+   *
+   * Config keys: `failUnder` (number or { overall, <category>: number }) and `noNewHighSeverity`.
+   *
+   * @param {Object} options - CLI options (failUnder, failOnNewHigh)
+   * @param {Object} [thresholds={}] - `scoring.thresholds` config block
+   * @param {string[]} [validCategories] - Category keys accepted in thresholds (built-ins plus plugins)
+   * @returns {QualityGate} Configured gate
+   */
+  static fromOptions(options = {}, thresholds = {}, validCategories = Object.keys(SCORING_WEIGHTS)) {
+    const configured = QualityGate.parseThresholds(thresholds.failUnder, validCategories);
+    const cli = typeof options.failUnder === 'string' ? QualityGate.parseThresholds(options.failUnder, validCategories) : {};
+
+    return new QualityGate({
+      overall: cli.overall ?? configured.overall ?? null,
+      categories: { ...configured.categories, ...cli.categories },
+      noNewHighSeverity: Boolean(options.failOnNewHigh || thresholds.noNewHighSeverity)
+    });
+  }
+
+  /**
+   * Parse thresholds from "70", "overall=70,security=80" or a config object
+   * @param {string|number|Object} spec - Threshold specification
+   * @param {string[]} [validCategories] - Category keys accepted in thresholds (built-ins plus plugins)
+   * @returns {{overall?: number, categories: Object<string, number>}} Parsed thresholds
+   * @throws {Error} For unknown categories or values outside 0-100
+   */
+  static parseThresholds(spec, validCategories = Object.keys(SCORING_WEIGHTS)) {
+    const parsed = { categories: {} };
+    if (spec === undefined || spec === null || spec === '') {
+      return parsed;
+    }
+
+    let entries;
+    if (typeof spec === 'object') {
+      entries = Object.entries(spec);
+    } else if (/^\s*[\d.]+\s*$/.test(String(spec))) {
+      entries = [['overall', spec]];
+    } else {
+      entries = String(spec).split(',').map(part => {
+        const [key, value] = part.split('=').map(item => item?.trim());
+        return [key, value];
+      });
+    }
+
+    for (const [key, rawValue] of entries) {
+      const value = Number(rawValue);
+      if (rawValue === undefined || rawValue === '' || Number.isNaN(value) || value < 0 || value > 100) {
+        throw new Error(`Invalid threshold for ${key}: ${rawValue}. Use a percentage between 0 and 100.`);
+      }
+
+      if (key === 'overall') {
+        parsed.overall = value;
+      } else if (validCategories.includes(key)) {
+        parsed.categories[key] = value;
+      } else {
+        throw new Error(`Unknown category in threshold: ${key}. Valid options: overall, ${validCategories.join(', ')}`);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Load findings from a previous run to compare against
+   * @param {Object} report - Parsed JSON report (`score --format json`) or score snapshot
+   * @returns {QualityGate} This gate
+   */
+  setBaseline(report) {
+    if (!report) {
+      this.baselineFindings = null;
+    } else {
+      this.baselineFindings = Array.isArray(report.findings) ? report.findings : collectFindings(report);
+    }
+    return this;
+  }
+
+  /**
+   * Whether any rule is configured
+   */
+  isEnabled() {
+    return this.overall !== null || Object.keys(this.categories).length > 0 || this.noNewHighSeverity;
+  }
+
+  /**
+   * Evaluate scoring results
+   * @param {Object} results - Scoring results
+   * @returns {{passed: boolean, exitCode: number, checks: Array<Object>, newHighSeverity: Array<Object>}} Gate outcome;
+   *   checks that could not be measured have `actual: null` and a `reason`
+   */
+  evaluate(results) {
+    const checks = [];
+
+    if (this.overall !== null) {
+      const actual = results.overall?.percentage ?? 0;
+      checks.push({
+        rule: 'overall',
+        label: 'Overall',
+        actual,
+        threshold: this.overall,
+        passed: actual >= this.overall,
+        exitCode: GateExitCodes.OVERALL_BELOW_THRESHOLD
+      });
+    }
+
+    for (const [key, threshold] of Object.entries(this.categories)) {
+      const category = results.categories?.[key];
+      // Excluded by --categories or a weight of 0: fail with the reason rather than a score of 0
+      if (!category) {
+        checks.push({
+          rule: `category:${key}`,
+          label: key,
+          actual: null,
+          threshold,
+          passed: false,
+          reason: 'category not analyzed',
+          exitCode: GateExitCodes.CATEGORY_BELOW_THRESHOLD
+        });
+        continue;
+      }
+
+      const actual = category.maxScore > 0 ? Math.round((category.score / category.maxScore) * 100) : 0;
+      checks.push({
+        rule: `category:${key}`,
+        label: category.categoryName || key,
+        actual,
+        threshold,
+        passed: actual >= threshold,
+        exitCode: GateExitCodes.CATEGORY_BELOW_THRESHOLD
+      });
+    }
+
+    let newHighSeverity = [];
+    if (this.noNewHighSeverity) {
+      newHighSeverity = this.findNewHighSeverity(collectFindings(results));
+      checks.push({
+        rule: 'no-new-high-severity',
+        label: this.baselineFindings ? 'New high-severity findings' : 'High-severity findings (no baseline)',
+        actual: newHighSeverity.length,
+        threshold: 0,
+        passed: newHighSeverity.length === 0,
+        exitCode: GateExitCodes.NEW_HIGH_SEVERITY
+      });
+    }
+
+    const firstFailure = checks.find(check => !check.passed);
+
+    return {
+      passed: !firstFailure,
+      exitCode: firstFailure ? firstFailure.exitCode : GateExitCodes.PASSED,
+      checks,
+      newHighSeverity
+    };
+  }
+
+  /**
+   * High and critical findings that are not present in the baseline.
+   * Findings match on findingKey() so moved lines are not reported as new.
+   */
+  findNewHighSeverity(findings) {
+    const known = new Set((this.baselineFindings || []).map(findingKey));
+
+    return findings.filter(finding =>
+      HIGH_SEVERITIES.includes(finding.severity) && !known.has(findingKey(finding))
+    );
+  }
+}
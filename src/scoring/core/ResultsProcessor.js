@@ -52,6 +52,7 @@ export class ResultsProcessor {
       percentage: 0,
       grade: 'F',
       issues: result.issues || [],
+      findings: result.findings || [],
       recommendations: result.recommendations || [],
       metrics: result.metrics || {},
       timestamp: new Date().toISOString()
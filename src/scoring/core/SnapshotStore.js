@@ -0,0 +1,265 @@
+/**
+ * Snapshot Store
+ *
+ * Persists score snapshots under `.codefortify/` and compares runs for trend reporting.
+ *
+ * Layout:
+ *   .codefortify/snapshots/<timestamp>.json  - one file per run (pruned to maxSnapshots)
+ *   .codefortify/baselines/<name>.json       - named baselines, meant to be committed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { execSync } from 'child_process';
+import { collectFindings, findingKey } from './Finding.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+export class SnapshotStore {
+  /**
+   * @param {string} projectRoot - Project root directory
+   * @param {Object} [options] - Store options
+   * @param {string} [options.directory='.codefortify'] - Storage directory relative to the project root
+   * @param {number} [options.maxSnapshots=50] - Number of run snapshots to keep
+   */
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    this.directory = path.resolve(projectRoot, options.directory || '.codefortify');
+    this.maxSnapshots = options.maxSnapshots || 50;
+  }
+
+  get snapshotsDir() {
+    return path.join(this.directory, 'snapshots');
+  }
+
+  get baselinesDir() {
+    return path.join(this.directory, 'baselines');
+  }
+
+  /**
+   * Build a snapshot from scoring results
+   * @param {Object} results - Scoring results
+   * @returns {Object} Snapshot with overall, per-category scores, issues and git commit
+   */
+  createSnapshot(results) {
+    const categories = {};
+    const issues = [];
+
+    for (const [key, category] of Object.entries(results.categories || {})) {
+      categories[key] = {
+        categoryName: category.categoryName,
+        score: category.score,
+        maxScore: category.maxScore,
+        percentage: category.maxScore > 0 ? Math.round((category.score / category.maxScore) * 100) : 0,
+        grade: category.grade
+      };
+      (category.issues || []).forEach(message => issues.push({ category: key, message }));
+    }
+
+    return {
+      version: SNAPSHOT_VERSION,
+      timestamp: results.overall?.timestamp || new Date().toISOString(),
+      git: this.getGitInfo(),
+      overall: {
+        score: results.overall?.score ?? 0,
+        maxScore: results.overall?.maxScore ?? 0,
+        percentage: results.overall?.percentage ?? 0,
+        grade: results.overall?.grade
+      },
+      categories,
+      issues,
+      findings: collectFindings(results)
+    };
+  }
+
+  /**
+   * Current git commit, branch and dirty state; nulls outside a repository
+   */
+  getGitInfo() {
+    const git = (args) => execSync(`git ${args}`, {
+      cwd: this.projectRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+
+    try {
+      return {
+        commit: git('rev-parse HEAD'),
+        branch: git('rev-parse --abbrev-ref HEAD'),
+        dirty: git('status --porcelain').length > 0
+      };
+    } catch (error) {
+      return { commit: null, branch: null, dirty: null };
+    }
+  }
+
+  /**
+   * Persist a run snapshot and prune old ones
+   * @param {Object} snapshot - Snapshot from createSnapshot()
+   * @returns {Promise<string>} Snapshot file path
+   */
+  async save(snapshot) {
+    await fs.mkdir(this.snapshotsDir, { recursive: true });
+
+    const fileName = `${snapshot.timestamp.replace(/[:.]/g, '-')}.json`;
+    const filePath = path.join(this.snapshotsDir, fileName);
+    await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2));
+
+    await this.prune();
+    return filePath;
+  }
+
+  /**
+   * Store a snapshot as a named baseline
+   * @param {string} name - Baseline name
+   * @param {Object} snapshot - Snapshot to store
+   * @returns {Promise<string>} Baseline file path
+   */
+  async saveBaseline(name, snapshot) {
+    this.validateName(name);
+    await fs.mkdir(this.baselinesDir, { recursive: true });
+
+    const filePath = path.join(this.baselinesDir, `${name}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...snapshot, baseline: name }, null, 2));
+    return filePath;
+  }
+
+  /**
+   * Snapshot file names, oldest first
+   */
+  async list() {
+    try {
+      const files = await fs.readdir(this.snapshotsDir);
+      return files.filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Most recent run snapshot
+   * @returns {Promise<Object|null>} Snapshot or null when none exists
+   */
+  async loadLatest() {
+    const files = await this.list();
+    if (files.length === 0) {
+      return null;
+    }
+    return await this.readSnapshot(path.join(this.snapshotsDir, files[files.length - 1]));
+  }
+
+  /**
+   * All run snapshots, oldest first
+   * @param {number} [limit] - Only return the newest `limit` snapshots
+   * @returns {Promise<Array<Object>>} Snapshots
+   */
+  async loadHistory(limit = null) {
+    const files = await this.list();
+    const selected = limit ? files.slice(-limit) : files;
+    const snapshots = await Promise.all(
+      selected.map(file => this.readSnapshot(path.join(this.snapshotsDir, file)).catch(() => null))
+    );
+    return snapshots.filter(Boolean);
+  }
+
+  /**
+   * Load a comparison target: a named baseline, a snapshot file path, or the latest run
+   * @param {string|boolean} [reference] - Baseline name or file path; true/undefined for the latest run
+   * @returns {Promise<Object|null>} Snapshot or null when nothing is stored
+   * @throws {Error} When a named baseline or file does not exist
+   */
+  async resolve(reference) {
+    if (!reference || reference === true) {
+      return await this.loadLatest();
+    }
+
+    if (reference.endsWith('.json')) {
+      return await this.readSnapshot(path.resolve(this.projectRoot, reference));
+    }
+
+    this.validateName(reference);
+    const baselinePath = path.join(this.baselinesDir, `${reference}.json`);
+    try {
+      return await this.readSnapshot(baselinePath);
+    } catch (error) {
+      throw new Error(`Baseline "${reference}" not found. Create it with: codefortify score --save-baseline ${reference}`);
+    }
+  }
+
+  async readSnapshot(filePath) {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  }
+
+  async prune() {
+    const files = await this.list();
+    const excess = files.slice(0, Math.max(0, files.length - this.maxSnapshots));
+    await Promise.all(excess.map(file => fs.rm(path.join(this.snapshotsDir, file), { force: true })));
+  }
+
+  validateName(name) {
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Invalid baseline name: ${name}. Use letters, numbers, dots, dashes or underscores.`);
+    }
+  }
+}
+
+/**
+ * Compare two snapshots
+ *
+ * Findings are matched on findingKey() so moved or re-measured code is not reported as changed.
+ * Snapshots without findings fall back to comparing issue strings.
+ *
+ * @param {Object} previous - Earlier snapshot
+ * @param {Object} current - Current snapshot
+ * @returns {Object} Score deltas, new/resolved issues and category regressions
+ */
+export function compareSnapshots(previous, current) {
+  const round = value => Math.round(value * 10) / 10;
+
+  const categories = Object.entries(current.categories).map(([key, after]) => {
+    const before = previous.categories?.[key];
+    const delta = before ? round(after.score - before.score) : null;
+    const percentageDelta = before ? after.percentage - before.percentage : null;
+
+    return {
+      key,
+      categoryName: after.categoryName,
+      before: before ? { score: before.score, percentage: before.percentage, grade: before.grade } : null,
+      after: { score: after.score, percentage: after.percentage, grade: after.grade },
+      delta,
+      percentageDelta,
+      regressed: percentageDelta !== null && percentageDelta < 0
+    };
+  });
+
+  const useFindings = Array.isArray(previous.findings) && Array.isArray(current.findings);
+  const items = snapshot => useFindings
+    ? snapshot.findings
+    : (snapshot.issues || []).map(issue => ({ ...issue, ruleId: null, file: null }));
+  const key = item => useFindings ? findingKey(item) : `${item.category}|${item.message}`;
+
+  const previousKeys = new Set(items(previous).map(key));
+  const currentKeys = new Set(items(current).map(key));
+
+  return {
+    previous: {
+      timestamp: previous.timestamp,
+      commit: previous.git?.commit || null,
+      baseline: previous.baseline || null
+    },
+    current: {
+      timestamp: current.timestamp,
+      commit: current.git?.commit || null
+    },
+    overall: {
+      before: previous.overall,
+      after: current.overall,
+      delta: round(current.overall.score - previous.overall.score),
+      percentageDelta: current.overall.percentage - previous.overall.percentage
+    },
+    categories,
+    regressions: categories.filter(category => category.regressed).map(category => category.key),
+    newIssues: items(current).filter(item => !previousKeys.has(key(item))),
+    resolvedIssues: items(previous).filter(item => !currentKeys.has(key(item)))
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Analyzer worker
+ *
+ * Runs analyzer tasks posted by AnalyzerScheduler inside a worker thread. Each task names
+ * the analyzer module and export to load, so built-in and plugin analyzers run the same way.
+ * Batch tasks run some files of one per-file pass of an analyzer instead. The worker gets the
+ * cache entries of its analyzer (or pass) and returns the updated cache state.
+ */
+
+import { parentPort } from 'worker_threads';
+import { performance } from 'perf_hooks';
+import { AnalysisCache } from './AnalysisCache.js';
+import { runAnalyzerTask, runFileBatch } from './AnalyzerScheduler.js';
+
+parentPort.on('message', async ({ id, task, batch, cacheState }) => {
+  const startTime = performance.now();
+
+  try {
+    const cache = new AnalysisCache(task.config.projectRoot, cacheState.options);
+    cache.restoreState(cacheState);
+
+    if (batch) {
+      await runFileBatch(task, batch, { cache });
+      parentPort.postMessage({ id, cacheState: cache.exportState(), duration: performance.now() - startTime });
+      return;
+    }
+
+    const result = await runAnalyzerTask(task, { cache });
+    parentPort.postMessage({ id, result, cacheState: cache.exportState(), duration: performance.now() - startTime });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message, duration: performance.now() - startTime });
+  }
+});
@@ -4,6 +4,9 @@
  * Generates interactive HTML dashboard reports with charts and theme support
  */
 
+import { collectFindings, groupFindingsByFile } from '../core/Finding.js';
+import { formatWeights } from '../../config/scoringConfig.js';
+
 export class HTMLReportGenerator {
   constructor() {
     this.chartColors = {
@@ -21,6 +24,7 @@ export class HTMLReportGenerator {
    */
   async generate(results) {
     const { overall, categories, recommendations, metadata } = results;
+    const findingGroups = groupFindingsByFile(collectFindings(results));
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -35,7 +39,7 @@ export class HTMLReportGenerator {
 <body data-theme="dark">
     <div class="dashboard">
         ${this.generateHeader(metadata)}
-        ${this.generateMainContent(overall, categories, recommendations)}
+        ${this.generateMainContent(overall, categories, recommendations, findingGroups, results.comparison)}
     </div>
     ${this.generateScripts(categories)}
 </body>
@@ -332,6 +336,80 @@ export class HTMLReportGenerator {
             font-size: 0.9rem;
         }
 
+        .findings-section {
+            background: var(--bg-secondary);
+            border-radius: var(--radius);
+            padding: 2rem;
+            margin-top: 2rem;
+            box-shadow: var(--shadow);
+        }
+
+        .finding-file {
+            border-top: 1px solid var(--border);
+            padding: 0.5rem 0;
+        }
+
+        .finding-file summary {
+            cursor: pointer;
+            font-family: monospace;
+        }
+
+        .finding-item {
+            display: flex;
+            align-items: flex-start;
+            gap: 0.75rem;
+            padding: 0.4rem 0 0.4rem 1rem;
+            color: var(--text-secondary);
+        }
+
+        .finding-severity {
+            min-width: 4.5rem;
+            font-size: 0.8rem;
+            text-transform: uppercase;
+            font-weight: 600;
+        }
+
+        .finding-line {
+            min-width: 3rem;
+            font-family: monospace;
+        }
+
+        .finding-snippet {
+            font-size: 0.8rem;
+            opacity: 0.8;
+            word-break: break-all;
+        }
+
+        .comparison-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 1rem 0;
+        }
+
+        .comparison-table th, .comparison-table td {
+            text-align: left;
+            padding: 0.4rem 0.75rem;
+            border-bottom: 1px solid var(--border);
+        }
+
+        .weights {
+            font-size: 0.85rem;
+            opacity: 0.8;
+        }
+
+        .diff-scope {
+            color: var(--warning);
+            font-size: 0.9rem;
+        }
+
+        .delta-up { color: var(--success); }
+        .delta-down { color: var(--error); }
+        .delta { color: var(--text-tertiary); }
+
+        .severity-critical, .severity-high { color: var(--error); }
+        .severity-medium { color: var(--warning); }
+        .severity-low, .severity-info { color: var(--text-tertiary); }
+
         .recommendations-section {
             background: var(--bg-secondary);
             border-radius: var(--radius);
@@ -414,6 +492,8 @@ export class HTMLReportGenerator {
         <div class="header-content">
             <h1>Context7 Quality Dashboard</h1>
             <p>Project: ${metadata.projectName} | Type: ${metadata.projectType} | Version: ${metadata.version || '1.0.0'}</p>
+            ${metadata.scoring ? `<p class="weights">Weights${metadata.scoring.customized ? ' (codefortify.config.js)' : ''}: ${this.escapeHtml(formatWeights(metadata.scoring.weights))}</p>` : ''}
+            ${metadata.diffScope ? `<p class="diff-scope"><i class="fas fa-code-branch"></i> Diff-scoped: file-level checks cover ${metadata.diffScope.changedFiles.length} ${metadata.diffScope.mode === 'staged' ? 'staged files' : `files changed since ${this.escapeHtml(metadata.diffScope.ref)}`}; project-level checks ran on the whole project</p>` : ''}
         </div>
         <div class="header-actions">
             <div class="search-container">
@@ -432,12 +512,14 @@ export class HTMLReportGenerator {
     </header>`;
   }
 
-  generateMainContent(overall, categories, recommendations) {
+  generateMainContent(overall, categories, recommendations, findingGroups = [], comparison = null) {
     return `
     <div class="overview-section" id="overview">
         ${this.generateScoreCard(overall)}
         ${this.generateCharts()}
     </div>
+
+    ${comparison ? this.generateComparison(comparison) : ''}
     
     <div class="categories-grid" id="categories">
         ${Object.entries(categories).map(([key, category]) =>
@@ -445,7 +527,9 @@ export class HTMLReportGenerator {
   ).join('')}
     </div>
     
-    ${recommendations ? this.generateRecommendations(recommendations) : ''}`;
+    ${recommendations ? this.generateRecommendations(recommendations) : ''}
+
+    ${findingGroups.length > 0 ? this.generateFindings(findingGroups) : ''}`;
   }
 
   generateScoreCard(overall) {
@@ -545,6 +629,84 @@ export class HTMLReportGenerator {
     </div>`;
   }
 
+  generateComparison(comparison) {
+    const formatDelta = (delta, suffix = '') => {
+      if (delta === null) {return '<span class="delta">new</span>';}
+      const cls = delta > 0 ? 'delta-up' : delta < 0 ? 'delta-down' : 'delta';
+      const sign = delta > 0 ? '+' : '';
+      return `<span class="${cls}">${sign}${delta}${suffix}</span>`;
+    };
+    const describe = issue => `${this.escapeHtml(issue.message)}${issue.file ? ` <code>${this.escapeHtml(issue.file)}</code>` : ''}`;
+    const reference = comparison.previous.baseline
+      ? `baseline "${this.escapeHtml(comparison.previous.baseline)}"`
+      : `run of ${new Date(comparison.previous.timestamp).toLocaleString()}`;
+
+    return `
+    <div class="findings-section" id="comparison">
+        <div class="recommendations-header">
+            <i class="fas fa-chart-line" style="font-size: 2rem; color: var(--accent);"></i>
+            <h2>Compared with ${reference}${comparison.previous.commit ? ` <small>(${comparison.previous.commit.slice(0, 7)})</small>` : ''}</h2>
+        </div>
+        <p>Overall: ${comparison.overall.before.score} → ${comparison.overall.after.score}
+            ${formatDelta(comparison.overall.delta)} (${formatDelta(comparison.overall.percentageDelta, '%')})</p>
+        <table class="comparison-table">
+            <tr><th>Category</th><th>Before</th><th>After</th><th>Delta</th></tr>
+            ${comparison.categories.map(category => `
+                <tr class="${category.regressed ? 'regressed' : ''}">
+                    <td>${category.categoryName}${category.regressed ? ' <span class="delta-down">regression</span>' : ''}</td>
+                    <td>${category.before ? category.before.score : '-'}</td>
+                    <td>${category.after.score}</td>
+                    <td>${formatDelta(category.delta)}</td>
+                </tr>
+            `).join('')}
+        </table>
+        <details class="finding-file">
+            <summary>New issues (${comparison.newIssues.length})</summary>
+            ${comparison.newIssues.map(issue => `<div class="finding-item"><span class="delta-down">+</span><span>${describe(issue)}</span></div>`).join('')}
+        </details>
+        <details class="finding-file">
+            <summary>Resolved issues (${comparison.resolvedIssues.length})</summary>
+            ${comparison.resolvedIssues.map(issue => `<div class="finding-item"><span class="delta-up">−</span><span>${describe(issue)}</span></div>`).join('')}
+        </details>
+    </div>`;
+  }
+
+  generateFindings(findingGroups) {
+    const total = findingGroups.reduce((sum, group) => sum + group.findings.length, 0);
+
+    return `
+    <div class="findings-section" id="findings">
+        <div class="recommendations-header">
+            <i class="fas fa-file-code" style="font-size: 2rem; color: var(--accent);"></i>
+            <h2>Findings by File (${total})</h2>
+        </div>
+        ${findingGroups.map(({ file, findings }) => `
+            <details class="finding-file">
+                <summary>${file ? this.escapeHtml(file) : 'Project'} <span class="score-max">(${findings.length})</span></summary>
+                ${findings.map(finding => `
+                    <div class="finding-item">
+                        <span class="finding-severity severity-${finding.severity}">${finding.severity}</span>
+                        <span class="finding-line">${finding.range ? `L${finding.range.startLine}` : ''}</span>
+                        <span>
+                            <code>${this.escapeHtml(finding.ruleId)}</code> ${this.escapeHtml(finding.message)}
+                            ${finding.snippet ? `<br><code class="finding-snippet">${this.escapeHtml(finding.snippet)}</code>` : ''}
+                            ${finding.fix ? `<br><small>${this.escapeHtml(finding.fix)}</small>` : ''}
+                        </span>
+                    </div>
+                `).join('')}
+            </details>
+        `).join('')}
+    </div>`;
+  }
+
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   generateScripts(categories) {
     const categoryData = Object.entries(categories).map(([key, cat]) => ({
       name: cat.categoryName,
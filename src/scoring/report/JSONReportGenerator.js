@@ -4,6 +4,8 @@
  * Generates structured JSON reports for programmatic analysis and CI/CD integration
  */
 
+import { collectFindings, groupFindingsByFile } from '../core/Finding.js';
+
 export class JSONReportGenerator {
   /**
    * Generate JSON report
@@ -20,6 +22,14 @@ export class JSONReportGenerator {
       timestamp: new Date().toISOString()
     };
 
+    if (results.comparison) {
+      cleanResults.comparison = results.comparison;
+    }
+
+    if (results.performance) {
+      cleanResults.performance = results.performance;
+    }
+
     // Clean category data
     if (results.categories) {
       for (const [key, category] of Object.entries(results.categories)) {
@@ -29,12 +39,19 @@ export class JSONReportGenerator {
           maxScore: category.maxScore,
           percentage: Math.round((category.score / category.maxScore) * 100),
           grade: category.grade,
+          weight: category.weight ?? category.maxScore,
+          diffScoped: Boolean(category.diffScoped),
           issues: category.issues || [],
+          findings: (category.findings || []).map(finding => finding.toObject ? finding.toObject() : finding),
           details: category.details || {}
         };
       }
     }
 
+    // Findings across all categories, grouped by file (project-level findings under null)
+    const findings = collectFindings(cleanResults);
+    cleanResults.findingsByFile = groupFindingsByFile(findings);
+
     // Add summary statistics
     cleanResults.summary = {
       totalScore: cleanResults.overall.score,
@@ -44,6 +61,7 @@ export class JSONReportGenerator {
       categoryCount: Object.keys(cleanResults.categories).length,
       totalIssues: Object.values(cleanResults.categories)
         .reduce((sum, cat) => sum + (cat.issues?.length || 0), 0),
+      totalFindings: findings.length,
       recommendationCount: cleanResults.recommendations.length
     };
 
@@ -4,6 +4,9 @@
  * Generates formatted markdown reports for documentation and CLI output
  */
 
+import { collectFindings, groupFindingsByFile } from '../core/Finding.js';
+import { formatWeights } from '../../config/scoringConfig.js';
+
 export class MarkdownReportGenerator {
   /**
    * Generate markdown report
@@ -21,7 +24,17 @@ export class MarkdownReportGenerator {
     if (metadata.version) {
       markdown += `**Version:** ${metadata.version}\n`;
     }
-    markdown += `**Generated:** ${new Date().toLocaleString()}\n\n`;
+    markdown += `**Generated:** ${new Date().toLocaleString()}\n`;
+    if (metadata.scoring) {
+      markdown += `**Weights:** ${formatWeights(metadata.scoring.weights)}${metadata.scoring.customized ? ' (from codefortify.config.js)' : ''}\n`;
+    }
+    markdown += '\n';
+
+    if (metadata.diffScope) {
+      const source = metadata.diffScope.mode === 'staged' ? 'staged files' : `files changed since \`${metadata.diffScope.ref}\``;
+      markdown += `> **Diff-scoped:** file-level checks cover ${metadata.diffScope.changedFiles.length} ${source}; `;
+      markdown += 'project-level checks ran on the whole project.\n\n';
+    }
 
     // Overall Score
     markdown += '## Overall Results\n\n';
@@ -50,6 +63,20 @@ export class MarkdownReportGenerator {
       markdown += '\n';
     }
 
+    // Findings
+    const findingGroups = groupFindingsByFile(collectFindings(results));
+    if (findingGroups.length > 0) {
+      markdown += '## Findings by File\n\n';
+
+      findingGroups.forEach(({ file, findings }) => {
+        markdown += `### ${file ? `\`${file}\`` : 'Project'}\n\n`;
+        findings.forEach(finding => {
+          markdown += `- ${this.formatFinding(finding)}\n`;
+        });
+        markdown += '\n';
+      });
+    }
+
     // Recommendations
     if (recommendations && recommendations.length > 0) {
       markdown += '## 🎯 Priority Recommendations\n\n';
@@ -71,6 +98,13 @@ export class MarkdownReportGenerator {
     return markdown;
   }
 
+  formatFinding(finding) {
+    const location = finding.range ? `L${finding.range.startLine}: ` : '';
+    const fix = finding.fix ? ` — _${finding.fix}_` : '';
+    const snippet = finding.snippet ? ` \`${finding.snippet.replace(/`/g, "'")}\`` : '';
+    return `**${finding.severity}** \`${finding.ruleId}\` ${location}${finding.message}${snippet}${fix}`;
+  }
+
   getCategoryEmoji(percentage) {
     if (percentage >= 90) {return '✅';}
     if (percentage >= 70) {return '⚡';}
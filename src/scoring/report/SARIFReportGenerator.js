@@ -0,0 +1,206 @@
+/**
+ * SARIF Report Generator
+ *
+ * Generates SARIF 2.1.0 logs from analyzer findings for code-scanning dashboards
+ */
+
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { collectFindings, Finding } from '../core/Finding.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const INFORMATION_URI = 'https://github.com/wtthornton/codefortify';
+
+// Code-scanning uploads reject results without a location, so project-level findings point here
+const PROJECT_ANCHOR = 'package.json';
+
+const SEVERITY_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note'
+};
+
+// CVSS-style scores used by code-scanning UIs to rank security results
+const SECURITY_SEVERITY = {
+  critical: '9.5',
+  high: '8.0',
+  medium: '5.5',
+  low: '3.0',
+  info: '1.0'
+};
+
+function readToolVersion() {
+  try {
+    const packagePath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../../package.json');
+    return JSON.parse(readFileSync(packagePath, 'utf8')).version;
+  } catch (error) {
+    return '1.0.0';
+  }
+}
+
+export class SARIFReportGenerator {
+  /**
+   * Generate SARIF report
+   * @param {Object} results - Scoring results
+   * @returns {Promise<string>} SARIF JSON string
+   */
+  async generate(results) {
+    return JSON.stringify(this.buildLog(results), null, 2);
+  }
+
+  /**
+   * Build the SARIF log object
+   * @param {Object} results - Scoring results
+   * @returns {Object} SARIF 2.1.0 log
+   */
+  buildLog(results) {
+    const findings = collectFindings(results);
+    const rules = this.buildRules(findings, results.categories || {});
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: [{
+        tool: {
+          driver: {
+            name: 'CodeFortify',
+            version: readToolVersion(),
+            informationUri: INFORMATION_URI,
+            rules
+          }
+        },
+        invocations: [{
+          executionSuccessful: true,
+          endTimeUtc: results.metadata?.timestamp || new Date().toISOString()
+        }],
+        results: findings.map(finding => this.buildResult(finding, ruleIndex.get(finding.ruleId))),
+        properties: {
+          projectName: results.metadata?.projectName,
+          projectType: results.metadata?.projectType,
+          score: results.overall?.score,
+          maxScore: results.overall?.maxScore,
+          grade: results.overall?.grade,
+          weights: results.metadata?.scoring?.weights || null,
+          diffScope: results.metadata?.diffScope || null
+        }
+      }]
+    };
+  }
+
+  /**
+   * One reportingDescriptor per rule id, using the most severe finding for default level
+   */
+  buildRules(findings, categories) {
+    const rules = new Map();
+
+    for (const finding of findings) {
+      const existing = rules.get(finding.ruleId);
+      if (existing && Finding.compareSeverity(existing.severity, finding.severity) <= 0) {
+        continue;
+      }
+      rules.set(finding.ruleId, { ...finding, fix: finding.fix || existing?.fix });
+    }
+
+    return [...rules.values()]
+      .sort((a, b) => a.ruleId.localeCompare(b.ruleId))
+      .map(finding => {
+        const categoryName = categories[finding.category]?.categoryName || finding.category;
+        const name = this.getRuleName(finding.ruleId);
+        const properties = { category: finding.category, tags: [finding.category] };
+
+        if (finding.category === 'security') {
+          properties['security-severity'] = SECURITY_SEVERITY[finding.severity];
+        }
+
+        return {
+          id: finding.ruleId,
+          name: name.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(''),
+          shortDescription: { text: `${categoryName}: ${name}` },
+          ...(finding.fix ? { help: { text: finding.fix } } : {}),
+          defaultConfiguration: { level: SEVERITY_LEVELS[finding.severity] },
+          properties
+        };
+      });
+  }
+
+  /**
+   * Map a finding to a SARIF result
+   */
+  buildResult(finding, ruleIndex) {
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex,
+      level: SEVERITY_LEVELS[finding.severity],
+      message: { text: finding.fix ? `${finding.message}. ${finding.fix}` : finding.message },
+      partialFingerprints: {
+        'codefortify/v1': crypto
+          .createHash('sha256')
+          .update(`${finding.ruleId}|${finding.file || ''}|${finding.message}`)
+          .digest('hex')
+      },
+      properties: { severity: finding.severity }
+    };
+
+    if (!finding.file) {
+      result.locations = [{
+        physicalLocation: {
+          artifactLocation: { uri: PROJECT_ANCHOR, uriBaseId: '%SRCROOT%' },
+          region: { startLine: 1 }
+        }
+      }];
+      result.properties.projectLevel = true;
+    } else {
+      const physicalLocation = {
+        artifactLocation: { uri: encodeURI(finding.file), uriBaseId: '%SRCROOT%' }
+      };
+
+      if (finding.range) {
+        physicalLocation.region = {
+          startLine: finding.range.startLine,
+          startColumn: finding.range.startColumn,
+          endLine: finding.range.endLine
+        };
+        if (finding.range.endColumn) {
+          physicalLocation.region.endColumn = finding.range.endColumn;
+        }
+        if (finding.snippet) {
+          physicalLocation.region.snippet = { text: finding.snippet };
+        }
+      }
+
+      result.locations = [{ physicalLocation }];
+
+      // Data flows are shown step by step by code-scanning UIs
+      if (finding.trace) {
+        result.codeFlows = [{
+          threadFlows: [{
+            locations: finding.trace.map(step => ({
+              location: {
+                physicalLocation: {
+                  artifactLocation: physicalLocation.artifactLocation,
+                  region: { startLine: step.line, startColumn: step.column }
+                },
+                message: { text: step.label }
+              }
+            }))
+          }]
+        }];
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Human readable rule name from the id, e.g. 'security/hardcoded-secret' -> 'hardcoded secret'
+   */
+  getRuleName(ruleId) {
+    return ruleId.split('/').slice(1).join(' ').replace(/[-_@]+/g, ' ').trim() || ruleId;
+  }
+}
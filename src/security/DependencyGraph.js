@@ -0,0 +1,447 @@
+/**
+ * Dependency Graph
+ *
+ * The installed dependency tree of a project, read from package-lock.json, yarn.lock or
+ * pnpm-lock.yaml without touching the network. npm nodes are keyed by install location
+ * ("node_modules/a/node_modules/b") and edges follow Node's module resolution; yarn and pnpm
+ * nodes are keyed by "name@version" with edges resolved by the lockfile. Either way each
+ * installed copy of a package knows the chain of dependencies that pulled it in.
+ *
+ * Licenses and install scripts are completed from the manifests in node_modules when the
+ * dependencies are installed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseYarnLock, parsePnpmLock, splitPnpmKey } from './lockfileParsers.js';
+
+export const ROOT = '';
+
+const DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+const ROOT_DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+export const LOCKFILES = ['npm-shrinkwrap.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+
+/**
+ * Package name of an install location: "node_modules/@scope/a" -> "@scope/a"
+ */
+function nameFromLocation(location) {
+  const index = location.lastIndexOf('node_modules/');
+  return index === -1 ? path.basename(location) : location.slice(index + 'node_modules/'.length);
+}
+
+export class DependencyGraph {
+  /**
+   * @param {string} rootName - Name of the project
+   * @param {string} lockfile - Lockfile the graph was read from
+   */
+  constructor(rootName, lockfile) {
+    this.rootName = rootName;
+    this.lockfile = lockfile;
+    this.nodes = new Map();
+    this.manifestsRead = 0;
+  }
+
+  /**
+   * Read the lockfile of a project
+   * @param {string} projectRoot - Project root directory
+   * @returns {Promise<DependencyGraph|null>} Graph, or null when the project has no supported lockfile
+   * @throws {Error} When the lockfile exists but cannot be parsed
+   */
+  static async load(projectRoot) {
+    let packageJson = {};
+    try {
+      packageJson = JSON.parse(await fs.readFile(path.join(projectRoot, 'package.json'), 'utf8'));
+    } catch (error) {
+      // npm lockfile v2+ carries the root dependencies itself
+    }
+
+    for (const lockfile of LOCKFILES) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectRoot, lockfile), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      try {
+        if (lockfile === 'yarn.lock') {
+          return DependencyGraph.fromYarnLock(content, packageJson);
+        }
+        if (lockfile === 'pnpm-lock.yaml') {
+          return DependencyGraph.fromPnpmLock(content, packageJson);
+        }
+        return DependencyGraph.fromPackageLock(JSON.parse(content), packageJson, lockfile);
+      } catch (error) {
+        throw new Error(`Could not parse ${lockfile}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the lockfile of a project and complete it from the manifests in node_modules
+   * @param {string} projectRoot - Project root directory
+   * @returns {Promise<DependencyGraph|null>} Graph, or null when the project has no supported lockfile
+   * @throws {Error} When the lockfile exists but cannot be parsed
+   */
+  static async loadInstalled(projectRoot) {
+    const graph = await DependencyGraph.load(projectRoot);
+    if (graph) {
+      await graph.readInstalledManifests(projectRoot);
+    }
+    return graph;
+  }
+
+  /**
+   * Rebuild a graph from toJSON() output, e.g. in a worker thread
+   * @param {Object} state - Value returned by toJSON()
+   * @returns {DependencyGraph} Graph
+   */
+  static fromJSON({ rootName, lockfile, manifestsRead, nodes }) {
+    const graph = new DependencyGraph(rootName, lockfile);
+    graph.manifestsRead = manifestsRead;
+    nodes.forEach(node => graph.nodes.set(node.location, { ...node }));
+    return graph;
+  }
+
+  /**
+   * Plain data that can be posted to a worker thread
+   * @returns {{rootName: string, lockfile: string, manifestsRead: number, nodes: Array<Object>}} Graph state
+   */
+  toJSON() {
+    return { rootName: this.rootName, lockfile: this.lockfile, manifestsRead: this.manifestsRead, nodes: [...this.nodes.values()] };
+  }
+
+  /**
+   * Build the graph of an npm lockfile (lockfileVersion 1, 2 or 3)
+   * @param {Object} lock - Parsed package-lock.json
+   * @param {Object} [packageJson={}] - Parsed package.json, used for the root of v1 lockfiles
+   * @param {string} [lockfile='package-lock.json'] - Lockfile name
+   * @returns {DependencyGraph} Graph
+   */
+  static fromPackageLock(lock, packageJson = {}, lockfile = 'package-lock.json') {
+    const graph = new DependencyGraph(lock.name || packageJson.name || 'project', lockfile);
+
+    if (lock.packages) {
+      for (const [location, entry] of Object.entries(lock.packages)) {
+        graph.addNode(location, entry, location === ROOT ? ROOT_DEPENDENCY_FIELDS : DEPENDENCY_FIELDS);
+      }
+      return graph;
+    }
+
+    // lockfileVersion 1: nested `dependencies` with `requires`
+    graph.addNode(ROOT, packageJson, ROOT_DEPENDENCY_FIELDS);
+    const addNested = (dependencies, parent) => {
+      for (const [name, entry] of Object.entries(dependencies || {})) {
+        const location = `${parent ? `${parent}/` : ''}node_modules/${name}`;
+        graph.addNode(location, { ...entry, dependencies: entry.requires }, DEPENDENCY_FIELDS);
+        addNested(entry.dependencies, location);
+      }
+    };
+    addNested(lock.dependencies, ROOT);
+    return graph;
+  }
+
+  /**
+   * Build the graph of a yarn.lock (classic or Berry)
+   * @param {string} content - yarn.lock content
+   * @param {Object} [packageJson={}] - Parsed package.json holding the root dependencies
+   * @returns {DependencyGraph} Graph keyed by "name@version"
+   */
+  static fromYarnLock(content, packageJson = {}) {
+    const graph = new DependencyGraph(packageJson.name || 'project', 'yarn.lock');
+    const { entries } = parseYarnLock(content);
+
+    const byDescriptor = new Map();
+    for (const entry of entries) {
+      // Workspaces, including the project itself in Berry lockfiles, are not installed packages
+      if (entry.linkType === 'soft') {continue;}
+      const location = `${entry.name}@${entry.version}`;
+      graph.addNode(location, {
+        name: entry.name,
+        version: entry.version,
+        resolved: entry.resolved,
+        integrity: entry.integrity,
+        dependencies: entry.dependencies
+      }, ['dependencies']);
+      entry.descriptors.forEach(descriptor => byDescriptor.set(descriptor, location));
+    }
+
+    const target = (name, range) => byDescriptor.get(`${name}@${range}`) ?? byDescriptor.get(`${name}@npm:${range}`) ?? null;
+    graph.addNode(ROOT, packageJson, ROOT_DEPENDENCY_FIELDS);
+    for (const node of graph.nodes.values()) {
+      node.targets = Object.fromEntries(Object.entries(node.dependencies).map(([name, range]) => [name, target(name, range)]));
+    }
+
+    graph.inferDevFlags(Object.keys({ ...packageJson.dependencies, ...packageJson.optionalDependencies }));
+    return graph;
+  }
+
+  /**
+   * Build the graph of a pnpm-lock.yaml
+   * @param {string} content - pnpm-lock.yaml content
+   * @param {Object} [packageJson={}] - Parsed package.json, used for the project name
+   * @returns {DependencyGraph} Graph keyed by "name@version"
+   */
+  static fromPnpmLock(content, packageJson = {}) {
+    const graph = new DependencyGraph(packageJson.name || 'project', 'pnpm-lock.yaml');
+    const { lockfileVersion, importer, packages } = parsePnpmLock(content);
+
+    // Dependency versions carry peer suffixes ("1.0.0(react@18.0.0)" or "1.0.0_react@18.0.0")
+    // Aliased dependencies point at a package key instead ("/string-width/4.2.3")
+    const target = (name, version) => {
+      if (/^(?:link|file|workspace):/.test(version)) {return null;}
+      const [targetName, targetVersion] = version.startsWith('/')
+        ? splitPnpmKey(version, lockfileVersion)
+        : [name, lockfileVersion < 6 ? version.replace(/_.*$/, '') : version.replace(/\(.*$/, '')];
+      const location = `${targetName}@${targetVersion}`;
+      return graph.nodes.has(location) ? location : null;
+    };
+
+    for (const pkg of packages) {
+      graph.addNode(`${pkg.name}@${pkg.version}`, {
+        ...pkg,
+        dev: pkg.dev === true,
+        hasInstallScript: pkg.requiresBuild === true
+      }, ['dependencies']);
+    }
+    graph.addNode(ROOT, importer, ROOT_DEPENDENCY_FIELDS);
+    for (const node of graph.nodes.values()) {
+      node.targets = Object.fromEntries(Object.entries(node.dependencies).map(([name, version]) => [name, target(name, String(version))]));
+    }
+
+    // v9 lockfiles dropped the per-package `dev` flag
+    if (!packages.some(pkg => pkg.dev !== undefined)) {
+      graph.inferDevFlags(Object.keys({ ...importer.dependencies, ...importer.optionalDependencies }));
+    }
+    return graph;
+  }
+
+  /**
+   * Mark packages that production dependencies do not reach as dev-only
+   * @param {string[]} productionNames - Production dependencies of the project
+   */
+  inferDevFlags(productionNames) {
+    const reached = new Set();
+    const queue = productionNames.map(name => this.resolve(ROOT, name)).filter(location => location !== null);
+    while (queue.length > 0) {
+      const location = queue.shift();
+      if (reached.has(location)) {continue;}
+      reached.add(location);
+      for (const name of Object.keys(this.nodes.get(location).dependencies)) {
+        const next = this.resolve(location, name);
+        if (next !== null) {queue.push(next);}
+      }
+    }
+    for (const node of this.packages()) {
+      node.dev = !reached.has(node.location);
+    }
+  }
+
+  addNode(location, entry, fields) {
+    const dependencies = {};
+    for (const field of fields) {
+      Object.assign(dependencies, entry[field]);
+    }
+
+    this.nodes.set(location, {
+      location,
+      name: location === ROOT ? this.rootName : entry.name || nameFromLocation(location),
+      version: entry.version || null,
+      dev: Boolean(entry.dev),
+      optional: Boolean(entry.optional),
+      link: entry.link ? entry.resolved : null,
+      resolved: entry.resolved || null,
+      integrity: entry.integrity || null,
+      license: entry.license || null,
+      deprecated: entry.deprecated || null,
+      hasInstallScript: Boolean(entry.hasInstallScript),
+      dependencies
+    });
+  }
+
+  /**
+   * Installed packages, excluding the project itself and workspace links
+   * @returns {Array<Object>} Nodes with location, name, version, dev, optional, license, ...
+   */
+  packages() {
+    return [...this.nodes.values()].filter(node => node.location !== ROOT && !node.link);
+  }
+
+  /**
+   * Location a dependency resolves to from a package, following Node's lookup through
+   * the parent node_modules directories
+   * @param {string} from - Location of the requiring package
+   * @param {string} name - Dependency name
+   * @returns {string|null} Location, or null when the dependency is not installed
+   */
+  resolve(from, name) {
+    const targets = this.nodes.get(from)?.targets;
+    if (targets) {
+      return targets[name] ?? null;
+    }
+
+    let base = from;
+    for (;;) {
+      const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+      if (this.nodes.has(candidate)) {
+        const node = this.nodes.get(candidate);
+        // Workspace packages are linked from node_modules to their folder
+        return node.link !== null && this.nodes.has(node.link) ? node.link : candidate;
+      }
+      if (!base) {
+        return null;
+      }
+      const index = base.lastIndexOf('/node_modules/');
+      base = index === -1 ? ROOT : base.slice(0, index);
+    }
+  }
+
+  /**
+   * Shortest dependency chain from the project to every installed package
+   * @returns {Map<string, string[]>} Location -> package names, starting with the project name
+   */
+  paths() {
+    const paths = new Map([[ROOT, [this.rootName]]]);
+    const queue = [ROOT];
+
+    while (queue.length > 0) {
+      const location = queue.shift();
+      for (const name of Object.keys(this.nodes.get(location)?.dependencies || {})) {
+        const target = this.resolve(location, name);
+        if (target !== null && !paths.has(target)) {
+          paths.set(target, [...paths.get(location), this.nodes.get(target).name]);
+          queue.push(target);
+        }
+      }
+    }
+
+    // Extraneous packages nothing depends on are reported at their install location
+    for (const node of this.packages()) {
+      if (!paths.has(node.location)) {
+        paths.set(node.location, [this.rootName, ...node.location.split(/\/?node_modules\//).filter(Boolean)]);
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Whether license data is available, from the lockfile or the installed manifests; without
+   * it a missing license says nothing about the package
+   */
+  get licensesKnown() {
+    return this.manifestsRead > 0 || this.packages().some(node => node.license);
+  }
+
+  /**
+   * Complete licenses and install scripts from the manifests in node_modules
+   * @param {string} projectRoot - Project root directory
+   * @returns {Promise<number>} Number of manifests read; 0 when dependencies are not installed
+   */
+  async readInstalledManifests(projectRoot) {
+    let read = 0;
+    for (const node of this.packages()) {
+      const manifest = await this.readManifest(projectRoot, node);
+      if (!manifest) {continue;}
+
+      read++;
+      node.license = node.license || DependencyGraph.licenseOf(manifest);
+      node.hasInstallScript = node.hasInstallScript || INSTALL_SCRIPTS.some(script => manifest.scripts?.[script]);
+      node.installScripts = INSTALL_SCRIPTS.filter(script => manifest.scripts?.[script]);
+    }
+    this.manifestsRead = read;
+    return read;
+  }
+
+  async readManifest(projectRoot, node) {
+    const candidates = this.lockfile.endsWith('.json')
+      ? [path.join(projectRoot, node.location, 'package.json')]
+      : [
+        // pnpm's virtual store, then the hoisted copy used by yarn
+        path.join(projectRoot, 'node_modules', '.pnpm', `${node.name.replace('/', '+')}@${node.version}`, 'node_modules', node.name, 'package.json'),
+        path.join(projectRoot, 'node_modules', node.name, 'package.json')
+      ];
+
+    for (const candidate of candidates) {
+      try {
+        const manifest = JSON.parse(await fs.readFile(candidate, 'utf8'));
+        if (!manifest.version || manifest.version === node.version) {
+          return manifest;
+        }
+      } catch (error) {
+        // Not installed at this location
+      }
+    }
+    return null;
+  }
+
+  /**
+   * SPDX expression of a manifest, including the legacy `license: {type}` and `licenses` forms
+   */
+  static licenseOf(manifest) {
+    const license = manifest.license ?? manifest.licenses;
+    if (Array.isArray(license)) {
+      const types = license.map(entry => entry?.type || entry).filter(type => typeof type === 'string');
+      return types.length > 1 ? `(${types.join(' OR ')})` : types[0] || null;
+    }
+    return typeof license === 'object' && license !== null ? license.type || null : license || null;
+  }
+
+  /**
+   * Dependency health summary: duplicates, depth, deprecated packages, install scripts and licenses
+   *
+   * Packages are only reported as unlicensed when license data is available, i.e. the
+   * lockfile records licenses or the dependencies are installed.
+   *
+   * @returns {Object} Summary with lockfile, packages, direct, production, duplicates, maxDepth,
+   *   deepestPath, deprecated, installScripts, licenses and unlicensed
+   */
+  summarize() {
+    const packages = this.packages();
+    const paths = this.paths();
+    const root = this.nodes.get(ROOT);
+
+    const versions = new Map();
+    for (const node of packages) {
+      if (!versions.has(node.name)) {versions.set(node.name, new Set());}
+      versions.get(node.name).add(node.version);
+    }
+    const duplicates = [...versions.entries()]
+      .filter(([, found]) => found.size > 1)
+      .map(([name, found]) => ({
+        name,
+        versions: [...found].sort(),
+        production: packages.some(node => node.name === name && !node.dev)
+      }))
+      .sort((a, b) => b.versions.length - a.versions.length || a.name.localeCompare(b.name));
+
+    let deepestPath = [this.rootName];
+    for (const chain of paths.values()) {
+      if (chain.length > deepestPath.length) {deepestPath = chain;}
+    }
+
+    const describe = node => ({ name: node.name, version: node.version, dev: node.dev, path: paths.get(node.location) });
+    const licenses = {};
+    for (const node of packages) {
+      const license = node.license || 'UNKNOWN';
+      licenses[license] = (licenses[license] || 0) + 1;
+    }
+
+    return {
+      lockfile: this.lockfile,
+      packages: packages.length,
+      direct: Object.keys(root?.dependencies || {}).length,
+      production: packages.filter(node => !node.dev).length,
+      duplicates,
+      maxDepth: deepestPath.length - 1,
+      deepestPath,
+      deprecated: packages.filter(node => node.deprecated).map(node => ({ ...describe(node), message: node.deprecated })),
+      installScripts: packages.filter(node => node.hasInstallScript).map(node => ({ ...describe(node), scripts: node.installScripts || [] })),
+      licenses,
+      unlicensed: this.licensesKnown ? packages.filter(node => !node.license).map(describe) : []
+    };
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Git History Scanner
+ *
+ * Secrets that were committed and later deleted stay readable in every clone. This scanner
+ * walks the local git history (no network access) and runs the SecretScanner rules over the
+ * lines each commit added. Every secret is reported once per file, with the commit that
+ * introduced it; matches are redacted exactly like working-tree findings.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { SecretScanner } from './SecretScanner.js';
+import { runGit, runGitAsync } from '../utils/gitUtils.js';
+
+export const DEFAULT_MAX_COMMITS = 500;
+
+// Commit headers are separated from patches with ASCII record/unit separators
+const COMMIT_SEPARATOR = '\u001e';
+const FIELD_SEPARATOR = '\u001f';
+
+// Bound on the patch text read for one scan; larger histories need a lower maxCommits
+export const LOG_MAX_BYTES = 64 * 1024 * 1024;
+
+export class GitHistoryScanner {
+  /**
+   * @param {string} projectRoot - Project root inside a git work tree
+   * @param {Object} [options] - Scanner options
+   * @param {SecretScanner} [options.scanner] - Scanner holding the rules and allowlists
+   * @param {number} [options.maxCommits=500] - Most recent commits to scan
+   * @param {boolean} [options.allRefs=false] - Scan every branch and tag instead of HEAD only
+   */
+  constructor(projectRoot, { scanner = new SecretScanner(), maxCommits = DEFAULT_MAX_COMMITS, allRefs = false } = {}) {
+    this.projectRoot = projectRoot;
+    this.scanner = scanner;
+    this.maxCommits = maxCommits;
+    this.allRefs = allRefs;
+  }
+
+  /**
+   * Commit checked out in the work tree
+   * @returns {string|null} Full SHA, or null outside a git repository or before the first commit
+   */
+  getHead() {
+    try {
+      return runGit(this.projectRoot, ['rev-parse', '--verify', '--quiet', 'HEAD']) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Scan the history reachable from HEAD (or from every ref with `allRefs`)
+   *
+   * git runs asynchronously and its output is bounded by LOG_MAX_BYTES.
+   *
+   * @returns {Promise<{head: string, commitsScanned: number, totalCommits: number, exposures: Array<Object>}|null>}
+   *   Redacted exposures with ruleId, name, provider, severity, file, line, column, commit, date,
+   *   fingerprint and preview; null when the project is not a git repository
+   * @throws {Error} When git fails on an existing repository or the patches exceed LOG_MAX_BYTES
+   */
+  async scan() {
+    const head = this.getHead();
+    if (!head) {
+      return null;
+    }
+
+    const revisions = this.allRefs ? ['--all'] : ['HEAD'];
+    try {
+      const totalCommits = Number(await runGitAsync(this.projectRoot, ['rev-list', '--count', ...revisions]));
+      const log = await runGitAsync(this.projectRoot, [
+        '-c', 'core.quotepath=off',
+        'log', ...revisions,
+        `--max-count=${this.maxCommits}`,
+        `--format=${COMMIT_SEPARATOR}%H${FIELD_SEPARATOR}%aI`,
+        '--patch', '--unified=0', '--no-prefix', '--relative',
+        '--no-color', '--no-ext-diff', '--no-textconv',
+        '--'
+      ], { maxBuffer: LOG_MAX_BYTES });
+
+      const commits = this.parseLog(log);
+      return {
+        head,
+        commitsScanned: commits.length,
+        totalCommits,
+        exposures: this.findExposures(commits)
+      };
+    } catch (error) {
+      if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+        throw new Error(`Cannot read git history: the last ${this.maxCommits} commits exceed ${LOG_MAX_BYTES / 1024 / 1024} MB of changes, lower maxCommits`);
+      }
+      const detail = error.stderr?.toString().trim() || error.message;
+      throw new Error(`Cannot read git history: ${detail}`);
+    }
+  }
+
+  /**
+   * Split `git log --patch --unified=0` output into the lines each commit added per file
+   * @param {string} log - git log output
+   * @returns {Array<{commit: string, date: string, files: Map<string, Array<{line: number, text: string}>>}>} Newest first
+   */
+  parseLog(log) {
+    return log.split(COMMIT_SEPARATOR).filter(Boolean).map(chunk => {
+      const [header, ...patch] = chunk.split('\n');
+      const [commit, date] = header.split(FIELD_SEPARATOR);
+      const files = new Map();
+      let added = null;
+      let lineNumber = 0;
+      // Where we are in a file header: 'diff' after `diff --git`, 'old' after its `---` line.
+      // Added content lines that start with `++ ` look like `+++` headers, so only trust the header position
+      let fileHeader = null;
+
+      for (const text of patch) {
+        if (text.startsWith('diff --git ')) {
+          fileHeader = 'diff';
+          added = null;
+        } else if (fileHeader === 'diff' && text.startsWith('--- ')) {
+          fileHeader = 'old';
+        } else if (fileHeader === 'old' && text.startsWith('+++ ')) {
+          fileHeader = null;
+          const file = this.parsePath(text.slice(4));
+          added = file && this.scanner.shouldScan(file) ? [] : null;
+          if (added) {files.set(file, added);}
+        } else if (text.startsWith('@@')) {
+          fileHeader = null;
+          lineNumber = Number(/\+(\d+)/.exec(text)?.[1] || 0);
+        } else if (added && text.startsWith('+')) {
+          added.push({ line: lineNumber++, text: text.slice(1) });
+        }
+      }
+
+      return { commit, date, files };
+    });
+  }
+
+  /**
+   * Path of a `+++` header; null for deleted files
+   */
+  parsePath(header) {
+    if (header === '/dev/null') {
+      return null;
+    }
+    // Paths with control characters or quotes are C-quoted even with core.quotepath=off
+    if (header.startsWith('"')) {
+      try {
+        return JSON.parse(header);
+      } catch (error) {
+        return header.slice(1, -1);
+      }
+    }
+    return header;
+  }
+
+  /**
+   * Scan added lines and keep the commit that introduced each secret in each file
+   */
+  findExposures(commits) {
+    const exposures = new Map();
+
+    // git log lists newest first, so older commits overwrite newer ones
+    for (const { commit, date, files } of commits) {
+      for (const [file, added] of files) {
+        const matches = this.scanner.scanContent(added.map(entry => entry.text).join('\n'), file);
+        for (const match of matches) {
+          exposures.set(`${match.fingerprint}|${file}`, {
+            ruleId: match.ruleId,
+            name: match.name,
+            provider: match.provider,
+            severity: match.severity,
+            file,
+            line: added[match.line - 1].line,
+            column: match.column,
+            commit,
+            date,
+            fingerprint: match.fingerprint,
+            preview: match.preview
+          });
+        }
+      }
+    }
+
+    return [...exposures.values()].sort((a, b) => a.date.localeCompare(b.date) || a.file.localeCompare(b.file) || a.line - b.line);
+  }
+
+  /**
+   * Flag exposures whose secret is still in the working-tree file
+   * @param {Array<Object>} exposures - Exposures from scan()
+   * @returns {Promise<Array<Object>>} Exposures with `inWorkingTree`
+   */
+  async markWorkingTree(exposures) {
+    const current = new Map();
+    const fingerprintsOf = async (file) => {
+      if (!current.has(file)) {
+        try {
+          const content = await fs.readFile(path.resolve(this.projectRoot, file), 'utf8');
+          current.set(file, new Set(this.scanner.scanContent(content, file).map(match => match.fingerprint)));
+        } catch (error) {
+          current.set(file, new Set());
+        }
+      }
+      return current.get(file);
+    };
+
+    const marked = [];
+    for (const exposure of exposures) {
+      marked.push({ ...exposure, inWorkingTree: (await fingerprintsOf(exposure.file)).has(exposure.fingerprint) });
+    }
+    return marked;
+  }
+}
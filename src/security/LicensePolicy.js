@@ -0,0 +1,143 @@
+/**
+ * License Policy
+ *
+ * Checks the declared licenses of installed packages against the `security.licenses` allow
+ * and deny lists of codefortify.config.js. Licenses are read as SPDX expressions: a package
+ * under "(MIT OR GPL-3.0)" complies when either license is acceptable, one under
+ * "MIT AND GPL-3.0" only when both are.
+ *
+ * List entries are SPDX identifiers, matched case-insensitively, where `*` matches any text
+ * ("GPL-*") and an entry also covers its -only, -or-later and + variants.
+ */
+
+const OUTCOMES = ['allowed', 'not-allowed', 'denied'];
+
+/**
+ * Identifier without the -only / -or-later / + suffix: "GPL-3.0-or-later" -> "gpl-3.0"
+ */
+function baseId(id) {
+  return id.toLowerCase().replace(/(?:-only|-or-later|\+)$/, '');
+}
+
+function toMatcher(entry) {
+  const pattern = baseId(entry).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Parse an SPDX license expression
+ * @param {string} expression - e.g. "(MIT OR Apache-2.0) AND BSD-3-Clause"
+ * @returns {Object} Tree of `{ id }`, `{ and: [...] }` and `{ or: [...] }` nodes; an expression
+ *   that does not parse is kept as a single id
+ */
+export function parseLicenseExpression(expression) {
+  const tokens = String(expression).match(/\(|\)|[^\s()]+/g) || [];
+  let position = 0;
+  const peek = () => tokens[position]?.toUpperCase();
+
+  const parseList = (operator, parseOperand) => {
+    const operands = [parseOperand()];
+    while (peek() === operator) {
+      position++;
+      operands.push(parseOperand());
+    }
+    return operands.length === 1 ? operands[0] : { [operator.toLowerCase()]: operands };
+  };
+  const parseOr = () => parseList('OR', () => parseList('AND', parsePrimary));
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[position++] !== ')') {throw new Error('unbalanced parentheses');}
+      return node;
+    }
+    if (token === undefined || token === ')' || ['AND', 'OR', 'WITH'].includes(token.toUpperCase())) {
+      throw new Error(`unexpected ${token ?? 'end of expression'}`);
+    }
+    // "GPL-2.0 WITH Classpath-exception-2.0" is judged by its license
+    if (peek() === 'WITH') {
+      position += 2;
+    }
+    return { id: token };
+  };
+
+  try {
+    const tree = parseOr();
+    if (position !== tokens.length) {throw new Error(`unexpected ${tokens[position]}`);}
+    return tree;
+  } catch (error) {
+    return { id: String(expression).trim() };
+  }
+}
+
+export class LicensePolicy {
+  /**
+   * @param {Object} [config={}] - `security.licenses` config block
+   * @param {string[]} [config.allow=[]] - Acceptable licenses; when set, any other license (or none) is a violation
+   * @param {string[]} [config.deny=[]] - Forbidden licenses
+   * @param {string[]} [config.exceptions=[]] - Packages exempt from the policy, as "name" or "name@version"
+   * @param {boolean} [config.includeDev=false] - Also check dev-only packages
+   */
+  constructor(config = {}) {
+    this.allow = (config.allow || []).map(toMatcher);
+    this.deny = (config.deny || []).map(toMatcher);
+    this.exceptions = new Set(config.exceptions || []);
+    this.includeDev = config.includeDev === true;
+  }
+
+  /**
+   * Whether a policy is configured at all
+   */
+  get enabled() {
+    return this.allow.length > 0 || this.deny.length > 0;
+  }
+
+  /**
+   * Outcome of a single license expression
+   * @param {string} license - SPDX expression
+   * @returns {'allowed'|'not-allowed'|'denied'} Outcome of the most permissive choice
+   */
+  check(license) {
+    const evaluate = node => {
+      if (node.or) {
+        return node.or.map(evaluate).reduce((best, outcome) => (OUTCOMES.indexOf(outcome) < OUTCOMES.indexOf(best) ? outcome : best));
+      }
+      if (node.and) {
+        return node.and.map(evaluate).reduce((worst, outcome) => (OUTCOMES.indexOf(outcome) > OUTCOMES.indexOf(worst) ? outcome : worst));
+      }
+      const id = baseId(node.id);
+      if (this.deny.some(matcher => matcher.test(id))) {return 'denied';}
+      if (this.allow.length > 0 && !this.allow.some(matcher => matcher.test(id))) {return 'not-allowed';}
+      return 'allowed';
+    };
+    return evaluate(parseLicenseExpression(license));
+  }
+
+  /**
+   * Packages of a dependency graph that violate the policy
+   *
+   * With an allow list, a package without a declared license is not allowed, unless it is an
+   * exception or the graph has no license data at all (dependencies not installed and no
+   * licenses in the lockfile).
+   *
+   * @param {DependencyGraph} graph - Dependency graph with licenses
+   * @returns {Array<{name: string, version: string, license: string|null, dev: boolean, outcome: string, path: string[]}>} Violations
+   */
+  evaluate(graph) {
+    if (!this.enabled) {return [];}
+
+    const paths = graph.paths();
+    const checkUnlicensed = this.allow.length > 0 && graph.licensesKnown;
+    const violations = [];
+    for (const node of graph.packages()) {
+      if ((!node.license && !checkUnlicensed) || (node.dev && !this.includeDev)) {continue;}
+      if (this.exceptions.has(node.name) || this.exceptions.has(`${node.name}@${node.version}`)) {continue;}
+
+      const outcome = node.license ? this.check(node.license) : 'not-allowed';
+      if (outcome !== 'allowed') {
+        violations.push({ name: node.name, version: node.version, license: node.license, dev: node.dev, outcome, path: paths.get(node.location) });
+      }
+    }
+    return violations;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * OSV Advisory Database
+ *
+ * Loads advisories in the OSV JSON format (https://ossf.github.io/osv-schema/) from a local
+ * file or directory so dependencies can be audited without network access, e.g. in
+ * air-gapped CI. Accepted layouts:
+ * - a JSON file holding one advisory, an array of advisories or `{ "vulns": [...] }`
+ * - a directory of advisory JSON files, such as an extracted OSV npm export
+ *
+ * Only advisories for the npm ecosystem are indexed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const SEVERITY_LEVELS = {
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  MODERATE: 'medium',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a semantic version
+ * @param {string} version - e.g. "1.2.3" or "2.0.0-beta.1"
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array<string|number>}|null} Parsed version, or null when invalid
+ */
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version).trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part)) : []
+  };
+}
+
+/**
+ * Compare two semantic versions with semver precedence (prereleases sort before their release)
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative, zero or positive; NaN when a version is invalid
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) {
+    return NaN;
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] - right[part];
+    }
+  }
+
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+  for (let index = 0; index < Math.max(left.prerelease.length, right.prerelease.length); index++) {
+    const x = left.prerelease[index];
+    const y = right.prerelease[index];
+    if (x === undefined || y === undefined) {
+      return x === undefined ? -1 : 1;
+    }
+    if (x !== y) {
+      // Numeric identifiers have lower precedence than alphanumeric ones
+      if (typeof x === typeof y) {
+        return typeof x === 'number' ? x - y : (x < y ? -1 : 1);
+      }
+      return typeof x === 'number' ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Whether a version falls inside an OSV range
+ *
+ * Events are applied in version order: `introduced` opens an affected interval, `fixed`
+ * closes it before that version and `last_affected` closes it after that version.
+ *
+ * @param {string} version - Installed version
+ * @param {Array<Object>} events - OSV range events
+ * @returns {{affected: boolean, fixed: string|null}} Whether it is affected and the version that fixes it
+ */
+export function matchRange(version, events) {
+  const boundary = event => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+  const sorted = events
+    .filter(event => boundary(event) === '0' || parseVersion(boundary(event)))
+    .sort((a, b) => {
+      if (boundary(a) === '0') {return -1;}
+      if (boundary(b) === '0') {return 1;}
+      return compareVersions(boundary(a), boundary(b));
+    });
+
+  let affected = false;
+  let fixed = null;
+  for (const event of sorted) {
+    if (event.introduced !== undefined) {
+      if (event.introduced === '0' || compareVersions(version, event.introduced) >= 0) {
+        affected = true;
+        fixed = null;
+      }
+    } else if (event.fixed !== undefined) {
+      if (compareVersions(version, event.fixed) >= 0) {
+        affected = false;
+      } else if (affected && fixed === null) {
+        fixed = event.fixed;
+      }
+    } else if (event.last_affected !== undefined && compareVersions(version, event.last_affected) > 0) {
+      affected = false;
+    } else if (event.limit !== undefined && compareVersions(version, event.limit) >= 0) {
+      affected = false;
+    }
+  }
+  return { affected, fixed: affected ? fixed : null };
+}
+
+export class OsvDatabase {
+  /**
+   * @param {Array<Object>} advisories - OSV advisories
+   * @param {string} [source=''] - File or directory the advisories were read from
+   */
+  constructor(advisories = [], source = '') {
+    this.source = source;
+    this.advisoryCount = 0;
+    this.byPackage = new Map();
+
+    for (const advisory of advisories) {
+      const affected = (advisory.affected || []).filter(entry => entry.package?.ecosystem === 'npm' && !advisory.withdrawn);
+      if (affected.length === 0) {continue;}
+
+      this.advisoryCount++;
+      for (const entry of affected) {
+        const name = entry.package.name;
+        if (!this.byPackage.has(name)) {
+          this.byPackage.set(name, []);
+        }
+        this.byPackage.get(name).push({ advisory, entry });
+      }
+    }
+  }
+
+  /**
+   * Load advisories from a JSON file or a directory of JSON files
+   * @param {string} source - Absolute path, or relative to the current directory
+   * @returns {Promise<OsvDatabase>} Database
+   * @throws {Error} When the source is missing or holds invalid JSON
+   */
+  static async load(source) {
+    let stats;
+    try {
+      stats = await fs.stat(source);
+    } catch (error) {
+      throw new Error(`Advisory database not found: ${source}`);
+    }
+
+    const files = stats.isDirectory()
+      ? (await fs.readdir(source)).filter(file => file.endsWith('.json')).sort().map(file => path.join(source, file))
+      : [source];
+
+    const advisories = [];
+    for (const file of files) {
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid advisory database file ${file}: ${error.message}`);
+      }
+      advisories.push(...(Array.isArray(data) ? data : Array.isArray(data.vulns) ? data.vulns : [data]));
+    }
+    return new OsvDatabase(advisories, source);
+  }
+
+  /**
+   * Advisories affecting an installed package version
+   * @param {string} name - npm package name
+   * @param {string} version - Installed version
+   * @returns {Array<{id: string, aliases: string[], summary: string, severity: string, fixedVersion: string|null, url: string|null}>} Matches
+   */
+  match(name, version) {
+    const matches = [];
+    for (const { advisory, entry } of this.byPackage.get(name) || []) {
+      let result = { affected: (entry.versions || []).includes(version), fixed: null };
+      for (const range of entry.ranges || []) {
+        if (result.affected && result.fixed) {break;}
+        // GIT ranges use commit hashes and cannot be matched against npm versions
+        if (range.type === 'GIT' || !parseVersion(version)) {continue;}
+        const rangeResult = matchRange(version, range.events || []);
+        if (rangeResult.affected) {
+          result = { affected: true, fixed: rangeResult.fixed || result.fixed };
+        }
+      }
+
+      if (result.affected) {
+        matches.push({
+          id: advisory.id,
+          aliases: advisory.aliases || [],
+          summary: advisory.summary || advisory.details?.split('\n')[0] || advisory.id,
+          severity: OsvDatabase.severityOf(advisory, entry),
+          fixedVersion: result.fixed,
+          url: advisory.references?.find(reference => reference.type === 'ADVISORY')?.url || advisory.references?.[0]?.url || null
+        });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Severity from the GitHub/npm `database_specific.severity` label, defaulting to medium
+   * when an advisory only carries a CVSS vector
+   */
+  static severityOf(advisory, entry) {
+    const label = advisory.database_specific?.severity || entry.ecosystem_specific?.severity || entry.database_specific?.severity;
+    return SEVERITY_LEVELS[String(label || '').toUpperCase()] || 'medium';
+  }
+}
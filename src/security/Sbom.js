@@ -0,0 +1,210 @@
+/**
+ * Software Bill of Materials
+ *
+ * Builds CycloneDX 1.5 and SPDX 2.3 JSON documents from a dependency graph. Every installed
+ * package becomes a component identified by its package URL (pkg:npm/...), with its declared
+ * license, the integrity hash and tarball URL recorded in the lockfile, and the dependency
+ * edges of the lockfile. The same name@version installed at several locations is listed once.
+ */
+
+import { randomUUID } from 'crypto';
+import { ROOT } from './DependencyGraph.js';
+
+const HASH_ALGORITHMS = { sha1: ['SHA-1', 'SHA1'], sha256: ['SHA-256', 'SHA256'], sha384: ['SHA-384', 'SHA384'], sha512: ['SHA-512', 'SHA512'] };
+
+const LICENSE_ID = /^[A-Za-z0-9.+-]+$/;
+
+/**
+ * Package URL of an npm package: "@scope/a" 1.0.0 -> "pkg:npm/%40scope/a@1.0.0"
+ */
+export function purlOf(name, version) {
+  const encoded = name.split('/').map(encodeURIComponent).join('/');
+  return version ? `pkg:npm/${encoded}@${encodeURIComponent(version)}` : `pkg:npm/${encoded}`;
+}
+
+/**
+ * Hashes of a Subresource Integrity string ("sha512-<base64> sha1-<base64>") as hex
+ */
+function hashesOf(integrity) {
+  return String(integrity || '').split(/\s+/).map(entry => {
+    const [algorithm, digest] = entry.split(/-(.*)/s);
+    if (!HASH_ALGORITHMS[algorithm] || !digest) {return null;}
+    return { algorithm, content: Buffer.from(digest, 'base64').toString('hex') };
+  }).filter(Boolean);
+}
+
+/**
+ * Whether a license string is an SPDX expression: identifiers joined by AND, OR and WITH
+ */
+function isExpression(license) {
+  return (license.match(/\(|\)|[^\s()]+/g) || []).every(token => LICENSE_ID.test(token) || '()'.includes(token));
+}
+
+/**
+ * The components of a graph, one per name@version, and the edges between them
+ * @param {DependencyGraph} graph - Dependency graph
+ * @param {Object} options - Build options
+ * @returns {{project: Object, components: Array<Object>, dependencies: Map<string, Set<string>>}} Components keyed by purl
+ */
+function collect(graph, { includeDev, project }) {
+  const root = graph.nodes.get(ROOT);
+  const projectInfo = {
+    name: project?.name || graph.rootName,
+    version: project?.version || root?.version || null,
+    license: project?.license || root?.license || null
+  };
+  projectInfo.ref = purlOf(projectInfo.name, projectInfo.version);
+
+  const refs = new Map([[ROOT, projectInfo.ref]]);
+  const components = new Map();
+  for (const node of graph.packages()) {
+    if (node.dev && !includeDev) {continue;}
+    const ref = purlOf(node.name, node.version);
+    refs.set(node.location, ref);
+
+    const existing = components.get(ref);
+    if (existing) {
+      // A copy that is production or required elsewhere wins
+      existing.dev = existing.dev && node.dev;
+      existing.optional = existing.optional && node.optional;
+      continue;
+    }
+    components.set(ref, {
+      ref,
+      name: node.name,
+      version: node.version,
+      license: node.license,
+      dev: node.dev,
+      optional: node.optional,
+      resolved: node.resolved && /^https?:/.test(node.resolved) ? node.resolved : null,
+      hashes: hashesOf(node.integrity)
+    });
+  }
+
+  const dependencies = new Map([...refs.values()].map(ref => [ref, new Set()]));
+  for (const [location, ref] of refs) {
+    for (const name of Object.keys(graph.nodes.get(location).dependencies)) {
+      const target = refs.get(graph.resolve(location, name));
+      if (target && target !== ref) {
+        dependencies.get(ref).add(target);
+      }
+    }
+  }
+
+  return { project: projectInfo, components: [...components.values()], dependencies };
+}
+
+/**
+ * Build a CycloneDX 1.5 JSON document
+ * @param {DependencyGraph} graph - Dependency graph, ideally completed with readInstalledManifests()
+ * @param {Object} [options={}] - Build options
+ * @param {boolean} [options.includeDev=true] - List dev-only packages (with scope "excluded")
+ * @param {{name: string, version: string, license: string}} [options.project] - Project name, version and license
+ * @param {{name: string, version: string}} [options.tool] - Tool recorded as the author of the document
+ * @param {string} [options.timestamp] - ISO timestamp (default: now)
+ * @returns {Object} CycloneDX BOM
+ */
+export function buildCycloneDx(graph, options = {}) {
+  const { project, components, dependencies } = collect(graph, { includeDev: options.includeDev !== false, project: options.project });
+
+  const licensesOf = license => {
+    if (!license) {return undefined;}
+    if (LICENSE_ID.test(license)) {return [{ license: { id: license } }];}
+    return isExpression(license) ? [{ expression: license }] : [{ license: { name: license } }];
+  };
+  const splitName = name => (name.startsWith('@') ? { group: name.slice(0, name.indexOf('/')), name: name.slice(name.indexOf('/') + 1) } : { name });
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: options.timestamp || new Date().toISOString(),
+      tools: options.tool ? { components: [{ type: 'application', name: options.tool.name, version: options.tool.version }] } : undefined,
+      component: {
+        type: 'application',
+        'bom-ref': project.ref,
+        ...splitName(project.name),
+        version: project.version || undefined,
+        licenses: licensesOf(project.license),
+        purl: project.ref
+      }
+    },
+    components: components.map(component => ({
+      type: 'library',
+      'bom-ref': component.ref,
+      ...splitName(component.name),
+      version: component.version,
+      scope: component.dev ? 'excluded' : component.optional ? 'optional' : 'required',
+      licenses: licensesOf(component.license),
+      hashes: component.hashes.length > 0
+        ? component.hashes.map(hash => ({ alg: HASH_ALGORITHMS[hash.algorithm][0], content: hash.content }))
+        : undefined,
+      purl: component.ref,
+      externalReferences: component.resolved ? [{ type: 'distribution', url: component.resolved }] : undefined
+    })),
+    dependencies: [...dependencies.entries()].map(([ref, dependsOn]) => ({ ref, dependsOn: [...dependsOn].sort() }))
+  };
+}
+
+/**
+ * Build an SPDX 2.3 JSON document
+ * @param {DependencyGraph} graph - Dependency graph, ideally completed with readInstalledManifests()
+ * @param {Object} [options={}] - Build options, as for buildCycloneDx()
+ * @returns {Object} SPDX document
+ */
+export function buildSpdx(graph, options = {}) {
+  const { project, components, dependencies } = collect(graph, { includeDev: options.includeDev !== false, project: options.project });
+
+  const ids = new Map();
+  const spdxId = ref => {
+    if (!ids.has(ref)) {
+      const base = `SPDXRef-Package-${ref.replace(/^pkg:npm\//, '').replace(/%40/g, '').replace(/[^A-Za-z0-9.-]+/g, '-')}`;
+      // Sanitizing can make two refs collide ("a/b" and "a-b")
+      ids.set(ref, [...ids.values()].includes(base) ? `${base}-${ids.size}` : base);
+    }
+    return ids.get(ref);
+  };
+  const packageOf = ({ ref, name, version, license, resolved, hashes }) => ({
+    name,
+    SPDXID: spdxId(ref),
+    versionInfo: version || undefined,
+    downloadLocation: resolved || 'NOASSERTION',
+    filesAnalyzed: false,
+    licenseConcluded: 'NOASSERTION',
+    licenseDeclared: license && isExpression(license) ? license : 'NOASSERTION',
+    copyrightText: 'NOASSERTION',
+    checksums: hashes.length > 0
+      ? hashes.map(hash => ({ algorithm: HASH_ALGORITHMS[hash.algorithm][1], checksumValue: hash.content }))
+      : undefined,
+    externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: ref }]
+  });
+
+  const devRefs = new Set(components.filter(component => component.dev).map(component => component.ref));
+  const relationships = [{ spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: spdxId(project.ref) }];
+  for (const [ref, dependsOn] of dependencies) {
+    for (const target of [...dependsOn].sort()) {
+      relationships.push(ref === project.ref && devRefs.has(target)
+        ? { spdxElementId: spdxId(target), relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: spdxId(ref) }
+        : { spdxElementId: spdxId(ref), relationshipType: 'DEPENDS_ON', relatedSpdxElement: spdxId(target) });
+    }
+  }
+
+  return {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: project.version ? `${project.name}@${project.version}` : project.name,
+    documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(project.name)}-${randomUUID()}`,
+    creationInfo: {
+      created: (options.timestamp || new Date().toISOString()).replace(/\.\d+Z$/, 'Z'),
+      creators: [options.tool ? `Tool: ${options.tool.name}-${options.tool.version}` : 'Tool: codefortify']
+    },
+    packages: [
+      packageOf({ ...project, resolved: null, hashes: [] }),
+      ...components.map(packageOf)
+    ],
+    relationships
+  };
+}
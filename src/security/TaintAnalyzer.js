@@ -0,0 +1,517 @@
+/**
+ * Taint Analyzer
+ *
+ * Follows request data through Express-style handlers to dangerous sinks. Sources are
+ * `req.query`, `req.body`, `req.params`, `req.headers` and `req.cookies` of route handlers:
+ * functions passed to `app.get()`, `router.post()`, `app.use()`, ... and functions whose first
+ * parameter is named `req` or `request`. Handlers that destructure these fields from their first
+ * parameter are traced too. Taint propagates through variables, destructuring, property access,
+ * string building and calls, and stops at sanitizers such as `escape*()`, `sanitize*()`,
+ * `parseInt()` or `path.basename()`.
+ *
+ * Sinks:
+ * - command-injection: child_process exec/execSync/spawn/execFile/fork
+ * - code-injection: eval() and the Function constructor
+ * - sql-injection: query()/execute()/raw() of a database client, or a SQL string built from request data
+ * - path-traversal: fs file access, res.sendFile() and res.download()
+ * - xss: res.send()/res.write()/res.end() of request data
+ *
+ * The analysis is intra-procedural and per file: taint does not follow values into other
+ * functions or modules.
+ */
+
+import { parseSource, isFunctionNode, getChildNodes, walkAST } from '../utils/astUtils.js';
+
+export const TAINT_SINKS = {
+  'command-injection': {
+    severity: 'critical',
+    fix: 'Run programs with execFile/spawn and an argument array (no shell), and allow-list accepted values'
+  },
+  'code-injection': {
+    severity: 'critical',
+    fix: 'Never evaluate request data - parse it with JSON.parse or map it to known operations'
+  },
+  'sql-injection': {
+    severity: 'high',
+    fix: 'Use parameterized queries (placeholders or tagged sql templates) instead of building SQL strings'
+  },
+  'path-traversal': {
+    severity: 'high',
+    fix: 'Resolve the path against a base directory and reject paths outside it, or use path.basename()'
+  },
+  'xss': {
+    severity: 'high',
+    fix: 'Escape the value before writing HTML, render it with an auto-escaping template engine, or send JSON'
+  }
+};
+
+const REQUEST_FIELDS = new Set(['query', 'body', 'params', 'headers', 'cookies']);
+const ROUTE_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'del', 'all', 'use', 'options', 'head']);
+const REQUEST_NAME = /^req(uest)?$/;
+
+const MODULES = { child_process: 'child_process', fs: 'fs', 'fs/promises': 'fs', 'fs-extra': 'fs' };
+const COMMAND_FUNCTIONS = new Set(['exec', 'execSync', 'spawn', 'spawnSync', 'execFile', 'execFileSync', 'fork']);
+const FS_FUNCTIONS = new Set([
+  'readFile', 'readFileSync', 'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync',
+  'createReadStream', 'createWriteStream', 'open', 'openSync', 'unlink', 'unlinkSync', 'rm', 'rmSync',
+  'readdir', 'readdirSync', 'mkdir', 'mkdirSync', 'copyFile', 'copyFileSync', 'rename', 'renameSync',
+  'readJson', 'readJSON', 'writeJson', 'outputFile', 'remove', 'copy', 'move'
+]);
+
+const SQL_METHODS = new Set(['query', 'execute', 'exec', 'raw', 'unsafe', '$queryRawUnsafe', '$executeRawUnsafe']);
+const UNSAFE_SQL_METHODS = new Set(['$queryRawUnsafe', '$executeRawUnsafe']);
+const DATABASE_OBJECT = /(?:db|database|sql|pool|conn|connection|knex|sequelize|prisma|trx|^pg|^client)$/i;
+const RESPONSE_METHODS = new Set(['send', 'write', 'end']);
+const FILE_RESPONSE_METHODS = new Set(['sendFile', 'download']);
+
+const SANITIZER = /^(escape|sanitize|encode|purify|xss|parseInt|parseFloat|Number|Boolean|basename)/i;
+const SQL_TEXT = /\b(select\s[\s\S]*\sfrom|insert\s+into|update\s+\S+\s+set|delete\s+from|where\s)/i;
+const HTML_TEXT = /<[a-z!/]/i;
+
+/**
+ * Text of the string parts of an expression: literals, template quasis and `+` operands
+ */
+function literalText(node) {
+  switch (node?.type) {
+  case 'StringLiteral':
+    return node.value;
+  case 'TemplateLiteral':
+    return node.quasis.map(quasi => quasi.value.cooked || '').join(' ');
+  case 'BinaryExpression':
+    return node.operator === '+' ? `${literalText(node.left)} ${literalText(node.right)}` : '';
+  default:
+    return '';
+  }
+}
+
+function propertyName(node) {
+  if (!node.computed && node.property.type === 'Identifier') {return node.property.name;}
+  return node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+/**
+ * Identifier an expression chain starts from: `res.status(404).send` -> res
+ */
+function baseIdentifier(node) {
+  let current = node;
+  while (current) {
+    if (current.type === 'Identifier') {return current.name;}
+    if (current.type === 'MemberExpression') {
+      current = current.object;
+    } else if (current.type === 'CallExpression') {
+      current = current.callee;
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+function merge(...taints) {
+  const found = taints.filter(Boolean);
+  if (found.length === 0) {return null;}
+  return { ...found[0], fresh: false, sql: found.some(taint => taint.sql), html: found.some(taint => taint.html) };
+}
+
+class TaintTracker {
+  constructor(content) {
+    this.content = content;
+    this.scopes = [{ vars: new Map(), requests: new Set(), responses: new Set() }];
+    this.moduleAliases = new Map();
+    this.functionAliases = new Map();
+    this.handlerNodes = new Set();
+    // Position-free names of functions: declarations, `const name = ...` and route handlers ("GET /users")
+    this.functionNames = new Map();
+    this.handlerStack = [];
+    this.handlers = 0;
+    this.flows = new Map();
+  }
+
+  location(node) {
+    return { line: node.loc.start.line, column: node.loc.start.column + 1 };
+  }
+
+  text(node) {
+    const text = this.content.slice(node.start, node.end).replace(/\s+/g, ' ');
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+  }
+
+  /**
+   * Record child_process and fs bindings from imports and require() calls
+   */
+  collectModules(ast) {
+    const moduleOf = source => MODULES[String(source).replace(/^node:/, '')];
+    const bindModule = (pattern, module) => {
+      if (pattern.type === 'Identifier') {
+        this.moduleAliases.set(pattern.name, module);
+      } else if (pattern.type === 'ObjectPattern') {
+        pattern.properties.forEach(property => {
+          const local = property.value?.type === 'AssignmentPattern' ? property.value.left : property.value;
+          const name = property.key?.name || property.key?.value;
+          if (local?.type !== 'Identifier') {return;}
+          if (name === 'promises') {
+            this.moduleAliases.set(local.name, module);
+          } else {
+            this.functionAliases.set(local.name, { module, name });
+          }
+        });
+      }
+    };
+    const requiredModule = node => {
+      if (node?.type === 'AwaitExpression') {return requiredModule(node.argument);}
+      if (node?.type === 'MemberExpression' && propertyName(node) === 'promises') {return requiredModule(node.object);}
+      const isRequire = node?.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+      const isImport = node?.type === 'CallExpression' && node.callee.type === 'Import';
+      return (isRequire || isImport) && node.arguments[0]?.type === 'StringLiteral' ? moduleOf(node.arguments[0].value) : undefined;
+    };
+
+    walkAST(ast, node => {
+      if (node.type === 'ImportDeclaration' && moduleOf(node.source.value)) {
+        const module = moduleOf(node.source.value);
+        node.specifiers.forEach(specifier => {
+          const imported = specifier.imported?.name || specifier.imported?.value;
+          if (specifier.type !== 'ImportSpecifier' || imported === 'promises') {
+            this.moduleAliases.set(specifier.local.name, module);
+          } else {
+            this.functionAliases.set(specifier.local.name, { module, name: imported });
+          }
+        });
+      } else if (node.type === 'VariableDeclarator' && node.init) {
+        const module = requiredModule(node.init);
+        if (module) {
+          bindModule(node.id, module);
+        } else if (node.id.type === 'Identifier' && node.init.type === 'CallExpression' &&
+          [node.init.callee.name, node.init.callee.property?.name].includes('promisify') &&
+          this.functionAliases.has(node.init.arguments[0]?.name)) {
+          // const run = promisify(exec)
+          this.functionAliases.set(node.id.name, this.functionAliases.get(node.init.arguments[0].name));
+        }
+      }
+    });
+  }
+
+  get scope() {
+    return this.scopes[this.scopes.length - 1];
+  }
+
+  lookup(name) {
+    for (let index = this.scopes.length - 1; index >= 0; index--) {
+      if (this.scopes[index].vars.has(name)) {return this.scopes[index].vars.get(name);}
+    }
+    return null;
+  }
+
+  isRequest(name) {
+    return this.scopes.some(scope => scope.requests.has(name)) && !this.scope.vars.has(name);
+  }
+
+  isResponse(name) {
+    return this.scopes.some(scope => scope.responses.has(name));
+  }
+
+  extend(taint, label, node) {
+    const last = taint.steps[taint.steps.length - 1];
+    if (last?.label === label) {return { ...taint, fresh: false };}
+    return { ...taint, fresh: false, steps: [...taint.steps, { label, ...this.location(node) }] };
+  }
+
+  /**
+   * Taint carried by an expression, or null when it holds no request data
+   */
+  taintOf(node) {
+    if (!node) {return null;}
+
+    switch (node.type) {
+    case 'Identifier':
+      return this.lookup(node.name);
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      if (node.object.type === 'Identifier' && this.isRequest(node.object.name) && REQUEST_FIELDS.has(propertyName(node))) {
+        return { source: `${node.object.name}.${propertyName(node)}`, fresh: true, sql: false, html: false, steps: [{ label: this.text(node), ...this.location(node) }] };
+      }
+      const taint = this.taintOf(node.object);
+      // Keep the full access path in the label of a source: req.query.host
+      return taint?.fresh ? { ...taint, steps: [{ label: this.text(node), ...this.location(node) }] } : taint;
+    }
+    case 'TemplateLiteral':
+    case 'BinaryExpression': {
+      if (node.type === 'BinaryExpression' && node.operator !== '+') {return null;}
+      const taint = node.type === 'TemplateLiteral'
+        ? merge(...node.expressions.map(expression => this.taintOf(expression)))
+        : merge(this.taintOf(node.left), this.taintOf(node.right));
+      if (!taint) {return null;}
+      const text = literalText(node);
+      return { ...taint, sql: taint.sql || SQL_TEXT.test(text), html: taint.html || HTML_TEXT.test(text) };
+    }
+    case 'LogicalExpression':
+      return merge(this.taintOf(node.left), this.taintOf(node.right));
+    case 'ConditionalExpression':
+      return merge(this.taintOf(node.consequent), this.taintOf(node.alternate));
+    case 'CallExpression':
+    case 'OptionalCallExpression':
+    case 'NewExpression': {
+      const callee = node.callee;
+      const name = callee.type === 'Identifier' ? callee.name : callee.type.endsWith('MemberExpression') ? propertyName(callee) : null;
+      if (name && SANITIZER.test(name)) {return null;}
+      // Methods of tainted values (trim, split, toString, ...) and functions of tainted arguments
+      const receiver = callee.type.endsWith('MemberExpression') ? this.taintOf(callee.object) : null;
+      return merge(receiver, ...node.arguments.map(argument => this.taintOf(argument)));
+    }
+    case 'ArrayExpression':
+      return merge(...node.elements.map(element => this.taintOf(element)));
+    case 'ObjectExpression':
+      return merge(...node.properties.map(property => this.taintOf(property.type === 'SpreadElement' ? property.argument : property.value)));
+    case 'SpreadElement':
+    case 'AwaitExpression':
+    case 'TSAsExpression':
+    case 'TSNonNullExpression':
+    case 'TypeCastExpression':
+    case 'ParenthesizedExpression':
+      return this.taintOf(node.argument || node.expression);
+    case 'AssignmentExpression':
+      return this.taintOf(node.right);
+    case 'SequenceExpression':
+      return this.taintOf(node.expressions[node.expressions.length - 1]);
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Set a variable in the current scope, or for assignments in the scope that declares it
+   */
+  assign(name, taint, declare) {
+    const owner = declare ? this.scope : [...this.scopes].reverse().find(scope => scope.vars.has(name)) || this.scope;
+    owner.vars.set(name, taint);
+  }
+
+  /**
+   * Bind the names of a declaration or assignment pattern
+   */
+  bind(pattern, taint, init = null, declare = true) {
+    switch (pattern?.type) {
+    case 'Identifier':
+      this.assign(pattern.name, taint ? this.extend(taint, pattern.name, pattern) : null, declare);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => {
+        if (property.type === 'RestElement') {
+          this.bind(property.argument, taint, null, declare);
+          return;
+        }
+        const key = property.key?.name || property.key?.value;
+        // const { query, body } = req
+        const fromRequest = init?.type === 'Identifier' && this.isRequest(init.name) && REQUEST_FIELDS.has(key)
+          ? { source: `${init.name}.${key}`, sql: false, html: false, steps: [{ label: `${init.name}.${key}`, ...this.location(property) }] }
+          : null;
+        this.bind(property.value, taint || fromRequest, null, declare);
+      });
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => this.bind(element, taint, null, declare));
+      break;
+    case 'AssignmentPattern':
+      this.bind(pattern.left, taint, init, declare);
+      break;
+    case 'RestElement':
+      this.bind(pattern.argument, taint, null, declare);
+      break;
+    case 'MemberExpression': {
+      // options.path = req.query.file taints options
+      const base = baseIdentifier(pattern);
+      if (taint && base) {
+        this.assign(base, this.extend(taint, this.text(pattern), pattern), false);
+      }
+      break;
+    }
+    default:
+      break;
+    }
+  }
+
+  /**
+   * Taint the request fields a handler destructures from its first parameter:
+   * ({ query, body: { dir }, params: p }, res) => ...
+   */
+  bindRequestPattern(pattern) {
+    pattern.properties.forEach(property => {
+      const key = property.key?.name || property.key?.value;
+      if (property.type === 'RestElement' || !REQUEST_FIELDS.has(key)) {return;}
+      const source = `req.${key}`;
+      this.bind(property.value, { source, sql: false, html: false, steps: [{ label: source, ...this.location(property) }] });
+    });
+  }
+
+  visitFunction(node) {
+    const scope = { vars: new Map(), requests: new Set(), responses: new Set() };
+    // Error middleware takes (err, req, res, next)
+    const [request, response] = node.params.length === 4 ? node.params.slice(1) : node.params;
+    const isHandler = this.handlerNodes.has(node) || (request?.type === 'Identifier' && REQUEST_NAME.test(request.name));
+
+    this.scopes.push(scope);
+    node.params.forEach(param => this.bind(param, null));
+    if (isHandler) {
+      this.handlers++;
+      this.handlerStack.push(node.id?.name || node.key?.name || this.functionNames.get(node) || null);
+      if (request?.type === 'Identifier') {
+        scope.requests.add(request.name);
+        scope.vars.delete(request.name);
+      } else if (request?.type === 'ObjectPattern') {
+        this.bindRequestPattern(request);
+      }
+      if (response?.type === 'Identifier') {
+        scope.responses.add(response.name);
+      }
+    }
+    this.visit(node.body);
+    this.scopes.pop();
+    if (isHandler) {
+      this.handlerStack.pop();
+    }
+  }
+
+  visit(node) {
+    if (!node || typeof node.type !== 'string') {return;}
+
+    if (isFunctionNode(node)) {
+      this.visitFunction(node);
+      return;
+    }
+
+    switch (node.type) {
+    case 'VariableDeclarator':
+      if (node.id.type === 'Identifier' && isFunctionNode(node.init)) {
+        this.functionNames.set(node.init, node.id.name);
+      }
+      this.visit(node.init);
+      if (node.init) {
+        this.bind(node.id, this.taintOf(node.init), node.init);
+      }
+      return;
+    case 'AssignmentExpression': {
+      this.visit(node.right);
+      const taint = node.operator === '=' ? this.taintOf(node.right) : merge(this.taintOf(node.left), this.taintOf(node.right));
+      this.bind(node.left, taint, node.right, false);
+      return;
+    }
+    case 'CallExpression':
+    case 'OptionalCallExpression':
+    case 'NewExpression':
+      if (node.callee.type.endsWith('MemberExpression') && ROUTE_METHODS.has(propertyName(node.callee))) {
+        const route = node.arguments[0]?.type === 'StringLiteral' ? ` ${node.arguments[0].value}` : '';
+        node.arguments.filter(isFunctionNode).forEach(handler => {
+          this.handlerNodes.add(handler);
+          this.functionNames.set(handler, `${propertyName(node.callee).toUpperCase()}${route}`);
+        });
+      }
+      this.checkSink(node);
+      break;
+    default:
+      break;
+    }
+
+    getChildNodes(node).forEach(child => this.visit(child));
+  }
+
+  /**
+   * Sink kind, label and checked arguments of a call
+   */
+  sinkOf(node) {
+    const callee = node.callee;
+    const all = node.arguments.map((argument, index) => index);
+
+    if (callee.type === 'Identifier') {
+      if (callee.name === 'eval') {return { kind: 'code-injection', label: 'eval()', args: [0] };}
+      if (callee.name === 'Function') {return { kind: 'code-injection', label: 'Function()', args: all };}
+
+      const alias = this.functionAliases.get(callee.name);
+      if (alias?.module === 'child_process' && COMMAND_FUNCTIONS.has(alias.name)) {
+        return { kind: 'command-injection', label: `child_process.${alias.name}()`, args: [0] };
+      }
+      if (alias?.module === 'fs' && FS_FUNCTIONS.has(alias.name)) {
+        return { kind: 'path-traversal', label: `fs.${alias.name}()`, args: [0, 1] };
+      }
+      return null;
+    }
+    if (!callee.type.endsWith('MemberExpression')) {return null;}
+
+    const method = propertyName(callee);
+    const base = baseIdentifier(callee.object);
+    const module = this.moduleAliases.get(base);
+    if (module === 'child_process') {
+      return COMMAND_FUNCTIONS.has(method) ? { kind: 'command-injection', label: `child_process.${method}()`, args: [0] } : null;
+    }
+    if (module === 'fs') {
+      return FS_FUNCTIONS.has(method) ? { kind: 'path-traversal', label: `fs.${method}()`, args: [0, 1] } : null;
+    }
+    if (this.isResponse(base) && FILE_RESPONSE_METHODS.has(method)) {
+      return { kind: 'path-traversal', label: `${base}.${method}()`, args: [0] };
+    }
+    if (this.isResponse(base) && RESPONSE_METHODS.has(method)) {
+      return { kind: 'xss', label: `${base}.${method}()`, args: [0] };
+    }
+    if (SQL_METHODS.has(method)) {
+      const object = callee.object.type === 'Identifier' ? callee.object.name : callee.object.type === 'MemberExpression' ? propertyName(callee.object) : '';
+      return { kind: 'sql-injection', label: `${object ? `${object}.` : ''}${method}()`, args: [0], database: UNSAFE_SQL_METHODS.has(method) || DATABASE_OBJECT.test(object || '') };
+    }
+    return null;
+  }
+
+  checkSink(node) {
+    const sink = this.sinkOf(node);
+    if (!sink) {return;}
+
+    for (const index of sink.args) {
+      const argument = node.arguments[index];
+      if (!argument) {continue;}
+      // Objects and arrays are sent as JSON
+      if (sink.kind === 'xss' && ['ObjectExpression', 'ArrayExpression'].includes(argument.type)) {continue;}
+
+      const taint = this.taintOf(argument);
+      if (!taint || (sink.kind === 'sql-injection' && !sink.database && !taint.sql)) {continue;}
+
+      const location = this.location(node);
+      const key = `${sink.kind}:${location.line}:${location.column}`;
+      if (!this.flows.has(key)) {
+        this.flows.set(key, {
+          kind: sink.kind,
+          source: taint.source,
+          sink: sink.label,
+          handler: this.handlerStack[this.handlerStack.length - 1] ?? null,
+          ...location,
+          endColumn: node.loc.start.line === node.loc.end.line ? node.loc.end.column + 1 : null,
+          html: taint.html,
+          trace: [...taint.steps, { label: sink.label, ...location }]
+        });
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Find flows of request data into dangerous sinks
+ * @param {string} content - Source code
+ * @param {string} [filePath] - File path used to pick the syntax
+ * @returns {{handlers: number, flows: Array<{kind: string, source: string, sink: string, handler: string|null, line: number, column: number, endColumn: number|null, html: boolean, trace: Array<{label: string, line: number, column: number}>}>}}
+ *   Number of request handlers and the flows found, in source order; `handler` names the enclosing
+ *   handler ("GET /users", a function or variable name) when it has one
+ */
+export function findTaintFlows(content, filePath = '') {
+  // Every source reads req.query, req.body, req.params, req.headers or req.cookies
+  if (!/\b(query|body|params|headers|cookies)\b/.test(content)) {
+    return { handlers: 0, flows: [] };
+  }
+
+  let ast;
+  try {
+    ast = parseSource(content, filePath);
+  } catch (error) {
+    return { handlers: 0, flows: [] };
+  }
+
+  const tracker = new TaintTracker(content);
+  tracker.collectModules(ast);
+  tracker.visit(ast.program);
+  return { handlers: tracker.handlers, flows: [...tracker.flows.values()] };
+}
@@ -0,0 +1,170 @@
+/**
+ * Lockfile parsers for yarn.lock (v1 and Berry) and pnpm-lock.yaml
+ *
+ * Both formats are parsed with a small reader for the YAML subset lockfiles use (block
+ * mappings, scalar lists, quoted keys) so no YAML dependency is needed. Flow collections such
+ * as `resolution: {integrity: ...}` are kept as strings.
+ */
+
+const unquote = value => value.replace(/^(["'])(.*)\1$/, '$2');
+
+function parseScalar(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return unquote(value);
+}
+
+/**
+ * Split a mapping line into key and value
+ */
+function splitEntry(line) {
+  // Keys that hold several descriptors or colons are written as "key": or key:
+  if (line.endsWith(':') && !line.includes(': ')) {
+    return [unquote(line.slice(0, -1)), null];
+  }
+
+  const quoted = /^(["'])(.*?)\1:\s*(.*)$/.exec(line);
+  if (quoted) {
+    return [quoted[2], quoted[3] || null];
+  }
+  const index = line.indexOf(': ');
+  return [line.slice(0, index), line.slice(index + 2).trim() || null];
+}
+
+/**
+ * Parse the YAML subset written by lockfile tools
+ * @param {string} content - YAML text
+ * @returns {Object} Nested objects; list values become arrays of strings
+ */
+export function parseYamlSubset(content) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+
+  for (const raw of content.split('\n')) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) {continue;}
+
+    const indent = raw.length - raw.trimStart().length;
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+
+    if (line.startsWith('- ')) {
+      // The first item turns the empty mapping opened by `key:` into a list
+      if (!Array.isArray(parent.value)) {
+        parent.value = [];
+        parent.owner[parent.key] = parent.value;
+      }
+      parent.value.push(parseScalar(line.slice(2).trim()));
+      continue;
+    }
+    if (Array.isArray(parent.value)) {continue;}
+
+    const [key, value] = splitEntry(line);
+    if (value === null) {
+      parent.value[key] = {};
+      stack.push({ indent, value: parent.value[key], owner: parent.value, key });
+    } else {
+      parent.value[key] = parseScalar(value);
+    }
+  }
+  return root;
+}
+
+/**
+ * Name and range of a yarn descriptor: "@scope/a@^1.0.0" or "a@npm:^1.0.0"
+ */
+export function splitDescriptor(descriptor) {
+  const index = descriptor.indexOf('@', descriptor.startsWith('@') ? 1 : 0);
+  return index <= 0 ? [descriptor, ''] : [descriptor.slice(0, index), descriptor.slice(index + 1)];
+}
+
+/**
+ * Parse yarn.lock, classic (v1) or Berry (v2+)
+ * @param {string} content - yarn.lock content
+ * @returns {{berry: boolean, entries: Array<{descriptors: string[], name: string, version: string, dependencies: Object, linkType: string|null, resolved: string|null, integrity: string|null}>}} Lock entries
+ */
+export function parseYarnLock(content) {
+  const berry = !/^# yarn lockfile v1/m.test(content);
+
+  // Classic entries use `key value` lines; turn them into `key: value` for the YAML reader
+  const text = berry ? content : content.split('\n').map(line => {
+    if (!/^\s/.test(line) || line.trim().endsWith(':') || line.trim().startsWith('#')) {
+      return line;
+    }
+    return line.replace(/^(\s+)("[^"]+"|\S+)\s+/, '$1$2: ');
+  }).join('\n');
+
+  const entries = [];
+  for (const [key, entry] of Object.entries(parseYamlSubset(text))) {
+    if (key === '__metadata' || typeof entry !== 'object') {continue;}
+
+    const descriptors = key.split(/,\s*/).map(descriptor => descriptor.replace(/^["']|["']$/g, ''));
+    entries.push({
+      descriptors,
+      name: splitDescriptor(descriptors[0])[0],
+      version: String(entry.version || ''),
+      dependencies: { ...entry.dependencies, ...entry.optionalDependencies },
+      linkType: entry.linkType || null,
+      // Berry records a cache checksum and a locator instead of the registry tarball and integrity
+      resolved: berry ? null : entry.resolved || null,
+      integrity: berry ? null : entry.integrity || null
+    });
+  }
+  return { berry, entries };
+}
+
+/**
+ * Name and version of a pnpm package key, without the peer dependency suffix
+ *
+ * v5: "/@scope/a/1.0.0_react@18.0.0", v6: "/@scope/a@1.0.0(react@18.0.0)", v9: "@scope/a@1.0.0"
+ */
+export function splitPnpmKey(key, lockfileVersion) {
+  const bare = key.replace(/^\//, '').replace(/\(.*$/, '');
+  if (lockfileVersion < 6) {
+    const index = bare.lastIndexOf('/');
+    return [bare.slice(0, index), bare.slice(index + 1).replace(/_.*$/, '')];
+  }
+  const index = bare.indexOf('@', bare.startsWith('@') ? 1 : 0);
+  return [bare.slice(0, index), bare.slice(index + 1)];
+}
+
+/**
+ * Parse pnpm-lock.yaml (lockfile versions 5, 6 and 9)
+ * @param {string} content - pnpm-lock.yaml content
+ * @returns {{lockfileVersion: number, importer: Object, packages: Array<Object>}} Root dependencies and packages
+ */
+export function parsePnpmLock(content) {
+  const lock = parseYamlSubset(content);
+  const lockfileVersion = parseFloat(lock.lockfileVersion) || 5;
+
+  // Root dependencies: `importers['.']` in workspaces and v9, top-level maps otherwise
+  const source = lock.importers?.['.'] || lock;
+  const version = value => String(typeof value === 'object' ? value.version : value);
+  const importer = {};
+  for (const field of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+    importer[field] = Object.fromEntries(Object.entries(source[field] || {}).map(([name, value]) => [name, version(value)]));
+  }
+
+  // v9 moved the dependencies of each package to `snapshots`
+  const packages = new Map();
+  for (const section of ['packages', 'snapshots']) {
+    for (const [key, entry] of Object.entries(lock[section] || {})) {
+      const [name, packageVersion] = splitPnpmKey(key, lockfileVersion);
+      const id = `${name}@${packageVersion}`;
+      const existing = packages.get(id) || { name, version: packageVersion, dependencies: {} };
+      Object.assign(existing.dependencies, entry.dependencies, entry.optionalDependencies);
+      // `resolution: {integrity: sha512-...}` is kept as a flow mapping string
+      const integrity = /integrity:\s*([^,}\s]+)/.exec(entry.resolution || '');
+      if (integrity) {existing.integrity = integrity[1];}
+      for (const field of ['dev', 'deprecated', 'requiresBuild', 'hasBin']) {
+        if (entry[field] !== undefined) {existing[field] = entry[field];}
+      }
+      packages.set(id, existing);
+    }
+  }
+
+  return { lockfileVersion, importer, packages: [...packages.values()] };
+}
@@ -0,0 +1,157 @@
+/**
+ * Secret detection rules
+ *
+ * Provider rules match the documented token formats of each provider and are reported
+ * whatever their entropy. The generic rule only reports values assigned to secret-like
+ * names when they are random enough (Shannon entropy) and not placeholders.
+ *
+ * Each pattern must be global; `secretGroup` is the capture group holding the secret value.
+ */
+
+export const SECRET_RULES = [
+  {
+    id: 'aws-access-key-id',
+    name: 'AWS access key ID',
+    provider: 'aws',
+    severity: 'critical',
+    pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/g,
+    secretGroup: 1
+  },
+  {
+    id: 'aws-secret-access-key',
+    name: 'AWS secret access key',
+    provider: 'aws',
+    severity: 'critical',
+    pattern: /aws[_-]?secret[_-]?(?:access[_-]?)?key['"]?\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    secretGroup: 1
+  },
+  {
+    id: 'github-token',
+    name: 'GitHub token',
+    provider: 'github',
+    severity: 'critical',
+    pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g,
+    secretGroup: 1
+  },
+  {
+    id: 'stripe-live-key',
+    name: 'Stripe live secret key',
+    provider: 'stripe',
+    severity: 'critical',
+    pattern: /\b((?:sk|rk)_live_[0-9a-zA-Z]{24,99})\b/g,
+    secretGroup: 1
+  },
+  {
+    id: 'stripe-test-key',
+    name: 'Stripe test secret key',
+    provider: 'stripe',
+    severity: 'medium',
+    pattern: /\b((?:sk|rk)_test_[0-9a-zA-Z]{24,99})\b/g,
+    secretGroup: 1
+  },
+  {
+    id: 'slack-token',
+    name: 'Slack token',
+    provider: 'slack',
+    severity: 'high',
+    pattern: /\b(xox[baprs]-[0-9A-Za-z]{8,}-[0-9A-Za-z-]{8,})\b/g,
+    secretGroup: 1
+  },
+  {
+    id: 'slack-webhook',
+    name: 'Slack webhook URL',
+    provider: 'slack',
+    severity: 'high',
+    pattern: /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]{6,}\/B[A-Z0-9]{6,}\/[A-Za-z0-9]{20,})/g,
+    secretGroup: 1
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    provider: 'jwt',
+    severity: 'high',
+    pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g,
+    secretGroup: 1
+  },
+  {
+    id: 'private-key',
+    name: 'PEM private key',
+    provider: 'pem',
+    severity: 'critical',
+    pattern: /(-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----)/g,
+    secretGroup: 1,
+    // The header itself is not secret; the key material follows it
+    redact: false
+  },
+  {
+    id: 'hardcoded-secret',
+    name: 'Hardcoded secret',
+    provider: 'generic',
+    severity: 'high',
+    pattern: /\b[\w-]*(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|credentials?|auth[_-]?key|access[_-]?key|client[_-]?secret)[\w-]*['"]?\s*[:=]\s*(['"`])([^'"`\s]{8,})\1/gi,
+    secretGroup: 2,
+    entropy: true
+  }
+];
+
+/**
+ * Lines of `.env` files; any secret-like name with a real value counts
+ */
+export const ENV_SECRET_RULE = {
+  id: 'env-file-secret',
+  name: 'Secret in environment file',
+  provider: 'generic',
+  severity: 'high',
+  pattern: /^[ \t]*(?:export[ \t]+)?([A-Za-z_][\w.]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|PWD|CREDENTIALS?)[\w.]*)[ \t]*=[ \t]*['"]?([^'"\s#]{8,})/gim,
+  secretGroup: 2,
+  entropy: true
+};
+
+/**
+ * Values that are clearly not real secrets
+ */
+export const PLACEHOLDER_PATTERNS = [
+  /^(?:x+|\*+|\.+|-+|0+)$/i,
+  /^<[^>]*>$/,
+  /^\$\{[^}]*\}$/,
+  /^\{\{[^}]*\}\}$/,
+  /^%[^%]*%$/,
+  /^[A-Z][A-Z0-9_]*$/,
+  /process\.env|import\.meta\.env/,
+  /^(?:your|my|some|the|insert|enter|replace|fake|dummy|example|sample|test|placeholder|changeme|change-me|redacted)[\w-]*$/i,
+  /(?:example|placeholder|changeme|dummy|redacted)/i,
+  // Identifiers and words such as passwordInput or Bearer-token; generated secrets mix in digits
+  /^[A-Za-z]+(?:[-_.][A-Za-z]+)*$/
+];
+
+/**
+ * Files never scanned: lockfiles hold integrity hashes, minified bundles and maps hold noise
+ */
+export const DEFAULT_ALLOWLISTED_PATHS = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  '*.min.js',
+  '*.map',
+  '*.snap'
+];
+
+/**
+ * Source and config file extensions scanned in addition to `.env*` files
+ */
+export const SCANNED_EXTENSIONS = [
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx',
+  '.json', '.yml', '.yaml', '.toml', '.ini', '.properties', '.xml',
+  '.pem', '.key', '.sh'
+];
+
+/**
+ * Extension-less config files that commonly hold credentials
+ */
+export const SCANNED_FILE_NAMES = ['.npmrc', '.yarnrc', '.pypirc', '.netrc', 'Dockerfile', 'docker-compose.yml'];
+
+/**
+ * Inline marker that allowlists a finding on the same or the following line
+ */
+export const ALLOWLIST_MARKER = 'codefortify-ignore-secret';
@@ -14,7 +14,10 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
   ListPromptsRequestSchema,
   GetPromptRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
@@ -45,7 +48,7 @@ export class CodeFortifyMCPServer {
       },
       {
         capabilities: {
-          resources: {},
+          resources: { subscribe: true },
           tools: {},
           prompts: {}
         }
@@ -56,6 +59,10 @@ export class CodeFortifyMCPServer {
     this.toolManager = new ToolManager(this.config);
     this.patternProvider = new PatternProvider(this.config);
 
+    // codefortify:// resource URIs this server's client subscribed to
+    this.subscriptions = new Set();
+    this.server.onclose = () => this.resourceManager.stopWatchingScoreRuns();
+
     this.setupHandlers();
   }
 
@@ -93,6 +100,39 @@ export class CodeFortifyMCPServer {
         throw error;
       }
     });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return await this.resourceManager.listResourceTemplates();
+    });
+
+    // Score resources change with every score run; other resources are static files
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      if (!this.resourceManager.scoreResources.handles(uri)) {
+        throw new Error(`Subscriptions are only supported for codefortify:// resources, not ${uri}`);
+      }
+
+      this.subscriptions.add(uri);
+      this.resourceManager.watchScoreRuns(() => this.notifySubscribers());
+      console.error(`MCP: ✅ Subscribed to ${uri}`);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      if (this.subscriptions.size === 0) {
+        this.resourceManager.stopWatchingScoreRuns();
+      }
+      return {};
+    });
+  }
+
+  /**
+   * Tell the client that its subscribed score resources changed after a new score run
+   */
+  async notifySubscribers() {
+    await Promise.all([...this.subscriptions].map(uri => this.server.sendResourceUpdated({ uri })
+      .catch(error => console.error(`MCP: ❌ Resource update notification failed for ${uri}:`, error.message))));
   }
 
   setupToolHandlers() {
@@ -111,11 +151,17 @@ export class CodeFortifyMCPServer {
     });
 
     // Handle Context7 tools
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       try {
         console.error(`MCP: ✅ Received tool execution request: ${request.params.name}`);
-        const result = await this.toolManager.executeTool(request.params.name, request.params.arguments);
+        const result = await this.toolManager.executeTool(request.params.name, request.params.arguments, {
+          sendProgress: this.createProgressReporter(request, extra)
+        });
         console.error('MCP: ✅ Tool executed successfully');
+        // Notify subscribers of a run the tool just saved without waiting for the next poll;
+        // the tool already succeeded, so a failed check is only logged
+        this.resourceManager.checkForScoreRun()
+          .catch(error => console.error('MCP: ❌ Score run check failed:', error.message));
         return result;
       } catch (error) {
         console.error('MCP: ❌ Tool execution failed:', error.message);
@@ -125,6 +171,19 @@ export class CodeFortifyMCPServer {
     });
   }
 
+  /**
+   * Progress notifications for a request, when the client asked for them with a progressToken
+   */
+  createProgressReporter(request, extra) {
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined) {return null;}
+
+    return (progress, total, message) => extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message }
+    }).catch(error => console.error('MCP: ❌ Progress notification failed:', error.message));
+  }
+
   setupPromptHandlers() {
     this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
       try {
@@ -313,17 +372,17 @@ ${scaffold.content[0].text}
     try {
       const configFile = await fs.readFile(configPath, 'utf-8');
       const config = JSON.parse(configFile);
-      return new Context7MCPServer(config);
+      return new CodeFortifyMCPServer(config);
     } catch (error) {
       console.error(`Failed to load config from ${configPath}:`, error.message);
-      return new Context7MCPServer();
+      return new CodeFortifyMCPServer();
     }
   }
 
   static async autoDetectAndStart(projectRoot = process.cwd()) {
     // Auto-detect project type and configuration
-    const config = await Context7MCPServer.detectProjectConfig(projectRoot);
-    const server = new Context7MCPServer(config);
+    const config = await CodeFortifyMCPServer.detectProjectConfig(projectRoot);
+    const server = new CodeFortifyMCPServer(config);
     await server.start();
   }
 
@@ -380,7 +439,7 @@ ${scaffold.content[0].text}
 
 // Start server if this file is executed directly
 if (import.meta.url === new URL(process.argv[1], 'file:').href) {
-  Context7MCPServer.autoDetectAndStart().catch((error) => {
+  CodeFortifyMCPServer.autoDetectAndStart().catch((error) => {
     console.error('Failed to start Context7 MCP server:', error);
     process.exit(1);
   });
@@ -0,0 +1,358 @@
+/**
+ * Compliance Rule Engine
+ *
+ * Checks code submitted to the validate_context7_compliance MCP tool. The code is parsed with
+ * Babel and each enabled rule inspects the AST, so "no any type" looks at type annotations
+ * rather than at the text: "company" is not a violation. Every violation carries its rule ID,
+ * severity, location and a suggested fix.
+ *
+ * Rules are switched on by the compliance settings they belong to (strictTypes,
+ * requireDocumentation, mobileFirst) and can be turned off or given another severity one by
+ * one under `compliance.rules` in codefortify.config.js.
+ */
+
+import { parseSource, walkAST, isFunctionNode } from '../utils/astUtils.js';
+
+export const RULE_SEVERITIES = ['error', 'warning', 'info'];
+
+// Points deducted from a compliance score of 100 per violation
+const SEVERITY_PENALTIES = { error: 20, warning: 10, info: 2 };
+
+const QUERY_HOOKS = new Set(['useQuery', 'useInfiniteQuery']);
+const ERROR_KEYS = new Set(['error', 'isError', 'status']);
+const LOADING_KEYS = new Set(['isLoading', 'isPending', 'status']);
+
+/**
+ * Exported functions and function-valued constants, with the node naming them
+ */
+function exportedFunctions(ast) {
+  const exported = [];
+  for (const statement of ast.program.body) {
+    const declaration = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+      ? statement.declaration
+      : null;
+    if (!declaration) {continue;}
+
+    if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+      exported.push({ name: declaration.id.name, id: declaration.id, fn: declaration });
+    } else if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier' && isFunctionNode(declarator.init)) {
+          exported.push({ name: declarator.id.name, id: declarator.id, fn: declarator.init });
+        }
+      }
+    }
+  }
+  return exported;
+}
+
+/**
+ * Whether a function returns JSX itself (nested functions do not count)
+ */
+function returnsJsx(fn) {
+  let found = false;
+  walkAST(fn.body, node => {
+    if (found || (isFunctionNode(node) && node !== fn)) {return false;}
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') {found = true;}
+    return true;
+  });
+  return found;
+}
+
+function jsxAttributes(ast, name) {
+  const attributes = [];
+  walkAST(ast.program, node => {
+    if (node.type === 'JSXAttribute' && node.name.name === name) {attributes.push(node);}
+  });
+  return attributes;
+}
+
+/**
+ * Keys read from the result of a query hook: destructured keys, or members of the variable
+ * holding it. A rest element or passing the result on counts as handling everything.
+ */
+function queryResultKeys(ast, declarator) {
+  if (!declarator) {return new Set();}
+
+  if (declarator.id.type === 'ObjectPattern') {
+    if (declarator.id.properties.some(property => property.type === 'RestElement')) {return null;}
+    return new Set(declarator.id.properties.map(property => property.key?.name).filter(Boolean));
+  }
+
+  if (declarator.id.type !== 'Identifier') {return null;}
+  const name = declarator.id.name;
+  const keys = new Set();
+  let escapes = false;
+  walkAST(ast.program, (node, parent) => {
+    if (node.type !== 'Identifier' || node.name !== name || node === declarator.id) {return;}
+    if (parent?.type === 'MemberExpression' && parent.object === node && !parent.computed) {
+      keys.add(parent.property.name);
+    } else if (parent?.type !== 'MemberExpression') {
+      escapes = true;
+    }
+  });
+  return escapes ? null : keys;
+}
+
+/**
+ * Built-in rules
+ *
+ * `setting` names the compliance setting that enables the rule, `appliesTo(context)` limits it
+ * to the code it makes sense for, and `check(context)` returns { node, message, fix } entries.
+ */
+export const COMPLIANCE_RULES = {
+  'react/component-type-annotation': {
+    severity: 'warning',
+    setting: 'strictTypes',
+    description: 'Exported arrow function components declare their props type with React.FC',
+    appliesTo: context => context.isTypeScript && context.isReact,
+    check: ({ ast }) => exportedFunctions(ast)
+      .filter(({ name, id, fn }) => /^[A-Z]/.test(name) && fn.type !== 'FunctionDeclaration' &&
+        !id.typeAnnotation && !fn.params[0]?.typeAnnotation && returnsJsx(fn))
+      .map(({ name, id }) => ({
+        node: id,
+        message: 'Components should use React.FC type annotation',
+        fix: `Add React.FC<PropsInterface> to component declaration: const ${name}: React.FC<${name}Props> = ...`
+      }))
+  },
+
+  'docs/ai-assistant-context': {
+    severity: 'warning',
+    setting: 'requireDocumentation',
+    description: 'Components document their purpose in an AI ASSISTANT CONTEXT comment',
+    appliesTo: context => context.isReact,
+    check: ({ ast }) => {
+      if ((ast.comments || []).some(comment => comment.value.includes('AI ASSISTANT CONTEXT'))) {return [];}
+      const first = ast.program.body.find(statement => statement.type.startsWith('Export')) || ast.program.body[0];
+      return [{
+        node: first,
+        message: 'Missing AI ASSISTANT CONTEXT documentation',
+        fix: 'Add /** AI ASSISTANT CONTEXT: ... */ comments to describe component purpose'
+      }];
+    }
+  },
+
+  'react-query/handle-error': {
+    severity: 'warning',
+    description: 'Components using React Query handle the error state',
+    appliesTo: context => context.isReact,
+    check: context => context.queryCalls
+      .filter(({ keys }) => keys && ![...ERROR_KEYS].some(key => keys.has(key)))
+      .map(({ node }) => ({
+        node,
+        message: 'React Query usage should include error handling',
+        fix: 'Add error state handling: if (error) return <div>Error: {error.message}</div>'
+      }))
+  },
+
+  'react-query/handle-loading': {
+    severity: 'warning',
+    description: 'Components using React Query handle the loading state',
+    appliesTo: context => context.isReact,
+    check: context => context.queryCalls
+      .filter(({ keys }) => keys && ![...LOADING_KEYS].some(key => keys.has(key)))
+      .map(({ node }) => ({
+        node,
+        message: 'React Query usage should include loading state',
+        fix: 'Add loading state handling: if (isLoading) return <div>Loading...</div>'
+      }))
+  },
+
+  'hooks/naming': {
+    severity: 'warning',
+    description: 'Exported hooks are named useFeatureName',
+    appliesTo: context => context.componentType === 'hook' || exportedFunctions(context.ast).some(({ name }) => name.startsWith('use')),
+    check: ({ ast, componentType }) => exportedFunctions(ast)
+      .filter(({ name }) => (componentType === 'hook' || name.startsWith('use')) && !/^use[A-Z]/.test(name))
+      .map(({ name, id }) => {
+        const base = name.replace(/^use/, '');
+        return {
+          node: id,
+          message: 'Custom hooks should start with "use" and use camelCase',
+          fix: `Rename hook to follow useFeatureName pattern: use${base.charAt(0).toUpperCase()}${base.slice(1)}`
+        };
+      })
+  },
+
+  'typescript/no-explicit-any': {
+    severity: 'warning',
+    setting: 'strictTypes',
+    description: 'Types are specific rather than any',
+    appliesTo: context => context.isTypeScript && context.componentType !== 'migration',
+    check: ({ ast }) => {
+      const violations = [];
+      walkAST(ast.program, node => {
+        if (node.type === 'TSAnyKeyword') {
+          violations.push({
+            node,
+            message: 'Avoid using "any" type, use specific types instead',
+            fix: 'Define proper TypeScript interfaces for type safety, or use unknown'
+          });
+        }
+      });
+      return violations;
+    }
+  },
+
+  'styling/no-inline-style': {
+    severity: 'warning',
+    description: 'Utility-class projects style elements with classes, except CSS custom properties',
+    appliesTo: context => context.projectType.includes('tailwind') || jsxAttributes(context.ast, 'className').length > 0,
+    check: ({ ast }) => jsxAttributes(ast, 'style')
+      .filter(attribute => {
+        const expression = attribute.value?.expression;
+        const onlyCustomProperties = expression?.type === 'ObjectExpression' && expression.properties.every(property =>
+          property.type === 'ObjectProperty' && String(property.key.value ?? property.key.name).startsWith('--'));
+        return !onlyCustomProperties;
+      })
+      .map(attribute => ({
+        node: attribute,
+        message: 'Prefer Tailwind classes over inline styles',
+        fix: 'Use Tailwind utility classes for consistent styling'
+      }))
+  },
+
+  'styling/mobile-first-breakpoints': {
+    severity: 'info',
+    setting: 'mobileFirst',
+    description: 'Responsive class lists that start at sm: also cover md:',
+    appliesTo: context => jsxAttributes(context.ast, 'className').length > 0,
+    check: ({ ast }) => jsxAttributes(ast, 'className')
+      .filter(attribute => {
+        const value = attribute.value?.type === 'StringLiteral' ? attribute.value.value
+          : attribute.value?.expression?.type === 'TemplateLiteral' ? attribute.value.expression.quasis.map(quasi => quasi.value.raw).join(' ')
+            : '';
+        return /(^|\s)sm:/.test(value) && !/(^|\s)md:/.test(value);
+      })
+      .map(attribute => ({
+        node: attribute,
+        message: 'Responsive classes skip the tablet breakpoint',
+        fix: 'Consider adding tablet (md:) breakpoints for better responsive design'
+      }))
+  }
+};
+
+export class ComplianceRuleEngine {
+  /**
+   * @param {Object} [settings={}] - Compliance settings
+   * @param {boolean} [settings.strictTypes=true] - Enable the type rules
+   * @param {boolean} [settings.requireDocumentation=true] - Enable the documentation rules
+   * @param {boolean} [settings.mobileFirst=true] - Enable the responsive design rules
+   * @param {Object<string, string>} [settings.rules] - Severity per rule ID: error, warning, info or off
+   * @throws {Error} For unknown rule IDs or severities
+   */
+  constructor(settings = {}) {
+    const overrides = settings.rules || {};
+    const errors = Object.entries(overrides).flatMap(([ruleId, severity]) => {
+      if (!COMPLIANCE_RULES[ruleId]) {
+        return [`compliance.rules.${ruleId} is not a known rule. Known rules: ${Object.keys(COMPLIANCE_RULES).join(', ')}`];
+      }
+      return [...RULE_SEVERITIES, 'off'].includes(severity)
+        ? []
+        : [`compliance.rules.${ruleId} must be one of error, warning, info or off, got ${JSON.stringify(severity)}`];
+    });
+    if (errors.length > 0) {
+      throw new Error(`Invalid compliance rules:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    // Rule ID -> severity in effect, or 'off'
+    this.severities = Object.fromEntries(Object.entries(COMPLIANCE_RULES).map(([ruleId, rule]) => {
+      const enabled = !rule.setting || settings[rule.setting] !== false;
+      return [ruleId, overrides[ruleId] || (enabled ? rule.severity : 'off')];
+    }));
+  }
+
+  /**
+   * Check a piece of code
+   * @param {string} code - Source code
+   * @param {Object} [options={}] - What the code is
+   * @param {string} [options.language='javascript'] - javascript, typescript or css
+   * @param {string} [options.componentType] - react, hook, service, migration, ...
+   * @param {string} [options.projectType=''] - Project type, e.g. react-webapp
+   * @returns {{parsed: boolean, rulesApplied: string[], violations: Array<Object>}} Violations in source order
+   */
+  check(code, { language = 'javascript', componentType, projectType = '' } = {}) {
+    if (language === 'css') {
+      return { parsed: false, rulesApplied: [], violations: [] };
+    }
+
+    const isTypeScript = language === 'typescript';
+    let ast;
+    try {
+      ast = parseSource(code, isTypeScript ? 'input.tsx' : 'input.jsx');
+    } catch (error) {
+      return {
+        parsed: false,
+        rulesApplied: [],
+        violations: [this.createViolation('syntax/parse-error', 'error', {
+          message: `Code could not be parsed: ${error.message}`,
+          loc: error.loc ? { start: error.loc, end: error.loc } : null,
+          fix: `Fix the syntax error, or pass the right language (${isTypeScript ? 'typescript' : 'javascript or typescript'})`
+        })]
+      };
+    }
+
+    const context = {
+      ast,
+      code,
+      componentType,
+      projectType,
+      isTypeScript,
+      isReact: componentType === 'react' || projectType.includes('react'),
+      queryCalls: this.findQueryCalls(ast)
+    };
+
+    const rulesApplied = [];
+    const violations = (ast.errors || []).map(error => this.createViolation('syntax/parse-error', 'error', {
+      message: `Syntax error: ${error.reasonCode || error.message}`,
+      loc: error.loc ? { start: error.loc, end: error.loc } : null,
+      fix: 'Fix the syntax error'
+    }));
+
+    for (const [ruleId, rule] of Object.entries(COMPLIANCE_RULES)) {
+      const severity = this.severities[ruleId];
+      if (severity === 'off' || !rule.appliesTo(context)) {continue;}
+
+      rulesApplied.push(ruleId);
+      for (const { node, message, fix } of rule.check(context)) {
+        violations.push(this.createViolation(ruleId, severity, { message, loc: node?.loc, fix }));
+      }
+    }
+
+    violations.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+    return { parsed: true, rulesApplied, violations };
+  }
+
+  /**
+   * Compliance score: 100 minus a penalty per violation by severity
+   * @param {Array<Object>} violations - Violations from check()
+   * @returns {number} Score from 0 to 100
+   */
+  static score(violations) {
+    return Math.max(0, 100 - violations.reduce((sum, violation) => sum + SEVERITY_PENALTIES[violation.severity], 0));
+  }
+
+  findQueryCalls(ast) {
+    const calls = [];
+    walkAST(ast.program, (node, parent) => {
+      if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && QUERY_HOOKS.has(node.callee.name)) {
+        const declarator = parent?.type === 'VariableDeclarator' && parent.init === node ? parent : null;
+        calls.push({ node, keys: queryResultKeys(ast, declarator) });
+      }
+    });
+    return calls;
+  }
+
+  createViolation(ruleId, severity, { message, loc, fix }) {
+    return {
+      ruleId,
+      severity,
+      message,
+      line: loc?.start.line ?? null,
+      column: loc ? loc.start.column + 1 : null,
+      endLine: loc?.end.line ?? null,
+      endColumn: loc ? loc.end.column + 1 : null,
+      fix
+    };
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * MCP HTTP Server
+ *
+ * Hosts the CodeFortify MCP server over HTTP so that several clients can share one running
+ * server:
+ * - POST/GET/DELETE /mcp: Streamable HTTP transport, one session per client (mcp-session-id)
+ * - GET /sse and POST /messages?sessionId=: the older HTTP+SSE transport
+ * - GET /health: status and open sessions, without authentication
+ *
+ * Every session is served by its own MCP server instance. When a token is set, the MCP
+ * endpoints require an `Authorization: Bearer <token>` header. Streamable HTTP sessions idle
+ * for longer than the session timeout are closed; SSE sessions end with their connection.
+ */
+
+import http from 'http';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { URL } from 'url';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const DEFAULT_SESSION_TIMEOUT = 30 * 60 * 1000;
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+export class McpHttpServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Function} options.createServer - Returns a new, unconnected MCP SDK Server for each session
+   * @param {number} [options.port=3001] - Port to listen on (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind
+   * @param {string} [options.token] - Bearer token required on the MCP endpoints
+   * @param {number} [options.sessionTimeout] - Idle time in ms after which a session is closed
+   * @param {{name: string, version: string}} [options.info] - Server name and version reported by /health
+   */
+  constructor(options) {
+    this.createServer = options.createServer;
+    this.port = options.port ?? 3001;
+    this.host = options.host || '127.0.0.1';
+    this.token = options.token || null;
+    this.sessionTimeout = options.sessionTimeout || DEFAULT_SESSION_TIMEOUT;
+    this.info = options.info || { name: 'codefortify', version: '0.0.0' };
+
+    // session id -> { type: 'streamable' | 'sse', transport, server, lastSeen }
+    this.sessions = new Map();
+    this.httpServer = null;
+    this.startedAt = null;
+  }
+
+  get isLoopback() {
+    return LOOPBACK_HOSTS.includes(this.host);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('MCP: ❌ HTTP request failed:', error.message);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.port = this.httpServer.address().port;
+    this.startedAt = Date.now();
+    this.sweepTimer = setInterval(() => this.closeIdleSessions(), Math.min(this.sessionTimeout, 60 * 1000));
+    this.sweepTimer.unref();
+
+    return this.url;
+  }
+
+  get url() {
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    return `http://${host}:${this.port}`;
+  }
+
+  /**
+   * Close all sessions and stop listening
+   */
+  async close() {
+    clearInterval(this.sweepTimer);
+    await Promise.all([...this.sessions.values()].map(session => this.closeSession(session)));
+    this.sessions.clear();
+
+    if (this.httpServer) {
+      await new Promise(resolve => {
+        this.httpServer.close(() => resolve());
+        this.httpServer.closeAllConnections();
+      });
+      this.httpServer = null;
+    }
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/health') {
+      if (req.method !== 'GET') {return this.sendJson(res, 405, { error: 'Method not allowed' });}
+      return this.sendJson(res, 200, this.health());
+    }
+
+    if (!['/mcp', '/sse', '/messages'].includes(url.pathname)) {
+      return this.sendJson(res, 404, { error: 'Not found' });
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="codefortify"');
+      return this.sendJsonRpcError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token');
+    }
+
+    switch (url.pathname) {
+    case '/mcp':
+      return this.handleStreamable(req, res);
+    case '/sse':
+      if (req.method !== 'GET') {return this.sendJson(res, 405, { error: 'Method not allowed' });}
+      return this.openSseSession(req, res);
+    default:
+      if (req.method !== 'POST') {return this.sendJson(res, 405, { error: 'Method not allowed' });}
+      return this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+    }
+  }
+
+  /**
+   * Streamable HTTP: a POST without session id must be an initialize request and opens a
+   * session; all later requests carry the mcp-session-id header issued in its response.
+   */
+  async handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await this.readBody(req, res) : undefined;
+    if (body === null) {return;}
+
+    let session = sessionId ? this.sessions.get(sessionId) : undefined;
+    if (sessionId && session?.type !== 'streamable') {
+      return this.sendJsonRpcError(res, 404, -32001, 'Session not found');
+    }
+
+    if (!session) {
+      if (req.method !== 'POST' || !isInitializeRequest(body)) {
+        return this.sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+      }
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => this.sessions.set(id, session),
+        ...this.dnsRebindingOptions()
+      });
+      session = { type: 'streamable', transport, server: this.createServer(), lastSeen: Date.now() };
+      transport.onclose = () => {
+        if (transport.sessionId) {this.sessions.delete(transport.sessionId);}
+      };
+      await session.server.connect(transport);
+    }
+
+    session.lastSeen = Date.now();
+    await session.transport.handleRequest(req, res, body);
+  }
+
+  async openSseSession(req, res) {
+    const transport = new SSEServerTransport('/messages', res, this.dnsRebindingOptions());
+    const session = { type: 'sse', transport, server: this.createServer(), lastSeen: Date.now() };
+    this.sessions.set(transport.sessionId, session);
+    transport.onclose = () => this.sessions.delete(transport.sessionId);
+    res.on('close', () => {
+      if (this.sessions.get(transport.sessionId) === session) {
+        this.closeSession(session);
+      }
+    });
+
+    // connect() starts the transport, which sends the endpoint event with the session id
+    await session.server.connect(transport);
+  }
+
+  async handleSseMessage(req, res, sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : undefined;
+    if (session?.type !== 'sse') {
+      return this.sendJsonRpcError(res, 404, -32001, 'Session not found');
+    }
+
+    const body = await this.readBody(req, res);
+    if (body === null) {return;}
+
+    session.lastSeen = Date.now();
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  closeIdleSessions(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (session.type === 'streamable' && now - session.lastSeen > this.sessionTimeout) {
+        this.sessions.delete(id);
+        this.closeSession(session);
+      }
+    }
+  }
+
+  async closeSession(session) {
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error('MCP: ❌ Failed to close session:', error.message);
+    }
+  }
+
+  health() {
+    const sessions = { streamable: 0, sse: 0 };
+    for (const session of this.sessions.values()) {
+      sessions[session.type]++;
+    }
+
+    return {
+      status: 'ok',
+      name: this.info.name,
+      version: this.info.version,
+      transports: ['streamable-http', 'sse'],
+      authentication: this.token ? 'bearer' : 'none',
+      sessions,
+      uptime: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0
+    };
+  }
+
+  isAuthorized(req) {
+    if (!this.token) {return true;}
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {return false;}
+
+    // Compare digests so the comparison takes the same time whatever the token length
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(match[1].trim()), digest(this.token));
+  }
+
+  /**
+   * Only accept Host headers naming this server when bound to loopback, so that a web page
+   * cannot reach the server through a rebound DNS name
+   */
+  dnsRebindingOptions() {
+    if (!this.isLoopback) {return {};}
+    return {
+      enableDnsRebindingProtection: true,
+      allowedHosts: ['127.0.0.1', 'localhost', '[::1]'].map(host => `${host}:${this.port}`)
+    };
+  }
+
+  /**
+   * Read and parse a JSON request body, answering the request itself when that fails
+   * @returns {Promise<Object|null>} Parsed body, or null when an error response was sent
+   */
+  async readBody(req, res) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        this.sendJsonRpcError(res, 413, -32000, 'Request body too large');
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      this.sendJsonRpcError(res, 400, -32700, 'Parse error: invalid JSON');
+      return null;
+    }
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  sendJsonRpcError(res, status, code, message) {
+    this.sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+  }
+}
@@ -2,17 +2,20 @@
  * ResourceManager - Handles Context7 resource operations
  *
  * Manages access to project standards, documentation, and patterns
- * for AI assistants through the MCP protocol.
+ * for AI assistants through the MCP protocol. codefortify:// resources
+ * (scores, findings and trends of past runs) are served by ScoreResources.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { ScoreResources } from './ScoreResources.js';
 
 export class ResourceManager {
   constructor(config) {
     this.config = config;
     this.projectRoot = config.projectRoot;
     this.agentOsPath = config.agentOsPath;
+    this.scoreResources = new ScoreResources(this.projectRoot || process.cwd());
   }
 
   async listResources() {
@@ -60,7 +63,8 @@ export class ResourceManager {
           name: 'Component Patterns',
           description: 'Established component patterns for the project type',
           mimeType: 'text/typescript'
-        }
+        },
+        ...this.scoreResources.listResources()
       ];
 
       // Add project-specific resources if they exist
@@ -94,6 +98,19 @@ export class ResourceManager {
   async readResource(uri) {
     try {
       console.error(`ResourceManager: Reading resource ${uri}`);
+      if (this.scoreResources.handles(uri)) {
+        const data = await this.scoreResources.read(uri);
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify(data, null, 2)
+            }
+          ]
+        };
+      }
+
       let filePath;
       let mimeType = 'text/markdown';
 
@@ -155,6 +172,30 @@ export class ResourceManager {
     }
   }
 
+  async listResourceTemplates() {
+    return { resourceTemplates: this.scoreResources.listResourceTemplates() };
+  }
+
+  /**
+   * Call onRun whenever a new score run is saved, until stopWatchingScoreRuns()
+   * @param {Function} onRun - Called with the snapshot file name of the new run
+   */
+  watchScoreRuns(onRun) {
+    this.scoreResources.watch(onRun);
+  }
+
+  stopWatchingScoreRuns() {
+    this.scoreResources.unwatch();
+  }
+
+  /**
+   * Check for a new score run now instead of waiting for the next poll
+   * @returns {Promise<boolean>} Whether a new run was found
+   */
+  async checkForScoreRun() {
+    return this.scoreResources.checkForNewRun();
+  }
+
   async findPatternFile() {
     // Look for pattern files in common locations
     const possiblePaths = [
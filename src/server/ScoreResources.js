@@ -0,0 +1,256 @@
+/**
+ * Score Resources
+ *
+ * MCP resources built from persisted scoring runs, so an assistant can read the current
+ * quality state without re-running the analysis:
+ * - codefortify://score/latest     - overall and per-category scores of the newest run
+ * - codefortify://findings/{file}  - findings of the newest run for one project file
+ * - codefortify://history/trend    - scores over recent runs plus recommendation progress
+ *
+ * Runs are the snapshots SnapshotStore writes under `.codefortify/snapshots`. watch() polls
+ * that directory so subscribed clients can be told when a new run lands.
+ */
+
+import path from 'path';
+import { SnapshotStore } from '../scoring/core/SnapshotStore.js';
+import { RecommendationHistory } from '../scoring/RecommendationHistory.js';
+
+export const SCORE_RESOURCE_PREFIX = 'codefortify://';
+export const LATEST_SCORE_URI = 'codefortify://score/latest';
+export const HISTORY_TREND_URI = 'codefortify://history/trend';
+export const FINDINGS_URI_PREFIX = 'codefortify://findings/';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const NO_RUNS = {
+  status: 'no-runs',
+  message: 'No score run recorded yet. Run `codefortify score` or the score_project tool first.'
+};
+
+export class ScoreResources {
+  /**
+   * @param {string} projectRoot - Project root directory
+   * @param {Object} [options] - Options
+   * @param {number} [options.pollInterval=2000] - Milliseconds between checks for a new run while watching
+   * @param {number} [options.trendLimit=20] - Number of runs in the history trend
+   */
+  constructor(projectRoot, options = {}) {
+    this.store = new SnapshotStore(projectRoot);
+    this.historyDir = path.join(projectRoot, '.context7');
+    this.pollInterval = options.pollInterval || 2000;
+    this.trendLimit = options.trendLimit || 20;
+    this.timer = null;
+    this.lastRun = undefined;
+  }
+
+  handles(uri) {
+    return uri.startsWith(SCORE_RESOURCE_PREFIX);
+  }
+
+  listResources() {
+    return [
+      {
+        uri: LATEST_SCORE_URI,
+        name: 'Latest Quality Score',
+        description: 'Overall and per-category scores of the most recent score run',
+        mimeType: 'application/json'
+      },
+      {
+        uri: HISTORY_TREND_URI,
+        name: 'Quality Score Trend',
+        description: 'Scores across recent score runs and recommendation completion',
+        mimeType: 'application/json'
+      }
+    ];
+  }
+
+  listResourceTemplates() {
+    return [
+      {
+        uriTemplate: `${FINDINGS_URI_PREFIX}{file}`,
+        name: 'Findings for a file',
+        description: 'Findings of the most recent score run for a project-relative file path (URL-encoded)',
+        mimeType: 'application/json'
+      }
+    ];
+  }
+
+  /**
+   * @param {string} uri - codefortify:// resource URI
+   * @returns {Promise<Object>} Resource data, serialized to JSON by the caller
+   * @throws {Error} For unknown URIs
+   */
+  async read(uri) {
+    if (uri === LATEST_SCORE_URI) {return this.readLatest();}
+    if (uri === HISTORY_TREND_URI) {return this.readTrend();}
+    if (uri.startsWith(FINDINGS_URI_PREFIX)) {
+      return this.readFindings(uri.slice(FINDINGS_URI_PREFIX.length));
+    }
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+
+  async readLatest() {
+    const snapshot = await this.store.loadLatest();
+    if (!snapshot) {return NO_RUNS;}
+
+    const findings = snapshot.findings || [];
+    const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [
+      severity, findings.filter(finding => finding.severity === severity).length
+    ]));
+
+    const perFile = new Map();
+    for (const finding of findings) {
+      if (finding.file) {perFile.set(finding.file, (perFile.get(finding.file) || 0) + 1);}
+    }
+    const files = [...perFile.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 10)
+      .map(([file, count]) => ({ file, findings: count, uri: findingsUri(file) }));
+
+    return {
+      status: 'ok',
+      timestamp: snapshot.timestamp,
+      git: snapshot.git,
+      overall: snapshot.overall,
+      categories: snapshot.categories,
+      issues: (snapshot.issues || []).length,
+      findings: { total: findings.length, bySeverity, files }
+    };
+  }
+
+  async readFindings(encodedFile) {
+    const file = normalizeFile(decodeURIComponent(encodedFile));
+    const snapshot = await this.store.loadLatest();
+    if (!snapshot) {return { file, ...NO_RUNS };}
+
+    const findings = (snapshot.findings || [])
+      .filter(finding => finding.file === file)
+      .sort((a, b) => (a.range?.startLine || 0) - (b.range?.startLine || 0));
+
+    return {
+      status: 'ok',
+      file,
+      timestamp: snapshot.timestamp,
+      commit: snapshot.git?.commit || null,
+      total: findings.length,
+      findings
+    };
+  }
+
+  async readTrend() {
+    const snapshots = await this.store.loadHistory(this.trendLimit);
+
+    const runs = snapshots.map((snapshot, index) => {
+      const previous = snapshots[index - 1];
+      return {
+        timestamp: snapshot.timestamp,
+        commit: snapshot.git?.commit || null,
+        score: snapshot.overall.score,
+        percentage: snapshot.overall.percentage,
+        grade: snapshot.overall.grade,
+        delta: previous ? snapshot.overall.percentage - previous.overall.percentage : null,
+        categories: Object.fromEntries(Object.entries(snapshot.categories || {})
+          .map(([key, category]) => [key, category.percentage]))
+      };
+    });
+
+    return {
+      status: runs.length > 0 ? 'ok' : 'no-runs',
+      runs,
+      summary: summarizeTrend(runs),
+      recommendations: await this.readRecommendationStats()
+    };
+  }
+
+  async readRecommendationStats() {
+    try {
+      // A fresh instance per read: RecommendationHistory caches the file once loaded
+      const stats = await new RecommendationHistory({ historyDir: this.historyDir }).getStats();
+      return {
+        total: stats.totalRecommendations,
+        completed: stats.completedRecommendations,
+        completionRate: stats.completionRate,
+        recentScores: stats.recentScores
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Poll for new score runs until unwatch() is called
+   * @param {Function} onRun - Called with the snapshot file name of each new run
+   */
+  watch(onRun) {
+    this.onRun = onRun;
+    if (this.timer) {return;}
+
+    // Runs that exist when watching starts are not new
+    this.ready = this.store.list().then(files => {
+      this.lastRun = files[files.length - 1] || null;
+    });
+    this.timer = setInterval(() => {
+      this.checkForNewRun().catch(error => console.error('MCP: ❌ Score run check failed:', error.message));
+    }, this.pollInterval);
+    this.timer.unref();
+  }
+
+  unwatch() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.onRun = null;
+  }
+
+  get watching() {
+    return this.timer !== null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a run landed since the last check
+   */
+  async checkForNewRun() {
+    if (!this.watching) {return false;}
+    await this.ready;
+
+    const files = await this.store.list();
+    const latest = files[files.length - 1] || null;
+    if (latest === this.lastRun) {return false;}
+
+    this.lastRun = latest;
+    if (!latest) {return false;}
+    await this.onRun?.(latest);
+    return true;
+  }
+}
+
+/**
+ * Resource URI of the findings for a project-relative file
+ */
+export function findingsUri(file) {
+  return `${FINDINGS_URI_PREFIX}${encodeURIComponent(file)}`;
+}
+
+function normalizeFile(file) {
+  return file.split('\\').join('/').replace(/^(\.\/)+/, '');
+}
+
+function summarizeTrend(runs) {
+  if (runs.length === 0) {return null;}
+
+  const first = runs[0];
+  const last = runs[runs.length - 1];
+  const change = last.percentage - first.percentage;
+
+  return {
+    runs: runs.length,
+    from: first.timestamp,
+    to: last.timestamp,
+    first: first.percentage,
+    latest: last.percentage,
+    change,
+    direction: change > 0 ? 'improving' : change < 0 ? 'declining' : 'stable',
+    categories: Object.fromEntries(Object.entries(last.categories).map(([key, percentage]) => [
+      key, first.categories[key] !== undefined ? percentage - first.categories[key] : null
+    ]))
+  };
+}
@@ -1,10 +1,24 @@
 /**
  * ToolManager - Handles Context7 tool operations
  *
- * Provides AI assistants with tools for code validation, pattern examples,
- * naming conventions, and improvement suggestions.
+ * Provides AI assistants with tools for code validation against the rules of
+ * ComplianceRuleEngine, pattern examples, naming conventions, and improvement
+ * suggestions, and with the project's quality score, category details and
+ * recommendations from ProjectScorer.
  */
 
+import { ProjectScorer } from '../scoring/ProjectScorer.js';
+import { loadProjectConfig, resolveComplianceConfig } from '../config/configLoader.js';
+import { loadPlugins } from '../scoring/core/PluginLoader.js';
+import { SnapshotStore } from '../scoring/core/SnapshotStore.js';
+import { ComplianceRuleEngine } from './ComplianceRuleEngine.js';
+
+const CATEGORIES_PROPERTY = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Category keys to analyze (structure, quality, performance, testing, security, developerExperience, completeness or a plugin key); all when omitted'
+};
+
 export class ToolManager {
   constructor(config) {
     this.config = config;
@@ -82,6 +96,41 @@ export class ToolManager {
               },
               required: ['component_name', 'component_type']
             }
+          },
+          {
+            name: 'score_project',
+            description: 'Run the CodeFortify quality analysis on the project and return the overall and per-category scores. Runs of all categories are saved for the codefortify://score/latest and codefortify://history/trend resources',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                categories: CATEGORIES_PROPERTY,
+                detailed: { type: 'boolean', description: 'Include file statistics, dependencies and project metrics' }
+              }
+            }
+          },
+          {
+            name: 'get_category_details',
+            description: 'Analyze one scoring category and return its issues, findings, details and recommendations',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                category: { type: 'string', description: 'Category key (structure, quality, performance, testing, security, developerExperience, completeness or a plugin key)' },
+                max_findings: { type: 'number', description: 'Maximum number of findings to return (default: 50)' }
+              },
+              required: ['category']
+            }
+          },
+          {
+            name: 'get_recommendations',
+            description: 'Get prioritized improvement recommendations from a fresh quality analysis',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                categories: CATEGORIES_PROPERTY,
+                priority: { type: 'string', description: 'Only return this priority or higher (critical, high, medium, low)' },
+                limit: { type: 'number', description: 'Maximum number of recommendations (default: 10)' }
+              }
+            }
           }
         ]
       };
@@ -93,7 +142,15 @@ export class ToolManager {
     }
   }
 
-  async executeTool(name, args) {
+  /**
+   * Execute a tool
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} [context={}] - Request context
+   * @param {Function} [context.sendProgress] - Reports (progress, total, message) to the client
+   * @returns {Promise<Object>} Tool result with text content
+   */
+  async executeTool(name, args, context = {}) {
     try {
       console.error(`ToolManager: Executing tool ${name}`);
 
@@ -118,6 +175,15 @@ export class ToolManager {
       case 'generate_component_scaffold':
         result = await this.generateComponentScaffold(args);
         break;
+      case 'score_project':
+        result = await this.scoreProject(args, context);
+        break;
+      case 'get_category_details':
+        result = await this.getCategoryDetails(args, context);
+        break;
+      case 'get_recommendations':
+        result = await this.getRecommendations(args, context);
+        break;
       default:
         throw new Error(`Unknown tool: ${name}`);
       }
@@ -138,29 +204,25 @@ export class ToolManager {
         throw new Error('Code parameter is required');
       }
 
-      const issues = [];
-      const suggestions = [];
-
       // Get project-specific validation rules
-      const validationRules = this.getValidationRules();
-
-      // Basic validation rules based on Context7 standards
-      if (language === 'typescript' || language === 'javascript') {
-        await this.validateJavaScriptCode(code, component_type, issues, suggestions, validationRules);
-      }
-
-      if (language === 'css' || code.includes('className') || code.includes('style=')) {
-        await this.validateStylingCode(code, issues, suggestions, validationRules);
-      }
+      const validationRules = await this.getValidationRules();
+      const engine = new ComplianceRuleEngine(validationRules);
+      const { rulesApplied, violations } = engine.check(code, {
+        language,
+        componentType: component_type,
+        projectType: this.config.projectType
+      });
 
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
-              compliance_score: Math.max(0, 100 - (issues.length * 15)),
-              issues,
-              suggestions,
+              compliance_score: ComplianceRuleEngine.score(violations),
+              issues: violations.filter(violation => violation.severity !== 'info').map(violation => violation.message),
+              suggestions: [...new Set(violations.map(violation => violation.fix))],
+              violations,
+              rules_applied: rulesApplied,
               standards_applied: this.getAppliedStandards(),
               project_type: this.config.projectType
             }, null, 2)
@@ -172,66 +234,22 @@ export class ToolManager {
     }
   }
 
-  async validateJavaScriptCode(code, component_type, issues, suggestions, _rules) {
-    // React/Component validation
-    if (component_type === 'react' || this.config.projectType.includes('react')) {
-      if (!code.includes('React.FC') && code.includes('export const') && code.includes('(')) {
-        issues.push('Components should use React.FC type annotation');
-        suggestions.push('Add React.FC<PropsInterface> to component declaration');
-      }
-
-      if (!code.includes('AI ASSISTANT CONTEXT')) {
-        issues.push('Missing AI ASSISTANT CONTEXT documentation');
-        suggestions.push('Add /** AI ASSISTANT CONTEXT: ... */ comments to describe component purpose');
-      }
-
-      if (code.includes('useQuery') && !code.includes('error')) {
-        issues.push('React Query usage should include error handling');
-        suggestions.push('Add error state handling: if (error) return <div>Error: {error.message}</div>');
-      }
-
-      if (code.includes('useQuery') && !code.includes('isLoading')) {
-        issues.push('React Query usage should include loading state');
-        suggestions.push('Add loading state handling: if (isLoading) return <div>Loading...</div>');
-      }
-    }
-
-    // Hook validation
-    if (component_type === 'hook' || code.includes('export const use')) {
-      if (!code.match(/export const use[A-Z]/)) {
-        issues.push('Custom hooks should start with "use" and use camelCase');
-        suggestions.push('Rename hook to follow useFeatureName pattern');
-      }
-    }
-
-    // General code quality
-    if (code.includes('any') && component_type !== 'migration') {
-      issues.push('Avoid using "any" type, use specific types instead');
-      suggestions.push('Define proper TypeScript interfaces for type safety');
-    }
-  }
-
-  async validateStylingCode(code, issues, suggestions, _rules) {
-    // Tailwind CSS validation
-    if (this.config.projectType.includes('tailwind') || code.includes('className')) {
-      if (code.includes('style=') && !code.includes('--')) {
-        issues.push('Prefer Tailwind classes over inline styles');
-        suggestions.push('Use Tailwind utility classes for consistent styling');
-      }
-    }
+  /**
+   * Compliance settings: the defaults, then `validation` from the server config, then the
+   * `compliance` block of the project's codefortify.config.js
+   * @returns {Promise<Object>} Settings with per-rule severities under `rules`
+   */
+  async getValidationRules() {
+    const projectConfig = await loadProjectConfig(this.config.projectRoot || process.cwd());
+    const compliance = resolveComplianceConfig(projectConfig.compliance);
 
-    // Mobile-first validation
-    if (code.includes('sm:') && !code.includes('md:')) {
-      suggestions.push('Consider adding tablet (md:) breakpoints for better responsive design');
-    }
-  }
-
-  getValidationRules() {
     return {
       strictTypes: this.config.validation?.strictTypes ?? true,
       requireDocumentation: this.config.validation?.requireDocumentation ?? true,
       mobileFirst: this.config.validation?.mobileFirst ?? true,
-      ...this.config.validation
+      ...this.config.validation,
+      ...compliance,
+      rules: { ...this.config.validation?.rules, ...compliance.rules }
     };
   }
 
@@ -453,4 +471,135 @@ export class ToolManager {
       throw new Error(`Component scaffold generation failed: ${error.message}`);
     }
   }
+
+  async scoreProject(args, context) {
+    const results = await this.runScoring(args.categories, context, { detailed: Boolean(args.detailed) });
+
+    // Like `codefortify score`, record the run for the score and trend resources; runs of
+    // selected categories are partial and would distort the trend
+    const fullRun = !args.categories || args.categories.length === 0 || args.categories.includes('all');
+    if (fullRun) {
+      const store = new SnapshotStore(this.config.projectRoot || process.cwd());
+      await store.save(store.createSnapshot(results));
+    }
+
+    return this.jsonContent({
+      project: { name: results.metadata.projectName, type: results.metadata.projectType },
+      overall: this.summarizeScore(results.overall),
+      categories: Object.fromEntries(Object.entries(results.categories).map(([key, category]) => [key, {
+        name: category.categoryName,
+        ...this.summarizeScore(category),
+        issues: category.issues.length,
+        findings: (category.findings || []).length,
+        ...(category.error ? { error: category.error } : {})
+      }])),
+      top_recommendations: (results.recommendations || []).slice(0, 5).map(rec => ({
+        category: rec.category,
+        priority: rec.priority,
+        impact: rec.impact,
+        suggestion: rec.suggestion
+      })),
+      ...(results.detailed ? { detailed: results.detailed } : {}),
+      analyzed_at: results.overall.timestamp
+    });
+  }
+
+  async getCategoryDetails(args, context) {
+    const { category: key, max_findings: maxFindings = 50 } = args;
+    if (!key) {
+      throw new Error('Category parameter is required');
+    }
+
+    const results = await this.runScoring([key], context);
+    const category = results.categories[key];
+    const findings = category.findings || [];
+
+    return this.jsonContent({
+      category: key,
+      name: category.categoryName,
+      ...this.summarizeScore(category),
+      issues: category.issues,
+      suggestions: category.suggestions || [],
+      findings: findings.slice(0, maxFindings),
+      findings_total: findings.length,
+      details: category.details || {},
+      recommendations: (results.recommendations || []).filter(rec => rec.category === key),
+      ...(category.error ? { error: category.error } : {}),
+      analyzed_at: results.overall.timestamp
+    });
+  }
+
+  async getRecommendations(args, context) {
+    const { priority, limit = 10 } = args;
+    const priorities = ['critical', 'high', 'medium', 'low'];
+    if (priority && !priorities.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}. Use ${priorities.join(', ')}`);
+    }
+
+    const results = await this.runScoring(args.categories, context);
+    const recommendations = (results.recommendations || [])
+      .filter(rec => !priority || priorities.indexOf(rec.priority) <= priorities.indexOf(priority));
+
+    return this.jsonContent({
+      overall: this.summarizeScore(results.overall),
+      recommendations: recommendations.slice(0, limit),
+      total: recommendations.length,
+      analyzed_at: results.overall.timestamp
+    });
+  }
+
+  /**
+   * Score the project with its codefortify.config.js, reporting progress per category.
+   * Scoring output is silenced: on the stdio transport stdout carries the protocol.
+   */
+  async runScoring(categories, context = {}, options = {}) {
+    const projectRoot = this.config.projectRoot || process.cwd();
+    const projectConfig = await loadProjectConfig(projectRoot);
+    const plugins = await loadPlugins(projectRoot, projectConfig.scoring?.plugins);
+
+    const scorer = new ProjectScorer({
+      projectRoot,
+      ...(this.config.projectName ? { projectName: this.config.projectName } : {}),
+      quiet: true,
+      scoring: projectConfig.scoring,
+      security: projectConfig.security,
+      plugins
+    });
+
+    const requested = categories && categories.length > 0 ? categories : ['all'];
+    const invalid = requested.filter(key => key !== 'all' && !scorer.analyzers[key]);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid categories: ${invalid.join(', ')}. Available: ${Object.keys(scorer.analyzers).join(', ')}`);
+    }
+
+    const total = requested.includes('all') ? Object.keys(scorer.analyzers).length : requested.length;
+    const sendProgress = context.sendProgress || (() => {});
+    await sendProgress(0, total, 'Starting analysis');
+
+    return scorer.scoreProject({
+      categories: requested,
+      detailed: options.detailed,
+      onProgress: ({ completed, categoryName }) => sendProgress(completed, total, `${categoryName} analyzed`)
+    });
+  }
+
+  summarizeScore({ score, maxScore, grade }) {
+    return {
+      score: Math.round(score * 10) / 10,
+      maxScore,
+      percentage: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
+      grade
+    };
+  }
+
+  jsonContent(data) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(data, null, 2)
+        }
+      ]
+    };
+  }
 }
\ No newline at end of file
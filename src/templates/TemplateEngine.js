@@ -0,0 +1,360 @@
+/**
+ * Template Engine
+ *
+ * A small Handlebars-style renderer for template packs:
+ * - `{{name}}`, `{{project.name}}`: variables (inserted as is, nothing is HTML-escaped)
+ * - `{{helper arg "text" key=value}}` and subexpressions `(eq framework "react")`
+ * - `{{#if expr}}…{{else if expr}}…{{else}}…{{/if}}`, `{{#unless expr}}…{{/unless}}`
+ * - `{{#each list}}…{{/each}}` with `this`, `@index`, `@first` and `@last`
+ * - `{{! comment }}` and `{{!-- comment --}}`
+ * - `\{{` for a literal `{{`, e.g. in Vue templates
+ *
+ * Block tags and comments alone on a line remove the whole line, so templates can put them
+ * on their own lines without leaving blank lines behind.
+ */
+
+import { splitWords, formatName } from '../utils/naming.js';
+
+// Helpers receive the options object as their last argument; variadic ones drop it
+const argumentsOf = args => args.slice(0, -1);
+
+export const BUILTIN_HELPERS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  and: (...args) => argumentsOf(args).every(Boolean),
+  or: (...args) => argumentsOf(args).some(Boolean),
+  not: value => !value,
+  includes: (list, value) => Array.isArray(list) && list.includes(value),
+  join: (list, ...args) => (Array.isArray(list) ? list.join(args.length > 1 ? args[0] : ', ') : ''),
+  concat: (...args) => argumentsOf(args).join(''),
+  json: value => JSON.stringify(value),
+  pascalCase: text => formatName(splitWords(text), 'PascalCase'),
+  camelCase: text => formatName(splitWords(text), 'camelCase'),
+  kebabCase: text => formatName(splitWords(text), 'kebab-case'),
+  upperCase: text => String(text ?? '').toUpperCase(),
+  lowerCase: text => String(text ?? '').toLowerCase()
+};
+
+/**
+ * Render a template
+ * @param {string} source - Template text
+ * @param {Object} context - Variables
+ * @param {Object} [options] - Render options
+ * @param {Object<string, Function>} [options.helpers] - Helpers in addition to BUILTIN_HELPERS;
+ *   each is called with its arguments, then an options object with `hash` and `context`
+ * @param {string} [options.name='template'] - Template name for error messages
+ * @returns {string} Rendered text
+ * @throws {Error} For unclosed or unexpected block tags and unknown helpers
+ */
+export function renderTemplate(source, context = {}, { helpers = {}, name = 'template' } = {}) {
+  const nodes = parse(tokenize(source, name), name);
+  return renderNodes(nodes, { context, root: context, data: {}, helpers: { ...BUILTIN_HELPERS, ...helpers }, name });
+}
+
+/**
+ * Evaluate an expression such as `typescript` or `and withTest (eq framework "react")`
+ * @param {string} expression - Expression without braces
+ * @param {Object} context - Variables
+ * @param {Object} [options] - Same as for renderTemplate()
+ * @returns {*} Value of the expression
+ */
+export function evaluateExpression(expression, context = {}, { helpers = {}, name = 'expression' } = {}) {
+  const scope = { context, root: context, data: {}, helpers: { ...BUILTIN_HELPERS, ...helpers }, name };
+  return evaluate(parseExpression(expression, name), scope);
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer: text and tags, with standalone block tags stripped
+// ---------------------------------------------------------------------------
+
+function tokenize(source, name) {
+  const tokens = [];
+  let text = '';
+  let index = 0;
+  let line = 1;
+
+  const pushText = () => {
+    if (text) {tokens.push({ type: 'text', value: text });}
+    text = '';
+  };
+
+  while (index < source.length) {
+    if (source.startsWith('\\{{', index)) {
+      text += '{{';
+      index += 3;
+      continue;
+    }
+    if (!source.startsWith('{{', index)) {
+      if (source[index] === '\n') {line++;}
+      text += source[index++];
+      continue;
+    }
+
+    const end = findTagEnd(source, index + 2);
+    if (end === -1) {
+      throw new Error(`Unclosed {{ in ${name} at line ${line}`);
+    }
+    pushText();
+    const raw = source.slice(index + 2, end).trim();
+    tokens.push({ ...classifyTag(raw), line });
+    line += (source.slice(index, end).match(/\n/g) || []).length;
+    index = end + 2;
+  }
+  pushText();
+
+  return stripStandalone(tokens);
+}
+
+/**
+ * Position of the closing }} of a tag, skipping quoted strings and --}} of long comments
+ */
+function findTagEnd(source, start) {
+  if (source.startsWith('!--', start)) {
+    const end = source.indexOf('--}}', start);
+    return end === -1 ? -1 : end + 2;
+  }
+
+  let quote = null;
+  for (let index = start; index < source.length - 1; index++) {
+    const char = source[index];
+    if (quote) {
+      if (char === '\\') {index++;} else if (char === quote) {quote = null;}
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '}' && source[index + 1] === '}') {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function classifyTag(raw) {
+  if (raw.startsWith('!')) {return { type: 'comment' };}
+  if (raw.startsWith('#')) {
+    const [, block, expression = ''] = raw.match(/^#\s*(\w+)\s*([\s\S]*)$/) || [];
+    return { type: 'open', block, expression };
+  }
+  if (raw.startsWith('/')) {return { type: 'close', block: raw.slice(1).trim() };}
+  if (raw === 'else' || raw.startsWith('else ')) {return { type: 'else', expression: raw.slice(4).trim() };}
+  return { type: 'variable', expression: raw };
+}
+
+/**
+ * Remove the line of block tags and comments that are alone on it
+ */
+function stripStandalone(tokens) {
+  const structural = token => ['open', 'close', 'else', 'comment'].includes(token.type);
+
+  // Decide on the original text first: a text token can sit between two standalone tags
+  const standalone = tokens.map((token, index) => {
+    if (!structural(token)) {return false;}
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+
+    const lineStart = before === undefined || (before.type === 'text' &&
+      (/\n[ \t]*$/.test(before.value) || (index === 1 && /^[ \t]*$/.test(before.value))));
+    const lineEnd = after === undefined || (after.type === 'text' &&
+      (/^[ \t]*\r?\n/.test(after.value) || (index === tokens.length - 2 && /^[ \t]*$/.test(after.value))));
+    return lineStart && lineEnd;
+  });
+
+  standalone.forEach((strip, index) => {
+    if (!strip) {return;}
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    if (before?.type === 'text') {before.value = before.value.replace(/[ \t]*$/, '');}
+    if (after?.type === 'text') {after.value = after.value.replace(/^[ \t]*(\r?\n)?/, '');}
+  });
+
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser: nested blocks
+// ---------------------------------------------------------------------------
+
+function parse(tokens, name) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const target = current.inverse || current.children;
+
+    switch (token.type) {
+    case 'text':
+      target.push({ type: 'text', value: token.value });
+      break;
+    case 'comment':
+      break;
+    case 'variable':
+      target.push({ type: 'variable', expression: parseExpression(token.expression, name, token.line) });
+      break;
+    case 'open': {
+      if (!['if', 'unless', 'each'].includes(token.block)) {
+        throw new Error(`Unknown block {{#${token.block}}} in ${name} at line ${token.line}`);
+      }
+      const block = { type: 'block', block: token.block, expression: parseExpression(token.expression, name, token.line), children: [], inverse: null, line: token.line };
+      target.push(block);
+      stack.push(block);
+      break;
+    }
+    case 'else':
+      if (stack.length === 1 || current.inverse) {
+        throw new Error(`Unexpected {{else}} in ${name} at line ${token.line}`);
+      }
+      current.inverse = [];
+      if (token.expression) {
+        // {{else if expr}} opens a block in the inverse that the outer block's close tag ends
+        const [, block, expression] = token.expression.match(/^(if|unless)\s+([\s\S]+)$/) || [];
+        if (!block) {
+          throw new Error(`Unexpected {{else ${token.expression}}} in ${name} at line ${token.line}`);
+        }
+        const chained = { type: 'block', block, expression: parseExpression(expression, name, token.line), children: [], inverse: null, line: token.line, chained: true };
+        current.inverse.push(chained);
+        stack.push(chained);
+      }
+      break;
+    case 'close': {
+      while (stack.length > 1 && stack[stack.length - 1].chained) {stack.pop();}
+      if (stack.length === 1 || stack[stack.length - 1].block !== token.block) {
+        throw new Error(`Unexpected {{/${token.block}}} in ${name} at line ${token.line}`);
+      }
+      stack.pop();
+      break;
+    }
+    default:
+      break;
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Unclosed {{#${open.block}}} in ${name} at line ${open.line}`);
+  }
+  return root.children;
+}
+
+/**
+ * Expression AST: a path, a literal, or a helper call with arguments and hash arguments
+ */
+function parseExpression(text, name, line = 1) {
+  const tokens = text.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[()]|[^\s()]+=|[^\s()]+/g) || [];
+  let index = 0;
+
+  const parseValue = () => {
+    const token = tokens[index++];
+    if (token === undefined) {throw new Error(`Incomplete expression "${text}" in ${name} at line ${line}`);}
+    if (token === '(') {
+      const call = parseCall(')');
+      index++;
+      return call;
+    }
+    if (/^["']/.test(token)) {return { type: 'literal', value: token.slice(1, -1).replace(/\\(["'\\])/g, '$1').replace(/\\n/g, '\n') };}
+    if (/^-?\d+(\.\d+)?$/.test(token)) {return { type: 'literal', value: Number(token) };}
+    if (token === 'true' || token === 'false') {return { type: 'literal', value: token === 'true' };}
+    if (token === 'null' || token === 'undefined') {return { type: 'literal', value: null };}
+    return { type: 'path', path: token };
+  };
+
+  const parseCall = (terminator) => {
+    const head = parseValue();
+    const args = [];
+    const hash = {};
+    while (index < tokens.length && tokens[index] !== terminator) {
+      if (tokens[index].endsWith('=')) {
+        const key = tokens[index++].slice(0, -1);
+        hash[key] = parseValue();
+      } else {
+        args.push(parseValue());
+      }
+    }
+    if (terminator === ')' && tokens[index] !== ')') {
+      throw new Error(`Missing ) in "${text}" in ${name} at line ${line}`);
+    }
+    if (args.length === 0 && Object.keys(hash).length === 0) {return head;}
+    return { type: 'call', head, args, hash };
+  };
+
+  if (tokens.length === 0) {throw new Error(`Empty expression in ${name} at line ${line}`);}
+  const expression = parseCall(undefined);
+  return expression;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function renderNodes(nodes, scope) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = evaluate(node.expression, scope);
+      output += value === undefined || value === null || value === false ? '' : String(value);
+    } else {
+      output += renderBlock(node, scope);
+    }
+  }
+  return output;
+}
+
+function renderBlock(node, scope) {
+  const value = evaluate(node.expression, scope);
+
+  if (node.block === 'each') {
+    const items = Array.isArray(value) ? value : value && typeof value === 'object' ? Object.values(value) : [];
+    if (items.length === 0) {return node.inverse ? renderNodes(node.inverse, scope) : '';}
+    return items.map((item, index) => renderNodes(node.children, {
+      ...scope,
+      context: item,
+      data: { index, first: index === 0, last: index === items.length - 1 }
+    })).join('');
+  }
+
+  const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  const show = node.block === 'if' ? truthy : !truthy;
+  if (show) {return renderNodes(node.children, scope);}
+  return node.inverse ? renderNodes(node.inverse, scope) : '';
+}
+
+function evaluate(expression, scope) {
+  switch (expression.type) {
+  case 'literal':
+    return expression.value;
+  case 'path':
+    // A bare helper name calls the helper without arguments
+    if (scope.helpers[expression.path] && lookup(expression.path, scope) === undefined) {
+      return scope.helpers[expression.path]({ hash: {}, context: scope.context, root: scope.root });
+    }
+    return lookup(expression.path, scope);
+  case 'call': {
+    const helperName = expression.head.path;
+    const helper = scope.helpers[helperName];
+    if (!helper) {
+      throw new Error(`Unknown helper "${helperName}" in ${scope.name}`);
+    }
+    const args = expression.args.map(arg => evaluate(arg, scope));
+    const hash = Object.fromEntries(Object.entries(expression.hash).map(([key, value]) => [key, evaluate(value, scope)]));
+    return helper(...args, { hash, context: scope.context, root: scope.root });
+  }
+  default:
+    return undefined;
+  }
+}
+
+function lookup(pathText, scope) {
+  if (pathText === 'this' || pathText === '.') {return scope.context;}
+  if (pathText.startsWith('@root.')) {return get(scope.root, pathText.slice(6));}
+  if (pathText.startsWith('@')) {return scope.data[pathText.slice(1)];}
+
+  const path = pathText.startsWith('this.') ? pathText.slice(5) : pathText;
+  const local = get(scope.context, path);
+  // Inside #each, names that are not on the item come from the template's variables
+  return local !== undefined || scope.context === scope.root ? local : get(scope.root, path);
+}
+
+function get(object, pathText) {
+  return pathText.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
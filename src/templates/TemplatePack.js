@@ -0,0 +1,362 @@
+/**
+ * Template Packs
+ *
+ * A template pack is a directory with a `template-pack.json` manifest and template files:
+ *
+ *   {
+ *     "name": "house",
+ *     "description": "Acme house templates",
+ *     "extends": "default",
+ *     "variables": { "company": "Acme" },
+ *     "templates": {
+ *       "component": [
+ *         { "source": "component.tsx.hbs", "target": "{{sourceFile}}", "when": "eq framework \"react\"" }
+ *       ]
+ *     }
+ *   }
+ *
+ * Each template set (init, fix, component, …) lists files. `target` is itself a template and
+ * `when` an expression; files whose `when` is false or whose target renders empty are left out.
+ * The first file rendered to a target wins, so a pack that `extends` another replaces the files
+ * it lists and inherits the rest.
+ *
+ * Packs are referenced by path, or by name from the project's `.codefortify/templates/<name>`
+ * and then the packs shipped in CodeFortify's `templates/<name>`.
+ */
+
+import fs from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema } from '../config/configSchema.js';
+import { loadProjectConfig, resolveTemplatesConfig } from '../config/configLoader.js';
+import { renderTemplate, evaluateExpression } from './TemplateEngine.js';
+
+export const TEMPLATE_PACK_MANIFEST = 'template-pack.json';
+export const DEFAULT_TEMPLATE_PACK = 'default';
+export const PROJECT_TEMPLATES_DIR = '.codefortify/templates';
+export const PACKAGE_TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../templates');
+
+// How `codefortify init` treats an existing file: never replace it, replace it with --force,
+// or ask (replaced without asking with --force or --auto)
+export const OVERWRITE_POLICIES = ['never', 'force', 'ask'];
+
+const ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    source: { type: 'string' },
+    target: { type: 'string' },
+    when: { type: 'string' },
+    overwrite: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    extends: { type: 'string' },
+    variables: { type: 'object' },
+    templates: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+export class TemplatePack {
+  /**
+   * @param {Object} options - Loaded pack
+   * @param {string} options.dir - Pack directory
+   * @param {Object} options.manifest - Validated manifest
+   * @param {TemplatePack|null} [options.parent] - Pack named by `extends`
+   */
+  constructor({ dir, manifest, parent = null }) {
+    this.dir = dir;
+    this.name = manifest.name;
+    this.description = manifest.description || '';
+    this.templates = manifest.templates || {};
+    this.parent = parent;
+    this.variables = { ...parent?.variables, ...manifest.variables };
+  }
+
+  /**
+   * Find and load a pack
+   * @param {string} [reference='default'] - Pack name, or a path to the pack directory
+   * @param {Object} [options] - Lookup options
+   * @param {string} [options.projectRoot=process.cwd()] - Project root, for relative paths and project packs
+   * @param {string} [options.packageTemplatesDir] - Directory of the packs shipped with CodeFortify
+   * @returns {Promise<TemplatePack>} Pack with its `extends` chain loaded
+   * @throws {Error} When no pack matches or a manifest is invalid
+   */
+  static async resolve(reference = DEFAULT_TEMPLATE_PACK, options = {}) {
+    return TemplatePack.load(TemplatePack.locate(reference, options), options);
+  }
+
+  /**
+   * Directory of a pack reference, without loading it
+   * @param {string} reference - Pack name or path
+   * @param {Object} [options] - Same as resolve(), plus `exclude`: a directory to skip, so a
+   *   project pack can extend the built-in pack of the same name
+   * @returns {string} Pack directory
+   * @throws {Error} Listing the directories that were searched
+   */
+  static locate(reference, { projectRoot = process.cwd(), packageTemplatesDir = PACKAGE_TEMPLATES_DIR, exclude = null } = {}) {
+    const isPath = /[\\/]/.test(reference) || reference.startsWith('.');
+    const candidates = isPath
+      ? [path.resolve(projectRoot, reference)]
+      : [path.join(projectRoot, PROJECT_TEMPLATES_DIR, reference), path.join(packageTemplatesDir, reference)];
+
+    const dir = candidates.find(candidate => candidate !== exclude && existsSync(path.join(candidate, TEMPLATE_PACK_MANIFEST)));
+    if (!dir) {
+      throw new Error(`Template pack "${reference}" not found. Looked for ${TEMPLATE_PACK_MANIFEST} in: ${candidates.filter(candidate => candidate !== exclude).join(', ')}`);
+    }
+    return dir;
+  }
+
+  /**
+   * Load the pack in a directory
+   * @param {string} dir - Pack directory
+   * @param {Object} [options] - Lookup options for `extends`, as for resolve()
+   * @returns {Promise<TemplatePack>} Pack
+   * @throws {Error} For missing or invalid manifests and `extends` cycles
+   */
+  static async load(dir, options = {}) {
+    return TemplatePack.loadSync(dir, options);
+  }
+
+  /**
+   * Load the pack in a directory synchronously; manifests are small JSON files
+   * @param {string} dir - Pack directory
+   * @param {Object} [options] - Lookup options for `extends`, as for resolve()
+   * @returns {TemplatePack} Pack
+   * @throws {Error} For missing or invalid manifests and `extends` cycles
+   */
+  static loadSync(dir, options = {}, chain = []) {
+    const manifestPath = path.join(dir, TEMPLATE_PACK_MANIFEST);
+    let manifest;
+    try {
+      manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read template pack manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+      throw new Error(`Invalid template pack manifest ${manifestPath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    let parent = null;
+    if (manifest.extends) {
+      const parentDir = TemplatePack.locate(manifest.extends, { ...options, exclude: dir });
+      if ([dir, ...chain].includes(parentDir)) {
+        throw new Error(`Template pack "${manifest.name}" extends itself through "${manifest.extends}"`);
+      }
+      parent = TemplatePack.loadSync(parentDir, options, [dir, ...chain]);
+    }
+
+    return new TemplatePack({ dir, manifest, parent });
+  }
+
+  /**
+   * Names of the template sets of this pack and the packs it extends
+   * @returns {string[]} Set names
+   */
+  get sets() {
+    return [...new Set([...Object.keys(this.templates), ...(this.parent?.sets || [])])];
+  }
+
+  /**
+   * Whether this pack or a pack it extends has a template set
+   * @param {string} set - Set name
+   * @returns {boolean} True when the set exists
+   */
+  has(set) {
+    return this.sets.includes(set);
+  }
+
+  /**
+   * Render the files of a template set
+   * @param {string} set - Set name, e.g. init or component
+   * @param {Object} context - Variables, on top of the pack's `variables`
+   * @param {Object} [options] - Render options
+   * @param {Object<string, Function>} [options.helpers] - Extra template helpers
+   * @returns {Promise<Array<{target: string, content: string, source: string, overwrite: string}>>}
+   *   Files in manifest order, child pack first
+   * @throws {Error} For unreadable template files, template syntax errors and targets outside
+   *   the project, naming the file
+   */
+  async render(set, context, { helpers = {} } = {}) {
+    const files = [];
+    for (const { pack, entry, variables, name, ...file } of this.planFiles(set, context, helpers)) {
+      files.push({ ...file, content: renderTemplate(await pack.readSource(entry.source), variables, { helpers, name }) });
+    }
+    return files;
+  }
+
+  /**
+   * Render the files of a template set synchronously, for callers that cannot await
+   * @param {string} set - Set name
+   * @param {Object} context - Variables
+   * @param {Object} [options] - Render options, as for render()
+   * @returns {Array<{target: string, content: string, source: string, overwrite: string}>} Files, as for render()
+   * @throws {Error} As render()
+   */
+  renderSync(set, context, { helpers = {} } = {}) {
+    return this.planFiles(set, context, helpers).map(({ pack, entry, variables, name, ...file }) => (
+      { ...file, content: renderTemplate(pack.readSourceSync(entry.source), variables, { helpers, name }) }
+    ));
+  }
+
+  /**
+   * Entries of a template set that apply to the context, with their rendered targets
+   */
+  planFiles(set, context, helpers) {
+    const variables = { ...this.variables, ...context };
+    const files = [];
+    const targets = new Set();
+
+    for (let pack = this; pack; pack = pack.parent) {
+      for (const entry of pack.templates[set] || []) {
+        const name = `${pack.name}/${entry.source}`;
+        if (entry.when && !evaluateExpression(entry.when, variables, { helpers, name: `when of ${name}` })) {continue;}
+
+        const target = renderTemplate(entry.target, variables, { helpers, name: `target of ${name}` }).trim();
+        if (!target || targets.has(target)) {continue;}
+        // Targets are joined to the project root by every caller, so they must stay inside it
+        const normalized = path.normalize(target);
+        if (path.isAbsolute(target) || normalized === '..' || normalized.startsWith(`..${path.sep}`)) {
+          throw new Error(`Template ${name} targets ${target}, outside the project directory`);
+        }
+        targets.add(target);
+
+        files.push({
+          pack,
+          entry,
+          variables,
+          name,
+          target,
+          source: path.join(pack.dir, entry.source),
+          overwrite: entry.overwrite || 'never'
+        });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Render the file of a template set that targets one path
+   * @param {string} set - Set name
+   * @param {string} target - Rendered target path
+   * @param {Object} context - Variables
+   * @param {Object} [options] - Render options, as for render()
+   * @returns {Promise<string|null>} Content, or null when no file of the set targets the path
+   */
+  async renderFile(set, target, context, options) {
+    const file = (await this.render(set, context, options)).find(candidate => candidate.target === target);
+    return file ? file.content : null;
+  }
+
+  async readSource(source) {
+    const file = this.sourcePath(source);
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (error) {
+      throw this.unreadable(source, error);
+    }
+  }
+
+  readSourceSync(source) {
+    const file = this.sourcePath(source);
+    try {
+      return readFileSync(file, 'utf8');
+    } catch (error) {
+      throw this.unreadable(source, error);
+    }
+  }
+
+  sourcePath(source) {
+    const file = path.resolve(this.dir, source);
+    if (path.relative(this.dir, file).startsWith('..')) {
+      throw new Error(`Template ${source} of pack "${this.name}" is outside the pack directory`);
+    }
+    return file;
+  }
+
+  unreadable(source, error) {
+    return new Error(`Cannot read template ${source} of pack "${this.name}": ${error.message}`);
+  }
+
+  /**
+   * Packs available to a project: its own packs, then the built-in ones
+   * @param {Object} [options] - Lookup options, as for resolve()
+   * @returns {Promise<Array<{pack: TemplatePack|null, origin: 'project'|'built-in', dir: string, error?: string}>>}
+   *   Packs; invalid ones carry the error instead
+   */
+  static async list({ projectRoot = process.cwd(), packageTemplatesDir = PACKAGE_TEMPLATES_DIR } = {}) {
+    const found = [];
+    const origins = [[path.join(projectRoot, PROJECT_TEMPLATES_DIR), 'project'], [packageTemplatesDir, 'built-in']];
+
+    for (const [root, origin] of origins) {
+      const entries = await fs.readdir(root, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries.filter(item => item.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        const dir = path.join(root, entry.name);
+        if (!existsSync(path.join(dir, TEMPLATE_PACK_MANIFEST))) {continue;}
+        try {
+          found.push({ pack: await TemplatePack.load(dir, { projectRoot, packageTemplatesDir }), origin, dir });
+        } catch (error) {
+          found.push({ pack: null, origin, dir, error: error.message });
+        }
+      }
+    }
+
+    return found;
+  }
+}
+
+/**
+ * Check a template pack manifest
+ * @param {Object} manifest - Parsed template-pack.json
+ * @returns {string[]} Error messages; empty when the manifest is valid
+ */
+export function validateManifest(manifest) {
+  const errors = validateSchema(manifest, MANIFEST_SCHEMA, 'manifest');
+  if (errors.length > 0) {return errors;}
+  if (!manifest.name) {errors.push('manifest.name is required');}
+
+  for (const [set, entries] of Object.entries(manifest.templates || {})) {
+    const location = `manifest.templates.${set}`;
+    const entryErrors = validateSchema(entries, { type: 'array', items: ENTRY_SCHEMA }, location);
+    errors.push(...entryErrors);
+    if (entryErrors.length > 0) {continue;}
+
+    entries.forEach((entry, index) => {
+      for (const key of ['source', 'target']) {
+        if (!entry[key]) {errors.push(`${location}[${index}].${key} is required`);}
+      }
+      if (entry.overwrite && !OVERWRITE_POLICIES.includes(entry.overwrite)) {
+        errors.push(`${location}[${index}].overwrite must be one of ${OVERWRITE_POLICIES.join(', ')}, got "${entry.overwrite}"`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * The template pack and variables a project uses: the pack passed on the command line, else
+ * `templates.pack` from codefortify.config.js, else `default`
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} [options] - Options
+ * @param {string} [options.pack] - Pack name or path that overrides the config
+ * @param {string} [options.packageTemplatesDir] - Directory of the packs shipped with CodeFortify
+ * @returns {Promise<{pack: TemplatePack, variables: Object}>} Loaded pack and `templates.variables`
+ * @throws {Error} For invalid configuration, unknown packs and invalid manifests
+ */
+export async function resolveProjectTemplates(projectRoot, { pack, packageTemplatesDir } = {}) {
+  const templates = resolveTemplatesConfig((await loadProjectConfig(projectRoot)).templates);
+  return {
+    pack: await TemplatePack.resolve(pack || templates.pack || DEFAULT_TEMPLATE_PACK, { projectRoot, packageTemplatesDir }),
+    variables: templates.variables || {}
+  };
+}
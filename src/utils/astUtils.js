@@ -0,0 +1,165 @@
+/**
+ * AST utility functions for source code analysis
+ */
+
+import path from 'path';
+import { parse } from '@babel/parser';
+
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.mts', '.cts'];
+const TSX_EXTENSIONS = ['.tsx'];
+
+const SKIPPED_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+export const FUNCTION_NODE_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+
+/**
+ * Get the Babel parser plugins for a file based on its extension
+ * @param {string} filePath - File path used to pick the syntax
+ * @returns {string[]} Parser plugin names
+ */
+export function getParserPlugins(filePath = '') {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (TYPESCRIPT_EXTENSIONS.includes(ext)) {
+    return ['typescript', 'decorators-legacy'];
+  }
+  if (TSX_EXTENSIONS.includes(ext)) {
+    return ['typescript', 'jsx', 'decorators-legacy'];
+  }
+  return ['jsx', 'decorators-legacy'];
+}
+
+/**
+ * Parse JavaScript/TypeScript source into a Babel AST
+ * @param {string} content - Source code
+ * @param {string} [filePath] - File path used to pick the syntax
+ * @returns {Object} Babel File node
+ * @throws {SyntaxError} When the source cannot be parsed
+ */
+export function parseSource(content, filePath = '') {
+  return parse(content, {
+    sourceType: 'unambiguous',
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    errorRecovery: true,
+    plugins: getParserPlugins(filePath)
+  });
+}
+
+/**
+ * Check whether a node is a function-like node
+ * @param {Object} node - AST node
+ * @returns {boolean} True for functions, arrows and methods
+ */
+export function isFunctionNode(node) {
+  return Boolean(node) && FUNCTION_NODE_TYPES.has(node.type);
+}
+
+/**
+ * Get the child nodes of an AST node in source order
+ * @param {Object} node - AST node
+ * @returns {Object[]} Child nodes
+ */
+export function getChildNodes(node) {
+  const children = [];
+
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) {continue;}
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (item && typeof item.type === 'string') {children.push(item);}
+      });
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  }
+
+  return children;
+}
+
+/**
+ * Walk an AST depth-first, calling the visitor for every node
+ *
+ * Returning false from the visitor skips that node's children.
+ *
+ * @param {Object} node - Root node
+ * @param {Function} visitor - Called as visitor(node, parent)
+ * @param {Object} [parent=null] - Parent of the root node
+ */
+export function walkAST(node, visitor, parent = null) {
+  if (!node || typeof node.type !== 'string') {return;}
+
+  if (visitor(node, parent) === false) {return;}
+
+  for (const child of getChildNodes(node)) {
+    walkAST(child, visitor, node);
+  }
+}
+
+/**
+ * Resolve a readable name for a function node
+ * @param {Object} node - Function node
+ * @param {Object} [parent] - Parent node
+ * @param {string} [className] - Enclosing class name, if any
+ * @returns {string} Function name or '<anonymous>'
+ */
+export function getFunctionName(node, parent = null, className = null) {
+  const withClass = (name) => (className ? `${className}.${name}` : name);
+
+  if (node.id?.name) {
+    return node.id.name;
+  }
+
+  if (['ClassMethod', 'ClassPrivateMethod', 'ObjectMethod'].includes(node.type)) {
+    return withClass(getKeyName(node.key));
+  }
+
+  if (parent) {
+    switch (parent.type) {
+    case 'VariableDeclarator':
+      return parent.id?.name || '<anonymous>';
+    case 'ObjectProperty':
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+      return withClass(getKeyName(parent.key));
+    case 'AssignmentExpression':
+      return getMemberName(parent.left);
+    case 'AssignmentPattern':
+      return parent.left?.name || '<anonymous>';
+    default:
+      break;
+    }
+  }
+
+  return '<anonymous>';
+}
+
+function getKeyName(key) {
+  if (!key) {return '<anonymous>';}
+  if (key.type === 'Identifier') {return key.name;}
+  if (key.type === 'PrivateName') {return `#${key.id.name}`;}
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') {return String(key.value);}
+  return '<computed>';
+}
+
+function getMemberName(node) {
+  if (!node) {return '<anonymous>';}
+  if (node.type === 'Identifier') {return node.name;}
+  if (node.type === 'MemberExpression') {
+    return `${getMemberName(node.object)}.${getKeyName(node.property)}`;
+  }
+  if (node.type === 'ThisExpression') {return 'this';}
+  return '<anonymous>';
+}
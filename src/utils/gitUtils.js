@@ -0,0 +1,72 @@
+/**
+ * Git utility functions for diff-aware analysis
+ */
+
+import { execFile, execFileSync } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run a git command in the project root
+ * @param {string} projectRoot - Working directory
+ * @param {string[]} args - git arguments
+ * @param {Object} [options] - Exec options
+ * @param {number} [options.maxBuffer=16MB] - Largest stdout accepted, raise it for patches
+ * @returns {string} Trimmed stdout
+ */
+export function runGit(projectRoot, args, { maxBuffer = 16 * 1024 * 1024 } = {}) {
+  return execFileSync('git', args, {
+    cwd: projectRoot,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer
+  }).trim();
+}
+
+/**
+ * Run a git command in the project root without blocking the event loop
+ * @param {string} projectRoot - Working directory
+ * @param {string[]} args - git arguments
+ * @param {Object} [options] - Exec options
+ * @param {number} [options.maxBuffer=16MB] - Largest stdout accepted; git is killed past it
+ * @returns {Promise<string>} Trimmed stdout
+ */
+export async function runGitAsync(projectRoot, args, { maxBuffer = 16 * 1024 * 1024 } = {}) {
+  const { stdout } = await execFileAsync('git', args, { cwd: projectRoot, encoding: 'utf8', maxBuffer });
+  return stdout.trim();
+}
+
+const toLines = output => output.split('\n').map(line => line.trim()).filter(Boolean);
+
+/**
+ * Files changed since a git ref, or staged for commit
+ *
+ * `since` compares the working tree (committed, staged and unstaged changes plus untracked
+ * files) with the merge base of the ref and HEAD, which matches what a pull request changes.
+ * Deleted files are excluded. Paths are relative to the project root.
+ *
+ * @param {string} projectRoot - Project root inside a git work tree
+ * @param {Object} options - Diff options
+ * @param {string} [options.since] - Git ref to diff against, e.g. origin/main
+ * @param {boolean} [options.staged] - Only files staged in the index
+ * @returns {{mode: string, ref: string|null, files: string[]}} Diff scope
+ * @throws {Error} When git is unavailable or the ref cannot be resolved
+ */
+export function getChangedFiles(projectRoot, { since = null, staged = false } = {}) {
+  try {
+    if (staged) {
+      const files = toLines(runGit(projectRoot, ['diff', '--cached', '--name-only', '--relative', '--diff-filter=ACMR']));
+      return { mode: 'staged', ref: null, files: [...new Set(files)].sort() };
+    }
+
+    const mergeBase = runGit(projectRoot, ['merge-base', since, 'HEAD']);
+    const changed = toLines(runGit(projectRoot, ['diff', '--name-only', '--relative', '--diff-filter=ACMR', mergeBase]));
+    const untracked = toLines(runGit(projectRoot, ['ls-files', '--others', '--exclude-standard']));
+
+    return { mode: 'since', ref: since, files: [...new Set([...changed, ...untracked])].sort() };
+  } catch (error) {
+    const detail = error.stderr?.toString().trim() || error.message;
+    throw new Error(`Cannot determine changed files${since ? ` since ${since}` : ''}: ${detail}`);
+  }
+}
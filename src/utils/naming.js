@@ -0,0 +1,36 @@
+/**
+ * Name style utilities shared by the scaffold generator and the template helpers
+ */
+
+/**
+ * Words of a name in any style: "user-profile", "userProfile", "User Profile" -> [user, profile].
+ * Runs of capitals are one word: "HTTPServer" -> [http, server]
+ * @param {string} name - Name
+ * @returns {string[]} Lowercase words
+ */
+export function splitWords(name) {
+  return String(name ?? '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Join words in a naming style
+ * @param {string[]} words - Lowercase words
+ * @param {'PascalCase'|'camelCase'|'kebab-case'} style - Naming style
+ * @returns {string} Name
+ */
+export function formatName(words, style) {
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+  switch (style) {
+  case 'kebab-case':
+    return words.join('-');
+  case 'camelCase':
+    return words.map((word, index) => (index === 0 ? word : capitalize(word))).join('');
+  default:
+    return words.map(capitalize).join('');
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Line diff utilities for previewing file changes
+ */
+
+/**
+ * Unified diff of two texts, like `diff -u`
+ * @param {string|null} before - Current content, null when the file does not exist
+ * @param {string|null} after - New content, null when the file is removed
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.file='file'] - Path shown in the --- / +++ headers
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} Unified diff, empty when the texts are equal
+ */
+export function unifiedDiff(before, after, { file = 'file', context = 3 } = {}) {
+  if (before === after) {return '';}
+
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  const edits = diffLines(oldLines, newLines);
+
+  const lines = [
+    `--- ${before === null ? '/dev/null' : `a/${file}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${file}`}`
+  ];
+
+  for (const hunk of groupHunks(edits, context)) {
+    const oldStart = hunk[0].oldIndex;
+    const newStart = hunk[0].newIndex;
+    const oldCount = hunk.filter(edit => edit.type !== '+').length;
+    const newCount = hunk.filter(edit => edit.type !== '-').length;
+
+    lines.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`);
+    hunk.forEach(edit => lines.push(`${edit.type}${edit.line}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function splitLines(text) {
+  if (!text) {return [];}
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {lines.pop();}
+  return lines;
+}
+
+function range(start, count) {
+  // Hunk ranges are 1-based; an empty range names the line before it
+  return `${count === 0 ? start : start + 1},${count}`;
+}
+
+/**
+ * Line edits from the longest common subsequence of both texts
+ * @returns {Array<{type: ' '|'-'|'+', line: string, oldIndex: number, newIndex: number}>} Edits in order
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && oldLines[i] === newLines[j]) {
+      edits.push({ type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+    } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      edits.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+    } else {
+      edits.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+  return edits;
+}
+
+/**
+ * Split edits into hunks of changes with `context` unchanged lines around them
+ */
+function groupHunks(edits, context) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') {return;}
+
+    const start = Math.max(0, index - context);
+    if (current && start <= lastChange + context + 1) {
+      current.end = index;
+    } else {
+      current = { start, end: index };
+      hunks.push(current);
+    }
+    lastChange = index;
+  });
+
+  return hunks.map(hunk => edits.slice(hunk.start, Math.min(edits.length, hunk.end + context + 1)));
+}
@@ -5,96 +5,61 @@
  *
  * This validates that projects comply with CodeFortify standards
  * for security, quality, and best practices across project types.
+ * The checks are the declarative rules of a validation profile (see ValidationRules.js).
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { resolveValidationRules, ruleApplies, ruleRemediation, DEFAULT_PROFILE } from './ValidationRules.js';
 
 export class CodeFortifyValidator {
+  /**
+   * @param {Object} [config] - Validator settings
+   * @param {string} [config.projectRoot] - Project root directory
+   * @param {string} [config.projectType='javascript'] - Project type, for project-type rules
+   * @param {string} [config.profile] - Rule profile: minimal, standard or strict
+   * @param {boolean} [config.strictMode=false] - Use the strict profile when no profile is given
+   * @param {Object<string, string|Object>} [config.rules] - Rule overrides by id (`validation.rules`)
+   * @param {boolean} [config.mcpEnabled=true] - Apply the MCP server rules
+   * @param {boolean} [config.agentOsEnabled=false] - Apply the Agent OS documentation rules (always on in strict)
+   * @param {Function} [config.log=console.log] - Progress and report output, e.g. console.error to keep stdout for a machine-readable report
+   */
   constructor(config = {}) {
     this.config = {
       projectRoot: config.projectRoot || process.cwd(),
       projectType: config.projectType || 'javascript',
-      strictMode: config.strictMode ?? true,
+      strictMode: config.strictMode ?? false,
       agentOsEnabled: false, // Disabled for this project
       ...config
     };
 
+    this.log = this.config.log || console.log;
     this.validationResults = [];
     this.setupValidationRules();
   }
 
   setupValidationRules() {
-    // Base required files for all projects
-    this.requiredFiles = [
-      'AGENTS.md',
-      'CLAUDE.md'
-    ];
-
-    // Add Agent OS files if they should exist (disabled by default)
-    if (this.config.agentOsEnabled === true) {
-      this.requiredFiles.push(
-        '.agent-os/config.yml',
-        '.agent-os/instructions/ai-development.md',
-        '.agent-os/standards/context7-standards.md',
-        '.agent-os/standards/tech-stack.md',
-        '.agent-os/product/mission.md',
-        '.agent-os/product/roadmap.md'
-      );
-    }
-
-    // Add MCP server file if MCP is enabled
-    if (this.config.mcpEnabled !== false) {
-      this.requiredFiles.push('src/mcp-server.js');
-    }
-
-    // Base required directories
-    this.requiredDirectories = [
-      '.agent-os',
-      'src'
-    ];
-
-    // Add project-type specific requirements
-    this.addProjectTypeRequirements();
-  }
-
-  addProjectTypeRequirements() {
-    switch (this.config.projectType) {
-    case 'react-webapp':
-    case 'vue-webapp':
-    case 'svelte-webapp':
-      this.requiredDirectories.push('examples');
-      if (this.config.agentOsEnabled !== false) {
-        this.requiredDirectories.push(
-          '.agent-os/instructions',
-          '.agent-os/standards',
-          '.agent-os/product'
-        );
-      }
-      break;
-
-    case 'node-api':
-      this.requiredDirectories.push('tests');
-      break;
-
-    default:
-      // JavaScript project defaults
-      break;
-    }
+    const profile = this.config.profile || (this.config.strictMode ? 'strict' : DEFAULT_PROFILE);
+    const { rules, ...settings } = resolveValidationRules(profile, this.config.rules);
+
+    this.profile = settings;
+    const context = {
+      projectType: this.config.projectType,
+      mcp: this.config.mcpEnabled !== false,
+      agentOs: settings.agentOs || this.config.agentOsEnabled === true
+    };
+    this.rules = rules.filter(rule => ruleApplies(rule, context));
   }
 
   async runValidation() {
-    console.log('🚀 Starting Context7 Validation');
-    console.log(`Project: ${this.config.projectRoot}`);
-    console.log(`Type: ${this.config.projectType}`);
-    console.log('=' .repeat(60));
+    this.log('🚀 Starting Context7 Validation');
+    this.log(`Project: ${this.config.projectRoot}`);
+    this.log(`Type: ${this.config.projectType}`);
+    this.log(`Profile: ${this.profile.profile} (${this.rules.length} rules)`);
+    this.log('=' .repeat(60));
 
     try {
-      await this.validateFileStructure();
-      await this.validateAgentOSConfig();
-      await this.validateMCPServer();
-      await this.validatePackageJson();
-      await this.validateDocumentation();
+      await this.validateRules();
       await this.validateProjectSpecificFiles();
 
       const report = this.generateReport();
@@ -102,7 +67,9 @@ export class CodeFortifyValidator {
       // Return success/failure
       return {
         success: report.failedTests === 0,
-        report
+        profile: this.profile.profile,
+        report,
+        results: this.validationResults
       };
 
     } catch (error) {
@@ -114,260 +81,121 @@ export class CodeFortifyValidator {
     }
   }
 
-  async validateFileStructure() {
-    console.log('🔍 Validating Context7 file structure...');
+  async validateRules() {
+    this.log('🔍 Validating Context7 rules...');
 
-    // Check required directories
-    for (const dir of this.requiredDirectories) {
-      const dirPath = path.join(this.config.projectRoot, dir);
-      try {
-        const stat = await fs.stat(dirPath);
-        if (stat.isDirectory()) {
-          this.addResult('Directory Structure', dir, 'PASS', 'Directory exists');
-        } else {
-          this.addResult('Directory Structure', dir, 'FAIL', 'Path exists but is not a directory');
-        }
-      } catch (error) {
-        this.addResult('Directory Structure', dir, 'FAIL', 'Directory does not exist');
-      }
+    this.fileCache = new Map();
+    this.reportedUnreadable = new Set();
+    for (const rule of this.rules) {
+      await this.checkRule(rule);
     }
+  }
 
-    // Check required files
-    for (const file of this.requiredFiles) {
-      const filePath = path.join(this.config.projectRoot, file);
-      try {
-        const stat = await fs.stat(filePath);
-        if (stat.isFile()) {
-          const size = stat.size;
-          this.addResult('Required Files', file, 'PASS', `File exists (${size} bytes)`);
-        } else {
-          this.addResult('Required Files', file, 'FAIL', 'Path exists but is not a file');
-        }
-      } catch (error) {
-        this.addResult('Required Files', file, 'FAIL', 'File does not exist');
-      }
+  async checkRule(rule) {
+    switch (rule.type) {
+    case 'directory':
+      return this.checkPath(rule, stat => stat.isDirectory(), 'Directory exists', 'Path exists but is not a directory', 'Directory does not exist');
+    case 'file':
+      return this.checkPath(rule, stat => stat.isFile(), stat => `File exists (${stat.size} bytes)`, 'Path exists but is not a file', 'File does not exist');
+    case 'content':
+      return this.checkContent(rule);
+    case 'script':
+      return this.checkScripts(rule);
+    case 'dependency':
+      return this.checkDependency(rule);
+    default:
+      throw new Error(`Unknown validation rule type: ${rule.type}`);
     }
   }
 
-  async validateAgentOSConfig() {
-    console.log('🔍 Validating Agent OS configuration...');
-
+  async checkPath(rule, isExpected, passDetails, wrongTypeDetails, missingDetails) {
+    const item = rule.item || rule.path;
     try {
-      const configPath = path.join(this.config.projectRoot, '.agent-os/config.yml');
-      const configContent = await fs.readFile(configPath, 'utf-8');
-
-      // Check for required configuration sections
-      const requiredSections = [
-        'agent_os_version',
-        'agents:'
-      ];
-
-      // Add MCP sections if MCP should be enabled
-      if (this.config.mcpEnabled !== false) {
-        requiredSections.push('mcp:', 'context7:');
-      }
-
-      for (const section of requiredSections) {
-        if (configContent.includes(section)) {
-          this.addResult('Agent OS Config', section, 'PASS', 'Section present');
-        } else {
-          this.addResult('Agent OS Config', section, 'FAIL', 'Section missing');
-        }
-      }
-
-      // Check MCP configuration if enabled
-      if (this.config.mcpEnabled !== false) {
-        if (configContent.includes('mcp:') && configContent.includes('enabled: true')) {
-          this.addResult('MCP Configuration', 'MCP Enabled', 'PASS', 'MCP is enabled');
-        } else {
-          this.addResult('MCP Configuration', 'MCP Enabled', 'FAIL', 'MCP is not enabled');
-        }
-
-        if (configContent.includes('context7:') && configContent.includes('enabled: true')) {
-          this.addResult('Context7 Configuration', 'Context7 Enabled', 'PASS', 'Context7 is enabled');
-        } else {
-          this.addResult('Context7 Configuration', 'Context7 Enabled', 'FAIL', 'Context7 is not enabled');
-        }
+      const stat = await fs.stat(path.join(this.config.projectRoot, rule.path));
+      if (isExpected(stat)) {
+        this.addRuleResult(rule, item, true, typeof passDetails === 'function' ? passDetails(stat) : passDetails);
+      } else {
+        this.addRuleResult(rule, item, false, wrongTypeDetails);
       }
-
     } catch (error) {
-      this.addResult('Agent OS Config', 'Config File', 'FAIL', `Cannot read config: ${error.message}`);
+      this.addRuleResult(rule, item, false, missingDetails);
     }
   }
 
-  async validateMCPServer() {
-    if (this.config.mcpEnabled === false) {return;}
-
-    console.log('🔍 Validating MCP server implementation...');
-
+  async checkContent(rule) {
+    let content;
     try {
-      const serverPath = path.join(this.config.projectRoot, 'src/mcp-server.js');
-      const serverContent = await fs.readFile(serverPath, 'utf-8');
-
-      // Check for required MCP components
-      const requiredComponents = [
-        'Server',
-        'StdioServerTransport',
-        'ListResourcesRequestSchema',
-        'ListToolsRequestSchema',
-        'Context7MCPServer'
-      ];
-
-      for (const component of requiredComponents) {
-        if (serverContent.includes(component)) {
-          this.addResult('MCP Server', component, 'PASS', 'Component present');
-        } else {
-          this.addResult('MCP Server', component, 'FAIL', 'Component missing');
-        }
+      content = await this.readProjectFile(rule.path);
+    } catch (error) {
+      // Several rules may read the same file; a missing file is reported once
+      if (!this.reportedUnreadable.has(rule.path)) {
+        this.reportedUnreadable.add(rule.path);
+        this.addRuleResult(rule, rule.item || rule.path, false, `Cannot read file: ${error.message}`);
       }
+      return;
+    }
 
-      // Check for Context7 tools
-      const requiredTools = [
-        'validate_context7_compliance',
-        'get_pattern_examples',
-        'check_naming_conventions',
-        'suggest_improvements'
-      ];
-
-      for (const tool of requiredTools) {
-        if (serverContent.includes(tool)) {
-          this.addResult('MCP Tools', tool, 'PASS', 'Tool implemented');
-        } else {
-          this.addResult('MCP Tools', tool, 'FAIL', 'Tool missing');
-        }
+    if (rule.each) {
+      for (const expected of rule.contains) {
+        const present = content.includes(expected);
+        this.addRuleResult(rule, expected, present, present ? 'Present' : `Missing from ${rule.path}`);
       }
-
-    } catch (error) {
-      this.addResult('MCP Server', 'Server File', 'FAIL', `Cannot read server: ${error.message}`);
+      return;
     }
-  }
-
-  async validatePackageJson() {
-    console.log('🔍 Validating package.json configuration...');
-
-    try {
-      const packagePath = path.join(this.config.projectRoot, 'package.json');
-      const packageContent = await fs.readFile(packagePath, 'utf-8');
-      const packageJson = JSON.parse(packageContent);
-
-      // Check for MCP dependency if MCP is enabled
-      if (this.config.mcpEnabled !== false) {
-        if (packageJson.dependencies && packageJson.dependencies['@modelcontextprotocol/sdk']) {
-          this.addResult('Package Dependencies', 'MCP SDK', 'PASS', 'MCP SDK dependency present');
-        } else {
-          this.addResult('Package Dependencies', 'MCP SDK', 'FAIL', 'MCP SDK dependency missing');
-        }
 
-        // Check for MCP scripts
-        const requiredScripts = [
-          'mcp:dev',
-          'mcp:test',
-          'context7:validate'
-        ];
-
-        for (const script of requiredScripts) {
-          if (packageJson.scripts && packageJson.scripts[script]) {
-            this.addResult('Package Scripts', script, 'PASS', 'Script present');
-          } else {
-            this.addResult('Package Scripts', script, 'FAIL', 'Script missing');
-          }
-        }
-      }
+    const missing = rule.contains.filter(expected => !content.includes(expected));
+    this.addRuleResult(rule, rule.item || rule.path, missing.length === 0,
+      missing.length === 0 ? 'All required content present' : `Missing content: ${missing.join(', ')}`);
+  }
 
-      // Check project-type specific dependencies
-      await this.validateProjectTypeDependencies(packageJson);
+  async checkScripts(rule) {
+    const packageJson = await this.readPackageJson(rule);
+    if (!packageJson) {return;}
 
-    } catch (error) {
-      this.addResult('Package Configuration', 'package.json', 'FAIL', `Cannot read package.json: ${error.message}`);
+    for (const script of rule.scripts) {
+      const present = Boolean(packageJson.scripts?.[script]);
+      this.addRuleResult(rule, script, present, present ? 'Script present' : 'Script missing');
     }
   }
 
-  async validateProjectTypeDependencies(packageJson) {
-    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-
-    switch (this.config.projectType) {
-    case 'react-webapp':
-      if (deps.react) {
-        this.addResult('Project Dependencies', 'React', 'PASS', 'React dependency present');
-      } else {
-        this.addResult('Project Dependencies', 'React', 'FAIL', 'React dependency missing');
-      }
-      break;
+  async checkDependency(rule) {
+    const packageJson = await this.readPackageJson(rule);
+    if (!packageJson) {return;}
 
-    case 'vue-webapp':
-      if (deps.vue) {
-        this.addResult('Project Dependencies', 'Vue', 'PASS', 'Vue dependency present');
-      } else {
-        this.addResult('Project Dependencies', 'Vue', 'FAIL', 'Vue dependency missing');
-      }
-      break;
+    const sections = rule.section ? [rule.section] : ['dependencies', 'devDependencies'];
+    const dependencies = Object.assign({}, ...sections.map(section => packageJson[section]));
+    const found = rule.anyOf.find(name => dependencies[name]);
+    const item = rule.item || rule.anyOf.join(' or ');
+    this.addRuleResult(rule, item, Boolean(found),
+      found ? `${found} dependency present` : `Missing dependency: ${rule.anyOf.join(' or ')}`);
+  }
 
-    case 'node-api':
-      if (deps.express || deps.fastify || deps.koa) {
-        this.addResult('Project Dependencies', 'Web Framework', 'PASS', 'Web framework dependency present');
-      } else {
-        this.addResult('Project Dependencies', 'Web Framework', 'WARN', 'No web framework detected');
+  /**
+   * package.json of the project; an unreadable one is reported once for all package rules
+   */
+  async readPackageJson(rule) {
+    try {
+      return JSON.parse(await this.readProjectFile('package.json'));
+    } catch (error) {
+      if (!this.reportedUnreadable.has('package.json')) {
+        this.reportedUnreadable.add('package.json');
+        this.addResult('Package Configuration', 'package.json', 'FAIL', `Cannot read package.json: ${error.message}`, rule.id,
+          'Create a valid package.json in the project root');
       }
-      break;
+      return null;
     }
   }
 
-  async validateDocumentation() {
-    console.log('🔍 Validating Context7 documentation...');
-
-    const docFiles = [
-      {
-        file: 'AGENTS.md',
-        content: ['Context7', 'AI coding agent', 'MCP'],
-        required: true
-      },
-      {
-        file: 'CLAUDE.md',
-        content: ['Context7', 'Agent OS'],
-        required: true
-      }
-    ];
-
-    // Add optional Agent OS docs if they should exist
-    if (this.config.agentOsEnabled !== false) {
-      docFiles.push(
-        {
-          file: '.agent-os/instructions/ai-development.md',
-          content: ['Context7', 'AI ASSISTANT CONTEXT'],
-          required: true
-        },
-        {
-          file: '.agent-os/standards/context7-standards.md',
-          content: ['Context7', 'React.FC', 'AI ASSISTANT CONTEXT'],
-          required: true
-        }
-      );
+  async readProjectFile(file) {
+    if (!this.fileCache.has(file)) {
+      this.fileCache.set(file, fs.readFile(path.join(this.config.projectRoot, file), 'utf-8'));
     }
+    return this.fileCache.get(file);
+  }
 
-    for (const doc of docFiles) {
-      try {
-        const docPath = path.join(this.config.projectRoot, doc.file);
-        const docContent = await fs.readFile(docPath, 'utf-8');
-
-        const missingContent = [];
-        for (const expectedContent of doc.content) {
-          if (!docContent.includes(expectedContent)) {
-            missingContent.push(expectedContent);
-          }
-        }
-
-        if (missingContent.length === 0) {
-          this.addResult('Documentation', doc.file, 'PASS', 'All required content present');
-        } else {
-          const status = doc.required ? 'FAIL' : 'WARN';
-          this.addResult('Documentation', doc.file, status, `Missing content: ${missingContent.join(', ')}`);
-        }
-
-      } catch (error) {
-        const status = doc.required ? 'FAIL' : 'WARN';
-        this.addResult('Documentation', doc.file, status, `Cannot read file: ${error.message}`);
-      }
-    }
+  addRuleResult(rule, item, passed, details) {
+    const status = passed ? 'PASS' : rule.severity === 'warning' ? 'WARN' : 'FAIL';
+    this.addResult(rule.category, item, status, details, rule.id, ruleRemediation(rule, item));
   }
 
   async validateProjectSpecificFiles() {
@@ -378,7 +206,7 @@ export class CodeFortifyValidator {
   }
 
   async validateReactSpecificFiles() {
-    console.log('🔍 Validating React-specific files...');
+    this.log('🔍 Validating React-specific files...');
 
     try {
       const examplesDir = path.join(this.config.projectRoot, 'examples');
@@ -395,29 +223,40 @@ export class CodeFortifyValidator {
         if (hasPatternFile) {
           this.addResult('Example Patterns', 'Component Patterns', 'PASS', 'Pattern file present');
         } else {
-          this.addResult('Example Patterns', 'Component Patterns', 'WARN', 'No pattern file found');
+          this.addResult('Example Patterns', 'Component Patterns', 'WARN', 'No pattern file found', null,
+            'Add an example whose file name contains "pattern", "demo" or "component" to examples/');
         }
       } else {
-        this.addResult('Example Patterns', 'Examples Directory', 'WARN', 'No example files found');
+        this.addResult('Example Patterns', 'Examples Directory', 'WARN', 'No example files found', null,
+          'Add example components to examples/ for AI assistants to follow');
       }
 
     } catch (error) {
-      this.addResult('Example Patterns', 'Examples Directory', 'WARN', `Cannot read examples: ${error.message}`);
+      this.addResult('Example Patterns', 'Examples Directory', 'WARN', `Cannot read examples: ${error.message}`, null,
+        'Create an examples/ directory with example components for AI assistants to follow');
     }
   }
 
-  addResult(category, item, status, details) {
+  addResult(category, item, status, details, ruleId = null, remediation = null) {
+    // The strict profile fails on anything it would otherwise only warn about
+    if (status === 'WARN' && this.profile.warningsAsErrors) {
+      status = 'FAIL';
+    }
+
     this.validationResults.push({
       category,
       item,
       status,
-      details
+      details,
+      ruleId,
+      // Only checks that did not pass need fixing
+      remediation: status === 'PASS' ? null : remediation
     });
   }
 
   generateReport() {
-    console.log('\\n📊 Context7 Validation Report');
-    console.log('=' .repeat(60));
+    this.log('\\n📊 Context7 Validation Report');
+    this.log('=' .repeat(60));
 
     const categories = [...new Set(this.validationResults.map(r => r.category))];
     const totalTests = this.validationResults.length;
@@ -425,29 +264,29 @@ export class CodeFortifyValidator {
     const failedTests = this.validationResults.filter(r => r.status === 'FAIL').length;
     const warnTests = this.validationResults.filter(r => r.status === 'WARN').length;
 
-    console.log('\\nOverall Results:');
-    console.log(`Total Validations: ${totalTests}`);
-    console.log(`Passed: ${passedTests} ✅`);
+    this.log('\\nOverall Results:');
+    this.log(`Total Validations: ${totalTests}`);
+    this.log(`Passed: ${passedTests} ✅`);
     if (warnTests > 0) {
-      console.log(`Warnings: ${warnTests} ⚠️`);
+      this.log(`Warnings: ${warnTests} ⚠️`);
     }
-    console.log(`Failed: ${failedTests} ❌`);
-    console.log(`Success Rate: ${Math.round((passedTests / totalTests) * 100)}%`);
+    this.log(`Failed: ${failedTests} ❌`);
+    this.log(`Success Rate: ${Math.round((passedTests / totalTests) * 100)}%`);
 
     // Results by category
     for (const category of categories) {
-      console.log(`\\n${category}:`);
-      console.log('-' .repeat(40));
+      this.log(`\\n${category}:`);
+      this.log('-' .repeat(40));
 
       const categoryResults = this.validationResults.filter(r => r.category === category);
       const categoryPassed = categoryResults.filter(r => r.status === 'PASS').length;
       const categoryTotal = categoryResults.length;
 
-      console.log(`${categoryPassed}/${categoryTotal} validations passed`);
+      this.log(`${categoryPassed}/${categoryTotal} validations passed`);
 
       for (const result of categoryResults) {
         const status = result.status === 'PASS' ? '✅' : result.status === 'WARN' ? '⚠️' : '❌';
-        console.log(`  ${status} ${result.item}: ${result.details}`);
+        this.log(`  ${status} ${result.item}: ${result.details}`);
       }
     }
 
@@ -465,18 +304,18 @@ export class CodeFortifyValidator {
   }
 
   generateRecommendations(failedTests, warnTests) {
-    console.log('\\n💡 Recommendations:');
-    console.log('-' .repeat(40));
+    this.log('\\n💡 Recommendations:');
+    this.log('-' .repeat(40));
 
     const failedResults = this.validationResults.filter(r => r.status === 'FAIL');
     const warnResults = this.validationResults.filter(r => r.status === 'WARN');
 
     if (failedTests === 0 && warnTests === 0) {
-      console.log('🎉 Excellent! Your project fully complies with Context7 standards.');
-      console.log('All AI assistants should have optimal integration capabilities.');
+      this.log('🎉 Excellent! Your project fully complies with Context7 standards.');
+      this.log('All AI assistants should have optimal integration capabilities.');
     } else {
       if (failedTests > 0) {
-        console.log(`Found ${failedTests} critical issues that must be addressed:`);
+        this.log(`Found ${failedTests} critical issues that must be addressed:`);
 
         const priorityFixes = failedResults.filter(r =>
           r.category === 'Required Files' ||
@@ -485,17 +324,17 @@ export class CodeFortifyValidator {
         );
 
         if (priorityFixes.length > 0) {
-          console.log('\\nHigh Priority Fixes:');
+          this.log('\\nHigh Priority Fixes:');
           priorityFixes.forEach((fix, index) => {
-            console.log(`${index + 1}. ${fix.category} - ${fix.item}: ${fix.details}`);
+            this.log(`${index + 1}. ${fix.category} - ${fix.item}: ${fix.details}`);
           });
         }
       }
 
       if (warnTests > 0) {
-        console.log(`\\nFound ${warnTests} warnings (recommended improvements):`);
+        this.log(`\\nFound ${warnTests} warnings (recommended improvements):`);
         warnResults.slice(0, 5).forEach((warn, index) => {
-          console.log(`${index + 1}. ${warn.category} - ${warn.item}: ${warn.details}`);
+          this.log(`${index + 1}. ${warn.category} - ${warn.item}: ${warn.details}`);
         });
       }
     }
@@ -512,7 +351,16 @@ export class CodeFortifyValidator {
   }
 
   static async autoDetectAndValidate(projectRoot = process.cwd()) {
-    // Auto-detect project configuration
+    const projectType = await CodeFortifyValidator.detectProjectType(projectRoot);
+    return await CodeFortifyValidator.validateProject(projectRoot, { projectType });
+  }
+
+  /**
+   * Project type from the dependencies in package.json
+   * @param {string} projectRoot - Project root directory
+   * @returns {Promise<string>} react-webapp, vue-webapp, svelte-webapp, node-api or javascript
+   */
+  static async detectProjectType(projectRoot) {
     let projectType = 'javascript';
 
     try {
@@ -528,7 +376,7 @@ export class CodeFortifyValidator {
       // Use default
     }
 
-    return await CodeFortifyValidator.validateProject(projectRoot, { projectType });
+    return projectType;
   }
 }
 
@@ -0,0 +1,417 @@
+/**
+ * Validation Fixer
+ *
+ * Turns failed CodeFortifyValidator checks into file changes: missing directories, AGENTS.md,
+ * CLAUDE.md and `.agent-os/*` files created from the `fix` set of a template pack, missing
+ * package.json scripts and dependencies, and a generated `src/mcp-server.js`.
+ *
+ * plan() only reads the project; every change is an action with the file's content before and
+ * after, so it can be previewed as a diff. Actions that only add (new files, appended sections,
+ * new package.json keys) are applied directly; actions that would replace existing content are
+ * applied only when the confirm callback accepts them.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { unifiedDiff } from '../utils/textDiff.js';
+import { renderTemplate } from '../templates/TemplateEngine.js';
+import { TemplatePack, DEFAULT_TEMPLATE_PACK, PACKAGE_TEMPLATES_DIR } from '../templates/TemplatePack.js';
+
+const CONFIG_FILE = '.agent-os/config.yml';
+const MCP_SERVER_FILE = 'src/mcp-server.js';
+const PACKAGE_FILE = 'package.json';
+const CODEFORTIFY_PACKAGE = '@wtthornton/codefortify';
+const MCP_SDK_PACKAGE = '@modelcontextprotocol/sdk';
+
+const REQUIRED_SCRIPTS = {
+  'mcp:dev': 'node src/mcp-server.js',
+  'mcp:test': 'codefortify test-mcp',
+  'context7:validate': 'codefortify validate'
+};
+
+// Top-level sections of the Agent OS config the validator looks for
+const CONFIG_SECTIONS = ['agent_os_version', 'agents', 'mcp', 'context7'];
+
+// Appended to existing documentation that lacks required content
+const DOCUMENTATION_SECTIONS = {
+  'AGENTS.md': `## Context7 and MCP
+
+Any AI coding agent working on {{projectName}} should follow the Context7 standards and use the
+project's MCP server (\`npm run mcp:dev\`) for standards, patterns and validation tools.
+`,
+  'CLAUDE.md': `## Context7 and Agent OS
+
+Follow the Context7 standards in \`.agent-os/standards/\`. Agent OS configuration, instructions and
+product documents live in \`.agent-os/\`.
+`,
+  '.agent-os/instructions/ai-development.md': `## Context7 documentation
+
+Start every component and module with an \`AI ASSISTANT CONTEXT\` comment describing its purpose,
+as the Context7 standards require.
+`,
+  '.agent-os/standards/context7-standards.md': `## Context7 component standards
+
+- Type components with \`React.FC<Props>\`
+- Start every component with an \`AI ASSISTANT CONTEXT\` comment describing its purpose
+`
+};
+
+/**
+ * Target of each fixable validation result, by result category
+ */
+const RESULT_TARGETS = {
+  'Directory Structure': result => ({ file: result.item, directory: true }),
+  'Required Files': result => ({ file: result.item }),
+  'Agent OS Config': () => ({ file: CONFIG_FILE }),
+  'MCP Configuration': () => ({ file: CONFIG_FILE }),
+  'Context7 Configuration': () => ({ file: CONFIG_FILE }),
+  'MCP Server': () => ({ file: MCP_SERVER_FILE }),
+  'MCP Tools': () => ({ file: MCP_SERVER_FILE }),
+  'Package Dependencies': result => (result.item === 'MCP SDK' ? { file: PACKAGE_FILE } : null),
+  'Package Scripts': () => ({ file: PACKAGE_FILE }),
+  'Package Configuration': () => ({ file: PACKAGE_FILE }),
+  'Documentation': result => ({ file: result.item })
+};
+
+export class ValidationFixer {
+  /**
+   * @param {Object} options - Fixer options
+   * @param {string} options.projectRoot - Project root directory
+   * @param {string} [options.projectType='javascript'] - Project type, used in templates
+   * @param {string} [options.projectName] - Project name, used in templates (default: directory name)
+   * @param {string} [options.description] - Project description, used in templates
+   * @param {boolean} [options.mcpEnabled=true] - Whether package.json needs the MCP scripts and SDK
+   * @param {TemplatePack} [options.pack] - Template pack with the `fix` set; the project's or built-in `default` pack if omitted
+   * @param {Object} [options.variables] - Extra template variables, e.g. `templates.variables` from codefortify.config.js
+   */
+  constructor(options) {
+    this.projectRoot = options.projectRoot;
+    this.mcpEnabled = options.mcpEnabled !== false;
+    this.pack = options.pack || null;
+    this.variables = {
+      ...options.variables,
+      projectName: options.projectName || path.basename(options.projectRoot),
+      projectType: options.projectType || 'javascript',
+      description: options.description || 'Project with CodeFortify integration'
+    };
+  }
+
+  /**
+   * Plan the changes that fix failed validation results
+   * @param {Array<{category: string, item: string, status: string, details: string}>} results - Validator results
+   * @returns {Promise<{actions: Array<Object>, unfixable: Array<Object>}>} Planned actions and the failures no action covers
+   */
+  async plan(results) {
+    const failures = results.filter(result => result.status === 'FAIL');
+    const targets = new Map();
+    const unfixable = [];
+
+    for (const result of failures) {
+      const target = RESULT_TARGETS[result.category]?.(result);
+      if (!target) {
+        unfixable.push(result);
+        continue;
+      }
+      const entry = targets.get(target.file) || { ...target, results: [] };
+      entry.results.push(result);
+      targets.set(target.file, entry);
+    }
+
+    const actions = [];
+    for (const target of targets.values()) {
+      if (target.file === PACKAGE_FILE) {continue;}
+      const action = target.directory ? await this.planDirectory(target.file) : await this.planFile(target.file);
+
+      if (action) {
+        actions.push({ ...action, resolves: target.results.map(describeResult) });
+      } else {
+        unfixable.push(...target.results);
+      }
+    }
+
+    const packageTarget = targets.get(PACKAGE_FILE);
+    const resolves = packageTarget ? packageTarget.results.map(describeResult) : [];
+    const writesMcpServer = actions.some(planned => planned.file === MCP_SERVER_FILE);
+    const action = packageTarget || writesMcpServer ? await this.planPackageUpdate(writesMcpServer) : null;
+    if (action) {
+      actions.push({ ...action, resolves, fallback: action.fallback && { ...action.fallback, resolves } });
+    } else if (packageTarget) {
+      unfixable.push(...packageTarget.results);
+    }
+
+    return { actions, unfixable };
+  }
+
+  async planDirectory(dir) {
+    try {
+      await fs.stat(this.resolve(dir));
+      // The path exists but is not a directory; moving it out of the way is up to the user
+      return null;
+    } catch (error) {
+      return { file: dir, type: 'directory', description: `Create directory ${dir}`, before: null, after: null };
+    }
+  }
+
+  /**
+   * Plan package.json after the other files, so it knows whether the MCP server is written
+   *
+   * The generated MCP server imports CodeFortify, so the project must then depend on it. That
+   * dependency waits for the server action: the action depends on it and falls back to the
+   * changes without the dependency when the server is not written (e.g. an overwrite is declined).
+   *
+   * @param {boolean} writesMcpServer - Whether an action creates or replaces the MCP server
+   * @returns {Promise<Object|null>} package.json action, or null when nothing is missing
+   */
+  async planPackageUpdate(writesMcpServer) {
+    const current = await this.read(PACKAGE_FILE);
+    const action = await this.planPackageJson(current, { requireCodeFortify: writesMcpServer });
+    if (!action || !writesMcpServer) {return action;}
+
+    const fallback = await this.planPackageJson(current, { requireCodeFortify: false });
+    if (fallback?.after === action.after) {return fallback;}
+    return {
+      ...action,
+      description: `${action.description} (${CODEFORTIFY_PACKAGE} only once ${MCP_SERVER_FILE} is written)`,
+      dependsOn: MCP_SERVER_FILE,
+      fallback
+    };
+  }
+
+  async planFile(file) {
+    const current = await this.read(file);
+
+    if (file === CONFIG_FILE && current !== null) {
+      return this.planConfig(current);
+    }
+    if (file === MCP_SERVER_FILE && current !== null) {
+      return this.replaceAction(file, current, await this.renderTemplate(file),
+        'Regenerate the MCP server with the Context7 components and tools');
+    }
+    if (current !== null && DOCUMENTATION_SECTIONS[file]) {
+      return this.appendAction(file, current, this.render(DOCUMENTATION_SECTIONS[file]),
+        'Add the missing Context7 documentation section');
+    }
+    if (current !== null) {return null;}
+
+    const content = await this.renderTemplate(file);
+    if (content === null) {return null;}
+    return { file, type: 'create', description: `Create ${file} from template`, before: null, after: content };
+  }
+
+  async planPackageJson(current, { requireCodeFortify }) {
+    let packageJson;
+    try {
+      packageJson = current === null ? { name: this.variables.projectName, version: '1.0.0' } : JSON.parse(current);
+    } catch (error) {
+      // Invalid JSON has to be repaired by hand
+      return null;
+    }
+
+    const added = [];
+    const scripts = this.mcpEnabled ? REQUIRED_SCRIPTS : {};
+    for (const [script, command] of Object.entries(scripts)) {
+      if (!packageJson.scripts?.[script]) {
+        packageJson.scripts = { ...packageJson.scripts, [script]: command };
+        added.push(`script ${script}`);
+      }
+    }
+
+    const dependencies = {};
+    if (this.mcpEnabled) {
+      dependencies[MCP_SDK_PACKAGE] = await this.ownDependencyVersion(MCP_SDK_PACKAGE);
+    }
+    if (requireCodeFortify) {
+      dependencies[CODEFORTIFY_PACKAGE] = `^${await this.ownVersion()}`;
+    }
+    const installed = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    for (const [name, version] of Object.entries(dependencies)) {
+      if (!installed[name]) {
+        packageJson.dependencies = sortKeys({ ...packageJson.dependencies, [name]: version });
+        added.push(`dependency ${name}`);
+      }
+    }
+
+    if (added.length === 0 && current !== null) {return null;}
+
+    const indent = current ? (/^([ \t]+)"/m.exec(current)?.[1] || 2) : 2;
+    const trailingNewline = current === null || current.endsWith('\n') ? '\n' : '';
+    return {
+      file: PACKAGE_FILE,
+      type: current === null ? 'create' : 'update',
+      description: `Add ${added.join(', ')}`,
+      before: current,
+      after: JSON.stringify(packageJson, null, indent) + trailingNewline
+    };
+  }
+
+  async planConfig(current) {
+    const template = await this.renderTemplate(CONFIG_FILE);
+    const blocks = topLevelBlocks(template);
+    const missing = CONFIG_SECTIONS.filter(section => !current.includes(`${section}:`) && blocks[section]);
+
+    const appended = missing.length > 0
+      ? `${current.trimEnd()}\n\n${missing.map(section => blocks[section]).join('\n\n')}\n`
+      : current;
+
+    if (appended.includes('mcp:') && appended.includes('context7:') && appended.includes('enabled: true')) {
+      return appended === current ? null : {
+        file: CONFIG_FILE,
+        type: 'update',
+        description: `Add ${missing.join(', ')} to the Agent OS config`,
+        before: current,
+        after: appended
+      };
+    }
+
+    // The sections exist but MCP and Context7 are not enabled: only the template fixes that
+    return this.replaceAction(CONFIG_FILE, current, template, 'Replace the Agent OS config with the template, enabling MCP and Context7');
+  }
+
+  appendAction(file, current, section, description) {
+    return {
+      file,
+      type: 'update',
+      description,
+      before: current,
+      after: `${current.trimEnd()}\n\n${section}`
+    };
+  }
+
+  replaceAction(file, current, content, description) {
+    if (content === null || content === current) {return null;}
+    return { file, type: 'replace', description, before: current, after: content, requiresConfirmation: true };
+  }
+
+  /**
+   * Apply planned actions
+   * @param {Array<Object>} actions - Actions from plan()
+   * @param {Object} [options] - Apply options
+   * @param {Function} [options.confirm] - Async callback deciding whether a replace action may overwrite the file; defaults to never
+   * @returns {Promise<{applied: Array<Object>, skipped: Array<{action: Object, reason: string}>}>} Outcome per action;
+   *   an action whose `dependsOn` file was not written is applied as its `fallback`
+   */
+  async apply(actions, { confirm = async () => false } = {}) {
+    const applied = [];
+    const skipped = [];
+
+    for (const planned of actions) {
+      const action = planned.dependsOn && !applied.some(done => done.file === planned.dependsOn)
+        ? planned.fallback
+        : planned;
+      if (!action) {
+        skipped.push({ action: planned, reason: `${planned.dependsOn} was not written` });
+        continue;
+      }
+
+      if (action.type === 'directory') {
+        await fs.mkdir(this.resolve(action.file), { recursive: true });
+        applied.push(action);
+        continue;
+      }
+
+      // Never write over changes made after the plan was shown
+      if (await this.read(action.file) !== action.before) {
+        skipped.push({ action, reason: 'file changed since the fix was planned' });
+        continue;
+      }
+      if (action.requiresConfirmation && !(await confirm(action))) {
+        skipped.push({ action, reason: 'overwrite not confirmed' });
+        continue;
+      }
+
+      const filePath = this.resolve(action.file);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, action.after);
+      applied.push(action);
+    }
+
+    return { applied, skipped };
+  }
+
+  /**
+   * Preview of an action as a unified diff
+   * @param {Object} action - Action from plan()
+   * @returns {string} Diff, or a one-line note for directories
+   */
+  static diff(action) {
+    if (action.type === 'directory') {return `+ ${action.file}/\n`;}
+    return unifiedDiff(action.before, action.after, { file: action.file });
+  }
+
+  /**
+   * Content of a file from the template pack's `fix` set
+   * @returns {Promise<string|null>} Content, or null when the set has no template for the file
+   */
+  async renderTemplate(file) {
+    if (!this.pack) {
+      this.pack = await TemplatePack.resolve(DEFAULT_TEMPLATE_PACK, { projectRoot: this.projectRoot });
+    }
+    return this.pack.renderFile('fix', file, this.variables);
+  }
+
+  render(template) {
+    return renderTemplate(template, this.variables);
+  }
+
+  async ownVersion() {
+    return (await this.readOwnPackage()).version || '1.0.0';
+  }
+
+  async ownDependencyVersion(name) {
+    return (await this.readOwnPackage()).dependencies?.[name] || 'latest';
+  }
+
+  async readOwnPackage() {
+    if (!this.ownPackage) {
+      try {
+        this.ownPackage = JSON.parse(await fs.readFile(path.join(PACKAGE_TEMPLATES_DIR, '..', 'package.json'), 'utf8'));
+      } catch (error) {
+        this.ownPackage = {};
+      }
+    }
+    return this.ownPackage;
+  }
+
+  async read(file) {
+    try {
+      return await fs.readFile(this.resolve(file), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  resolve(file) {
+    return path.join(this.projectRoot, file);
+  }
+}
+
+function describeResult(result) {
+  return `${result.category}: ${result.item}`;
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Split YAML text into its top-level blocks, each with the comments and lines under it
+ * @returns {Object<string, string>} Block text by top-level key
+ */
+function topLevelBlocks(yaml) {
+  const blocks = {};
+  let current = null;
+
+  for (const line of yaml.split('\n')) {
+    const key = /^([A-Za-z_][\w-]*):/.exec(line)?.[1];
+    if (key) {
+      current = key;
+      blocks[key] = [line];
+    } else if (current && (line.startsWith(' ') || line.startsWith('\t'))) {
+      blocks[current].push(line);
+    } else {
+      current = null;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(blocks).map(([key, lines]) => [key, lines.join('\n')]));
+}
@@ -0,0 +1,214 @@
+/**
+ * Validation Report Generator
+ *
+ * Turns the results of CodeFortifyValidator into machine-readable reports for CI:
+ * - json:     summary plus one test case per check
+ * - junit:    JUnit XML with one test suite per category and one test case per check, so CI
+ *             systems list validation next to the unit tests (failures carry the remediation)
+ * - markdown: summary and per-category tables, e.g. for pull request comments
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const VALIDATION_REPORT_FORMATS = ['json', 'junit', 'markdown'];
+
+const STATUS_ICONS = {
+  PASS: '✅',
+  WARN: '⚠️',
+  FAIL: '❌'
+};
+
+function readToolVersion() {
+  try {
+    const packagePath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../package.json');
+    return JSON.parse(readFileSync(packagePath, 'utf8')).version;
+  } catch (error) {
+    return '1.0.0';
+  }
+}
+
+export class ValidationReportGenerator {
+  /**
+   * @param {Object} [metadata] - Report metadata
+   * @param {string} [metadata.projectRoot] - Validated project
+   * @param {string} [metadata.projectType] - Detected project type
+   * @param {string} [metadata.timestamp] - ISO time of the run, defaults to now
+   */
+  constructor(metadata = {}) {
+    this.metadata = {
+      timestamp: new Date().toISOString(),
+      ...metadata
+    };
+  }
+
+  /**
+   * Generate a report
+   * @param {Object} outcome - Result of CodeFortifyValidator.runValidation()
+   * @param {string} format - json, junit or markdown
+   * @returns {string} Report content
+   * @throws {Error} For unsupported formats
+   */
+  generate(outcome, format) {
+    switch (format) {
+    case 'json':
+      return this.generateJSON(outcome);
+    case 'junit':
+      return this.generateJUnit(outcome);
+    case 'markdown':
+      return this.generateMarkdown(outcome);
+    default:
+      throw new Error(`Unsupported format: ${format}. Use console, ${VALIDATION_REPORT_FORMATS.join(', ')}.`);
+    }
+  }
+
+  /**
+   * Checks as test cases
+   * @param {Array<Object>} results - Validation results
+   * @returns {Array<{id: string|null, category: string, name: string, status: string, details: string, remediation: string|null}>} One test case per check
+   */
+  toTestCases(results) {
+    return results.map(result => ({
+      id: result.ruleId,
+      category: result.category,
+      name: result.item,
+      status: result.status,
+      details: result.details,
+      remediation: result.remediation ?? null
+    }));
+  }
+
+  generateJSON(outcome) {
+    return JSON.stringify({
+      tool: { name: 'CodeFortify', version: readToolVersion() },
+      timestamp: this.metadata.timestamp,
+      project: {
+        root: this.metadata.projectRoot,
+        type: this.metadata.projectType
+      },
+      profile: outcome.profile,
+      success: outcome.success,
+      summary: this.summarize(outcome.results),
+      testCases: this.toTestCases(outcome.results)
+    }, null, 2);
+  }
+
+  generateJUnit(outcome) {
+    const testCases = this.toTestCases(outcome.results);
+    const summary = this.summarize(outcome.results);
+    const attrs = values => Object.entries(values).map(([key, value]) => `${key}="${this.escapeXml(value)}"`).join(' ');
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites ${attrs({ name: 'codefortify validate', tests: summary.total, failures: summary.failed, errors: 0, timestamp: this.metadata.timestamp })}>`
+    ];
+
+    for (const [category, cases] of this.groupByCategory(testCases)) {
+      const failures = cases.filter(testCase => testCase.status === 'FAIL').length;
+      lines.push(`  <testsuite ${attrs({ name: category, tests: cases.length, failures, errors: 0, skipped: 0, timestamp: this.metadata.timestamp })}>`);
+      if (outcome.profile) {
+        lines.push(`    <properties><property ${attrs({ name: 'profile', value: outcome.profile })}/></properties>`);
+      }
+
+      for (const testCase of cases) {
+        const name = testCase.id ? `${testCase.name} [${testCase.id}]` : testCase.name;
+        const open = `    <testcase ${attrs({ name, classname: `codefortify.validate.${this.className(category)}`, time: 0 })}`;
+
+        if (testCase.status === 'PASS') {
+          lines.push(`${open}/>`);
+          continue;
+        }
+
+        lines.push(`${open}>`);
+        if (testCase.status === 'FAIL') {
+          lines.push(`      <failure ${attrs({ message: testCase.details, type: testCase.id || category })}>${this.escapeXml(this.failureBody(testCase))}</failure>`);
+        } else {
+          // JUnit has no warning state: warnings pass and explain themselves in the output
+          lines.push(`      <system-out>${this.escapeXml(`Warning: ${this.failureBody(testCase)}`)}</system-out>`);
+        }
+        lines.push('    </testcase>');
+      }
+
+      lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+  }
+
+  generateMarkdown(outcome) {
+    const testCases = this.toTestCases(outcome.results);
+    const summary = this.summarize(outcome.results);
+    const cell = text => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+    let markdown = '# CodeFortify Validation Report\n\n';
+    if (this.metadata.projectRoot) {
+      markdown += `**Project:** ${this.metadata.projectRoot}\n`;
+    }
+    if (this.metadata.projectType) {
+      markdown += `**Type:** ${this.metadata.projectType}\n`;
+    }
+    if (outcome.profile) {
+      markdown += `**Profile:** ${outcome.profile}\n`;
+    }
+    markdown += `**Generated:** ${this.metadata.timestamp}\n\n`;
+
+    markdown += `**Result:** ${outcome.success ? '✅ Passed' : '❌ Failed'} - `;
+    markdown += `${summary.passed}/${summary.total} checks passed (${summary.successRate}%), `;
+    markdown += `${summary.warnings} warning(s), ${summary.failed} failure(s)\n\n`;
+
+    for (const [category, cases] of this.groupByCategory(testCases)) {
+      const passed = cases.filter(testCase => testCase.status === 'PASS').length;
+      markdown += `## ${category} (${passed}/${cases.length})\n\n`;
+      markdown += '| Status | Check | Details | Remediation |\n';
+      markdown += '|--------|-------|---------|-------------|\n';
+      for (const testCase of cases) {
+        const check = testCase.id ? `${cell(testCase.name)} \`${testCase.id}\`` : cell(testCase.name);
+        markdown += `| ${STATUS_ICONS[testCase.status] || testCase.status} | ${check} | ${cell(testCase.details)} | ${cell(testCase.remediation)} |\n`;
+      }
+      markdown += '\n';
+    }
+
+    return markdown;
+  }
+
+  summarize(results) {
+    const count = status => results.filter(result => result.status === status).length;
+    const total = results.length;
+    const passed = count('PASS');
+    return {
+      total,
+      passed,
+      warnings: count('WARN'),
+      failed: count('FAIL'),
+      successRate: total > 0 ? Math.round((passed / total) * 100) : 100
+    };
+  }
+
+  groupByCategory(testCases) {
+    const groups = new Map();
+    for (const testCase of testCases) {
+      if (!groups.has(testCase.category)) {groups.set(testCase.category, []);}
+      groups.get(testCase.category).push(testCase);
+    }
+    return groups;
+  }
+
+  failureBody(testCase) {
+    return testCase.remediation ? `${testCase.details}\nRemediation: ${testCase.remediation}` : testCase.details;
+  }
+
+  className(category) {
+    return category.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Validation Rules
+ *
+ * The checks of `codefortify validate`, declared as data and grouped into profiles:
+ * - minimal:  the source directory and the AI assistant instructions (AGENTS.md, CLAUDE.md)
+ * - standard: adds the MCP server, Agent OS config, package.json scripts and dependencies,
+ *             documentation content and project-type directories
+ * - strict:   adds the full Agent OS documentation set, a README and a tests directory for
+ *             every project type, and reports warnings as failures
+ *
+ * Rule types:
+ * - directory:  `path` is a directory
+ * - file:       `path` is a file
+ * - content:    the file at `path` contains every string in `contains`; with `each`, every
+ *               string is reported as its own check
+ * - script:     package.json has each script in `scripts`
+ * - dependency: package.json depends on one of `anyOf` (in `section` only, when set)
+ *
+ * Common fields: `id`, `severity` ('error' or 'warning'), `category` and `item` (report labels),
+ * `remediation` (how to fix a failure; derived from the rule when omitted) and `when`
+ * ({ projectTypes, mcp, agentOs }) limiting where the rule applies.
+ */
+
+export const RULE_TYPES = ['directory', 'file', 'content', 'script', 'dependency'];
+
+export const RULE_SEVERITIES = ['error', 'warning'];
+
+const WEB_APPS = ['react-webapp', 'vue-webapp', 'svelte-webapp'];
+
+const DEFAULT_CATEGORIES = {
+  directory: 'Directory Structure',
+  file: 'Required Files',
+  content: 'Documentation',
+  script: 'Package Scripts',
+  dependency: 'Package Dependencies'
+};
+
+const MINIMAL_RULES = [
+  { id: 'structure/src', type: 'directory', path: 'src' },
+  { id: 'files/agents-md', type: 'file', path: 'AGENTS.md' },
+  { id: 'files/claude-md', type: 'file', path: 'CLAUDE.md' }
+];
+
+const AGENT_OS_FILES = [
+  'config.yml',
+  'instructions/ai-development.md',
+  'standards/context7-standards.md',
+  'standards/tech-stack.md',
+  'product/mission.md',
+  'product/roadmap.md'
+];
+
+const STANDARD_RULES = [
+  { id: 'structure/agent-os', type: 'directory', path: '.agent-os' },
+  { id: 'structure/examples', type: 'directory', path: 'examples', when: { projectTypes: WEB_APPS } },
+  { id: 'structure/tests', type: 'directory', path: 'tests', when: { projectTypes: ['node-api'] } },
+  ...['instructions', 'standards', 'product'].map(dir => ({
+    id: `structure/agent-os-${dir}`, type: 'directory', path: `.agent-os/${dir}`, when: { agentOs: true }
+  })),
+
+  {
+    id: 'files/mcp-server', type: 'file', path: 'src/mcp-server.js', when: { mcp: true },
+    remediation: 'Run `codefortify validate --fix` to generate src/mcp-server.js from the CodeFortify template'
+  },
+  ...AGENT_OS_FILES.map(file => ({
+    id: `files/agent-os-${file.replace(/\.\w+$/, '').replace('/', '-')}`, type: 'file', path: `.agent-os/${file}`, when: { agentOs: true }
+  })),
+
+  {
+    id: 'agent-os/config-sections', type: 'content', path: '.agent-os/config.yml', each: true,
+    contains: ['agent_os_version', 'agents:'], category: 'Agent OS Config', item: 'Config File'
+  },
+  {
+    id: 'agent-os/mcp-sections', type: 'content', path: '.agent-os/config.yml', each: true,
+    contains: ['mcp:', 'context7:'], category: 'Agent OS Config', item: 'Config File', when: { mcp: true }
+  },
+  {
+    id: 'agent-os/mcp-enabled', type: 'content', path: '.agent-os/config.yml',
+    contains: ['mcp:', 'enabled: true'], category: 'MCP Configuration', item: 'MCP Enabled', when: { mcp: true }
+  },
+  {
+    id: 'agent-os/context7-enabled', type: 'content', path: '.agent-os/config.yml',
+    contains: ['context7:', 'enabled: true'], category: 'Context7 Configuration', item: 'Context7 Enabled', when: { mcp: true }
+  },
+  {
+    id: 'mcp/server-components', type: 'content', path: 'src/mcp-server.js', each: true,
+    contains: ['Server', 'StdioServerTransport', 'ListResourcesRequestSchema', 'ListToolsRequestSchema', 'Context7MCPServer'],
+    category: 'MCP Server', item: 'Server File', when: { mcp: true }
+  },
+  {
+    id: 'mcp/server-tools', type: 'content', path: 'src/mcp-server.js', each: true,
+    contains: ['validate_context7_compliance', 'get_pattern_examples', 'check_naming_conventions', 'suggest_improvements'],
+    category: 'MCP Tools', item: 'Server File', when: { mcp: true }
+  },
+  { id: 'docs/agents-md', type: 'content', path: 'AGENTS.md', contains: ['Context7', 'AI coding agent', 'MCP'] },
+  { id: 'docs/claude-md', type: 'content', path: 'CLAUDE.md', contains: ['Context7', 'Agent OS'] },
+  {
+    id: 'docs/ai-development', type: 'content', path: '.agent-os/instructions/ai-development.md',
+    contains: ['Context7', 'AI ASSISTANT CONTEXT'], when: { agentOs: true }
+  },
+  {
+    id: 'docs/context7-standards', type: 'content', path: '.agent-os/standards/context7-standards.md',
+    contains: ['Context7', 'React.FC', 'AI ASSISTANT CONTEXT'], when: { agentOs: true }
+  },
+
+  {
+    id: 'package/mcp-sdk', type: 'dependency', anyOf: ['@modelcontextprotocol/sdk'], section: 'dependencies',
+    item: 'MCP SDK', when: { mcp: true }
+  },
+  { id: 'package/mcp-scripts', type: 'script', scripts: ['mcp:dev', 'mcp:test', 'context7:validate'], when: { mcp: true } },
+  {
+    id: 'dependencies/react', type: 'dependency', anyOf: ['react'], category: 'Project Dependencies', item: 'React',
+    when: { projectTypes: ['react-webapp'] }
+  },
+  {
+    id: 'dependencies/vue', type: 'dependency', anyOf: ['vue'], category: 'Project Dependencies', item: 'Vue',
+    when: { projectTypes: ['vue-webapp'] }
+  },
+  {
+    id: 'dependencies/web-framework', type: 'dependency', anyOf: ['express', 'fastify', 'koa'], severity: 'warning',
+    category: 'Project Dependencies', item: 'Web Framework', when: { projectTypes: ['node-api'] },
+    remediation: 'Build the API on express, fastify or koa so the API patterns and checks apply'
+  }
+];
+
+const STRICT_RULES = [
+  // Same id as the standard rule: required for every project type, not only APIs
+  { id: 'structure/tests', type: 'directory', path: 'tests' },
+  { id: 'files/readme', type: 'file', path: 'README.md', remediation: 'Add a README.md describing the project, setup and scripts' }
+];
+
+export const VALIDATION_PROFILES = {
+  minimal: {
+    description: 'Source directory and AI assistant instructions',
+    rules: MINIMAL_RULES
+  },
+  standard: {
+    description: 'MCP server, Agent OS config, package scripts and documentation content',
+    extends: 'minimal',
+    rules: STANDARD_RULES
+  },
+  strict: {
+    description: 'Full Agent OS documentation, README and tests; warnings fail',
+    extends: 'standard',
+    rules: STRICT_RULES,
+    agentOs: true,
+    warningsAsErrors: true
+  }
+};
+
+export const DEFAULT_PROFILE = 'standard';
+
+/**
+ * Rules of a profile with per-repo overrides
+ *
+ * Overrides are keyed by rule id: 'off' removes the rule, 'error' or 'warning' changes its
+ * severity, and a rule object adds a rule or replaces the one with that id.
+ *
+ * @param {string} [profileName='standard'] - minimal, standard or strict
+ * @param {Object<string, string|Object>} [overrides={}] - `validation.rules` from codefortify.config.js
+ * @returns {{profile: string, agentOs: boolean, warningsAsErrors: boolean, rules: Array<Object>}} Profile settings and complete rules, in evaluation order
+ * @throws {Error} For unknown profiles, rule ids or invalid rule definitions
+ */
+export function resolveValidationRules(profileName = DEFAULT_PROFILE, overrides = {}) {
+  const profile = VALIDATION_PROFILES[profileName];
+  if (!profile) {
+    throw new Error(`Unknown validation profile: ${profileName}. Use ${Object.keys(VALIDATION_PROFILES).join(', ')}`);
+  }
+
+  const rules = new Map(profileRules(profileName).map(rule => [rule.id, rule]));
+
+  for (const [id, override] of Object.entries(overrides || {})) {
+    if (typeof override === 'string') {
+      if (!rules.has(id)) {
+        throw new Error(`validation.rules.${id} is not a rule of the ${profileName} profile. Rules: ${[...rules.keys()].join(', ')}`);
+      }
+      if (override === 'off') {
+        rules.delete(id);
+      } else if (RULE_SEVERITIES.includes(override)) {
+        rules.set(id, { ...rules.get(id), severity: override });
+      } else {
+        throw new Error(`validation.rules.${id} must be error, warning, off or a rule object, got "${override}"`);
+      }
+    } else {
+      rules.set(id, checkRule({ ...override, id }));
+    }
+  }
+
+  return {
+    profile: profileName,
+    agentOs: Boolean(profile.agentOs),
+    warningsAsErrors: Boolean(profile.warningsAsErrors),
+    rules: [...rules.values()]
+      .map(rule => ({ severity: 'error', category: DEFAULT_CATEGORIES[rule.type], ...rule }))
+      // Report structure first, then file contents, then package.json
+      .sort((a, b) => RULE_TYPES.indexOf(a.type) - RULE_TYPES.indexOf(b.type))
+  };
+}
+
+/**
+ * Whether a rule applies to the project
+ * @param {Object} rule - Rule from resolveValidationRules()
+ * @param {{projectType: string, mcp: boolean, agentOs: boolean}} context - Project settings
+ * @returns {boolean} True when every `when` condition holds
+ */
+export function ruleApplies(rule, context) {
+  const when = rule.when || {};
+  if (when.projectTypes && !when.projectTypes.includes(context.projectType)) {return false;}
+  if (when.mcp !== undefined && when.mcp !== context.mcp) {return false;}
+  if (when.agentOs !== undefined && when.agentOs !== context.agentOs) {return false;}
+  return true;
+}
+
+/**
+ * How to fix a failed check of a rule
+ * @param {Object} rule - Rule from resolveValidationRules()
+ * @param {string} item - Checked item: the string, script or dependency that was missing
+ * @returns {string} The rule's `remediation`, or an instruction derived from the rule
+ */
+export function ruleRemediation(rule, item) {
+  if (rule.remediation) {return rule.remediation;}
+
+  switch (rule.type) {
+  case 'directory':
+    return `Create the ${rule.path}/ directory`;
+  case 'file':
+    return `Create ${rule.path}`;
+  case 'content':
+    return rule.each
+      ? `Add "${item}" to ${rule.path}`
+      : `Add ${rule.contains.map(expected => `"${expected}"`).join(', ')} to ${rule.path}`;
+  case 'script':
+    return `Add a "${item}" script to package.json`;
+  case 'dependency':
+    return `Add ${rule.anyOf.join(' or ')} to ${rule.section || 'dependencies'} in package.json`;
+  default:
+    return null;
+  }
+}
+
+function profileRules(profileName) {
+  const profile = VALIDATION_PROFILES[profileName];
+  const inherited = profile.extends ? profileRules(profile.extends) : [];
+  const overridden = new Set(profile.rules.map(rule => rule.id));
+  return [...inherited.filter(rule => !overridden.has(rule.id)), ...profile.rules];
+}
+
+const REQUIRED_FIELDS = {
+  directory: ['path'],
+  file: ['path'],
+  content: ['path', 'contains'],
+  script: ['scripts'],
+  dependency: ['anyOf']
+};
+
+function checkRule(rule) {
+  const location = `validation.rules.${rule.id}`;
+  if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+    throw new Error(`${location}.type must be one of ${RULE_TYPES.join(', ')}, got ${JSON.stringify(rule?.type)}`);
+  }
+
+  for (const field of REQUIRED_FIELDS[rule.type]) {
+    const value = rule[field];
+    const valid = field === 'path' ? typeof value === 'string' && value.length > 0 : Array.isArray(value) && value.length > 0;
+    if (!valid) {
+      throw new Error(`${location}.${field} is required for ${rule.type} rules`);
+    }
+  }
+  if (rule.severity !== undefined && !RULE_SEVERITIES.includes(rule.severity)) {
+    throw new Error(`${location}.severity must be error or warning, got "${rule.severity}"`);
+  }
+  if (rule.remediation !== undefined && typeof rule.remediation !== 'string') {
+    throw new Error(`${location}.remediation must be a string`);
+  }
+
+  return rule;
+}
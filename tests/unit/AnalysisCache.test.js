@@ -0,0 +1,186 @@
+/**
+ * Unit tests for the incremental analysis cache
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { AnalysisCache } from '../../src/scoring/core/AnalysisCache.js';
+import { BaseAnalyzer } from '../../src/scoring/analyzers/BaseAnalyzer.js';
+import { SecurityAnalyzer } from '../../src/scoring/analyzers/SecurityAnalyzer.js';
+import { ComplexityCalculator } from '../../src/scoring/core/ComplexityCalculator.js';
+import { ProjectScorer } from '../../src/scoring/ProjectScorer.js';
+import { loadPlugins } from '../../src/scoring/core/PluginLoader.js';
+
+const baseAnalyzerUrl = pathToFileURL(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../src/scoring/analyzers/BaseAnalyzer.js')).href;
+
+describe('AnalysisCache', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should reuse entries only when content hash, analyzer version and config hash match', async () => {
+    const hash = AnalysisCache.hashContent('const a = 1;');
+    const cache = new AnalysisCache(tempDir, { configHash: 'config-a' });
+    cache.set('quality/complexity', 'src/a.js', hash, 1, { functions: [] });
+    await cache.save();
+
+    const reloaded = await new AnalysisCache(tempDir, { configHash: 'config-a' }).load();
+    expect(reloaded.get('quality/complexity', 'src/a.js', hash, 1)).toEqual({ functions: [] });
+    expect(reloaded.get('quality/complexity', 'src/a.js', AnalysisCache.hashContent('const a = 2;'), 1)).toBeUndefined();
+    expect(reloaded.get('quality/complexity', 'src/a.js', hash, 2)).toBeUndefined();
+    expect(reloaded.stats).toEqual({ hits: 1, misses: 2 });
+
+    const otherConfig = await new AnalysisCache(tempDir, { configHash: 'config-b' }).load();
+    expect(otherConfig.get('quality/complexity', 'src/a.js', hash, 1)).toBeUndefined();
+  });
+
+  it('should hash configs independently of key order', () => {
+    expect(AnalysisCache.hashConfig({ a: 1, b: { c: 2, d: 3 } })).toBe(AnalysisCache.hashConfig({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(AnalysisCache.hashConfig({ a: 1 })).not.toBe(AnalysisCache.hashConfig({ a: 2 }));
+  });
+
+  it('should prune entries of files no longer analyzed by a pass that ran', async () => {
+    const cache = new AnalysisCache(tempDir);
+    cache.set('security/secrets', 'src/deleted.js', 'h1', 1, {});
+    cache.set('security/secrets', 'src/kept.js', 'h2', 1, {});
+    cache.set('quality/jsdoc', 'src/deleted.js', 'h1', 1, {});
+    await cache.save();
+
+    const next = await new AnalysisCache(tempDir).load();
+    next.get('security/secrets', 'src/kept.js', 'h2', 1);
+    await next.save();
+
+    const entries = Object.keys((await new AnalysisCache(tempDir).load()).entries);
+    expect(entries.sort()).toEqual(['quality/jsdoc|src/deleted.js', 'security/secrets|src/kept.js']);
+  });
+
+  it('should never hit or write when disabled', async () => {
+    const cache = new AnalysisCache(tempDir, { enabled: false });
+    cache.set('quality/jsdoc', 'a.js', 'h', 1, {});
+
+    expect(cache.get('quality/jsdoc', 'a.js', 'h', 1)).toBeUndefined();
+    expect(await cache.save()).toBeNull();
+  });
+});
+
+describe('BaseAnalyzer.analyzeFile', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-cached-analyzer-'));
+    await fs.writeFile(path.join(tempDir, 'a.js'), 'export const a = 1;\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should only re-run a pass when the file content changes', async () => {
+    const cache = new AnalysisCache(tempDir);
+    const analyzer = new BaseAnalyzer({ projectRoot: tempDir, cache });
+    const analyze = vi.fn(content => ({ length: content.length }));
+
+    expect(await analyzer.analyzeFile('a.js', 'size', analyze)).toEqual({ length: 20 });
+    expect(await analyzer.analyzeFile('a.js', 'size', analyze)).toEqual({ length: 20 });
+    expect(analyze).toHaveBeenCalledTimes(1);
+
+    await fs.writeFile(path.join(tempDir, 'a.js'), 'export const a = 10;\n');
+    expect(await analyzer.analyzeFile('a.js', 'size', analyze)).toEqual({ length: 21 });
+    expect(analyze).toHaveBeenCalledTimes(2);
+  });
+
+  it('should resolve unreadable files to null', async () => {
+    const analyzer = new BaseAnalyzer({ projectRoot: tempDir });
+    expect(await analyzer.analyzeFile('missing.js', 'size', () => ({}))).toBeNull();
+  });
+});
+
+describe('Cached scoring runs', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-cached-run-'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'fixture', type: 'module' }));
+    await fs.writeFile(path.join(tempDir, 'package-lock.json'), JSON.stringify({ name: 'fixture', lockfileVersion: 3, packages: { '': { name: 'fixture' } } }));
+    await fs.writeFile(path.join(tempDir, 'src', 'a.js'), 'export function a(x) {\n  return x ? 1 : 2;\n}\n');
+    await fs.writeFile(path.join(tempDir, 'src', 'b.js'), 'export const b = () => 3;\n');
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should only re-analyze the edited files on the next run', async () => {
+    const analyzeSource = vi.spyOn(ComplexityCalculator.prototype, 'analyzeSource');
+    const score = () => new ProjectScorer({ projectRoot: tempDir, concurrency: 1, quiet: true }).scoreProject({ categories: ['quality'] });
+
+    const first = await score();
+    expect(analyzeSource.mock.calls.map(([, file]) => file).sort()).toEqual([path.join('src', 'a.js'), path.join('src', 'b.js')]);
+
+    analyzeSource.mockClear();
+    await fs.writeFile(path.join(tempDir, 'src', 'b.js'), 'export const b = () => 4;\n');
+    const second = await score();
+    expect(analyzeSource.mock.calls.map(([, file]) => file)).toEqual([path.join('src', 'b.js')]);
+    expect(second.categories.quality.score).toBe(first.categories.quality.score);
+  }, 60000);
+
+  it('should re-analyze files when plugin options change', async () => {
+    await fs.mkdir(path.join(tempDir, 'tools'));
+    await fs.writeFile(path.join(tempDir, 'tools', 'Banned.js'), `
+import { BaseAnalyzer } from '${baseAnalyzerUrl}';
+
+export default class BannedWordsAnalyzer extends BaseAnalyzer {
+  constructor(config) {
+    super(config);
+    this.categoryKey = 'bannedWords';
+    this.categoryName = 'Banned Words';
+  }
+
+  async runAnalysis() {
+    let hits = 0;
+    for (const file of await this.getAllFiles('src', ['.js'])) {
+      hits += await this.analyzeFile(file, 'banned-words/hits', content => this.config.options.banned.filter(word => content.includes(word)).length);
+    }
+    this.addScore(this.config.maxScore - hits, this.config.maxScore, 'Banned words');
+  }
+}
+`);
+    const score = async banned => {
+      const plugins = await loadPlugins(tempDir, [{ path: './tools/Banned.js', weight: 5, options: { banned } }]);
+      const results = await new ProjectScorer({ projectRoot: tempDir, concurrency: 1, quiet: true, plugins }).scoreProject({ categories: ['bannedWords'] });
+      return results.categories.bannedWords.score;
+    };
+
+    expect(await score(['export'])).toBe(3);
+    expect(await score(['return'])).toBe(4);
+    expect(await score(['missing'])).toBe(5);
+  }, 60000);
+
+  it('should reuse npm audit results until the lockfile changes', async () => {
+    const cache = new AnalysisCache(tempDir);
+    const audit = { success: true, data: { metadata: { vulnerabilities: { total: 0 } } } };
+    const run = async () => {
+      const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15, cache });
+      const executeNpmAudit = vi.spyOn(analyzer, 'executeNpmAudit').mockResolvedValue(audit);
+      expect(await analyzer.runNpmAudit()).toEqual(audit);
+      return executeNpmAudit.mock.calls.length;
+    };
+
+    expect(await run()).toBe(1);
+    expect(await run()).toBe(0);
+
+    await fs.writeFile(path.join(tempDir, 'package-lock.json'), JSON.stringify({ name: 'fixture', lockfileVersion: 3, packages: {} }));
+    expect(await run()).toBe(1);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for parallel analyzer execution
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AnalyzerScheduler } from '../../src/scoring/core/AnalyzerScheduler.js';
+import { AnalysisCache } from '../../src/scoring/core/AnalysisCache.js';
+import { PerformanceMonitor } from '../../src/scoring/core/PerformanceMonitor.js';
+
+const analyzersDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../src/scoring/analyzers');
+
+const createTasks = (projectRoot) => [
+  ['performance', 'PerformanceAnalyzer', 15],
+  ['security', 'SecurityAnalyzer', 15]
+].map(([key, exportName, maxScore]) => ({
+  key,
+  modulePath: path.join(analyzersDir, `${exportName}.js`),
+  exportName,
+  config: { projectRoot, projectType: 'react-webapp', maxScore }
+}));
+
+const withoutTimings = (outcomes) => outcomes.map(({ key, result }) => ({ key, result: { ...result, analysisTime: 0 } }));
+
+describe('AnalyzerScheduler', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-scheduler-'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'fixture', type: 'module' }));
+    await fs.writeFile(path.join(tempDir, 'src', 'App.jsx'), 'import { useEffect } from \'react\';\nexport const App = () => { useEffect(() => {}); };\n');
+    await fs.writeFile(path.join(tempDir, 'src', 'config.js'), 'export default { "apiKey": "abcdefghijklm0123456789" };\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return the same results in task order in worker threads and in process', async () => {
+    const sequential = await new AnalyzerScheduler({ concurrency: 1 }).run(createTasks(tempDir));
+    const parallel = await new AnalyzerScheduler({ concurrency: 2 }).run(createTasks(tempDir));
+
+    expect(parallel.map(outcome => outcome.key)).toEqual(['performance', 'security']);
+    expect(parallel.every(outcome => outcome.result && outcome.duration >= 0)).toBe(true);
+    expect(withoutTimings(parallel)).toEqual(withoutTimings(sequential));
+    expect(parallel[0].result.findings).toContainEqual(expect.objectContaining({ ruleId: 'performance/effect-without-callback', file: path.join('src', 'App.jsx'), range: expect.objectContaining({ startLine: 1 }) }));
+    expect(parallel[1].result.findings).toContainEqual(expect.objectContaining({ ruleId: 'security/hardcoded-secret', file: path.join('src', 'config.js') }));
+  }, 30000);
+
+  it('should split per-file passes into worker batches', async () => {
+    const cache = new AnalysisCache(tempDir);
+    const [, security] = await new AnalyzerScheduler({ concurrency: 2, cache }).run(createTasks(tempDir));
+
+    // One batch each for the secret scan and the taint tracking of the two source files
+    expect(security.fileBatches).toBe(2);
+    expect(Object.keys(cache.entries)).toContain(`security/taint-flows|${path.join('src', 'App.jsx')}`);
+    // The analyzer reading a batch result is not a second lookup
+    expect(cache.stats.hits).toBe(0);
+  }, 30000);
+
+  it('should run tasks whose config cannot be cloned on the main thread', async () => {
+    const tasks = createTasks(tempDir);
+    // Plugin options holding a function or an object with methods
+    tasks[0].config.options = { transform: value => value };
+    tasks[1].config.options = { client: new (class Client { get() {} })() };
+
+    const outcomes = await new AnalyzerScheduler({ concurrency: 2 }).run(tasks);
+    const sequential = await new AnalyzerScheduler({ concurrency: 1 }).run(createTasks(tempDir));
+
+    expect(outcomes.map(outcome => outcome.error)).toEqual([undefined, undefined]);
+    expect(withoutTimings(outcomes)).toEqual(withoutTimings(sequential));
+  }, 30000);
+
+  it('should merge the cache entries produced by workers', async () => {
+    const cache = new AnalysisCache(tempDir);
+    await new AnalyzerScheduler({ concurrency: 2, cache }).run(createTasks(tempDir));
+
+    expect(cache.stats.misses).toBeGreaterThan(0);
+    expect(Object.keys(cache.entries)).toContain(`performance/best-practices|${path.join('src', 'App.jsx')}`);
+    expect(Object.keys(cache.entries)).toContain(`security/secrets|${path.join('src', 'config.js')}`);
+
+    const second = new AnalysisCache(tempDir);
+    second.mergeState(cache.exportState());
+    second.stats = { hits: 0, misses: 0 };
+    await new AnalyzerScheduler({ concurrency: 2, cache: second }).run(createTasks(tempDir));
+    expect(second.stats.misses).toBe(0);
+  }, 30000);
+
+  it('should report a task whose module has no such analyzer as an error outcome', async () => {
+    const [task] = createTasks(tempDir);
+    const outcomes = await new AnalyzerScheduler({ concurrency: 1 }).run([{ ...task, exportName: 'MissingAnalyzer' }]);
+
+    expect(outcomes[0].error).toContain('does not export an analyzer named MissingAnalyzer');
+  });
+
+  it('should resolve --concurrency values', () => {
+    expect(AnalyzerScheduler.resolveConcurrency('4')).toBe(4);
+    expect(AnalyzerScheduler.resolveConcurrency()).toBeGreaterThanOrEqual(1);
+    expect(() => AnalyzerScheduler.resolveConcurrency('0')).toThrow('Invalid concurrency');
+    expect(() => AnalyzerScheduler.resolveConcurrency('two')).toThrow('Invalid concurrency');
+  });
+});
+
+describe('PerformanceMonitor parallel runs', () => {
+  it('should report wall-clock, CPU and saved time', () => {
+    const monitor = new PerformanceMonitor({ enableMemoryTracking: false });
+    const token = monitor.startParallelRun();
+    token.wallStart -= 1000;
+
+    const parallel = monitor.endParallelRun(token, {
+      concurrency: 2,
+      tasks: [{ key: 'quality', duration: 900 }, { key: 'security', duration: 700 }]
+    });
+
+    expect(parallel).toMatchObject({ concurrency: 2, serialTime: 1600 });
+    expect(parallel.saved).toBeGreaterThan(500);
+    expect(parallel.cpuTime).toBeGreaterThanOrEqual(0);
+    expect(monitor.generatePerformanceSummary().parallel).toBe(parallel);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for ComplexityCalculator
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ComplexityCalculator } from '../../src/scoring/core/ComplexityCalculator.js';
+
+describe('ComplexityCalculator', () => {
+  let calculator;
+
+  beforeEach(() => {
+    calculator = new ComplexityCalculator();
+  });
+
+  const analyze = (code, file = 'src/sample.js') => calculator.analyzeSource(code, file);
+
+  describe('analyzeSource', () => {
+    it('should report each function with name and location', () => {
+      const { functions, parseError } = analyze(`
+function first() {
+  return 1;
+}
+
+const second = () => 2;
+
+class Service {
+  load() {}
+}
+`);
+
+      expect(parseError).toBeNull();
+      expect(functions.map(fn => fn.name)).toEqual(['first', 'second', 'Service.load']);
+      expect(functions[0]).toMatchObject({ file: 'src/sample.js', line: 2, column: 1 });
+      expect(functions[2].line).toBe(9);
+    });
+
+    it('should ignore keywords in strings, comments and optional chaining', () => {
+      const { functions } = analyze(`
+function plain(user) {
+  // if this while for catch && ||
+  const label = 'if (a) { while (b) {} } ? :';
+  return user?.profile?.name + label;
+}
+`);
+
+      expect(functions[0].cyclomatic).toBe(1);
+      expect(functions[0].cognitive).toBe(0);
+    });
+
+    it('should return a parse error instead of throwing', () => {
+      const result = analyze('function broken( {', 'src/broken.js');
+
+      expect(result.functions).toEqual([]);
+      expect(result.parseError).toBeTruthy();
+    });
+
+    it('should parse TypeScript and JSX sources', () => {
+      const ts = analyze('export function id<T>(value: T): T { return value ?? null; }', 'src/id.ts');
+      const jsx = analyze('export const View = ({ ok }) => <div>{ok ? <b /> : null}</div>;', 'src/View.jsx');
+
+      expect(ts.functions[0]).toMatchObject({ name: 'id', cyclomatic: 2 });
+      expect(jsx.functions[0]).toMatchObject({ name: 'View', cyclomatic: 2, cognitive: 1 });
+    });
+  });
+
+  describe('cyclomatic complexity', () => {
+    it('should count decision points', () => {
+      const { functions } = analyze(`
+function decide(a, b = 1) {
+  if (a && b) {
+    return 1;
+  }
+  for (const x of a) {
+    try {
+      x();
+    } catch (e) {
+      return x ? 2 : 3;
+    }
+  }
+  switch (b) {
+  case 1: return 1;
+  case 2: return 2;
+  default: return 0;
+  }
+}
+`);
+
+      // 1 + default param + if + && + for-of + catch + ternary + 2 cases
+      expect(functions[0].cyclomatic).toBe(9);
+    });
+
+    it('should not add nested functions to the parent', () => {
+      const { functions } = analyze(`
+function outer(items) {
+  return items.map(item => item.ok ? 1 : 0);
+}
+`);
+
+      expect(functions[0]).toMatchObject({ name: 'outer', cyclomatic: 1 });
+      expect(functions[1]).toMatchObject({ name: '<anonymous>', cyclomatic: 2 });
+    });
+  });
+
+  describe('cognitive complexity', () => {
+    it('should weight structures by nesting depth', () => {
+      const { functions } = analyze(`
+function nested(items) {
+  for (const item of items) {
+    if (item.ok) {
+      while (item.next) {
+        item.next();
+      }
+    }
+  }
+}
+`);
+
+      // for (+1) + if (+2) + while (+3)
+      expect(functions[0].cognitive).toBe(6);
+    });
+
+    it('should count else-if chains and logical operator sequences', () => {
+      const { functions } = analyze(`
+function classify(a, b, c) {
+  if (a && b && c) {
+    return 1;
+  } else if (a || b && c) {
+    return 2;
+  } else {
+    return 3;
+  }
+}
+`);
+
+      // if (+1), &&-sequence (+1), else if (+1), || then && (+2), else (+1)
+      expect(functions[0].cognitive).toBe(6);
+    });
+  });
+});
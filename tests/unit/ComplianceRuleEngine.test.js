@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the AST-based compliance rules of validate_context7_compliance
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ComplianceRuleEngine, COMPLIANCE_RULES } from '../../src/server/ComplianceRuleEngine.js';
+
+const ruleIds = result => result.violations.map(violation => violation.ruleId);
+
+describe('ComplianceRuleEngine', () => {
+  const engine = new ComplianceRuleEngine();
+
+  it('should flag the any type from type annotations, not from text', () => {
+    const result = engine.check([
+      'const company: string = "any company";',
+      'export function load(id: any): Promise<any> {',
+      '  return fetch(id);',
+      '}'
+    ].join('\n'), { language: 'typescript' });
+
+    expect(result.violations).toEqual([
+      expect.objectContaining({ ruleId: 'typescript/no-explicit-any', severity: 'warning', line: 2, column: 26, endColumn: 29 }),
+      expect.objectContaining({ ruleId: 'typescript/no-explicit-any', line: 2, column: 40 })
+    ]);
+    expect(engine.check('const anyValue = company.any;', { language: 'javascript' }).violations).toEqual([]);
+  });
+
+  it('should check React component typing and documentation', () => {
+    const untyped = engine.check('export const UserCard = ({ user }) => <div>{user.name}</div>;', {
+      language: 'typescript', componentType: 'react'
+    });
+    expect(ruleIds(untyped)).toEqual(['docs/ai-assistant-context', 'react/component-type-annotation']);
+    expect(untyped.violations[1]).toMatchObject({
+      message: 'Components should use React.FC type annotation',
+      line: 1,
+      column: 14,
+      fix: expect.stringContaining('React.FC<UserCardProps>')
+    });
+
+    const typed = engine.check([
+      '/** AI ASSISTANT CONTEXT: shows one user */',
+      'export const UserCard: React.FC<Props> = ({ user }) => <div>{user.name}</div>;',
+      'export const Avatar = ({ url }: AvatarProps) => <img src={url} />;',
+      'export const formatName = (user) => user.name;'
+    ].join('\n'), { language: 'typescript', projectType: 'react-webapp' });
+    expect(typed.violations).toEqual([]);
+    expect(typed.rulesApplied).toContain('react/component-type-annotation');
+  });
+
+  it('should require React Query error and loading states that are actually read', () => {
+    const code = [
+      '// AI ASSISTANT CONTEXT: user list',
+      'export function Users() {',
+      "  const { data } = useQuery({ queryKey: ['users'] });",
+      "  const query = useQuery({ queryKey: ['teams'] });",
+      '  if (query.isLoading) return null;',
+      "  const { data: roles, error, isPending } = useQuery({ queryKey: ['roles'] });",
+      '  return <List items={data} error={query.error || error} loading={isPending} />;',
+      '}'
+    ].join('\n');
+
+    const result = engine.check(code, { language: 'javascript', componentType: 'react' });
+    expect(result.violations.map(violation => [violation.ruleId, violation.line])).toEqual([
+      ['react-query/handle-error', 3],
+      ['react-query/handle-loading', 3]
+    ]);
+  });
+
+  it('should check hook names and suggest the useFeatureName form', () => {
+    const result = engine.check('export const fetchUser = () => useState();\nexport function useprofile() {}', {
+      language: 'javascript', componentType: 'hook'
+    });
+
+    expect(result.violations.map(violation => [violation.ruleId, violation.line, violation.fix])).toEqual([
+      ['hooks/naming', 1, 'Rename hook to follow useFeatureName pattern: useFetchUser'],
+      ['hooks/naming', 2, 'Rename hook to follow useFeatureName pattern: useProfile']
+    ]);
+    expect(engine.check('export const useProfile = () => useState();', { language: 'javascript' }).violations).toEqual([]);
+  });
+
+  it('should flag inline styles except custom properties and sm: without md:', () => {
+    const result = engine.check([
+      'export const Panel = () => (',
+      '  <section className="p-2 sm:p-4">',
+      "    <p style={{ color: 'red' }} className=\"sm:flex md:grid\" />",
+      "    <p style={{ '--accent': color }} />",
+      '  </section>',
+      ');'
+    ].join('\n'), { language: 'javascript' });
+
+    expect(result.violations.map(violation => [violation.ruleId, violation.severity, violation.line])).toEqual([
+      ['styling/mobile-first-breakpoints', 'info', 2],
+      ['styling/no-inline-style', 'warning', 3]
+    ]);
+  });
+
+  it('should apply settings, severity overrides and score by severity', () => {
+    const code = 'export const load = (value: any) => value;';
+    const configured = new ComplianceRuleEngine({ strictTypes: false, rules: { 'hooks/naming': 'error' } });
+
+    expect(configured.check(code, { language: 'typescript' }).violations).toEqual([]);
+    expect(new ComplianceRuleEngine({ strictTypes: false, rules: { 'typescript/no-explicit-any': 'error' } })
+      .check(code, { language: 'typescript' }).violations[0].severity).toBe('error');
+    expect(new ComplianceRuleEngine({ rules: { 'typescript/no-explicit-any': 'off' } })
+      .check(code, { language: 'typescript' }).rulesApplied).not.toContain('typescript/no-explicit-any');
+
+    expect(ComplianceRuleEngine.score([{ severity: 'error' }, { severity: 'warning' }, { severity: 'info' }])).toBe(68);
+    expect(() => new ComplianceRuleEngine({ rules: { 'no-any': 'error', 'hooks/naming': 'fatal' } })).toThrow(
+      'compliance.rules.no-any is not a known rule. Known rules: ' + Object.keys(COMPLIANCE_RULES).join(', ')
+    );
+    expect(() => new ComplianceRuleEngine({ rules: { 'hooks/naming': 'fatal' } }))
+      .toThrow('compliance.rules.hooks/naming must be one of error, warning, info or off, got "fatal"');
+  });
+
+  it('should report code that does not parse with its location', () => {
+    const result = engine.check('const total = (a, b => a + b;', { language: 'javascript' });
+
+    expect(result.violations[0]).toMatchObject({ ruleId: 'syntax/parse-error', severity: 'error', line: 1 });
+    expect(engine.check('.card { color: red; }', { language: 'css' })).toEqual({ parsed: false, rulesApplied: [], violations: [] });
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Unit tests for the lockfile dependency graph: yarn and pnpm parsing, duplicates, depth,
+ * deprecations, install scripts and licenses
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DependencyGraph } from '../../src/security/DependencyGraph.js';
+import { parseYarnLock } from '../../src/security/lockfileParsers.js';
+import { SecurityAnalyzer } from '../../src/scoring/analyzers/SecurityAnalyzer.js';
+import { PerformanceAnalyzer } from '../../src/scoring/analyzers/PerformanceAnalyzer.js';
+import { ProjectScorer } from '../../src/scoring/ProjectScorer.js';
+
+const PACKAGE_JSON = { name: 'app', dependencies: { express: '^4.0.0' }, devDependencies: { mocha: '^10.0.0' } };
+
+const YARN_V1 = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+express@^4.0.0:
+  version "4.17.1"
+  resolved "https://registry.yarnpkg.com/express/-/express-4.17.1.tgz"
+  dependencies:
+    qs "6.7.0"
+    "@types/qs" "^6.9.0"
+
+"@types/qs@^6.9.0":
+  version "6.9.7"
+
+qs@6.7.0:
+  version "6.7.0"
+
+mocha@^10.0.0:
+  version "10.0.0"
+  dependencies:
+    qs "^6.2.0"
+
+qs@^6.2.0:
+  version "6.2.3"
+`;
+
+const YARN_BERRY = `__metadata:
+  version: 6
+  cacheKey: 8
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "app@workspace:."
+  dependencies:
+    express: ^4.0.0
+  linkType: soft
+  languageName: unknown
+
+"express@npm:^4.0.0":
+  version: 4.17.1
+  resolution: "express@npm:4.17.1"
+  dependencies:
+    qs: 6.7.0
+  linkType: hard
+
+"qs@npm:6.7.0, qs@npm:^6.0.0":
+  version: 6.7.0
+  resolution: "qs@npm:6.7.0"
+  linkType: hard
+`;
+
+const PNPM_V6 = `lockfileVersion: '6.0'
+
+dependencies:
+  express:
+    specifier: ^4.0.0
+    version: 4.17.1(debug@4.3.4)
+
+devDependencies:
+  mocha:
+    specifier: ^10.0.0
+    version: 10.0.0
+
+packages:
+
+  /express@4.17.1(debug@4.3.4):
+    resolution: {integrity: sha512-x}
+    dependencies:
+      debug: 4.3.4
+      qs: 6.7.0
+    dev: false
+
+  /debug@4.3.4:
+    resolution: {integrity: sha512-y}
+    dev: false
+
+  /qs@6.7.0:
+    resolution: {integrity: sha512-z}
+    deprecated: Use qs 6.11 or later
+    dev: false
+
+  /mocha@10.0.0:
+    resolution: {integrity: sha512-m}
+    hasBin: true
+    requiresBuild: true
+    dependencies:
+      qs: 6.2.3
+    dev: true
+
+  /qs@6.2.3:
+    resolution: {integrity: sha512-q}
+    dev: true
+`;
+
+const PNPM_V9 = `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      express:
+        specifier: ^4.0.0
+        version: 4.17.1
+    devDependencies:
+      mocha:
+        specifier: ^10.0.0
+        version: 10.0.0
+
+packages:
+
+  express@4.17.1:
+    resolution: {integrity: sha512-x}
+
+  qs@6.7.0:
+    resolution: {integrity: sha512-z}
+
+  mocha@10.0.0:
+    resolution: {integrity: sha512-m}
+
+snapshots:
+
+  express@4.17.1:
+    dependencies:
+      qs: 6.7.0
+
+  qs@6.7.0: {}
+
+  mocha@10.0.0:
+    dependencies:
+      qs: 6.7.0
+`;
+
+/**
+ * npm lockfile with two copies of qs, a five-level deep chain and a deprecated dev package
+ */
+const LOCK_V3 = {
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': PACKAGE_JSON,
+    'node_modules/express': { version: '4.17.1', license: 'MIT', dependencies: { qs: '6.7.0', 'body-parser': '1.19.0' } },
+    'node_modules/body-parser': { version: '1.19.0', license: 'MIT', dependencies: { qs: '6.3.1', 'raw-body': '2.4.0' } },
+    'node_modules/body-parser/node_modules/qs': { version: '6.3.1', license: 'BSD-3-Clause' },
+    'node_modules/raw-body': { version: '2.4.0', license: 'MIT', dependencies: { bytes: '3.1.0' } },
+    'node_modules/bytes': { version: '3.1.0', license: 'MIT' },
+    'node_modules/qs': { version: '6.7.0', license: 'BSD-3-Clause' },
+    'node_modules/mocha': { version: '10.0.0', dev: true, license: 'MIT', deprecated: 'Upgrade to mocha 11', dependencies: { fsevents: '2.3.2' } },
+    'node_modules/fsevents': { version: '2.3.2', dev: true, optional: true, hasInstallScript: true }
+  }
+};
+
+describe('DependencyGraph lockfile formats', () => {
+  it('should read classic yarn.lock entries and infer dev-only packages', () => {
+    expect(parseYarnLock(YARN_V1).berry).toBe(false);
+
+    const graph = DependencyGraph.fromYarnLock(YARN_V1, PACKAGE_JSON);
+    const paths = graph.paths();
+
+    expect(graph.packages().map(node => `${node.name}@${node.version}`).sort()).toEqual([
+      '@types/qs@6.9.7', 'express@4.17.1', 'mocha@10.0.0', 'qs@6.2.3', 'qs@6.7.0'
+    ]);
+    expect(graph.resolve('express@4.17.1', '@types/qs')).toBe('@types/qs@6.9.7');
+    expect(paths.get('qs@6.2.3')).toEqual(['app', 'mocha', 'qs']);
+    expect(graph.nodes.get('qs@6.7.0').dev).toBe(false);
+    expect(graph.nodes.get('qs@6.2.3').dev).toBe(true);
+  });
+
+  it('should read Berry yarn.lock entries with several descriptors and skip workspaces', () => {
+    const graph = DependencyGraph.fromYarnLock(YARN_BERRY, { name: 'app', dependencies: { express: '^4.0.0', qs: '^6.0.0' } });
+
+    expect(graph.packages().map(node => node.location).sort()).toEqual(['express@4.17.1', 'qs@6.7.0']);
+    expect(graph.resolve('', 'qs')).toBe('qs@6.7.0');
+    expect(graph.paths().get('qs@6.7.0')).toEqual(['app', 'qs']);
+  });
+
+  it('should read pnpm v6 lockfiles with peer suffixes, dev flags and build scripts', () => {
+    const summary = DependencyGraph.fromPnpmLock(PNPM_V6, { name: 'app' }).summarize();
+
+    expect(summary).toMatchObject({ lockfile: 'pnpm-lock.yaml', packages: 5, direct: 2, production: 3, maxDepth: 2 });
+    expect(summary.duplicates).toEqual([{ name: 'qs', versions: ['6.2.3', '6.7.0'], production: true }]);
+    expect(summary.deprecated).toEqual([
+      { name: 'qs', version: '6.7.0', dev: false, path: ['app', 'express', 'qs'], message: 'Use qs 6.11 or later' }
+    ]);
+    expect(summary.installScripts.map(pkg => pkg.name)).toEqual(['mocha']);
+  });
+
+  it('should merge pnpm v9 packages and snapshots and infer dev flags', () => {
+    const graph = DependencyGraph.fromPnpmLock(PNPM_V9, { name: 'app' });
+
+    expect(graph.paths().get('qs@6.7.0')).toEqual(['app', 'express', 'qs']);
+    expect(graph.nodes.get('mocha@10.0.0').dev).toBe(true);
+    expect(graph.nodes.get('qs@6.7.0').dev).toBe(false);
+  });
+});
+
+describe('DependencyGraph summary', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-deps-'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify(PACKAGE_JSON));
+    await fs.writeFile(path.join(tempDir, 'package-lock.json'), JSON.stringify(LOCK_V3));
+
+    const fsevents = path.join(tempDir, 'node_modules', 'fsevents');
+    await fs.mkdir(fsevents, { recursive: true });
+    await fs.writeFile(path.join(fsevents, 'package.json'), JSON.stringify({
+      name: 'fsevents', version: '2.3.2', licenses: [{ type: 'MIT' }], scripts: { install: 'node-gyp rebuild' }
+    }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should summarize duplicates, depth, deprecations, install scripts and licenses', async () => {
+    const graph = await DependencyGraph.load(tempDir);
+    expect(graph.summarize().unlicensed.map(pkg => pkg.name)).toEqual(['fsevents']);
+
+    expect(await graph.readInstalledManifests(tempDir)).toBe(1);
+    const summary = graph.summarize();
+
+    expect(summary).toMatchObject({ packages: 8, direct: 2, production: 6, maxDepth: 4, unlicensed: [] });
+    expect(summary.deepestPath).toEqual(['app', 'express', 'body-parser', 'raw-body', 'bytes']);
+    expect(summary.duplicates).toEqual([{ name: 'qs', versions: ['6.3.1', '6.7.0'], production: true }]);
+    expect(summary.deprecated.map(pkg => [pkg.name, pkg.dev])).toEqual([['mocha', true]]);
+    expect(summary.installScripts).toEqual([
+      { name: 'fsevents', version: '2.3.2', dev: true, path: ['app', 'mocha', 'fsevents'], scripts: ['install'] }
+    ]);
+    expect(summary.licenses).toEqual({ MIT: 6, 'BSD-3-Clause': 2 });
+  });
+
+  it('should not report unlicensed packages when no license data is available', () => {
+    const summary = DependencyGraph.fromYarnLock(YARN_V1, PACKAGE_JSON).summarize();
+
+    expect(summary.licenses).toEqual({ UNKNOWN: 5 });
+    expect(summary.unlicensed).toEqual([]);
+  });
+
+  it('should score dependency health and tree shape in the analyzers', async () => {
+    const security = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15 });
+    expect(await security.analyzeDependencyHealth()).toBe(0.25);
+    expect(security.results.findings.map(finding => [finding.ruleId, finding.severity])).toEqual([
+      ['security/deprecated-dependency', 'low'],
+      ['security/dependency-install-script', 'info']
+    ]);
+
+    const performance = new PerformanceAnalyzer({ projectRoot: tempDir, maxScore: 10 });
+    expect(await performance.analyzeDependencyTree()).toBe(1);
+    expect(performance.results.findings.map(finding => finding.message)).toEqual([
+      'qs is installed in 2 versions (6.3.1, 6.7.0)'
+    ]);
+    expect(performance.results.details.dependencyTree).toMatchObject({ lockfile: 'package-lock.json', maxDepth: 4 });
+  });
+
+  it('should load the graph once per scoring run and pass it to the analyzers as plain data', async () => {
+    const graph = await DependencyGraph.loadInstalled(tempDir);
+    expect(DependencyGraph.fromJSON(JSON.parse(JSON.stringify(graph))).summarize()).toEqual(graph.summarize());
+
+    const load = vi.spyOn(DependencyGraph, 'load');
+    try {
+      const scorer = new ProjectScorer({ projectRoot: tempDir, concurrency: 1, cache: false, quiet: true });
+      const results = await scorer.scoreProject({ categories: ['structure', 'performance'], detailed: true });
+
+      expect(load).toHaveBeenCalledTimes(1);
+      expect(results.categories.performance.details.dependencyTree).toMatchObject({ maxDepth: 4 });
+      expect(results.detailed.dependencyAnalysis.installed).toMatchObject({ packages: 8, installScripts: ['fsevents@2.3.2'] });
+    } finally {
+      load.mockRestore();
+    }
+  }, 60000);
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for diff-aware scoring (--since / --staged)
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getChangedFiles, runGit } from '../../src/utils/gitUtils.js';
+import { BaseAnalyzer } from '../../src/scoring/analyzers/BaseAnalyzer.js';
+
+describe('getChangedFiles', () => {
+  let tempDir;
+
+  const write = (file, content) => fs.writeFile(path.join(tempDir, file), content);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-diff-'));
+    runGit(tempDir, ['init', '-q']);
+    runGit(tempDir, ['config', 'user.email', 'test@example.com']);
+    runGit(tempDir, ['config', 'user.name', 'Test']);
+    await write('a.js', 'export const a = 1;\n');
+    await write('b.js', 'export const b = 1;\n');
+    runGit(tempDir, ['add', '.']);
+    runGit(tempDir, ['commit', '-q', '-m', 'initial']);
+    runGit(tempDir, ['tag', 'base']);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should list committed, modified and untracked files since a ref', async () => {
+    await write('a.js', 'export const a = 2;\n');
+    runGit(tempDir, ['commit', '-q', '-am', 'change a']);
+    await write('b.js', 'export const b = 2;\n');
+    await write('c.js', 'export const c = 1;\n');
+
+    expect(getChangedFiles(tempDir, { since: 'base' })).toEqual({ mode: 'since', ref: 'base', files: ['a.js', 'b.js', 'c.js'] });
+  });
+
+  it('should list only staged files in staged mode', async () => {
+    await write('a.js', 'export const a = 2;\n');
+    await write('b.js', 'export const b = 2;\n');
+    runGit(tempDir, ['add', 'b.js']);
+
+    expect(getChangedFiles(tempDir, { staged: true }).files).toEqual(['b.js']);
+  });
+
+  it('should report unknown refs', () => {
+    expect(() => getChangedFiles(tempDir, { since: 'missing-ref' })).toThrow('Cannot determine changed files since missing-ref');
+  });
+});
+
+describe('BaseAnalyzer diff scope', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-scope-'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.writeFile(path.join(tempDir, 'src', 'changed.js'), '');
+    await fs.writeFile(path.join(tempDir, 'src', 'unchanged.js'), '');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should limit file listings to changed files unless the project scope is requested', async () => {
+    const analyzer = new BaseAnalyzer({ projectRoot: tempDir, changedFiles: ['src/changed.js'] });
+
+    expect(await analyzer.getAllFiles('', ['.js'])).toEqual([path.join('src', 'changed.js')]);
+    expect(await analyzer.getAllFiles('', ['.js'], [], { scope: 'project' })).toHaveLength(2);
+  });
+
+  it('should list every file in a full scan', async () => {
+    const analyzer = new BaseAnalyzer({ projectRoot: tempDir });
+    expect(await analyzer.getAllFiles('', ['.js'])).toHaveLength(2);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the structured findings model
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Finding, FindingSeverity, groupFindingsByFile, collectFindings } from '../../src/scoring/core/Finding.js';
+import { BaseAnalyzer } from '../../src/scoring/analyzers/BaseAnalyzer.js';
+import { JSONReportGenerator } from '../../src/scoring/report/JSONReportGenerator.js';
+import { MarkdownReportGenerator } from '../../src/scoring/report/MarkdownReportGenerator.js';
+
+class SampleAnalyzer extends BaseAnalyzer {
+  constructor(config) {
+    super(config);
+    this.categoryKey = 'sample';
+  }
+}
+
+describe('Finding', () => {
+  it('should build a range from line and column', () => {
+    const finding = new Finding({
+      ruleId: 'quality/complex-function',
+      severity: FindingSeverity.HIGH,
+      message: 'Complex function',
+      file: 'src\\utils\\math.js',
+      line: 12,
+      column: 3,
+      endLine: 40
+    });
+
+    expect(finding.file).toBe('src/utils/math.js');
+    expect(finding.range).toEqual({ startLine: 12, startColumn: 3, endLine: 40, endColumn: null });
+    expect(finding.location).toBe('src/utils/math.js:12:3');
+    expect(JSON.parse(JSON.stringify(finding))).toMatchObject({ ruleId: 'quality/complex-function', severity: 'high' });
+  });
+
+  it('should default unknown severities to medium and leave project-level findings unlocated', () => {
+    const finding = new Finding({ ruleId: 'x/y', message: 'No README', severity: 'urgent' });
+
+    expect(finding.severity).toBe('medium');
+    expect(finding.range).toBeNull();
+    expect(finding.location).toBeNull();
+  });
+
+  it('should slugify issue text into stable rule ids', () => {
+    expect(Finding.slugify('12 functions exceed complexity 10')).toBe('functions-exceed-complexity');
+    expect(Finding.slugify('No .gitignore found')).toBe('no-gitignore-found');
+  });
+
+  it('should group findings by file with project-level findings first', () => {
+    const groups = groupFindingsByFile([
+      new Finding({ ruleId: 'a', message: 'late', file: 'src/b.js', line: 20 }),
+      new Finding({ ruleId: 'b', message: 'project' }),
+      new Finding({ ruleId: 'c', message: 'early', file: 'src/b.js', line: 2 }),
+      new Finding({ ruleId: 'd', message: 'other', file: 'src/a.js', line: 1 })
+    ]);
+
+    expect(groups.map(group => group.file)).toEqual([null, 'src/a.js', 'src/b.js']);
+    expect(groups[2].findings.map(finding => finding.message)).toEqual(['early', 'late']);
+  });
+});
+
+describe('BaseAnalyzer findings', () => {
+  it('should mirror findings into issues and suggestions', () => {
+    const analyzer = new SampleAnalyzer({ projectRoot: '/tmp' });
+
+    analyzer.addFinding({ ruleId: 'large-module', message: 'Module too large', file: 'src/big.js', fix: 'Split it' });
+    analyzer.addFinding({ ruleId: 'todo', message: 'TODO: later', file: 'src/big.js', line: 4, summary: false });
+
+    expect(analyzer.results.issues).toEqual(['Module too large']);
+    expect(analyzer.results.suggestions).toEqual(['Split it']);
+    expect(analyzer.results.findings.map(finding => finding.ruleId)).toEqual(['sample/large-module', 'sample/todo']);
+    expect(analyzer.results.findings[0].category).toBe('sample');
+  });
+
+  it('should record a project-level finding for plain issues', () => {
+    const analyzer = new SampleAnalyzer({ projectRoot: '/tmp' });
+
+    analyzer.addIssue('No README.md found', 'Add a README.md');
+
+    expect(analyzer.results.issues).toEqual(['No README.md found']);
+    expect(analyzer.results.findings[0]).toMatchObject({
+      ruleId: 'sample/no-readme-md-found',
+      file: null,
+      fix: 'Add a README.md'
+    });
+  });
+});
+
+describe('report generators', () => {
+  const results = {
+    metadata: { projectName: 'demo', projectType: 'javascript' },
+    overall: { score: 50, maxScore: 100, percentage: 50, grade: 'F' },
+    categories: {
+      quality: {
+        categoryName: 'Code Quality',
+        score: 10,
+        maxScore: 20,
+        grade: 'F',
+        issues: ['Complex function run'],
+        findings: [
+          new Finding({ ruleId: 'quality/complex-function', message: 'Complex function run', file: 'src/run.js', line: 5 })
+        ]
+      }
+    },
+    recommendations: []
+  };
+
+  it('should include findings grouped by file in JSON output', async () => {
+    const json = JSON.parse(await new JSONReportGenerator().generate(results));
+
+    expect(json.categories.quality.findings).toHaveLength(1);
+    expect(json.findingsByFile).toEqual([
+      { file: 'src/run.js', findings: [expect.objectContaining({ ruleId: 'quality/complex-function', category: 'quality' })] }
+    ]);
+    expect(json.summary.totalFindings).toBe(1);
+    expect(collectFindings(results)).toHaveLength(1);
+  });
+
+  it('should render a findings section in markdown', async () => {
+    const markdown = await new MarkdownReportGenerator().generate(results);
+
+    expect(markdown).toContain('## Findings by File');
+    expect(markdown).toContain('### `src/run.js`');
+    expect(markdown).toContain('**medium** `quality/complex-function` L5: Complex function run');
+  });
+});
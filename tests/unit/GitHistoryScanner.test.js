@@ -0,0 +1,129 @@
+/**
+ * Unit tests for git history secret scanning
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GitHistoryScanner } from '../../src/security/GitHistoryScanner.js';
+import { SecurityAnalyzer } from '../../src/scoring/analyzers/SecurityAnalyzer.js';
+
+// Assembled at runtime so this file does not trip secret scanners
+const awsKeyId = 'AKIA' + 'Z7QW3ERTY5UIOP2X';
+const githubToken = 'ghp_' + 'aB3dE5gH7jK9mN1pQ3sT5vW7yZ9bC1dE3fG5';
+
+describe('GitHistoryScanner', () => {
+  let tempDir;
+
+  const git = (args, date = '2024-01-01T10:00:00Z') => execFileSync('git', args, {
+    cwd: tempDir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com', GIT_COMMITTER_DATE: date
+    }
+  }).trim();
+
+  const commit = async (files, message, date) => {
+    for (const [file, content] of Object.entries(files)) {
+      const fullPath = path.join(tempDir, file);
+      if (content === null) {
+        await fs.rm(fullPath);
+      } else {
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, content);
+      }
+    }
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', message], date);
+    return git(['rev-parse', 'HEAD']);
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-history-'));
+    git(['init', '-q']);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report deleted secrets with the commit that introduced them', async () => {
+    await commit({ 'package.json': '{"name":"fixture"}', 'src/app.js': 'export const x = 1;\n' }, 'init', '2024-01-01T10:00:00Z');
+    const leak = await commit({ 'src/app.js': `export const x = 1;\nexport const key = '${awsKeyId}';\n` }, 'add key', '2024-02-01T10:00:00Z');
+    await commit({ 'src/app.js': 'export const x = 1;\nexport const key = process.env.KEY;\n', '.env': `GITHUB_TOKEN=${githubToken}\n` }, 'use env', '2024-03-01T10:00:00Z');
+    await commit({ '.env': null, 'package-lock.json': `{"key": "${awsKeyId}"}` }, 'drop env', '2024-04-01T10:00:00Z');
+
+    const scanner = new GitHistoryScanner(tempDir);
+    const history = await scanner.scan();
+
+    expect(history).toMatchObject({ commitsScanned: 4, totalCommits: 4, head: git(['rev-parse', 'HEAD']) });
+    expect(history.exposures.map(exposure => [exposure.ruleId, exposure.file, exposure.line, exposure.date])).toEqual([
+      ['aws-access-key-id', 'src/app.js', 2, '2024-02-01T10:00:00+00:00'],
+      ['github-token', '.env', 1, '2024-03-01T10:00:00+00:00']
+    ]);
+    expect(history.exposures[0]).toMatchObject({ commit: leak, column: 21, preview: 'export const key = \'AKIA****************\';' });
+    expect(JSON.stringify(history)).not.toContain(awsKeyId);
+
+    expect(await new GitHistoryScanner(tempDir, { maxCommits: 1 }).scan()).toMatchObject({ commitsScanned: 1, totalCommits: 4, exposures: [] });
+  });
+
+  it('should flag secrets that are still in the working tree', async () => {
+    await commit({ 'config.js': `export const token = '${githubToken}';\n` }, 'add token');
+
+    const scanner = new GitHistoryScanner(tempDir);
+    const [exposure] = await scanner.markWorkingTree((await scanner.scan()).exposures);
+
+    expect(exposure).toMatchObject({ ruleId: 'github-token', inWorkingTree: true });
+  });
+
+  it('should keep scanning added lines that look like file headers', async () => {
+    await commit({ 'a.js': 'export const a = 1;\n', 'b.js': 'x\n' }, 'init');
+    await commit({ 'b.js': `x\n++ y\nconst t = "${githubToken}";\n` }, 'add token');
+
+    const { exposures } = await new GitHistoryScanner(tempDir).scan();
+
+    expect(exposures.map(exposure => [exposure.ruleId, exposure.file, exposure.line])).toEqual([['github-token', 'b.js', 3]]);
+  });
+
+  it('should return null outside a git repository', async () => {
+    expect(await new GitHistoryScanner(os.tmpdir()).scan()).toBeNull();
+  });
+
+  it('should penalize the security score for secrets left in history', async () => {
+    await commit({ 'package.json': '{"name":"fixture"}', 'src/app.js': `export const key = '${awsKeyId}';\n` }, 'add key');
+    await commit({ 'src/app.js': 'export const key = process.env.KEY;\n' }, 'use env');
+
+    const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15 });
+    await analyzer.analyzeSecretsManagement();
+
+    const historical = analyzer.results.findings.filter(finding => finding.ruleId === 'security/secret-in-history');
+    expect(historical).toHaveLength(1);
+    expect(historical[0].message).toMatch(/^AWS access key ID in git history \(commit [0-9a-f]{7}, 2024-01-01\)$/);
+    expect(analyzer.results.issues).toContain('Secrets exposed in git history: 1 removed from the working tree');
+    expect(analyzer.results.details.secretHistory).toEqual({ commitsScanned: 2, totalCommits: 2, historicalSecrets: 1 });
+    // 2pts for env usage without hardcoded secrets, minus 1pt for the historical exposure
+    expect(analyzer.results.score).toBe(1);
+
+    const disabled = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15, security: { secrets: { history: { enabled: false } } } });
+    await disabled.analyzeSecretsManagement();
+    expect(disabled.results.score).toBe(2);
+    expect(disabled.results.details.secretHistory).toBeNull();
+  }, 30000);
+
+  it('should penalize secrets left in history when the working tree also exposes secrets', async () => {
+    await commit({ 'src/token.js': `export const token = '${githubToken}';\n` }, 'add token');
+    await commit({ 'src/token.js': null, 'src/app.js': `export const key = '${awsKeyId}';\n`, '.env.example': 'KEY=\n', '.gitignore': '.env\n' }, 'add key');
+
+    const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15 });
+    await analyzer.analyzeSecretsManagement();
+
+    expect(analyzer.results.issues).toContain('Secrets exposed in git history: 1 removed from the working tree');
+    // 1pt for .env.example and 1pt for ignoring .env, none for the hardcoded key, minus 1pt for history
+    expect(analyzer.results.score).toBe(1);
+  }, 30000);
+});
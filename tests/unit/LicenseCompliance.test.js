@@ -0,0 +1,180 @@
+/**
+ * Unit tests for the license policy and SBOM export
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LicensePolicy, parseLicenseExpression } from '../../src/security/LicensePolicy.js';
+import { DependencyGraph } from '../../src/security/DependencyGraph.js';
+import { buildCycloneDx, buildSpdx, purlOf } from '../../src/security/Sbom.js';
+import { SecurityAnalyzer } from '../../src/scoring/analyzers/SecurityAnalyzer.js';
+import { validateSecurityConfig } from '../../src/config/configSchema.js';
+
+const INTEGRITY = 'sha512-' + Buffer.from('digest').toString('base64');
+
+const LOCK = {
+  name: 'app',
+  version: '2.0.0',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app', version: '2.0.0', license: 'MIT', dependencies: { '@acme/ui': '^1.0.0', readline: '^1.0.0' }, devDependencies: { jest: '^29.0.0' } },
+    'node_modules/@acme/ui': {
+      version: '1.2.0',
+      license: '(MIT OR GPL-3.0-only)',
+      resolved: 'https://registry.npmjs.org/@acme/ui/-/ui-1.2.0.tgz',
+      integrity: INTEGRITY,
+      dependencies: { readline: '^1.0.0' }
+    },
+    'node_modules/readline': { version: '1.3.0', license: 'GPL-3.0-or-later' },
+    'node_modules/@acme/ui/node_modules/readline': { version: '1.3.0', license: 'GPL-3.0-or-later' },
+    'node_modules/jest': { version: '29.0.0', dev: true, license: 'MIT', dependencies: { 'eslint-plugin': '1.0.0' } },
+    'node_modules/eslint-plugin': { version: '1.0.0', dev: true, license: 'LGPL-2.1 AND MPL-2.0' }
+  }
+};
+
+describe('LicensePolicy', () => {
+  it('should parse SPDX expressions with precedence, parentheses and exceptions', () => {
+    expect(parseLicenseExpression('MIT OR Apache-2.0 AND BSD-3-Clause')).toEqual({
+      or: [{ id: 'MIT' }, { and: [{ id: 'Apache-2.0' }, { id: 'BSD-3-Clause' }] }]
+    });
+    expect(parseLicenseExpression('(MIT or ISC) and GPL-2.0 WITH Classpath-exception-2.0')).toEqual({
+      and: [{ or: [{ id: 'MIT' }, { id: 'ISC' }] }, { id: 'GPL-2.0' }]
+    });
+    expect(parseLicenseExpression('SEE LICENSE IN LICENSE.md')).toEqual({ id: 'SEE LICENSE IN LICENSE.md' });
+  });
+
+  it('should pick the most permissive choice of OR and the strictest part of AND', () => {
+    const policy = new LicensePolicy({ allow: ['MIT', 'ISC', 'BSD-*'], deny: ['GPL-*', 'AGPL-3.0'] });
+
+    expect(policy.check('MIT')).toBe('allowed');
+    expect(policy.check('bsd-3-clause')).toBe('allowed');
+    expect(policy.check('GPL-3.0-or-later')).toBe('denied');
+    expect(policy.check('GPL-2.0+')).toBe('denied');
+    expect(policy.check('LGPL-2.1')).toBe('not-allowed');
+    expect(policy.check('(MIT OR GPL-3.0)')).toBe('allowed');
+    expect(policy.check('MIT AND AGPL-3.0-only')).toBe('denied');
+    expect(new LicensePolicy().enabled).toBe(false);
+  });
+
+  it('should report production violations with their dependency path and honour exceptions', () => {
+    const graph = DependencyGraph.fromPackageLock(LOCK);
+    const policy = new LicensePolicy({ deny: ['GPL-*'], allow: ['MIT', 'GPL-*'] });
+
+    expect(policy.evaluate(graph).map(violation => [violation.name, violation.outcome, violation.path.join(' > ')])).toEqual([
+      ['readline', 'denied', 'app > readline'],
+      ['readline', 'denied', 'app > @acme/ui > readline']
+    ]);
+    expect(new LicensePolicy({ deny: ['GPL-*'], exceptions: ['readline@1.3.0'] }).evaluate(graph)).toEqual([]);
+    expect(new LicensePolicy({ allow: ['MIT', 'GPL-*'], includeDev: true }).evaluate(graph).map(violation => violation.name))
+      .toEqual(['eslint-plugin']);
+  });
+
+  it('should not allow packages without a license when an allow list is set', () => {
+    const lock = { ...LOCK, packages: { ...LOCK.packages, 'node_modules/left-pad': { version: '1.3.0' } } };
+    lock.packages[''] = { ...LOCK.packages[''], dependencies: { ...LOCK.packages[''].dependencies, 'left-pad': '^1.3.0' } };
+    const graph = DependencyGraph.fromPackageLock(lock);
+
+    expect(new LicensePolicy({ allow: ['MIT', 'GPL-*'] }).evaluate(graph)).toEqual([
+      { name: 'left-pad', version: '1.3.0', license: null, dev: false, outcome: 'not-allowed', path: ['app', 'left-pad'] }
+    ]);
+    expect(new LicensePolicy({ allow: ['MIT', 'GPL-*'], exceptions: ['left-pad'] }).evaluate(graph)).toEqual([]);
+    // A deny list alone leaves them to the dependency-without-license check
+    expect(new LicensePolicy({ deny: ['AGPL-*'] }).evaluate(graph)).toEqual([]);
+  });
+
+  it('should validate the security.licenses config block', () => {
+    expect(validateSecurityConfig({ licenses: { deny: ['GPL-*'], includeDev: true } })).toEqual([]);
+    expect(validateSecurityConfig({ licenses: { deny: 'GPL-3.0', block: [] } })).toEqual([
+      'security.licenses.deny must be an array, got "GPL-3.0"',
+      'security.licenses.block is not a known setting. Valid keys: allow, deny, exceptions, includeDev'
+    ]);
+  });
+});
+
+describe('SBOM export', () => {
+  const graph = DependencyGraph.fromPackageLock(LOCK);
+  const options = { tool: { name: 'codefortify', version: '1.0.0' }, timestamp: '2026-01-02T03:04:05.678Z' };
+
+  it('should build a CycloneDX BOM with one component per package version', () => {
+    const bom = buildCycloneDx(graph, options);
+
+    expect(bom).toMatchObject({ bomFormat: 'CycloneDX', specVersion: '1.5', version: 1 });
+    expect(bom.serialNumber).toMatch(/^urn:uuid:[0-9a-f-]{36}$/);
+    expect(bom.metadata.component).toMatchObject({ name: 'app', version: '2.0.0', purl: 'pkg:npm/app@2.0.0', licenses: [{ license: { id: 'MIT' } }] });
+    expect(bom.components.map(component => [component.purl, component.scope])).toEqual([
+      ['pkg:npm/%40acme/ui@1.2.0', 'required'],
+      ['pkg:npm/readline@1.3.0', 'required'],
+      ['pkg:npm/jest@29.0.0', 'excluded'],
+      ['pkg:npm/eslint-plugin@1.0.0', 'excluded']
+    ]);
+    expect(bom.components[0]).toMatchObject({
+      group: '@acme',
+      name: 'ui',
+      licenses: [{ expression: '(MIT OR GPL-3.0-only)' }],
+      hashes: [{ alg: 'SHA-512', content: Buffer.from('digest').toString('hex') }],
+      externalReferences: [{ type: 'distribution', url: 'https://registry.npmjs.org/@acme/ui/-/ui-1.2.0.tgz' }]
+    });
+    expect(bom.dependencies).toContainEqual({ ref: 'pkg:npm/app@2.0.0', dependsOn: ['pkg:npm/%40acme/ui@1.2.0', 'pkg:npm/jest@29.0.0', 'pkg:npm/readline@1.3.0'] });
+    expect(bom.dependencies).toContainEqual({ ref: 'pkg:npm/%40acme/ui@1.2.0', dependsOn: ['pkg:npm/readline@1.3.0'] });
+  });
+
+  it('should build an SPDX document and leave out dev packages on request', () => {
+    const spdx = buildSpdx(graph, { ...options, includeDev: false });
+
+    expect(spdx).toMatchObject({ spdxVersion: 'SPDX-2.3', dataLicense: 'CC0-1.0', name: 'app@2.0.0' });
+    expect(spdx.creationInfo).toEqual({ created: '2026-01-02T03:04:05Z', creators: ['Tool: codefortify-1.0.0'] });
+    expect(spdx.packages.map(pkg => [pkg.SPDXID, pkg.licenseDeclared])).toEqual([
+      ['SPDXRef-Package-app-2.0.0', 'MIT'],
+      ['SPDXRef-Package-acme-ui-1.2.0', '(MIT OR GPL-3.0-only)'],
+      ['SPDXRef-Package-readline-1.3.0', 'GPL-3.0-or-later']
+    ]);
+    expect(spdx.packages[1].checksums).toEqual([{ algorithm: 'SHA512', checksumValue: Buffer.from('digest').toString('hex') }]);
+    expect(spdx.relationships).toContainEqual({
+      spdxElementId: 'SPDXRef-Package-acme-ui-1.2.0', relationshipType: 'DEPENDS_ON', relatedSpdxElement: 'SPDXRef-Package-readline-1.3.0'
+    });
+    expect(purlOf('@scope/a', '1.0.0-beta+1')).toBe('pkg:npm/%40scope/a@1.0.0-beta%2B1');
+  });
+});
+
+describe('SecurityAnalyzer license policy', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-licenses-'));
+    await fs.writeFile(path.join(tempDir, 'package-lock.json'), JSON.stringify(LOCK));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report denied production licenses as high severity findings', async () => {
+    const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15, security: { licenses: { deny: ['GPL-*'] } } });
+    const violations = await analyzer.analyzeLicensePolicy();
+
+    expect(violations).toHaveLength(2);
+    expect(analyzer.results.findings[0]).toMatchObject({
+      ruleId: 'security/license-violation',
+      severity: 'high',
+      message: 'readline@1.3.0 is licensed under GPL-3.0-or-later, which is denied (via app > readline)'
+    });
+    expect(analyzer.results.details.licensePolicy).toEqual({ checked: 3, denied: 2, notAllowed: 0 });
+  });
+
+  it('should not deduct more points than were awarded', () => {
+    const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15 });
+    analyzer.addScore(0.5, 4, 'Offline audit unavailable');
+
+    expect(analyzer.deductScore(1.5, 'License policy violations')).toBe(0.5);
+    expect(analyzer.results.score).toBe(0);
+  });
+
+  it('should skip the check without a policy', async () => {
+    const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15 });
+
+    expect(await analyzer.analyzeLicensePolicy()).toEqual([]);
+    expect(analyzer.results.findings).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for hosting the MCP server over Streamable HTTP and SSE
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { URL } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { McpHttpServer } from '../../src/server/McpHttpServer.js';
+import { CodeFortifyMCPServer } from '../../src/server/CodeFortifyMCPServer.js';
+
+const { fetch } = globalThis;
+
+const TOKEN = 'test-token';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+describe('McpHttpServer', () => {
+  let httpServer;
+  let clients;
+
+  const start = async options => {
+    httpServer = new McpHttpServer({
+      createServer: () => new CodeFortifyMCPServer({ projectRoot: process.cwd(), projectName: 'test' }).server,
+      port: 0,
+      info: { name: 'codefortify', version: '1.2.3' },
+      ...options
+    });
+    return httpServer.start();
+  };
+
+  const connect = async transport => {
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(transport);
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(() => {
+    clients = [];
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await httpServer?.close();
+    vi.restoreAllMocks();
+  });
+
+  it('should answer /health without a token and reject MCP requests without one', async () => {
+    const url = await start({ token: TOKEN });
+
+    const health = await fetch(`${url}/health`);
+    expect(health.status).toBe(200);
+    expect(await health.json()).toMatchObject({
+      status: 'ok',
+      name: 'codefortify',
+      version: '1.2.3',
+      authentication: 'bearer',
+      sessions: { streamable: 0, sse: 0 }
+    });
+
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+    const unauthorized = await fetch(`${url}/mcp`, { method: 'POST', headers, body: JSON.stringify(INITIALIZE) });
+    expect(unauthorized.status).toBe(401);
+    expect(unauthorized.headers.get('www-authenticate')).toMatch(/^Bearer/);
+
+    const wrongToken = await fetch(`${url}/mcp`, {
+      method: 'POST', headers: { ...headers, Authorization: 'Bearer nope' }, body: JSON.stringify(INITIALIZE)
+    });
+    expect(wrongToken.status).toBe(401);
+
+    expect((await fetch(`${url}/other`)).status).toBe(404);
+  });
+
+  it('should open a Streamable HTTP session per client and end it on DELETE', async () => {
+    const url = await start({ token: TOKEN });
+    const transport = new StreamableHTTPClientTransport(new URL(`${url}/mcp`), {
+      requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } }
+    });
+    const client = await connect(transport);
+
+    const { tools } = await client.listTools();
+    expect(tools.length).toBeGreaterThan(0);
+    expect(transport.sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(httpServer.health().sessions).toEqual({ streamable: 1, sse: 0 });
+
+    await transport.terminateSession();
+    expect(httpServer.sessions.size).toBe(0);
+  });
+
+  it('should reject unknown sessions and requests that do not start one', async () => {
+    const url = await start();
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+    const listTools = JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+    const withoutSession = await fetch(`${url}/mcp`, { method: 'POST', headers, body: listTools });
+    expect(withoutSession.status).toBe(400);
+
+    const unknownSession = await fetch(`${url}/mcp`, {
+      method: 'POST', headers: { ...headers, 'mcp-session-id': 'missing' }, body: listTools
+    });
+    expect(unknownSession.status).toBe(404);
+
+    const invalidJson = await fetch(`${url}/mcp`, { method: 'POST', headers, body: '{' });
+    expect(invalidJson.status).toBe(400);
+    expect((await invalidJson.json()).error.code).toBe(-32700);
+  });
+
+  it('should serve clients of the older SSE transport', async () => {
+    const url = await start();
+    const client = await connect(new SSEClientTransport(new URL(`${url}/sse`)));
+
+    const { tools } = await client.listTools();
+    expect(tools.length).toBeGreaterThan(0);
+    expect(httpServer.health().sessions).toEqual({ streamable: 0, sse: 1 });
+  });
+
+  it('should close Streamable HTTP sessions that stay idle past the timeout', async () => {
+    const url = await start({ sessionTimeout: 1000 });
+    const transport = new StreamableHTTPClientTransport(new URL(`${url}/mcp`));
+    await connect(transport);
+    expect(httpServer.sessions.size).toBe(1);
+
+    httpServer.closeIdleSessions(Date.now() + 2000);
+    expect(httpServer.sessions.size).toBe(0);
+  });
+});
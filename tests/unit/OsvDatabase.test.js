@@ -0,0 +1,144 @@
+/**
+ * Unit tests for offline dependency auditing against an OSV advisory database
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { OsvDatabase, compareVersions, matchRange } from '../../src/security/OsvDatabase.js';
+import { DependencyGraph } from '../../src/security/DependencyGraph.js';
+import { SecurityAnalyzer } from '../../src/scoring/analyzers/SecurityAnalyzer.js';
+
+const advisory = (id, name, events, severity, extra = {}) => ({
+  id,
+  summary: `${name} advisory`,
+  database_specific: severity ? { severity } : undefined,
+  affected: [{ package: { ecosystem: 'npm', name }, ranges: [{ type: 'SEMVER', events }] }],
+  references: [{ type: 'ADVISORY', url: `https://osv.dev/vulnerability/${id}` }],
+  ...extra
+});
+
+const ADVISORIES = [
+  advisory('GHSA-qs', 'qs', [{ introduced: '0' }, { fixed: '6.2.4' }, { introduced: '6.3.0' }, { fixed: '6.3.3' }], 'HIGH'),
+  advisory('GHSA-minimist', 'minimist', [{ introduced: '0' }, { last_affected: '1.2.5' }], 'CRITICAL'),
+  advisory('GHSA-lodash', 'lodash', [{ introduced: '4.0.0' }, { fixed: '4.17.21' }], 'MODERATE'),
+  advisory('PYSEC-1', 'qs', [{ introduced: '0' }], 'HIGH', { affected: [{ package: { ecosystem: 'PyPI', name: 'qs' }, ranges: [] }] })
+];
+
+const LOCK_V3 = {
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app', dependencies: { express: '^4.0.0', lodash: '^4.17.0' }, devDependencies: { mocha: '^10.0.0' } },
+    'node_modules/express': { version: '4.17.1', dependencies: { qs: '6.7.0', 'body-parser': '1.19.0' } },
+    'node_modules/body-parser': { version: '1.19.0', dependencies: { qs: '6.3.1' } },
+    'node_modules/body-parser/node_modules/qs': { version: '6.3.1' },
+    'node_modules/qs': { version: '6.7.0' },
+    'node_modules/lodash': { version: '4.17.20' },
+    'node_modules/mocha': { version: '10.0.0', dev: true, dependencies: { minimist: '^1.2.0' } },
+    'node_modules/minimist': { version: '1.2.5', dev: true }
+  }
+};
+
+describe('OSV advisory matching', () => {
+  it('should compare versions with semver precedence', () => {
+    expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+    expect(compareVersions('2.0.0-beta.2', '2.0.0-beta.10')).toBeLessThan(0);
+    expect(compareVersions('2.0.0-rc.1', '2.0.0')).toBeLessThan(0);
+    expect(compareVersions('v1.2.3', '1.2.3+build.5')).toBe(0);
+    expect(compareVersions('latest', '1.0.0')).toBeNaN();
+  });
+
+  it('should apply introduced, fixed and last_affected events in version order', () => {
+    const events = [{ fixed: '6.3.3' }, { introduced: '6.3.0' }, { introduced: '0' }, { fixed: '6.2.4' }];
+
+    expect(matchRange('6.2.3', events)).toEqual({ affected: true, fixed: '6.2.4' });
+    expect(matchRange('6.2.4', events)).toEqual({ affected: false, fixed: null });
+    expect(matchRange('6.3.1', events)).toEqual({ affected: true, fixed: '6.3.3' });
+    expect(matchRange('6.3.0-rc.1', events)).toEqual({ affected: false, fixed: null });
+    expect(matchRange('1.2.5', [{ introduced: '0' }, { last_affected: '1.2.5' }])).toEqual({ affected: true, fixed: null });
+    expect(matchRange('1.2.6', [{ introduced: '0' }, { last_affected: '1.2.5' }]).affected).toBe(false);
+  });
+
+  it('should only index npm advisories and map their severity', () => {
+    const database = new OsvDatabase(ADVISORIES);
+
+    expect(database.advisoryCount).toBe(3);
+    expect(database.match('qs', '6.3.1')).toEqual([{
+      id: 'GHSA-qs',
+      aliases: [],
+      summary: 'qs advisory',
+      severity: 'high',
+      fixedVersion: '6.3.3',
+      url: 'https://osv.dev/vulnerability/GHSA-qs'
+    }]);
+    expect(database.match('lodash', '4.17.20')[0]).toMatchObject({ severity: 'medium', fixedVersion: '4.17.21' });
+    expect(database.match('qs', '6.7.0')).toEqual([]);
+  });
+});
+
+describe('DependencyGraph', () => {
+  it('should resolve nested installs and the shortest path to each package', () => {
+    const graph = DependencyGraph.fromPackageLock(LOCK_V3);
+    const paths = graph.paths();
+
+    expect(graph.packages()).toHaveLength(7);
+    expect(graph.resolve('node_modules/body-parser', 'qs')).toBe('node_modules/body-parser/node_modules/qs');
+    expect(graph.resolve('node_modules/express', 'qs')).toBe('node_modules/qs');
+    expect(paths.get('node_modules/body-parser/node_modules/qs')).toEqual(['app', 'express', 'body-parser', 'qs']);
+    expect(paths.get('node_modules/minimist')).toEqual(['app', 'mocha', 'minimist']);
+  });
+
+  it('should read lockfileVersion 1 trees with requires', () => {
+    const graph = DependencyGraph.fromPackageLock({
+      lockfileVersion: 1,
+      dependencies: {
+        express: { version: '4.17.1', requires: { qs: '6.7.0' }, dependencies: { qs: { version: '6.7.0' } } },
+        qs: { version: '6.2.0' }
+      }
+    }, { name: 'legacy', dependencies: { express: '^4.0.0', qs: '^6.0.0' } });
+
+    expect(graph.paths().get('node_modules/express/node_modules/qs')).toEqual(['legacy', 'express', 'qs']);
+    expect(graph.paths().get('node_modules/qs')).toEqual(['legacy', 'qs']);
+  });
+});
+
+describe('SecurityAnalyzer offline audit', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-osv-'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'app', dependencies: { express: '^4.0.0' } }));
+    await fs.writeFile(path.join(tempDir, 'package-lock.json'), JSON.stringify(LOCK_V3));
+    await fs.mkdir(path.join(tempDir, 'advisories'));
+    await Promise.all(ADVISORIES.map(entry => fs.writeFile(path.join(tempDir, 'advisories', `${entry.id}.json`), JSON.stringify(entry))));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report every vulnerable install path with severity and fixed version', async () => {
+    const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15, security: { advisoryDatabase: 'advisories' } });
+    const audit = await analyzer.runOfflineAudit('advisories');
+
+    expect(audit.data.metadata.vulnerabilities).toEqual({ info: 0, low: 0, moderate: 1, high: 1, critical: 1, total: 3 });
+
+    analyzer.reportVulnerablePaths(audit.data);
+    expect(analyzer.results.findings.map(finding => [finding.ruleId, finding.severity, finding.message, finding.fix])).toEqual([
+      ['security/vulnerable-dependency', 'high', 'qs@6.3.1: qs advisory (GHSA-qs) via app > express > body-parser > qs', 'Upgrade qs to 6.3.3 or later'],
+      ['security/vulnerable-dependency', 'medium', 'lodash@4.17.20: lodash advisory (GHSA-lodash) via app > lodash', 'Upgrade lodash to 4.17.21 or later'],
+      ['security/vulnerable-dependency', 'critical', 'minimist@1.2.5: minimist advisory (GHSA-minimist) via app > mocha > minimist', 'No fixed version of minimist is published - remove or replace it']
+    ]);
+    expect(analyzer.results.findings[0].location).toBe('package-lock.json');
+  });
+
+  it('should explain why the offline audit could not run', async () => {
+    await fs.rm(path.join(tempDir, 'package-lock.json'));
+    const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15 });
+
+    expect(await analyzer.runOfflineAudit('advisories')).toMatchObject({ success: false, error: expect.stringContaining('no lockfile') });
+    expect(await analyzer.runOfflineAudit('missing.json')).toMatchObject({ success: false, error: expect.stringContaining('Advisory database not found') });
+  });
+});
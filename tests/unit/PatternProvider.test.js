@@ -268,4 +268,14 @@ describe('PatternProvider', () => {
       expect(pattern).toContain('AI ASSISTANT CONTEXT');
     });
   });
+
+  describe('synchronous getters', () => {
+    it('should render the same patterns and scaffolds as the template pack', async () => {
+      expect(patternProvider.getReactComponentPattern()).toBe(await patternProvider.getPattern('component', 'react-webapp'));
+      expect(patternProvider.getReactPatterns()).toBe(await patternProvider.generatePatterns());
+      expect(patternProvider.generateVueScaffold('UserCard', 'ui', ['user']))
+        .toBe(await patternProvider.generateComponentScaffold('UserCard', 'ui', 'vue-webapp', ['user']));
+      expect(patternProvider.generateJavaScriptScaffold('Widget', 'ui', [])).toContain('export class Widget');
+    });
+  });
 });
\ No newline at end of file
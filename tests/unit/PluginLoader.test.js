@@ -0,0 +1,124 @@
+/**
+ * Unit tests for scoring plugin analyzers
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { loadPlugins } from '../../src/scoring/core/PluginLoader.js';
+import { AnalyzerScheduler } from '../../src/scoring/core/AnalyzerScheduler.js';
+import { QualityGate } from '../../src/scoring/core/QualityGate.js';
+import { ProjectScorer } from '../../src/scoring/ProjectScorer.js';
+import { RecommendationEngine } from '../../src/scoring/RecommendationEngine.js';
+
+const baseAnalyzerUrl = pathToFileURL(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../src/scoring/analyzers/BaseAnalyzer.js')).href;
+
+const pluginSource = (categoryKey, { bonus = 0 } = {}) => `
+import { BaseAnalyzer } from '${baseAnalyzerUrl}';
+
+export default class BannedImportsAnalyzer extends BaseAnalyzer {
+  constructor(config) {
+    super(config);
+    this.categoryKey = ${JSON.stringify(categoryKey)};
+    this.categoryName = 'Banned Imports';
+  }
+
+  async runAnalysis() {
+    const banned = this.config.options.banned || [];
+    let violations = 0;
+    for (const file of await this.getAllFiles('src', ['.js'])) {
+      const content = await this.readFile(file);
+      for (const name of banned.filter(name => content.includes("from '" + name + "'"))) {
+        violations++;
+        this.addFinding({ ruleId: 'banned-import', severity: 'high', file, message: name + ' is banned', fix: 'Remove the ' + name + ' import' });
+      }
+    }
+    this.addScore(this.config.maxScore - violations + ${bonus}, this.config.maxScore, 'Banned imports');
+  }
+}
+`;
+
+describe('Scoring plugins', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-plugins-'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.mkdir(path.join(tempDir, 'tools'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'fixture', type: 'module' }));
+    await fs.writeFile(path.join(tempDir, 'src', 'date.js'), 'import moment from \'moment\';\nexport const now = () => moment();\n');
+    await fs.writeFile(path.join(tempDir, 'tools', 'BannedImports.js'), pluginSource('bannedImports'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should load a plugin with its weight and options', async () => {
+    const [plugin] = await loadPlugins(tempDir, [{ path: './tools/BannedImports.js', weight: 8, options: { banned: ['moment'] } }]);
+
+    expect(plugin).toMatchObject({
+      key: 'bannedImports',
+      categoryName: 'Banned Imports',
+      weight: 8,
+      modulePath: path.join(tempDir, 'tools', 'BannedImports.js'),
+      exportName: 'default',
+      options: { banned: ['moment'] }
+    });
+    expect(await loadPlugins(tempDir, [{ path: './tools/BannedImports.js' }])).toMatchObject([{ weight: 10, options: {} }]);
+  });
+
+  it('should reject plugins that break the contract', async () => {
+    await fs.writeFile(path.join(tempDir, 'tools', 'Security.js'), pluginSource('security'));
+    await fs.writeFile(path.join(tempDir, 'tools', 'Unnamed.js'), pluginSource(''));
+    await fs.writeFile(path.join(tempDir, 'tools', 'Plain.js'), 'export default class Plain {}\n');
+
+    await expect(loadPlugins(tempDir, { path: './tools/BannedImports.js' })).rejects.toThrow('must be an array');
+    await expect(loadPlugins(tempDir, [{ weight: 5 }])).rejects.toThrow('"path" to the analyzer module is required');
+    await expect(loadPlugins(tempDir, [{ path: './tools/BannedImports.js', weight: 0 }])).rejects.toThrow('"weight" must be a positive number');
+    await expect(loadPlugins(tempDir, [{ path: './tools/Missing.js' }])).rejects.toThrow('module not found');
+    await expect(loadPlugins(tempDir, [{ path: './tools/Plain.js' }])).rejects.toThrow('must be a class extending BaseAnalyzer');
+    await expect(loadPlugins(tempDir, [{ path: './tools/BannedImports.js', export: 'Other' }])).rejects.toThrow('export "Other"');
+    await expect(loadPlugins(tempDir, [{ path: './tools/Unnamed.js' }])).rejects.toThrow('must set a categoryKey');
+    await expect(loadPlugins(tempDir, [{ path: './tools/Security.js' }])).rejects.toThrow('already used by a built-in analyzer');
+    await expect(loadPlugins(tempDir, [{ path: './tools/BannedImports.js' }, { path: './tools/BannedImports.js' }]))
+      .rejects.toThrow('Invalid plugin scoring.plugins[1] (./tools/BannedImports.js): category "bannedImports" is already used by another plugin');
+  });
+
+  it('should score plugins as weighted categories in worker threads', async () => {
+    const plugins = await loadPlugins(tempDir, [{ path: './tools/BannedImports.js', weight: 8, options: { banned: ['moment'] } }]);
+    const scorer = new ProjectScorer({ projectRoot: tempDir, projectType: 'react-webapp', plugins, cache: false, concurrency: 2 });
+
+    const outcomes = await new AnalyzerScheduler({ concurrency: 2 }).run(['performance', 'bannedImports'].map(key => scorer.createAnalyzerTask(key)));
+    outcomes.forEach(outcome => scorer.recordCategoryResult(outcome));
+    scorer.calculateOverallScore();
+
+    const category = scorer.results.categories.bannedImports;
+    expect(category).toMatchObject({ score: 7, maxScore: 8, weight: 8, categoryName: 'Banned Imports', plugin: true });
+    expect(category.findings).toContainEqual(expect.objectContaining({ ruleId: 'bannedImports/banned-import', file: path.join('src', 'date.js') }));
+    expect(scorer.results.overall.maxScore).toBe(23);
+
+    const recommendations = new RecommendationEngine().getPluginRecommendations('bannedImports', category, 87.5);
+    expect(recommendations).toEqual([expect.objectContaining({ category: 'bannedImports', priority: 'high', suggestion: 'moment is banned', action: 'Remove the moment import' })]);
+  }, 30000);
+
+  it('should clamp plugin scores to the configured weight', async () => {
+    await fs.writeFile(path.join(tempDir, 'tools', 'Generous.js'), pluginSource('generous', { bonus: 50 }));
+    const plugins = await loadPlugins(tempDir, [{ path: './tools/Generous.js', weight: 5 }]);
+    const scorer = new ProjectScorer({ projectRoot: tempDir, plugins, cache: false, concurrency: 1 });
+
+    const [outcome] = await new AnalyzerScheduler({ concurrency: 1 }).run([scorer.createAnalyzerTask('generous')]);
+    scorer.recordCategoryResult(outcome);
+
+    expect(scorer.results.categories.generous).toMatchObject({ score: 5, maxScore: 5, grade: 'A+' });
+  });
+
+  it('should accept plugin categories in quality gate thresholds', () => {
+    const categories = ['security', 'bannedImports'];
+
+    expect(QualityGate.parseThresholds('bannedImports=90', categories).categories).toEqual({ bannedImports: 90 });
+    expect(() => QualityGate.parseThresholds('bannedImports=90')).toThrow('Unknown category in threshold: bannedImports');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for the score quality gate
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { QualityGate, GateExitCodes } from '../../src/scoring/core/QualityGate.js';
+import { loadProjectConfig } from '../../src/config/configLoader.js';
+import { ProjectScorer } from '../../src/scoring/ProjectScorer.js';
+import { SecurityAnalyzer } from '../../src/scoring/analyzers/SecurityAnalyzer.js';
+
+// Assembled at runtime so this file does not trip secret scanners
+const awsKeyIds = ['AKIA' + 'Z7QW3ERTY5UIOP2X', 'AKIA' + 'Q4MN8BVC2XZL6KJH'];
+
+describe('QualityGate', () => {
+  const highFinding = {
+    ruleId: 'security/hardcoded-secret',
+    severity: 'high',
+    message: 'Potential hardcoded secret',
+    file: 'src/config.js',
+    range: { startLine: 4, startColumn: 1, endLine: 4, endColumn: null }
+  };
+
+  const results = {
+    overall: { percentage: 72 },
+    categories: {
+      security: { categoryName: 'Security & Error Handling', score: 9, maxScore: 15, findings: [highFinding] },
+      testing: { categoryName: 'Testing & Documentation', score: 12, maxScore: 15, findings: [] }
+    }
+  };
+
+  describe('parseThresholds', () => {
+    it('should parse a bare number as the overall minimum', () => {
+      expect(QualityGate.parseThresholds('70')).toEqual({ overall: 70, categories: {} });
+    });
+
+    it('should parse per-category minimums', () => {
+      expect(QualityGate.parseThresholds('overall=65, security=80')).toEqual({ overall: 65, categories: { security: 80 } });
+      expect(QualityGate.parseThresholds({ testing: 50 })).toEqual({ categories: { testing: 50 } });
+    });
+
+    it('should reject unknown categories and out-of-range values', () => {
+      expect(() => QualityGate.parseThresholds('speed=50')).toThrow('Unknown category');
+      expect(() => QualityGate.parseThresholds('overall=120')).toThrow('Invalid threshold');
+    });
+  });
+
+  describe('fromOptions', () => {
+    it('should layer CLI thresholds over config thresholds', () => {
+      const gate = QualityGate.fromOptions(
+        { failUnder: 'security=70' },
+        { failUnder: { overall: 60, security: 50, testing: 40 }, noNewHighSeverity: true }
+      );
+
+      expect(gate.overall).toBe(60);
+      expect(gate.categories).toEqual({ security: 70, testing: 40 });
+      expect(gate.noNewHighSeverity).toBe(true);
+    });
+
+    it('should be disabled without any rule', () => {
+      expect(QualityGate.fromOptions({ failUnder: true }, {}).isEnabled()).toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should pass when all minimums are met', () => {
+      const outcome = new QualityGate({ overall: 70, categories: { testing: 80 } }).evaluate(results);
+
+      expect(outcome.passed).toBe(true);
+      expect(outcome.exitCode).toBe(GateExitCodes.PASSED);
+      expect(outcome.checks.map(check => check.actual)).toEqual([72, 80]);
+    });
+
+    it('should use the exit code of the first failing rule', () => {
+      expect(new QualityGate({ overall: 80, categories: { security: 90 } }).evaluate(results).exitCode)
+        .toBe(GateExitCodes.OVERALL_BELOW_THRESHOLD);
+      expect(new QualityGate({ overall: 70, categories: { security: 90 } }).evaluate(results).exitCode)
+        .toBe(GateExitCodes.CATEGORY_BELOW_THRESHOLD);
+    });
+
+    it('should fail a category that was not analyzed with the reason instead of a score of 0', () => {
+      const outcome = new QualityGate({ categories: { performance: 10 } }).evaluate(results);
+
+      expect(outcome.passed).toBe(false);
+      expect(outcome.exitCode).toBe(GateExitCodes.CATEGORY_BELOW_THRESHOLD);
+      expect(outcome.checks).toEqual([expect.objectContaining({
+        rule: 'category:performance', actual: null, passed: false, reason: 'category not analyzed'
+      })]);
+    });
+
+    it('should treat every high finding as new without a baseline', () => {
+      const outcome = new QualityGate({ noNewHighSeverity: true }).evaluate(results);
+
+      expect(outcome.exitCode).toBe(GateExitCodes.NEW_HIGH_SEVERITY);
+      expect(outcome.newHighSeverity).toHaveLength(1);
+    });
+
+    it('should ignore high findings present in the baseline even when lines moved', () => {
+      const baseline = {
+        categories: { security: { findings: [{ ...highFinding, range: { startLine: 1 } }] } }
+      };
+      const outcome = new QualityGate({ noNewHighSeverity: true }).setBaseline(baseline).evaluate(results);
+
+      expect(outcome.passed).toBe(true);
+      expect(outcome.newHighSeverity).toEqual([]);
+    });
+
+    it('should not report an unchanged complex function as new after lines are added above it', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-gate-'));
+      const branches = Array.from({ length: 110 }, (_, index) => `  if (x === ${index}) {y++;}`).join('\n');
+      const complex = `export function route(x) {\n  let y = 0;\n${branches}\n  return y;\n}\n`;
+      const score = async source => {
+        await fs.writeFile(path.join(tempDir, 'src', 'route.js'), source);
+        return new ProjectScorer({ projectRoot: tempDir, concurrency: 1, cache: false, quiet: true }).scoreProject({ categories: ['quality'] });
+      };
+
+      try {
+        await fs.mkdir(path.join(tempDir, 'src'));
+        await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'fixture', type: 'module' }));
+        const baseline = await score(complex);
+        const moved = await score(`// Routing\n\n${complex}`);
+
+        const findings = [baseline, moved].map(run => run.categories.quality.findings.find(finding => finding.severity === 'high'));
+        expect(findings.map(finding => finding.range.startLine)).toEqual([1, 3]);
+        expect(new QualityGate({ noNewHighSeverity: true }).setBaseline(baseline).evaluate(moved).passed).toBe(true);
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }, 60000);
+
+    it('should report a second secret of the same rule in the same file as new', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-gate-'));
+      const score = async keys => {
+        await fs.writeFile(path.join(tempDir, 'src', 'keys.js'), keys.map((key, index) => `export const key${index} = '${key}';\n`).join(''));
+        const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15, cache: false });
+        await analyzer.analyzeSecretsManagement();
+        return { categories: { security: { findings: analyzer.results.findings } } };
+      };
+
+      try {
+        await fs.mkdir(path.join(tempDir, 'src'));
+        await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'fixture' }));
+        const baseline = await score(awsKeyIds.slice(0, 1));
+        const gate = new QualityGate({ noNewHighSeverity: true }).setBaseline(baseline);
+
+        expect(gate.evaluate(await score(awsKeyIds.slice(0, 1))).passed).toBe(true);
+
+        const outcome = gate.evaluate(await score(awsKeyIds));
+        expect(outcome.exitCode).toBe(GateExitCodes.NEW_HIGH_SEVERITY);
+        expect(outcome.newHighSeverity.map(finding => [finding.ruleId, finding.range.startLine])).toEqual([['security/aws-access-key-id', 2]]);
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }, 30000);
+
+    it('should not report a known request data flow as new after a line is added above it', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-gate-'));
+      const route = [
+        "import { exec } from 'child_process';",
+        "app.get('/ping', (req, res) => {",
+        '  const host = req.query.host;',
+        "  exec('ping ' + host);",
+        '});'
+      ];
+      const score = async lines => {
+        await fs.writeFile(path.join(tempDir, 'src', 'routes.js'), lines.join('\n'));
+        const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15, cache: false });
+        await analyzer.analyzeInputValidation();
+        return { categories: { security: { findings: analyzer.results.findings } } };
+      };
+
+      try {
+        await fs.mkdir(path.join(tempDir, 'src'));
+        await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'fixture' }));
+        const baseline = await score(route);
+        const moved = await score([route[0], '', ...route.slice(1)]);
+
+        const flows = [baseline, moved].map(run => run.categories.security.findings.find(finding => finding.ruleId === 'security/command-injection'));
+        expect(flows.map(finding => finding.range.startLine)).toEqual([4, 5]);
+        expect(flows[0].message).not.toBe(flows[1].message);
+        expect(flows[1].symbol).toBe('GET /ping: req.query.host -> host -> child_process.exec()');
+        expect(new QualityGate({ noNewHighSeverity: true }).setBaseline(baseline).evaluate(moved).passed).toBe(true);
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }, 30000);
+  });
+});
+
+describe('loadProjectConfig', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return an empty config when no file exists', async () => {
+    expect(await loadProjectConfig(tempDir)).toEqual({});
+  });
+
+  it('should load the default export of codefortify.config.js', async () => {
+    await fs.writeFile(path.join(tempDir, 'package.json'), '{ "type": "module" }');
+    await fs.writeFile(path.join(tempDir, 'codefortify.config.js'), 'export default { scoring: { thresholds: { failUnder: 70 } } };');
+
+    const config = await loadProjectConfig(tempDir);
+    expect(config.scoring.thresholds.failUnder).toBe(70);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for SARIF report generation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SARIFReportGenerator } from '../../src/scoring/report/SARIFReportGenerator.js';
+import { Finding } from '../../src/scoring/core/Finding.js';
+
+describe('SARIFReportGenerator', () => {
+  const results = {
+    metadata: { projectName: 'demo', projectType: 'node-api', timestamp: '2026-01-01T00:00:00.000Z' },
+    overall: { score: 70, maxScore: 100, grade: 'C-' },
+    categories: {
+      security: {
+        categoryName: 'Security & Error Handling',
+        findings: [
+          new Finding({
+            ruleId: 'security/hardcoded-secret',
+            category: 'security',
+            severity: 'high',
+            message: 'Potential hardcoded secret',
+            file: 'src/config.js',
+            line: 3,
+            column: 7,
+            fix: 'Move the value to an environment variable'
+          })
+        ]
+      },
+      testing: {
+        categoryName: 'Testing & Documentation',
+        findings: [
+          new Finding({ ruleId: 'testing/no-test-files-found', category: 'testing', severity: 'medium', message: 'No test files found' })
+        ]
+      }
+    }
+  };
+
+  it('should produce a SARIF 2.1.0 log with rule metadata', async () => {
+    const log = JSON.parse(await new SARIFReportGenerator().generate(results));
+    const { driver } = log.runs[0].tool;
+
+    expect(log.version).toBe('2.1.0');
+    expect(log.$schema).toContain('sarif-2.1.0');
+    expect(driver.name).toBe('CodeFortify');
+    expect(driver.rules.map(rule => rule.id)).toEqual(['security/hardcoded-secret', 'testing/no-test-files-found']);
+    expect(driver.rules[0]).toMatchObject({
+      name: 'HardcodedSecret',
+      shortDescription: { text: 'Security & Error Handling: hardcoded secret' },
+      defaultConfiguration: { level: 'error' },
+      properties: { 'security-severity': '8.0', tags: ['security'] }
+    });
+  });
+
+  it('should map findings to physical locations, anchoring project-level ones to package.json', async () => {
+    const log = new SARIFReportGenerator().buildLog(results);
+    const [secret, project] = log.runs[0].results;
+
+    expect(secret).toMatchObject({
+      ruleId: 'security/hardcoded-secret',
+      ruleIndex: 0,
+      level: 'error',
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'src/config.js', uriBaseId: '%SRCROOT%' },
+          region: { startLine: 3, startColumn: 7, endLine: 3 }
+        }
+      }]
+    });
+    expect(secret.partialFingerprints['codefortify/v1']).toMatch(/^[0-9a-f]{64}$/);
+    expect(project.level).toBe('warning');
+    expect(project.locations).toEqual([{
+      physicalLocation: { artifactLocation: { uri: 'package.json', uriBaseId: '%SRCROOT%' }, region: { startLine: 1 } }
+    }]);
+    expect(project.properties.projectLevel).toBe(true);
+  });
+
+  it('should print only the SARIF log on stdout', async () => {
+    const cli = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../bin/codefortify.js');
+    const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-sarif-'));
+    try {
+      await fs.writeFile(path.join(projectRoot, 'package.json'), JSON.stringify({ name: 'demo', version: '1.0.0' }));
+      const { stdout } = await promisify(execFile)(process.execPath,
+        [cli, '--project-root', projectRoot, 'score', '--format', 'sarif', '--categories', 'structure', '--no-cache', '--no-snapshot'],
+        { cwd: projectRoot, timeout: 60000 });
+
+      const log = JSON.parse(stdout);
+      expect(log.version).toBe('2.1.0');
+      expect(log.runs[0].results.length).toBeGreaterThan(0);
+      expect(log.runs[0].results.every(result => result.locations?.length === 1)).toBe(true);
+    } finally {
+      await fs.rm(projectRoot, { recursive: true, force: true });
+    }
+  }, 90000);
+});
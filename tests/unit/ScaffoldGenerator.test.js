@@ -0,0 +1,132 @@
+/**
+ * Unit tests for convention detection and `codefortify generate` scaffolds
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ConventionDetector, classifyName } from '../../src/generation/ConventionDetector.js';
+import { ScaffoldGenerator, splitWords, formatName, detectExports } from '../../src/generation/ScaffoldGenerator.js';
+
+describe('ScaffoldGenerator', () => {
+  let projectRoot;
+
+  const write = async (file, content = '') => {
+    await fs.mkdir(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    await fs.writeFile(path.join(projectRoot, file), content);
+  };
+  const read = file => fs.readFile(path.join(projectRoot, file), 'utf8');
+  const generatorFor = async (options = {}) =>
+    new ScaffoldGenerator({ projectRoot, conventions: await new ConventionDetector(projectRoot).detect(options) });
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-generate-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should convert names between styles', () => {
+    expect(splitWords('userProfile')).toEqual(['user', 'profile']);
+    expect(splitWords('HTTPClient')).toEqual(['http', 'client']);
+    expect(formatName(['user', 'profile'], 'PascalCase')).toBe('UserProfile');
+    expect(formatName(['user', 'profile'], 'camelCase')).toBe('userProfile');
+    expect(formatName(['user', 'profile'], 'kebab-case')).toBe('user-profile');
+    expect([classifyName('user-card'), classifyName('UserCard'), classifyName('userCard'), classifyName('users')])
+      .toEqual(['kebab-case', 'PascalCase', 'camelCase', null]);
+  });
+
+  it('should detect naming, layout and test placement from the existing files', async () => {
+    await write('package.json', JSON.stringify({ name: 'web', dependencies: { react: '^18.0.0' }, devDependencies: { jest: '^29.0.0' } }));
+    await write('src/components/Button/Button.tsx');
+    await write('src/components/Button/index.ts');
+    await write('src/components/nav-bar/nav-bar.tsx');
+    await write('src/components/side-menu/side-menu.tsx');
+    await write('src/components/side-menu/__tests__/side-menu.spec.tsx');
+    await write('src/hooks/useAuth.ts');
+
+    const conventions = await new ConventionDetector(projectRoot).detect();
+    expect(conventions).toMatchObject({
+      framework: 'react',
+      typescript: true,
+      moduleSystem: 'esm',
+      componentLayout: 'folder',
+      naming: { component: 'kebab-case', hook: 'camelCase' },
+      tests: { runner: 'jest', suffix: '.spec', location: '__tests__' }
+    });
+
+    const generator = new ScaffoldGenerator({ projectRoot, conventions });
+    const files = await generator.plan('component', 'UserCard');
+    expect(files.map(({ file, kind }) => [file, kind])).toEqual([
+      ['src/components/user-card/user-card.tsx', 'source'],
+      ['src/components/user-card/__tests__/user-card.spec.tsx', 'test']
+    ]);
+    expect(files[0].content).toContain('export const UserCard: React.FC<UserCardProps> = ({ title = \'UserCard\', children }) => {');
+    // Jest tests use globals and import TypeScript without the extension
+    expect(files[1].content).toMatch(/^import \{ UserCard \} from '\.\.\/user-card';\n\ndescribe\('UserCard'/);
+
+    expect((await generator.plan('hook', 'fetch-user', { withTest: false })).map(({ file }) => file)).toEqual(['src/hooks/useFetchUser.ts']);
+  });
+
+  it('should write CommonJS node:test scaffolds that pass', async () => {
+    await write('package.json', JSON.stringify({ name: 'api', dependencies: { express: '^4.0.0' } }));
+    await write('lib/app.js', 'const express = require(\'express\');\nmodule.exports = express();\n');
+    await write('test/app.test.js');
+
+    const generator = await generatorFor();
+    const written = await generator.write([
+      ...await generator.plan('service', 'user'),
+      ...await generator.plan('middleware', 'request-id')
+    ]);
+    expect(written).toEqual(['lib/services/userService.js', 'test/userService.test.js', 'lib/middleware/requestId.js', 'test/requestId.test.js']);
+    expect(await read('lib/services/userService.js')).toMatch(/^\/\*\*[\s\S]*\nclass UserService \{[\s\S]*\nmodule\.exports = \{ UserService \};\n$/);
+    expect(await read('test/requestId.test.js')).toContain('const { requestId } = require(\'../lib/middleware/requestId.js\');');
+
+    const { stdout } = await promisify(execFile)(process.execPath, ['--test', 'test/userService.test.js', 'test/requestId.test.js'], { cwd: projectRoot, timeout: 30000 });
+    expect(stdout).toMatch(/# pass 2\n# fail 0/);
+  });
+
+  it('should refuse to overwrite existing files and write nothing', async () => {
+    await write('package.json', JSON.stringify({ name: 'web', type: 'module', dependencies: { vue: '^3.0.0' } }));
+    await write('src/composables/useCart.test.js', '// existing\n');
+
+    const generator = await generatorFor();
+    const files = await generator.plan('hook', 'cart');
+    expect(files.map(({ file }) => file)).toEqual(['src/composables/useCart.js', 'src/composables/useCart.test.js']);
+
+    await expect(generator.write(files)).rejects.toThrow('Refusing to overwrite existing file(s): src/composables/useCart.test.js');
+    await expect(fs.access(path.join(projectRoot, 'src/composables/useCart.js'))).rejects.toThrow();
+    expect(await read('src/composables/useCart.test.js')).toBe('// existing\n');
+  });
+
+  it('should generate tests for the exports of existing files', async () => {
+    await write('package.json', JSON.stringify({ name: 'lib', type: 'module', devDependencies: { vitest: '^2.0.0' } }));
+    await write('src/utils/format-date.js', 'export function formatDate() {}\nconst parse = () => {};\nexport { parse as parseDate };\n');
+    await write('tests/unit/placeholder.test.js');
+
+    const generator = await generatorFor();
+    const [test] = await generator.plan('test', 'formatDate');
+    expect(test.file).toBe('tests/unit/format-date.test.js');
+    expect(test.content).toContain('import { formatDate, parseDate } from \'../../src/utils/format-date.js\';');
+    expect(test.content).toContain('expect(parseDate).toBeTruthy();');
+
+    expect(detectExports('a.js', 'module.exports = { a, b: c };\nexports.d = 1;')).toEqual({ default: false, named: ['a', 'b', 'd'] });
+    await expect(generator.plan('test', 'missing')).rejects.toThrow('No source file named missing found');
+  });
+
+  it('should reject scaffolds the framework does not have', async () => {
+    await write('package.json', JSON.stringify({ name: 'cli' }));
+    const generator = await generatorFor();
+
+    await expect(generator.plan('component', 'card')).rejects.toThrow('The "default" template pack has no component template for javascript projects');
+    await expect(generator.plan('route', 'users')).rejects.toThrow('The "default" template pack has no route template for javascript projects');
+    await expect(generator.plan('widget', 'x')).rejects.toThrow('Unknown scaffold type: widget');
+
+    const fastify = await generatorFor({ framework: 'fastify' });
+    expect((await fastify.plan('route', 'users'))[0].content).toContain('async function usersRoutes(fastify) {');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for the codefortify:// score, findings and trend MCP resources
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { ScoreResources, findingsUri } from '../../src/server/ScoreResources.js';
+import { ResourceManager } from '../../src/server/ResourceManager.js';
+import { CodeFortifyMCPServer } from '../../src/server/CodeFortifyMCPServer.js';
+import { SnapshotStore } from '../../src/scoring/core/SnapshotStore.js';
+
+const snapshot = (timestamp, percentage, findings = []) => ({
+  version: 1,
+  timestamp,
+  git: { commit: `commit-${percentage}`, branch: 'main', dirty: false },
+  overall: { score: percentage, maxScore: 100, percentage, grade: percentage >= 80 ? 'B-' : 'C' },
+  categories: {
+    quality: { categoryName: 'Code Quality', score: percentage / 5, maxScore: 20, percentage, grade: 'B' },
+    security: { categoryName: 'Security', score: 10, maxScore: 15, percentage: 67, grade: 'D+' }
+  },
+  issues: [{ category: 'quality', message: 'Complex functions' }],
+  findings
+});
+
+const finding = (file, line, severity = 'medium') => ({
+  ruleId: 'quality/complex-function',
+  severity,
+  category: 'quality',
+  message: `Complex function at ${line}`,
+  file,
+  range: { startLine: line, startColumn: 1, endLine: line, endColumn: null },
+  fix: null
+});
+
+describe('ScoreResources', () => {
+  let tempDir;
+  let store;
+  let resources;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-resources-'));
+    store = new SnapshotStore(tempDir);
+    resources = new ScoreResources(tempDir);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    resources.unwatch();
+    vi.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should explain how to create a run when none exists', async () => {
+    expect(await resources.read('codefortify://score/latest')).toMatchObject({ status: 'no-runs', message: expect.stringContaining('codefortify score') });
+    expect(await resources.read('codefortify://history/trend')).toMatchObject({ status: 'no-runs', runs: [], summary: null });
+    await expect(resources.read('codefortify://nothing')).rejects.toThrow('Unknown resource: codefortify://nothing');
+  });
+
+  it('should serve the latest run with finding counts per severity and file', async () => {
+    await store.save(snapshot('2026-01-01T00:00:00.000Z', 70));
+    await store.save(snapshot('2026-01-02T00:00:00.000Z', 82, [
+      finding('src/a.js', 9, 'high'), finding('src/a.js', 3), finding('src/b c.js', 1, 'low'), finding(null, null, 'info')
+    ]));
+
+    const latest = await resources.read('codefortify://score/latest');
+    expect(latest).toMatchObject({
+      status: 'ok',
+      timestamp: '2026-01-02T00:00:00.000Z',
+      overall: { percentage: 82 },
+      issues: 1,
+      findings: {
+        total: 4,
+        bySeverity: { critical: 0, high: 1, medium: 1, low: 1, info: 1 },
+        files: [
+          { file: 'src/a.js', findings: 2, uri: 'codefortify://findings/src%2Fa.js' },
+          { file: 'src/b c.js', findings: 1, uri: 'codefortify://findings/src%2Fb%20c.js' }
+        ]
+      }
+    });
+    expect(latest.categories.quality).toMatchObject({ percentage: 82 });
+  });
+
+  it('should serve the findings of one file sorted by line', async () => {
+    await store.save(snapshot('2026-01-02T00:00:00.000Z', 82, [finding('src/a.js', 9), finding('src/b.js', 2), finding('src/a.js', 3)]));
+
+    const result = await resources.read(findingsUri('src/a.js'));
+    expect(result).toMatchObject({ status: 'ok', file: 'src/a.js', commit: 'commit-82', total: 2 });
+    expect(result.findings.map(item => item.range.startLine)).toEqual([3, 9]);
+
+    expect((await resources.read('codefortify://findings/./src/b.js')).total).toBe(1);
+    expect((await resources.read(findingsUri('src/missing.js'))).findings).toEqual([]);
+  });
+
+  it('should report the score trend with deltas and recommendation progress', async () => {
+    await store.save(snapshot('2026-01-01T00:00:00.000Z', 70));
+    await store.save(snapshot('2026-01-02T00:00:00.000Z', 75));
+    await store.save(snapshot('2026-01-03T00:00:00.000Z', 72));
+
+    const trend = await resources.read('codefortify://history/trend');
+    expect(trend.runs.map(run => [run.percentage, run.delta])).toEqual([[70, null], [75, 5], [72, -3]]);
+    expect(trend.runs[2]).toMatchObject({ commit: 'commit-72', categories: { quality: 72, security: 67 } });
+    expect(trend.summary).toMatchObject({ runs: 3, first: 70, latest: 72, change: 2, direction: 'improving', categories: { quality: 2, security: 0 } });
+    expect(trend.recommendations).toMatchObject({ total: 0, completed: 0, completionRate: 0, recentScores: [] });
+  });
+
+  it('should only report runs that land after watching starts', async () => {
+    await store.save(snapshot('2026-01-01T00:00:00.000Z', 70));
+    const onRun = vi.fn();
+
+    resources.watch(onRun);
+    expect(await resources.checkForNewRun()).toBe(false);
+
+    await store.save(snapshot('2026-01-02T00:00:00.000Z', 75));
+    expect(await resources.checkForNewRun()).toBe(true);
+    expect(await resources.checkForNewRun()).toBe(false);
+    expect(onRun).toHaveBeenCalledTimes(1);
+    expect(onRun).toHaveBeenCalledWith('2026-01-02T00-00-00-000Z.json');
+
+    resources.unwatch();
+    expect(await resources.checkForNewRun()).toBe(false);
+  });
+
+  it('should list score resources and the findings template next to the context7 resources', async () => {
+    const manager = new ResourceManager({ projectRoot: tempDir, agentOsPath: '.agent-os' });
+
+    const { resources: listed } = await manager.listResources();
+    expect(listed.map(resource => resource.uri)).toEqual(expect.arrayContaining([
+      'context7://standards/tech-stack', 'codefortify://score/latest', 'codefortify://history/trend'
+    ]));
+    expect((await manager.listResourceTemplates()).resourceTemplates).toEqual([
+      expect.objectContaining({ uriTemplate: 'codefortify://findings/{file}', mimeType: 'application/json' })
+    ]);
+
+    const { contents } = await manager.readResource('codefortify://score/latest');
+    expect(contents[0]).toMatchObject({ uri: 'codefortify://score/latest', mimeType: 'application/json' });
+    expect(JSON.parse(contents[0].text).status).toBe('no-runs');
+  });
+
+  it('should notify subscribed MCP clients when a new score run lands', async () => {
+    const server = new CodeFortifyMCPServer({ projectRoot: tempDir, projectName: 'resources-app' });
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updated.push(notification.params.uri);
+    });
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.server.connect(serverTransport);
+    await client.connect(clientTransport);
+
+    await client.subscribeResource({ uri: 'codefortify://score/latest' });
+    await client.subscribeResource({ uri: findingsUri('src/a.js') });
+    await expect(client.subscribeResource({ uri: 'context7://product/mission' })).rejects.toThrow(/only supported for codefortify:\/\//);
+    expect(server.resourceManager.scoreResources.watching).toBe(true);
+
+    await store.save(snapshot('2026-01-02T00:00:00.000Z', 75));
+    await server.resourceManager.checkForScoreRun();
+    await vi.waitFor(() => expect(updated).toHaveLength(2));
+    expect(updated).toEqual(['codefortify://score/latest', 'codefortify://findings/src%2Fa.js']);
+
+    await client.unsubscribeResource({ uri: 'codefortify://score/latest' });
+    await client.unsubscribeResource({ uri: findingsUri('src/a.js') });
+    expect(server.resourceManager.scoreResources.watching).toBe(false);
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    expect(resourceTemplates[0].uriTemplate).toBe('codefortify://findings/{file}');
+    await client.close();
+  });
+
+  it('should return the tool result when the score run check fails', async () => {
+    const server = new CodeFortifyMCPServer({ projectRoot: tempDir, projectName: 'resources-app' });
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    const result = { content: [{ type: 'text', text: 'done' }] };
+    vi.spyOn(server.toolManager, 'executeTool').mockResolvedValue(result);
+    const check = vi.spyOn(server.resourceManager, 'checkForScoreRun').mockRejectedValue(new Error('history unreadable'));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.server.connect(serverTransport);
+    await client.connect(clientTransport);
+
+    expect(await client.callTool({ name: 'get_pattern_examples', arguments: {} })).toEqual(result);
+    expect(check).toHaveBeenCalledOnce();
+    await client.close();
+  });
+});
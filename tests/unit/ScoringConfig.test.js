@@ -0,0 +1,153 @@
+/**
+ * Unit tests for project-level scoring configuration
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveScoringConfig, loadProjectConfig } from '../../src/config/configLoader.js';
+import { SCORING_WEIGHTS, gradeFor } from '../../src/config/scoringConfig.js';
+import { ProjectScorer } from '../../src/scoring/ProjectScorer.js';
+import { JSONReportGenerator } from '../../src/scoring/report/JSONReportGenerator.js';
+import { MarkdownReportGenerator } from '../../src/scoring/report/MarkdownReportGenerator.js';
+import { TemplatePack } from '../../src/templates/TemplatePack.js';
+
+describe('Scoring configuration', () => {
+  describe('resolveScoringConfig', () => {
+    it('should merge partial overrides over the defaults', () => {
+      const resolved = resolveScoringConfig({
+        weights: { performance: 5 },
+        gradeThresholds: { 'A+': 0.98 },
+        moduleSizeThresholds: { medium: 300 },
+        thresholds: { failUnder: 70 }
+      });
+
+      expect(resolved.weights).toEqual({ ...SCORING_WEIGHTS, performance: 5 });
+      expect(resolved.gradeThresholds['A+']).toBe(0.98);
+      expect(resolved.moduleSizeThresholds).toEqual({ small: 200, medium: 300, large: 600, veryLarge: 1000 });
+      expect(resolved.complexityThresholds.low).toBe(10);
+      expect(resolved.customized).toBe(true);
+      expect(resolveScoringConfig().customized).toBe(false);
+    });
+
+    it('should list every schema violation with its setting path', () => {
+      const resolve = () => resolveScoringConfig({
+        weights: { performance: -1, bundle: 3 },
+        gradeThresholds: { A: 'high' },
+        complexityThresholds: { low: 2.5 },
+        plugin: []
+      });
+
+      expect(resolve).toThrow('Invalid scoring configuration in codefortify.config.js');
+      expect(resolve).toThrow('scoring.weights.performance must be at least 0, got -1');
+      expect(resolve).toThrow('scoring.weights.bundle is not a known setting. Valid keys: structure, quality');
+      expect(resolve).toThrow('scoring.gradeThresholds.A must be a number, got "high"');
+      expect(resolve).toThrow('scoring.complexityThresholds.low must be a whole number, got 2.5');
+      expect(resolve).toThrow('scoring.plugin is not a known setting');
+    });
+
+    it('should range-check the quality gate thresholds', () => {
+      const errorsFor = thresholds => {
+        try {
+          resolveScoringConfig({ thresholds });
+          return [];
+        } catch (error) {
+          return error.message.split('\n').slice(1).map(line => line.replace(/^ {2}- /, ''));
+        }
+      };
+
+      expect(resolveScoringConfig({ thresholds: { failUnder: { overall: 70, security: 80, myPlugin: 50 }, noNewHighSeverity: true } }).thresholds.failUnder.security).toBe(80);
+      expect(errorsFor({ failUnder: '80' })).toEqual(['scoring.thresholds.failUnder must be a number or an object, got "80"']);
+      expect(errorsFor({ failUnder: 120 })).toEqual(['scoring.thresholds.failUnder must be at most 100, got 120']);
+      expect(errorsFor({ failUnder: { overall: -1, security: '80' } })).toEqual([
+        'scoring.thresholds.failUnder.overall must be at least 0, got -1',
+        'scoring.thresholds.failUnder.security must be a number, got "80"'
+      ]);
+      expect(errorsFor({ failunder: 70 })).toEqual(['scoring.thresholds.failunder is not a known setting. Valid keys: failUnder, noNewHighSeverity, baseline, excellent, good, warning, poor']);
+    });
+
+    it('should reject thresholds that are out of order after merging', () => {
+      expect(() => resolveScoringConfig({ moduleSizeThresholds: { medium: 150 } }))
+        .toThrow('scoring.moduleSizeThresholds.medium (150) must be greater than scoring.moduleSizeThresholds.small (200)');
+      expect(() => resolveScoringConfig({ gradeThresholds: { B: 0.95 } }))
+        .toThrow('scoring.gradeThresholds.B (0.95) must be lower than scoring.gradeThresholds.B+ (0.87)');
+      expect(() => resolveScoringConfig({ weights: Object.fromEntries(Object.keys(SCORING_WEIGHTS).map(key => [key, 0])) }))
+        .toThrow('at least one category with a weight above 0');
+    });
+  });
+
+  it('should grade with configured bands', () => {
+    expect(gradeFor(0.975)).toBe('A+');
+    expect(gradeFor(0.975, { 'A+': 0.98, A: 0.9, F: 0 })).toBe('A');
+    expect(gradeFor(0.5)).toBe('F');
+  });
+
+  it('should keep the grades of the former fixed grading ladder by default', () => {
+    const bands = [[0.97, 'A+'], [0.93, 'A'], [0.90, 'A-'], [0.87, 'B+'], [0.83, 'B'], [0.80, 'B-'], [0.77, 'C+'],
+      [0.73, 'C'], [0.70, 'C-'], [0.67, 'D+'], [0.65, 'D'], [0.60, 'D-'], [0, 'F']];
+    const ladder = ratio => bands.find(([minimum]) => ratio >= minimum)[1];
+
+    for (let percent = 0; percent <= 100; percent += 0.5) {
+      expect(gradeFor(percent / 100)).toBe(ladder(percent / 100));
+    }
+  });
+
+  describe('ProjectScorer', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-scoring-config-'));
+      await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'library' }));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should accept the scoring block of the config written by init', async () => {
+      const pack = await TemplatePack.resolve('default', { projectRoot: tempDir });
+      const files = await pack.render('init', { projectName: 'library', projectType: 'node-api', description: '', mcp: true, agentOs: false, hasPackageJson: true });
+      const config = files.find(({ target }) => target === 'codefortify.config.js');
+      await fs.writeFile(path.join(tempDir, config.target), config.content);
+
+      const { scoring } = await loadProjectConfig(tempDir);
+      expect(scoring.thresholds.excellent).toBe(90);
+      expect(resolveScoringConfig(scoring).weights).toEqual(SCORING_WEIGHTS);
+      expect(resolveScoringConfig((await loadProjectConfig(process.cwd())).scoring).thresholds.failUnder).toEqual({ overall: 60 });
+    });
+
+    it('should rescale categories to their weights and skip weight 0', () => {
+      const scorer = new ProjectScorer({
+        projectRoot: tempDir,
+        cache: false,
+        scoring: { weights: { performance: 0, security: 30 }, complexityThresholds: { low: 15 } }
+      });
+
+      expect(Object.keys(scorer.analyzers)).not.toContain('performance');
+      expect(scorer.analyzers.quality.complexityThresholds.low).toBe(15);
+      expect(scorer.results.metadata.scoring.weights).toMatchObject({ performance: 0, security: 30 });
+
+      scorer.recordCategoryResult({ key: 'security', result: { score: 12, maxScore: 15, grade: 'B-', issues: [], findings: [] } });
+      scorer.recordCategoryResult({ key: 'completeness', error: 'boom' });
+      scorer.calculateOverallScore();
+
+      expect(scorer.results.categories.security).toMatchObject({ score: 24, maxScore: 30, weight: 30, grade: 'B-' });
+      expect(scorer.results.categories.completeness).toMatchObject({ score: 0, maxScore: 5 });
+      expect(scorer.results.overall.maxScore).toBe(35);
+    });
+
+    it('should print the weights in effect in reports', async () => {
+      const scorer = new ProjectScorer({ projectRoot: tempDir, cache: false, scoring: { weights: { performance: 5 } } });
+      scorer.recordCategoryResult({ key: 'performance', result: { score: 15, maxScore: 15, grade: 'A+', issues: [], findings: [] } });
+      scorer.calculateOverallScore();
+
+      const json = JSON.parse(await new JSONReportGenerator().generate(scorer.results));
+      const markdown = await new MarkdownReportGenerator().generate(scorer.results);
+
+      expect(json.metadata.scoring.weights.performance).toBe(5);
+      expect(json.categories.performance).toMatchObject({ score: 5, maxScore: 5, weight: 5 });
+      expect(markdown).toContain('**Weights:** structure 20, quality 20, performance 5, testing 15, security 15, developerExperience 10, completeness 5 (from codefortify.config.js)');
+    });
+  });
+});
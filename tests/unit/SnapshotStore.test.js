@@ -0,0 +1,117 @@
+/**
+ * Unit tests for score snapshots and run comparison
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SnapshotStore, compareSnapshots } from '../../src/scoring/core/SnapshotStore.js';
+import { JSONReportGenerator } from '../../src/scoring/report/JSONReportGenerator.js';
+
+const makeResults = ({ overall, security, testing, findings, timestamp }) => ({
+  overall: { score: overall, maxScore: 30, percentage: Math.round((overall / 30) * 100), grade: 'C', timestamp },
+  categories: {
+    security: { categoryName: 'Security', score: security, maxScore: 15, grade: 'C', issues: findings.map(f => f.message), findings },
+    testing: { categoryName: 'Testing', score: testing, maxScore: 15, grade: 'B', issues: [], findings: [] }
+  }
+});
+
+const secret = { ruleId: 'security/hardcoded-secret', severity: 'high', message: 'Potential hardcoded secret', file: 'src/a.js', range: { startLine: 3 } };
+const exposure = { ruleId: 'security/error-information-exposure', severity: 'low', message: 'Error details may be exposed', file: 'src/b.js', range: null };
+
+describe('SnapshotStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-snapshots-'));
+    store = new SnapshotStore(tempDir, { maxSnapshots: 2 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should capture overall, category scores, issues and git info', () => {
+    const snapshot = store.createSnapshot(makeResults({ overall: 20, security: 9, testing: 11, findings: [secret] }));
+
+    expect(snapshot.overall).toMatchObject({ score: 20, maxScore: 30, percentage: 67 });
+    expect(snapshot.categories.security).toMatchObject({ score: 9, percentage: 60 });
+    expect(snapshot.issues).toEqual([{ category: 'security', message: 'Potential hardcoded secret' }]);
+    expect(snapshot.findings[0]).toMatchObject({ ruleId: 'security/hardcoded-secret', category: 'security' });
+    expect(snapshot.git).toHaveProperty('commit');
+  });
+
+  it('should save runs, load the latest and prune old snapshots', async () => {
+    for (const [index, timestamp] of ['2026-01-01T00:00:00.000Z', '2026-01-02T00:00:00.000Z', '2026-01-03T00:00:00.000Z'].entries()) {
+      await store.save(store.createSnapshot(makeResults({ overall: 10 + index, security: 5, testing: 5, findings: [], timestamp })));
+    }
+
+    expect(await store.list()).toHaveLength(2);
+    expect((await store.loadLatest()).overall.score).toBe(12);
+    expect((await store.loadHistory()).map(snapshot => snapshot.overall.score)).toEqual([11, 12]);
+  });
+
+  it('should resolve named baselines and report missing ones', async () => {
+    const snapshot = store.createSnapshot(makeResults({ overall: 20, security: 9, testing: 11, findings: [] }));
+    await store.saveBaseline('main', snapshot);
+
+    expect((await store.resolve('main')).baseline).toBe('main');
+    await expect(store.resolve('release')).rejects.toThrow('Baseline "release" not found');
+    await expect(store.resolve('../escape')).rejects.toThrow('Invalid baseline name');
+    expect(await new SnapshotStore(path.join(tempDir, 'empty')).resolve(true)).toBeNull();
+  });
+});
+
+describe('compareSnapshots', () => {
+  const store = new SnapshotStore(os.tmpdir());
+
+  it('should report deltas, new and resolved issues and regressions', () => {
+    const previous = store.createSnapshot(makeResults({ overall: 20, security: 10, testing: 10, findings: [exposure] }));
+    const current = store.createSnapshot(makeResults({ overall: 21, security: 8, testing: 13, findings: [{ ...secret }] }));
+
+    const comparison = compareSnapshots(previous, current);
+
+    expect(comparison.overall).toMatchObject({ delta: 1, percentageDelta: 3 });
+    expect(comparison.categories.find(c => c.key === 'security')).toMatchObject({ delta: -2, regressed: true });
+    expect(comparison.categories.find(c => c.key === 'testing')).toMatchObject({ delta: 3, regressed: false });
+    expect(comparison.regressions).toEqual(['security']);
+    expect(comparison.newIssues.map(issue => issue.ruleId)).toEqual(['security/hardcoded-secret']);
+    expect(comparison.resolvedIssues.map(issue => issue.ruleId)).toEqual(['security/error-information-exposure']);
+  });
+
+  it('should not treat a moved finding as new', () => {
+    const previous = store.createSnapshot(makeResults({ overall: 20, security: 10, testing: 10, findings: [secret] }));
+    const current = store.createSnapshot(makeResults({ overall: 20, security: 10, testing: 10, findings: [{ ...secret, range: { startLine: 30 } }] }));
+
+    const comparison = compareSnapshots(previous, current);
+    expect(comparison.newIssues).toEqual([]);
+    expect(comparison.resolvedIssues).toEqual([]);
+  });
+
+  it('should match a moved and re-measured complex function by its name', () => {
+    const complexFunction = (line, cyclomatic) => ({
+      ruleId: 'quality/complex-function',
+      severity: 'high',
+      message: `Complex function route at src/a.js:${line} (cyclomatic ${cyclomatic}, cognitive ${cyclomatic * 2})`,
+      file: 'src/a.js',
+      range: { startLine: line },
+      symbol: 'route'
+    });
+    const previous = store.createSnapshot(makeResults({ overall: 20, security: 10, testing: 10, findings: [complexFunction(3, 120)] }));
+    const current = store.createSnapshot(makeResults({ overall: 20, security: 10, testing: 10, findings: [complexFunction(5, 122)] }));
+
+    const comparison = compareSnapshots(previous, current);
+    expect(comparison.newIssues).toEqual([]);
+    expect(comparison.resolvedIssues).toEqual([]);
+  });
+
+  it('should be included in JSON reports', async () => {
+    const results = makeResults({ overall: 20, security: 10, testing: 10, findings: [] });
+    results.comparison = compareSnapshots(store.createSnapshot(results), store.createSnapshot(results));
+
+    const json = JSON.parse(await new JSONReportGenerator().generate(results));
+    expect(json.comparison.overall.delta).toBe(0);
+  });
+});
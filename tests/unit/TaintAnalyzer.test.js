@@ -0,0 +1,154 @@
+/**
+ * Unit tests for request data flow (taint) detection in Express/Node handlers
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { findTaintFlows } from '../../src/security/TaintAnalyzer.js';
+import { SecurityAnalyzer } from '../../src/scoring/analyzers/SecurityAnalyzer.js';
+import { SARIFReportGenerator } from '../../src/scoring/report/SARIFReportGenerator.js';
+
+const trace = flow => flow.trace.map(step => `${step.label}@${step.line}`).join(' -> ');
+
+describe('findTaintFlows', () => {
+  it('should follow request data through variables and templates into child_process', () => {
+    const { handlers, flows } = findTaintFlows([
+      "import { exec } from 'child_process';",
+      "app.get('/ping', (req, res) => {",
+      '  const host = req.query.host;',
+      '  const cmd = `ping -c 1 ${host}`;',
+      '  exec(cmd, (err, out) => res.json({ out }));',
+      '});'
+    ].join('\n'), 'routes.js');
+
+    expect(handlers).toBe(1);
+    expect(flows).toHaveLength(1);
+    expect(flows[0]).toMatchObject({ kind: 'command-injection', source: 'req.query', sink: 'child_process.exec()', handler: 'GET /ping', line: 5, column: 3 });
+    expect(trace(flows[0])).toBe('req.query.host@3 -> host@3 -> cmd@4 -> child_process.exec()@5');
+  });
+
+  it('should detect SQL strings built from request data but not parameterized queries', () => {
+    const { flows } = findTaintFlows([
+      "router.post('/users/:id', async (request, response) => {",
+      '  const { id } = request.params;',
+      "  await db.query('SELECT * FROM users WHERE id = ' + id);",
+      "  await db.query('SELECT * FROM users WHERE id = ?', [id]);",
+      '  await cache.query(`SELECT name FROM users WHERE id = ${id}`);',
+      '  const match = /^[0-9]+$/.exec(id);',
+      '});'
+    ].join('\n'));
+
+    expect(flows.map(flow => [flow.kind, flow.sink, flow.line])).toEqual([
+      ['sql-injection', 'db.query()', 3],
+      ['sql-injection', 'cache.query()', 5]
+    ]);
+    expect(trace(flows[0])).toBe('request.params@2 -> id@2 -> db.query()@3');
+  });
+
+  it('should flag eval, file paths and HTML responses, and stop at sanitizers', () => {
+    const { flows } = findTaintFlows([
+      "const fs = require('fs').promises;",
+      'module.exports = function handler(req, res) {',
+      "  const file = path.join(__dirname, 'public', req.query.name);",
+      '  fs.readFile(file);',
+      '  fs.readFile(path.basename(req.query.name));',
+      '  res.sendFile(req.params.path);',
+      '  eval(req.body.code);',
+      '  res.status(200).send(`<h1>${req.body.title}</h1>`);',
+      '  res.send(escapeHtml(req.body.title));',
+      '  res.send({ title: req.body.title });',
+      '  res.end(String(parseInt(req.query.page, 10)));',
+      '};'
+    ].join('\n'));
+
+    expect(flows.every(flow => flow.handler === 'handler')).toBe(true);
+    expect(flows.map(flow => [flow.kind, flow.sink, flow.line, flow.html])).toEqual([
+      ['path-traversal', 'fs.readFile()', 4, false],
+      ['path-traversal', 'res.sendFile()', 6, false],
+      ['code-injection', 'eval()', 7, false],
+      ['xss', 'res.send()', 8, true]
+    ]);
+  });
+
+  it('should taint request fields a handler destructures from its first parameter', () => {
+    const { handlers, flows } = findTaintFlows([
+      "import { exec } from 'child_process';",
+      "app.get('/ls', ({ query, body: { file }, params: p, headers, cookies = {} }, res) => {",
+      '  exec(query.dir);',
+      '  res.sendFile(file);',
+      '  exec(`cat ${p.name}`);',
+      "  res.send(`<p>${headers['user-agent']}</p>`);",
+      '  eval(cookies.script);',
+      '});'
+    ].join('\n'));
+
+    expect(handlers).toBe(1);
+    expect(flows.map(flow => [flow.kind, flow.source, flow.line])).toEqual([
+      ['command-injection', 'req.query', 3],
+      ['path-traversal', 'req.body', 4],
+      ['command-injection', 'req.params', 5],
+      ['xss', 'req.headers', 6],
+      ['code-injection', 'req.cookies', 7]
+    ]);
+    expect(trace(flows[0])).toBe('req.query@2 -> query@2 -> child_process.exec()@3');
+    expect(trace(flows[1])).toBe('req.body@2 -> file@2 -> res.sendFile()@4');
+  });
+
+  it('should ignore functions that do not handle requests', () => {
+    const { handlers, flows } = findTaintFlows([
+      "const { execSync } = require('node:child_process');",
+      'function run(options) {',
+      '  return execSync(options.query.command);',
+      '}',
+      'function build(query) { return eval(query.body); }'
+    ].join('\n'));
+
+    expect(handlers).toBe(0);
+    expect(flows).toEqual([]);
+  });
+});
+
+describe('SecurityAnalyzer request data flows', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-taint-'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.mkdir(path.join(tempDir, 'tests'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'api', dependencies: { express: '^4.0.0' } }));
+    const route = [
+      "import { exec } from 'child_process';",
+      "app.get('/ping', (req, res) => exec('ping ' + req.query.host));"
+    ].join('\n');
+    await fs.writeFile(path.join(tempDir, 'src', 'routes.js'), route);
+    await fs.writeFile(path.join(tempDir, 'tests', 'routes.test.js'), route);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report source-to-sink findings with a trace and withhold the points', async () => {
+    const analyzer = new SecurityAnalyzer({ projectRoot: tempDir, maxScore: 15 });
+    await analyzer.analyzeInputValidation();
+
+    expect(analyzer.results.score).toBe(0);
+    expect(analyzer.results.details).toMatchObject({ requestHandlers: 1, taintFlows: { 'command-injection': 1 } });
+    expect(analyzer.results.findings.map(finding => finding.ruleId)).toEqual(['security/command-injection', 'security/injection-risks']);
+
+    const finding = analyzer.results.findings[0];
+    expect(finding).toMatchObject({ severity: 'critical', file: 'src/routes.js', range: { startLine: 2, startColumn: 32 } });
+    expect(finding.message).toBe('req.query reaches child_process.exec() without sanitization: ' +
+      'req.query.host (line 2) -> child_process.exec() (line 2)');
+
+    const sarif = new SARIFReportGenerator().buildLog({ categories: { security: analyzer.results } });
+    const locations = sarif.runs[0].results[0].codeFlows[0].threadFlows[0].locations;
+    expect(locations.map(step => step.location.message.text)).toEqual(['req.query.host', 'child_process.exec()']);
+    expect(locations[0].location.physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/routes.js', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 2, startColumn: 47 }
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the template engine and template packs
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { renderTemplate, evaluateExpression } from '../../src/templates/TemplateEngine.js';
+import { TemplatePack, validateManifest, resolveProjectTemplates } from '../../src/templates/TemplatePack.js';
+import { ConventionDetector } from '../../src/generation/ConventionDetector.js';
+import { ScaffoldGenerator } from '../../src/generation/ScaffoldGenerator.js';
+import { PatternProvider } from '../../src/server/PatternProvider.js';
+
+describe('TemplateEngine', () => {
+  it('should render variables, helpers and blocks', () => {
+    const context = { name: 'user-card', user: { first: 'Ada' }, tags: ['a', 'b'], admin: false };
+
+    expect(renderTemplate('{{pascalCase name}} by {{user.first}}', context)).toBe('UserCard by Ada');
+    // Same word splitting as generated file names
+    expect(renderTemplate('{{pascalCase "HTTPServer"}} {{kebabCase "HTTPServer"}}', context)).toBe('HttpServer http-server');
+    expect(renderTemplate('{{#each tags}}{{@index}}={{this}}{{#unless @last}}, {{/unless}}{{/each}}', context)).toBe('0=a, 1=b');
+    expect(renderTemplate('{{#if admin}}admin{{else if (includes tags "b")}}tagged{{else}}guest{{/if}}', context)).toBe('tagged');
+    expect(renderTemplate('{{json tags}} {{! hidden }}\\{{literal}}', context)).toBe('["a","b"] {{literal}}');
+    expect(renderTemplate('{{greet name punctuation="!"}}', context, {
+      helpers: { greet: (who, { hash }) => `Hi ${who}${hash.punctuation}` }
+    })).toBe('Hi user-card!');
+  });
+
+  it('should drop the lines of standalone block tags', () => {
+    const source = 'start\n{{#if on}}\n  inside\n{{/if}}\nend\n';
+    expect(renderTemplate(source, { on: true })).toBe('start\n  inside\nend\n');
+    expect(renderTemplate(source, { on: false })).toBe('start\nend\n');
+  });
+
+  it('should evaluate conditions and name the template in syntax errors', () => {
+    expect(evaluateExpression('and (eq projectType "react-webapp") (not hasPackageJson)', { projectType: 'react-webapp', hasPackageJson: false })).toBe(true);
+    expect(() => renderTemplate('{{#if on}}open', {}, { name: 'house/broken.hbs' })).toThrow('house/broken.hbs');
+    expect(() => renderTemplate('{{missing x}}', {}, { name: 'house/unknown.hbs' })).toThrow('house/unknown.hbs');
+  });
+});
+
+describe('TemplatePack', () => {
+  let projectRoot;
+
+  const write = async (file, content = '') => {
+    await fs.mkdir(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    await fs.writeFile(path.join(projectRoot, file), content);
+  };
+  const writePack = (dir, manifest, files = {}) => Promise.all([
+    write(path.join(dir, 'template-pack.json'), JSON.stringify(manifest)),
+    ...Object.entries(files).map(([file, content]) => write(path.join(dir, file), content))
+  ]);
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-templates-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should validate manifests', () => {
+    expect(validateManifest({ name: 'house', templates: { init: [{ source: 'a.hbs', target: 'a' }] } })).toEqual([]);
+    expect(validateManifest({ templates: { init: [{ source: 'a.hbs', overwrite: 'always', extra: 1 }] } })).toEqual(expect.arrayContaining([
+      'manifest.name is required',
+      expect.stringContaining('extra')
+    ]));
+    expect(validateManifest({ name: 'house', templates: { init: [{ source: 'a.hbs', target: 'a', overwrite: 'always' }] } }))
+      .toEqual(['manifest.templates.init[0].overwrite must be one of never, force, ask, got "always"']);
+  });
+
+  it('should render the init files of the built-in pack with their conditions', async () => {
+    const pack = await TemplatePack.resolve('default', { projectRoot });
+    const context = { projectName: 'demo', projectType: 'react-webapp', description: 'A demo', mcp: false, agentOs: true, hasPackageJson: false };
+
+    const files = await pack.render('init', context);
+    expect(files.map(({ target, overwrite }) => [target, overwrite])).toEqual([
+      ['codefortify.config.js', 'ask'],
+      ['AGENTS.md', 'never'],
+      ['CLAUDE.md', 'force'],
+      ['package.json', 'never']
+    ]);
+    expect(JSON.parse(files[3].content).name).toBe('demo');
+    expect((await pack.render('init', { ...context, projectType: 'node-api', agentOs: false })).map(({ target }) => target))
+      .toEqual(['codefortify.config.js', 'CLAUDE.md']);
+  });
+
+  it('should let a project pack override one file and inherit the rest', async () => {
+    await write('package.json', JSON.stringify({ name: 'web', type: 'module', dependencies: { react: '^18.0.0' } }));
+    await write('src/components/Button.jsx');
+    await writePack('.codefortify/templates/house', {
+      name: 'house',
+      extends: 'default',
+      variables: { company: 'Acme' },
+      templates: { component: [{ source: 'component.hbs', target: '{{sourceFile}}', when: 'eq framework "react"' }] }
+    }, { 'component.hbs': '// {{company}}\nexport const {{name}} = () => null;\n' });
+    await write('codefortify.config.js', 'export default { templates: { pack: \'house\', variables: { company: \'Acme Corp\' } } };\n');
+
+    const { pack, variables } = await resolveProjectTemplates(projectRoot);
+    expect([pack.name, pack.parent.name, pack.has('hook')]).toEqual(['house', 'default', true]);
+
+    const conventions = await new ConventionDetector(projectRoot).detect();
+    const files = await new ScaffoldGenerator({ projectRoot, conventions, pack, variables }).plan('component', 'card');
+    expect(files.map(({ file, kind }) => [file, kind])).toEqual([
+      ['src/components/Card.jsx', 'source'],
+      ['src/components/Card.test.jsx', 'test']
+    ]);
+    expect(files[0].content).toBe('// Acme Corp\nexport const Card = () => null;\n');
+    expect(files[1].content).toContain('import { Card } from \'./Card.jsx\';');
+  });
+
+  it('should serve the pattern examples of a project pack', async () => {
+    await writePack('.codefortify/templates/house', {
+      name: 'house',
+      extends: 'default',
+      templates: { patterns: [{ source: 'hook.hbs', target: 'react/hook' }] }
+    }, { 'hook.hbs': '// {{projectName}} house hook\n' });
+    await write('codefortify.config.js', 'export default { templates: { pack: \'house\' } };\n');
+
+    const provider = new PatternProvider({ projectRoot, projectName: 'web', projectType: 'react-webapp' });
+    expect(await provider.getPattern('hook')).toBe('// web house hook\n');
+    expect(await provider.getPattern('component')).toContain('React.FC<ComponentProps>');
+    expect(await provider.generatePatterns()).toMatch(/^\/\/ Context7 React Patterns for web\n\n[\s\S]*\n\n\/\/ web house hook\n\n\/\/ Context7 Service Pattern/);
+  });
+
+  it('should load packs by path and reject missing packs, cycles and paths outside the pack or project', async () => {
+    await writePack('packs/a', { name: 'a', extends: './packs/b' });
+    await writePack('packs/b', { name: 'b', extends: './packs/a' });
+    await writePack('packs/c', { name: 'c', templates: { init: [{ source: '../../outside.txt', target: 'x' }] } });
+    await write('outside.txt', 'secret');
+
+    await expect(TemplatePack.resolve('./packs/a', { projectRoot })).rejects.toThrow('Template pack "b" extends itself through "./packs/a"');
+    await expect(TemplatePack.resolve('house', { projectRoot })).rejects.toThrow(
+      `Template pack "house" not found. Looked for template-pack.json in: ${path.join(projectRoot, '.codefortify/templates/house')}`
+    );
+    const outside = await TemplatePack.resolve('./packs/c', { projectRoot });
+    await expect(outside.render('init', {})).rejects.toThrow('outside the pack directory');
+
+    await writePack('packs/d', { name: 'd', templates: { init: [{ source: 'a.hbs', target: '../escaped-{{name}}.js' }, { source: 'a.hbs', target: '/tmp/{{name}}.js' }] } }, { 'a.hbs': '' });
+    const escaping = await TemplatePack.resolve('./packs/d', { projectRoot });
+    await expect(escaping.render('init', { name: 'x' })).rejects.toThrow('Template d/a.hbs targets ../escaped-x.js, outside the project directory');
+    escaping.templates.init.shift();
+    await expect(escaping.render('init', { name: 'x' })).rejects.toThrow('targets /tmp/x.js, outside the project directory');
+
+    const listed = await TemplatePack.list({ projectRoot });
+    expect(listed.map(({ pack, origin }) => [pack?.name, origin])).toContainEqual(['default', 'built-in']);
+  });
+});
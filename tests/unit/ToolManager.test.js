@@ -2,8 +2,15 @@
  * Unit tests for ToolManager
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
 import { ToolManager } from '../../src/server/ToolManager.js';
+import { CodeFortifyMCPServer } from '../../src/server/CodeFortifyMCPServer.js';
 
 describe('ToolManager', () => {
   let toolManager;
@@ -32,7 +39,7 @@ describe('ToolManager', () => {
 
       expect(result).toHaveProperty('tools');
       expect(result.tools).toBeInstanceOf(Array);
-      expect(result.tools).toHaveLength(5);
+      expect(result.tools).toHaveLength(8);
 
       const toolNames = result.tools.map(tool => tool.name);
       expect(toolNames).toContain('validate_context7_compliance');
@@ -40,6 +47,9 @@ describe('ToolManager', () => {
       expect(toolNames).toContain('check_naming_conventions');
       expect(toolNames).toContain('suggest_improvements');
       expect(toolNames).toContain('generate_component_scaffold');
+      expect(toolNames).toContain('score_project');
+      expect(toolNames).toContain('get_category_details');
+      expect(toolNames).toContain('get_recommendations');
     });
 
     it('should include proper tool schemas', async () => {
@@ -170,6 +180,23 @@ describe('ToolManager', () => {
 
       expect(response.issues).toContain('Custom hooks should start with "use" and use camelCase');
     });
+
+    it('should report rule violations with locations instead of matching text', async () => {
+      const args = {
+        code: '/** AI ASSISTANT CONTEXT: company badge */\nexport const CompanyBadge: React.FC<Props> = ({ company }) => <b>{company}</b>;',
+        language: 'typescript',
+        component_type: 'react'
+      };
+
+      const response = JSON.parse((await toolManager.validateContext7Compliance(args)).content[0].text);
+      expect(response).toMatchObject({ compliance_score: 100, issues: [], violations: [] });
+      expect(response.rules_applied).toContain('typescript/no-explicit-any');
+
+      args.code = args.code.replace('Props>', 'any>');
+      const flagged = JSON.parse((await toolManager.validateContext7Compliance(args)).content[0].text);
+      expect(flagged.compliance_score).toBe(90);
+      expect(flagged.violations).toEqual([expect.objectContaining({ ruleId: 'typescript/no-explicit-any', line: 2, column: 37 })]);
+    });
   });
 
   describe('checkNamingConventions', () => {
@@ -282,28 +309,45 @@ describe('ToolManager', () => {
   });
 
   describe('getValidationRules', () => {
-    it('should return default validation rules', () => {
-      const rules = toolManager.getValidationRules();
+    it('should return default validation rules', async () => {
+      const rules = await toolManager.getValidationRules();
 
       expect(rules).toEqual({
         strictTypes: true,
         requireDocumentation: true,
-        mobileFirst: true
+        mobileFirst: true,
+        rules: {}
       });
     });
 
-    it('should override with config rules', () => {
+    it('should override with config rules', async () => {
       toolManager.config.validation = {
         strictTypes: false,
         customRule: true
       };
 
-      const rules = toolManager.getValidationRules();
+      const rules = await toolManager.getValidationRules();
 
       expect(rules.strictTypes).toBe(false);
       expect(rules.customRule).toBe(true);
       expect(rules.requireDocumentation).toBe(true); // default
     });
+
+    it('should load the compliance block of codefortify.config.js', async () => {
+      const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-compliance-'));
+      await fs.writeFile(path.join(projectRoot, 'codefortify.config.js'),
+        "export default { compliance: { mobileFirst: false, rules: { 'typescript/no-explicit-any': 'error' } } };");
+      toolManager.config.projectRoot = projectRoot;
+
+      try {
+        expect(await toolManager.getValidationRules()).toMatchObject({
+          mobileFirst: false,
+          rules: { 'typescript/no-explicit-any': 'error' }
+        });
+      } finally {
+        await fs.rm(projectRoot, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('getAppliedStandards', () => {
@@ -325,4 +369,86 @@ describe('ToolManager', () => {
       expect(standards).not.toContain('React functional components');
     });
   });
-});
\ No newline at end of file
+});
+
+describe('ToolManager scoring tools', () => {
+  let tempDir;
+  let toolManager;
+
+  const parse = result => JSON.parse(result.content[0].text);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-tools-'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'tools-app', version: '1.0.0', type: 'module' }));
+    await fs.writeFile(path.join(tempDir, 'src', 'index.js'), 'export function add(a, b) {\n  return a + b;\n}\n');
+    toolManager = new ToolManager({ projectRoot: tempDir, projectName: 'tools-app' });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should score the requested categories without writing to stdout and report progress', async () => {
+    const log = vi.spyOn(console, 'log');
+    const progress = [];
+
+    const response = parse(await toolManager.executeTool('score_project', { categories: ['performance'] }, {
+      sendProgress: (done, total, message) => progress.push([done, total, message])
+    }));
+
+    expect(response.project.name).toBe('tools-app');
+    expect(Object.keys(response.categories)).toEqual(['performance']);
+    expect(response.categories.performance).toMatchObject({ name: expect.any(String), maxScore: 15, grade: expect.any(String) });
+    expect(response.overall).toMatchObject({ maxScore: 15, percentage: expect.any(Number) });
+    expect(progress).toEqual([
+      [0, 1, 'Starting analysis'],
+      [1, 1, `${response.categories.performance.name} analyzed`]
+    ]);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('should return the issues, findings and recommendations of one category', async () => {
+    const response = parse(await toolManager.executeTool('get_category_details', { category: 'performance', max_findings: 1 }));
+
+    expect(response).toMatchObject({ category: 'performance', maxScore: 15, details: expect.any(Object) });
+    expect(response.issues).toBeInstanceOf(Array);
+    expect(response.findings.length).toBeLessThanOrEqual(1);
+    expect(response.findings_total).toBeGreaterThanOrEqual(response.findings.length);
+    expect(response.recommendations.every(rec => rec.category === 'performance')).toBe(true);
+  });
+
+  it('should filter recommendations by priority and limit', async () => {
+    const response = parse(await toolManager.executeTool('get_recommendations', { categories: ['performance'], priority: 'high', limit: 2 }));
+
+    expect(response.recommendations.length).toBeLessThanOrEqual(2);
+    expect(response.recommendations.every(rec => ['critical', 'high'].includes(rec.priority))).toBe(true);
+    expect(response.total).toBeGreaterThanOrEqual(response.recommendations.length);
+  });
+
+  it('should reject unknown categories and priorities', async () => {
+    await expect(toolManager.executeTool('score_project', { categories: ['speed'] }))
+      .rejects.toThrow(/Invalid categories: speed\. Available: structure/);
+    await expect(toolManager.executeTool('get_recommendations', { priority: 'urgent' }))
+      .rejects.toThrow(/Invalid priority: urgent/);
+  });
+
+  it('should send progress notifications to MCP clients that pass a progress token', async () => {
+    const server = new CodeFortifyMCPServer({ projectRoot: tempDir, projectName: 'tools-app' });
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.server.connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const progress = [];
+    const result = await client.callTool({ name: 'score_project', arguments: { categories: ['performance'] } }, CallToolResultSchema, {
+      onprogress: ({ progress: done, total }) => progress.push(`${done}/${total}`)
+    });
+
+    expect(parse(result).categories.performance).toBeDefined();
+    expect(progress).toEqual(['0/1', '1/1']);
+    await client.close();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the validate --fix engine and its diff preview
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CodeFortifyValidator } from '../../src/validation/CodeFortifyValidator.js';
+import { ValidationFixer } from '../../src/validation/ValidationFixer.js';
+import { unifiedDiff } from '../../src/utils/textDiff.js';
+
+describe('ValidationFixer', () => {
+  let projectRoot;
+
+  const write = async (file, content) => {
+    await fs.mkdir(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    await fs.writeFile(path.join(projectRoot, file), content);
+  };
+  const read = file => fs.readFile(path.join(projectRoot, file), 'utf8');
+  const validate = async (projectType = 'javascript') =>
+    new CodeFortifyValidator({ projectRoot, projectType }).runValidation();
+  const planFor = async (outcome, options = {}) =>
+    new ValidationFixer({ projectRoot, projectName: 'demo', ...options }).plan(outcome.results);
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-fix-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should create the missing files from templates until validation passes', async () => {
+    await write('package.json', '{"name":"demo","version":"0.1.0","scripts":{"test":"vitest"}}');
+
+    const before = await validate();
+    expect(before.success).toBe(false);
+
+    const fixer = new ValidationFixer({ projectRoot, projectName: 'demo' });
+    const { actions, unfixable } = await fixer.plan(before.results);
+    expect(unfixable).toEqual([]);
+    expect(actions.map(action => [action.type, action.file])).toEqual([
+      ['directory', 'src'],
+      ['directory', '.agent-os'],
+      ['create', 'AGENTS.md'],
+      ['create', 'CLAUDE.md'],
+      ['create', 'src/mcp-server.js'],
+      ['create', '.agent-os/config.yml'],
+      ['update', 'package.json']
+    ]);
+    expect(actions.find(action => action.file === 'AGENTS.md').resolves).toEqual(['Required Files: AGENTS.md', 'Documentation: AGENTS.md']);
+
+    // Planning writes nothing
+    await expect(fs.access(path.join(projectRoot, 'AGENTS.md'))).rejects.toThrow();
+
+    const { applied, skipped } = await fixer.apply(actions);
+    expect(applied).toHaveLength(7);
+    expect(skipped).toEqual([]);
+    expect((await validate()).success).toBe(true);
+
+    const packageJson = JSON.parse(await read('package.json'));
+    expect(packageJson.scripts).toEqual({
+      test: 'vitest',
+      'mcp:dev': 'node src/mcp-server.js',
+      'mcp:test': 'codefortify test-mcp',
+      'context7:validate': 'codefortify validate'
+    });
+    expect(Object.keys(packageJson.dependencies)).toEqual(['@modelcontextprotocol/sdk', '@wtthornton/codefortify']);
+    expect(await read('AGENTS.md')).toContain('AI coding agent working on demo');
+  });
+
+  it('should add to existing files but only replace content after confirmation', async () => {
+    await write('package.json', '{\n    "name": "demo",\n    "dependencies": { "@modelcontextprotocol/sdk": "^1.0.0" },\n    "scripts": { "mcp:dev": "node server.js" }\n}\n');
+    await write('AGENTS.md', '# Agents\n\nContext7 rules for agents.\n');
+    await write('CLAUDE.md', '# Notes\n\nContext7 and Agent OS.\n');
+    await write('src/mcp-server.js', 'export const server = null;\n');
+    await write('.agent-os/config.yml', 'agent_os_version: 2.0.0\nagents:\n  reviewer: {}\n');
+
+    const fixer = new ValidationFixer({ projectRoot, projectName: 'demo' });
+    const { actions } = await fixer.plan((await validate()).results);
+    const byFile = Object.fromEntries(actions.map(action => [action.file, action]));
+
+    expect(Object.keys(byFile).sort()).toEqual(['.agent-os/config.yml', 'AGENTS.md', 'package.json', 'src/mcp-server.js']);
+    expect(byFile['AGENTS.md']).toMatchObject({ type: 'update', after: expect.stringMatching(/^# Agents\n\nContext7 rules for agents\.\n\n## Context7 and MCP/) });
+    expect(byFile['.agent-os/config.yml'].after).toMatch(/^agent_os_version: 2\.0\.0\nagents:\n {2}reviewer: \{\}\n\nmcp:\n {2}enabled: true/);
+    expect(byFile['package.json'].after).toContain('\n    "scripts": {\n        "mcp:dev": "node server.js",\n        "mcp:test"');
+    expect(byFile['src/mcp-server.js']).toMatchObject({ type: 'replace', requiresConfirmation: true });
+
+    const confirm = vi.fn(async () => false);
+    const first = await fixer.apply(actions, { confirm });
+    expect(confirm).toHaveBeenCalledWith(byFile['src/mcp-server.js']);
+    expect(first.skipped).toEqual([{ action: byFile['src/mcp-server.js'], reason: 'overwrite not confirmed' }]);
+    expect(await read('src/mcp-server.js')).toBe('export const server = null;\n');
+    // The CodeFortify dependency only comes with the generated server
+    expect(byFile['package.json']).toMatchObject({ dependsOn: 'src/mcp-server.js', after: expect.stringContaining('@wtthornton/codefortify') });
+    expect(first.applied).toContainEqual(byFile['package.json'].fallback);
+    expect(await read('package.json')).toContain('"mcp:test"');
+    expect(await read('package.json')).not.toContain('@wtthornton/codefortify');
+
+    await fixer.apply([byFile['src/mcp-server.js']], { confirm: async () => true });
+    expect(await read('src/mcp-server.js')).toContain('class Context7MCPServer');
+    expect((await validate()).success).toBe(true);
+  });
+
+  it('should not write over files changed after planning and report what it cannot fix', async () => {
+    await write('package.json', JSON.stringify({ name: 'demo', dependencies: { vue: '^3.0.0' } }));
+
+    const fixer = new ValidationFixer({ projectRoot, projectName: 'demo', projectType: 'react-webapp' });
+    const { actions, unfixable } = await fixer.plan((await validate('react-webapp')).results);
+    expect(unfixable.map(result => result.item)).toEqual(['React']);
+
+    await write('package.json', '{"name":"edited"}');
+    const { skipped } = await fixer.apply(actions);
+    expect(skipped).toEqual([{ action: expect.objectContaining({ file: 'package.json' }), reason: 'file changed since the fix was planned' }]);
+    expect(await read('package.json')).toBe('{"name":"edited"}');
+  });
+
+  it('should preview actions as unified diffs', async () => {
+    const { actions } = await planFor(await validate());
+    const directory = actions.find(action => action.type === 'directory');
+
+    expect(ValidationFixer.diff(directory)).toBe(`+ ${directory.file}/\n`);
+    expect(ValidationFixer.diff(actions.find(action => action.file === 'CLAUDE.md'))).toMatch(/^--- \/dev\/null\n\+\+\+ b\/CLAUDE\.md\n@@ -0,0 \+1,\d+ @@\n\+# CLAUDE\.md\n/);
+
+    expect(unifiedDiff('a\nb\nc\nd\ne\nf\ng\nh\n', 'a\nB\nc\nd\ne\nf\ng\nH\n', { file: 'x.txt', context: 1 })).toBe([
+      '--- a/x.txt',
+      '+++ b/x.txt',
+      '@@ -1,3 +1,3 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      '@@ -7,2 +7,2 @@',
+      ' g',
+      '-h',
+      '+H',
+      ''
+    ].join('\n'));
+    expect(unifiedDiff('same\n', 'same\n')).toBe('');
+  });
+});
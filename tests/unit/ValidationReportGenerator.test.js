@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the machine-readable validate reports
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ValidationReportGenerator } from '../../src/validation/ValidationReportGenerator.js';
+import { CodeFortifyValidator } from '../../src/validation/CodeFortifyValidator.js';
+import { ValidateCommand } from '../../src/cli/commands/ValidateCommand.js';
+
+describe('ValidationReportGenerator', () => {
+  const outcome = {
+    success: false,
+    profile: 'standard',
+    results: [
+      { category: 'Required Files', item: 'AGENTS.md', status: 'PASS', details: 'File exists (120 bytes)', ruleId: 'files/agents-md', remediation: null },
+      { category: 'Required Files', item: 'CLAUDE.md', status: 'FAIL', details: 'File does not exist', ruleId: 'files/claude-md', remediation: 'Create CLAUDE.md' },
+      { category: 'Project Dependencies', item: 'Web Framework', status: 'WARN', details: 'Missing dependency: express or koa', ruleId: 'dependencies/web-framework', remediation: 'Use <express> & "koa"' }
+    ]
+  };
+  const generator = new ValidationReportGenerator({ projectRoot: '/repo', projectType: 'node-api', timestamp: '2026-01-01T00:00:00.000Z' });
+
+  it('should report every check as a JSON test case', () => {
+    const report = JSON.parse(generator.generate(outcome, 'json'));
+
+    expect(report).toMatchObject({
+      tool: { name: 'CodeFortify' },
+      timestamp: '2026-01-01T00:00:00.000Z',
+      project: { root: '/repo', type: 'node-api' },
+      profile: 'standard',
+      success: false,
+      summary: { total: 3, passed: 1, warnings: 1, failed: 1, successRate: 33 }
+    });
+    expect(report.testCases[1]).toEqual({
+      id: 'files/claude-md',
+      category: 'Required Files',
+      name: 'CLAUDE.md',
+      status: 'FAIL',
+      details: 'File does not exist',
+      remediation: 'Create CLAUDE.md'
+    });
+  });
+
+  it('should write JUnit suites per category with failures and escaped warnings', () => {
+    const xml = generator.generate(outcome, 'junit');
+
+    expect(xml).toContain('<testsuites name="codefortify validate" tests="3" failures="1" errors="0" timestamp="2026-01-01T00:00:00.000Z">');
+    expect(xml).toContain('<testsuite name="Required Files" tests="2" failures="1" errors="0" skipped="0"');
+    expect(xml).toContain('<testcase name="AGENTS.md [files/agents-md]" classname="codefortify.validate.required-files" time="0"/>');
+    expect(xml).toContain('<failure message="File does not exist" type="files/claude-md">File does not exist\nRemediation: Create CLAUDE.md</failure>');
+    expect(xml).toContain('<system-out>Warning: Missing dependency: express or koa\nRemediation: Use &lt;express&gt; &amp; &quot;koa&quot;</system-out>');
+    expect(xml.match(/<testsuite /g)).toHaveLength(2);
+  });
+
+  it('should render markdown tables per category', () => {
+    const markdown = generator.generate(outcome, 'markdown');
+
+    expect(markdown).toContain('**Profile:** standard\n');
+    expect(markdown).toContain('**Result:** ❌ Failed - 1/3 checks passed (33%), 1 warning(s), 1 failure(s)');
+    expect(markdown).toContain('## Required Files (1/2)');
+    expect(markdown).toContain('| ❌ | CLAUDE.md `files/claude-md` | File does not exist | Create CLAUDE.md |');
+    expect(() => generator.generate(outcome, 'xml')).toThrow('Unsupported format: xml. Use console, json, junit, markdown.');
+  });
+
+  describe('validate --format', () => {
+    let projectRoot;
+
+    beforeEach(async () => {
+      projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-report-'));
+      await fs.writeFile(path.join(projectRoot, 'package.json'), JSON.stringify({ name: 'demo' }));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await fs.rm(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should attach remediation to failed rule checks', async () => {
+      const { results } = await new CodeFortifyValidator({ projectRoot, profile: 'minimal' }).runValidation();
+
+      expect(results.map(result => [result.ruleId, result.status, result.remediation])).toEqual([
+        ['structure/src', 'FAIL', 'Create the src/ directory'],
+        ['files/agents-md', 'FAIL', 'Create AGENTS.md'],
+        ['files/claude-md', 'FAIL', 'Create CLAUDE.md']
+      ]);
+    });
+
+    it('should write the report file and keep stdout free of progress output', async () => {
+      const command = new ValidateCommand({ projectRoot }, process.cwd());
+      const output = path.join(projectRoot, 'reports', 'validation.xml');
+
+      await command.execute({ profile: 'minimal', format: 'junit', output });
+      expect(await fs.readFile(output, 'utf8')).toContain('<testsuite name="Required Files" tests="2" failures="2"');
+
+      const write = vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      console.log.mockClear();
+      await command.execute({ profile: 'minimal', format: 'json' });
+      expect(console.log).not.toHaveBeenCalled();
+      expect(JSON.parse(write.mock.calls[0][0]).summary).toMatchObject({ total: 3, failed: 3 });
+
+      await expect(command.execute({ format: 'sarif' })).rejects.toThrow('Unsupported format: sarif');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the declarative validation rules and profiles
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveValidationRules, ruleApplies } from '../../src/validation/ValidationRules.js';
+import { CodeFortifyValidator } from '../../src/validation/CodeFortifyValidator.js';
+import { resolveValidationConfig } from '../../src/config/configLoader.js';
+
+describe('ValidationRules', () => {
+  const ids = resolved => resolved.rules.map(rule => rule.id);
+
+  it('should build each profile on the previous one', () => {
+    const minimal = resolveValidationRules('minimal');
+    const standard = resolveValidationRules('standard');
+    const strict = resolveValidationRules('strict');
+
+    expect(ids(minimal)).toEqual(['structure/src', 'files/agents-md', 'files/claude-md']);
+    expect(ids(standard)).toEqual(expect.arrayContaining(ids(minimal)));
+    expect(ids(strict)).toEqual(expect.arrayContaining([...ids(standard), 'files/readme']));
+    expect(resolveValidationRules()).toMatchObject({ profile: 'standard', agentOs: false, warningsAsErrors: false });
+    expect(strict).toMatchObject({ agentOs: true, warningsAsErrors: true });
+
+    // Strict requires tests for every project type, standard only for APIs
+    const testsRule = resolved => resolved.rules.find(rule => rule.id === 'structure/tests');
+    expect(ruleApplies(testsRule(standard), { projectType: 'react-webapp', mcp: true, agentOs: false })).toBe(false);
+    expect(ruleApplies(testsRule(strict), { projectType: 'react-webapp', mcp: true, agentOs: true })).toBe(true);
+  });
+
+  it('should switch off, re-grade, replace and add rules by id', () => {
+    const { rules } = resolveValidationRules('minimal', {
+      'files/claude-md': 'off',
+      'files/agents-md': 'warning',
+      'structure/src': { type: 'directory', path: 'lib' },
+      'package/lint-script': { type: 'script', scripts: ['lint'] }
+    });
+
+    expect(rules).toEqual([
+      { id: 'structure/src', type: 'directory', path: 'lib', severity: 'error', category: 'Directory Structure' },
+      { id: 'files/agents-md', type: 'file', path: 'AGENTS.md', severity: 'warning', category: 'Required Files' },
+      { id: 'package/lint-script', type: 'script', scripts: ['lint'], severity: 'error', category: 'Package Scripts' }
+    ]);
+  });
+
+  it('should reject unknown profiles, rule ids and invalid rules', () => {
+    expect(() => resolveValidationRules('paranoid')).toThrow('Unknown validation profile: paranoid. Use minimal, standard, strict');
+    expect(() => resolveValidationRules('minimal', { 'files/readme': 'off' })).toThrow('validation.rules.files/readme is not a rule of the minimal profile');
+    expect(() => resolveValidationRules('minimal', { 'files/agents-md': 'info' })).toThrow('must be error, warning, off or a rule object, got "info"');
+    expect(() => resolveValidationRules('minimal', { extra: { type: 'glob' } })).toThrow('validation.rules.extra.type must be one of directory, file, content, script, dependency');
+    expect(() => resolveValidationRules('minimal', { extra: { type: 'content', path: 'README.md' } })).toThrow('validation.rules.extra.contains is required for content rules');
+    expect(() => resolveValidationConfig({ profile: 'strict', rule: {} })).toThrow('validation.rule is not a known setting. Valid keys: profile, rules');
+  });
+
+  describe('CodeFortifyValidator profiles', () => {
+    let projectRoot;
+
+    const write = async (file, content) => {
+      await fs.mkdir(path.dirname(path.join(projectRoot, file)), { recursive: true });
+      await fs.writeFile(path.join(projectRoot, file), content);
+    };
+
+    beforeEach(async () => {
+      projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codefortify-rules-'));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      await write('src/index.js', 'export {};\n');
+      await write('AGENTS.md', '# Agents\n');
+      await write('CLAUDE.md', '# Claude\n');
+      await write('package.json', JSON.stringify({ name: 'api' }));
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await fs.rm(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should only run the checks of the chosen profile and tag results with rule ids', async () => {
+      const outcome = await new CodeFortifyValidator({ projectRoot, profile: 'minimal' }).runValidation();
+
+      expect(outcome.success).toBe(true);
+      expect(outcome.results.map(result => [result.ruleId, result.status])).toEqual([
+        ['structure/src', 'PASS'],
+        ['files/agents-md', 'PASS'],
+        ['files/claude-md', 'PASS']
+      ]);
+    });
+
+    it('should report warnings as failures in the strict profile', async () => {
+      const validate = strictMode => new CodeFortifyValidator({
+        projectRoot,
+        projectType: 'node-api',
+        strictMode,
+        rules: { 'files/mcp-server': 'off', 'agent-os/config-sections': 'off' }
+      }).runValidation();
+
+      const standard = await validate(false);
+      const strict = await validate(true);
+      const framework = outcome => outcome.results.find(result => result.ruleId === 'dependencies/web-framework');
+
+      expect(framework(standard).status).toBe('WARN');
+      expect(framework(strict).status).toBe('FAIL');
+      expect(strict.results.filter(result => result.status === 'FAIL').map(result => result.ruleId))
+        .toEqual(expect.arrayContaining(['files/readme', 'structure/tests', 'files/agent-os-product-mission']));
+      expect(standard.results.some(result => result.ruleId === 'files/readme')).toBe(false);
+    });
+  });
+});